@@ -0,0 +1,55 @@
+// Type definitions for dexie-encrypted v{version}
+// Project: https://github.com/dfahlander/Dexie.js/tree/master/addons/Dexie.Encrypted
+// Definitions by: David Fahlander <http://github.com/dfahlander>
+
+import Dexie from 'dexie';
+
+//
+// Extend Dexie interface
+//
+declare module 'dexie' {
+    // Extend methods on db (db.encryption.rotateKey(), ...)
+    interface Dexie {
+        encryption: {
+            readonly keyId: string;
+            rotateKey(
+                keyId: string,
+                key: CryptoKey,
+                options?: Dexie.Encrypted.RotateKeyOptions
+            ): Dexie.Promise<number>; // Resolves with the number of re-encrypted rows.
+        }
+    }
+
+    module Dexie {
+        //
+        // Define Dexie.Encrypted
+        //
+        var Encrypted: {
+            (db: Dexie, options: Encrypted.EncryptedOptions): Dexie;
+        }
+
+        module Encrypted {
+            interface EncryptedOptions {
+                key?: CryptoKey; // Key to encrypt with. Identified by keyId.
+                keyId?: string; // Defaults to "default".
+                keys?: {[keyId: string]: CryptoKey}; // Keys that values may have been encrypted with.
+                tables: {[tableName: string]: string[]}; // Key paths of the fields to encrypt.
+                crypto?: Crypto; // Defaults to self.crypto, or the global crypto of node.js.
+            }
+
+            interface RotateKeyOptions {
+                chunkSize?: number; // Number of rows to re-encrypt per transaction. Defaults to 100.
+                progressCallback?: (progress: RotateKeyProgress) => void;
+            }
+
+            interface RotateKeyProgress {
+                totalTables: number;
+                completedTables: number;
+                completedRows: number;
+                done: boolean;
+            }
+        }
+    }
+}
+
+export default Dexie.Encrypted;
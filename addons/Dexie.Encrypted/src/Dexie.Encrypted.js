@@ -0,0 +1,70 @@
+/**
+ * Dexie.Encrypted.js
+ * ==================
+ * Dexie addon for field-level encryption at rest using WebCrypto.
+ *
+ * version: {version} Alpha, {date}
+ *
+ * Disclaimber: This addon is in alpha status meaning that
+ * its API and behavior may change.
+ *
+ */
+import Dexie from 'dexie';
+
+import createCipher from './cipher';
+import createEncryptionMiddleware from './encryption-middleware';
+import overrideModify from './override-modify';
+import overrideParseStoresSpec, { verifyNotIndexed } from './override-parse-stores-spec';
+import rotateKey from './rotate-key';
+
+var override = Dexie.override;
+
+export default function Encrypted(db, options) {
+    /// <summary>
+    ///   Encrypt given fields of given tables. Must be called before db.version().stores() and before db is opened.
+    /// </summary>
+    /// <param name="db" type="Dexie"></param>
+    /// <param name="options">{key: CryptoKey, keyId?: string, keys?: {[keyId]: CryptoKey}, tables: {[tableName]: string[]}}</param>
+    if (!options || !options.tables)
+        throw new Dexie.InvalidArgumentError("Dexie.Encrypted(): options.tables must list the fields to encrypt");
+
+    var encryptedFields = options.tables,
+        keyId = options.keyId || "default",
+        keys = Dexie.extend({}, options.keys);
+    if (options.key) keys[keyId] = options.key;
+
+    var cipher = createCipher({keyId: keyId, keys: keys, crypto: options.crypto});
+
+    // Refuse to index encrypted fields, also for tables declared before we were called.
+    db.Version.prototype._parseStoresSpec = override(db.Version.prototype._parseStoresSpec, overrideParseStoresSpec(encryptedFields));
+    db.tables.forEach(table => verifyNotIndexed(encryptedFields, table.schema));
+
+    // Refuse operators such as $inc on encrypted fields.
+    db.Table.prototype.update = override(db.Table.prototype.update,
+        overrideModify(encryptedFields, (keyOrObject, changes) => [changes]));
+    db.Table.prototype.bulkUpdate = override(db.Table.prototype.bulkUpdate,
+        overrideModify(encryptedFields, keysAndChanges => (keysAndChanges || []).map(item => item && item.changes)));
+    db.Collection.prototype.modify = override(db.Collection.prototype.modify,
+        overrideModify(encryptedFields, changes => [changes]));
+
+    db.use(createEncryptionMiddleware(encryptedFields, cipher));
+
+    db.encryption = {
+        get keyId () {
+            return cipher.keyId;
+        },
+
+        rotateKey: function (newKeyId, newKey, rotateOptions) {
+            /// <summary>
+            ///   Encrypt with a new key from now on and re-encrypt all existing rows in the background.
+            /// </summary>
+            /// <returns type="Promise">Promise resolving with the number of rows re-encrypted.</returns>
+            return rotateKey(db, encryptedFields, cipher, newKeyId, newKey, rotateOptions);
+        }
+    };
+
+    return db;
+}
+
+// Register addon:
+Dexie.Encrypted = Encrypted;
@@ -0,0 +1,88 @@
+import Dexie from 'dexie';
+
+var Promise = Dexie.Promise;
+
+const ALGORITHM = "AES-GCM";
+const IV_LENGTH = 12;
+
+/** Get the WebCrypto of the environment: self.crypto in browsers and workers, the global crypto
+ * of node.js 19 and later. Older node.js versions must give require('crypto').webcrypto as
+ * options.crypto.
+ */
+function getDefaultCrypto() {
+    return typeof self !== 'undefined' ? self.crypto : typeof crypto !== 'undefined' ? crypto : null;
+}
+
+/** Create the cipher used to encrypt and decrypt field values with WebCrypto.
+ *
+ * Values are serialized with JSON (Dates are preserved) and encrypted with AES-GCM using a
+ * random IV. An encrypted value is stored as {$enc: keyId, iv: Uint8Array, data: ArrayBuffer}
+ * so that values encrypted with an older key can still be decrypted during key rotation.
+ *
+ * @param options {{keyId: string, keys: Object<string, CryptoKey>, crypto?: Crypto}}
+ */
+export default function createCipher(options) {
+    var crypto = options.crypto || getDefaultCrypto(),
+        keys = Dexie.extend({}, options.keys),
+        currentKeyId = options.keyId;
+
+    if (!crypto || !crypto.subtle)
+        throw new Dexie.MissingAPIError("WebCrypto is not available. In node.js, give require('crypto').webcrypto as options.crypto");
+    if (!keys[currentKeyId])
+        throw new Dexie.InvalidArgumentError(`No key given for keyId '${currentKeyId}'`);
+
+    return {
+        get keyId () {
+            return currentKeyId;
+        },
+
+        useKey: function (keyId, key) {
+            keys[keyId] = key;
+            currentKeyId = keyId;
+        },
+
+        removeOtherKeys: function () {
+            var key = keys[currentKeyId];
+            keys = {};
+            keys[currentKeyId] = key;
+        },
+
+        isEncrypted: isEncrypted,
+
+        encrypt: function (value) {
+            var keyId = currentKeyId,
+                iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH)),
+                plain = new TextEncoder().encode(serialize(value));
+            return Promise.resolve(crypto.subtle.encrypt({name: ALGORITHM, iv: iv}, keys[keyId], plain))
+                .then(data => ({$enc: keyId, iv: iv, data: data}));
+        },
+
+        decrypt: function (encrypted) {
+            var key = keys[encrypted.$enc];
+            if (!key) return Promise.reject(new Dexie.InvalidArgumentError(
+                `Value is encrypted with key '${encrypted.$enc}' which was not given`));
+            return Promise.resolve(crypto.subtle.decrypt({name: ALGORITHM, iv: encrypted.iv}, key, encrypted.data))
+                .then(plain => deserialize(new TextDecoder().decode(plain)));
+        }
+    };
+}
+
+function isEncrypted(value) {
+    return !!value && typeof value === 'object' && typeof value.$enc === 'string' && !!value.iv && !!value.data;
+}
+
+function serialize(value) {
+    return JSON.stringify({v: value}, function (key, val) {
+        // Dates have already been converted by toJSON() when we get here. Check the original value.
+        var orig = this[key];
+        return orig instanceof Date ? {$date: orig.getTime()} : val;
+    });
+}
+
+function deserialize(json) {
+    return JSON.parse(json, function (key, val) {
+        return val && typeof val === 'object' && typeof val.$date === 'number' && Object.keys(val).length === 1 ?
+            new Date(val.$date) :
+            val;
+    }).v;
+}
@@ -0,0 +1,133 @@
+import Dexie from 'dexie';
+
+var Promise = Dexie.Promise;
+
+/** Create the DBCore middleware that encrypts the configured fields on their way to IndexedDB
+ * and decrypts them on their way out.
+ *
+ * Table hooks are synchronous while WebCrypto is not, so encryption happens one level below the
+ * hooks. Creating, updating and reading hooks therefore see plain values. Dexie.waitFor() keeps
+ * the transaction alive while WebCrypto is working.
+ *
+ * @param encryptedFields {Object<string, string[]>} Encrypted fields per table name.
+ * @param cipher Cipher from createCipher().
+ */
+export default function createEncryptionMiddleware(encryptedFields, cipher) {
+    return {
+        stack: "dbcore",
+        name: "encryption",
+        level: 1, // Close to IndexedDB so that other middlewares see plain values.
+        create: downCore => ({
+            table: tableName => {
+                var fields = encryptedFields[tableName],
+                    downTable = downCore.table(tableName);
+                return fields ? createEncryptedTable(downTable, fields, cipher) : downTable;
+            }
+        })
+    };
+}
+
+/** Requests must reach IndexedDB in the order they were made, but encryption delays writes.
+ * Let requests made while writes are being encrypted wait until those writes have been issued.
+ */
+function afterPendingWrites(trans, issue) {
+    return trans._numPendingWrites ? trans._pendingWrites.then(issue) : issue();
+}
+
+function nop() {}
+
+function createEncryptedTable(downTable, fields, cipher) {
+
+    function encryptRow(row) {
+        var values = fields.map(field => Dexie.getByKeyPath(row, field));
+        if (values.every(value => value === undefined)) return Promise.resolve(row);
+        return Promise.all(values.map(value => value === undefined ? undefined : cipher.encrypt(value))).then(encrypted => {
+            var clone = Dexie.deepClone(row);
+            fields.forEach((field, i) => {
+                if (encrypted[i] !== undefined) Dexie.setByKeyPath(clone, field, encrypted[i]);
+            });
+            return clone;
+        });
+    }
+
+    function decryptRow(row) {
+        var values = row && fields.map(field => Dexie.getByKeyPath(row, field));
+        // Rows written before encryption was enabled are returned as they are.
+        if (!values || !values.some(cipher.isEncrypted)) return Promise.resolve(row);
+        return Promise.all(values.map(value => cipher.isEncrypted(value) ? cipher.decrypt(value) : value)).then(decrypted => {
+            var clone = Dexie.deepClone(row);
+            fields.forEach((field, i) => {
+                if (decrypted[i] !== values[i]) Dexie.setByKeyPath(clone, field, decrypted[i]);
+            });
+            return clone;
+        });
+    }
+
+    function encryptRows(rows) {
+        return Dexie.waitFor(Promise.all(rows.map(encryptRow)));
+    }
+
+    function decryptRows(rows) {
+        return rows.some(row => row && fields.some(field => cipher.isEncrypted(Dexie.getByKeyPath(row, field)))) ?
+            Dexie.waitFor(Promise.all(rows.map(decryptRow))) :
+            rows;
+    }
+
+    function mutate(type, req) {
+        var trans = req.trans,
+            encrypted = encryptRows(req.values),
+            result;
+        var issued = afterPendingWrites(trans, () => encrypted).then(values => {
+            result = downTable[type](Dexie.extend(Dexie.shallowClone(req), {values: values}));
+        }).finally(() => {
+            --trans._numPendingWrites;
+        });
+        trans._numPendingWrites = (trans._numPendingWrites || 0) + 1;
+        trans._pendingWrites = issued.catch(nop);
+        return issued.then(() => result);
+    }
+
+    function read(method, req) {
+        return afterPendingWrites(req.trans, () => downTable[method](req));
+    }
+
+    function decryptingCursor(req, cursor) {
+        var value = cursor.value,
+            outbound = req.trans.objectStore(downTable.name).keyPath === null;
+        return Object.create(cursor, {
+            value: {get: () => value},
+            start: {
+                value: onNext => cursor.start(() => {
+                    decryptRows([cursor.value]).then(rows => {
+                        value = rows[0];
+                        onNext();
+                    }).catch(err => cursor.fail(err));
+                })
+            },
+            update: {
+                // Encryption is asynchronous and the cursor may have moved on when done. Put by primary key instead.
+                value: newValue => mutate('put', {
+                    trans: req.trans,
+                    values: [newValue],
+                    keys: outbound ? [cursor.primaryKey] : undefined
+                }).then(res => {
+                    if (res.numFailures) throw res.failures[0];
+                    return res.lastResult;
+                })
+            }
+        });
+    }
+
+    return Dexie.extend(Object.create(downTable), {
+        add: req => mutate('add', req),
+        put: req => mutate('put', req),
+        get: req => read('get', req).then(row => decryptRows([row])).then(rows => rows[0]),
+        getMany: req => read('getMany', req).then(decryptRows),
+        getAll: req => read('getAll', req).then(rows => req.keysOnly ? rows : decryptRows(rows)),
+        openCursor: req => read('openCursor', req).then(cursor =>
+            cursor && !req.keysOnly ? decryptingCursor(req, cursor) : cursor),
+        count: req => read('count', req),
+        'delete': req => read('delete', req),
+        deleteRange: req => read('deleteRange', req)
+    });
+}
@@ -0,0 +1,38 @@
+import Dexie from 'dexie';
+
+/** Make a method taking modifications, such as Table.update() or Collection.modify(), refuse
+ * operators other than $set and $unset on encrypted fields. The others compute new values from
+ * stored ones, which encryption is not meant to let the caller rely on.
+ *
+ * @param encryptedFields {Object<string, string[]>} Encrypted fields per table name.
+ * @param getModifications {Function} Given the arguments of the method, returns the modifications.
+ */
+export default function overrideModify(encryptedFields, getModifications) {
+    return function (origFunc) {
+        return function () {
+            var tableName = this._ctx ? this._ctx.table.name : this.name;
+            try {
+                getModifications.apply(null, arguments).forEach(changes =>
+                    verifyOperators(encryptedFields, tableName, changes));
+            } catch (err) {
+                return Dexie.Promise.reject(err);
+            }
+            return origFunc.apply(this, arguments);
+        };
+    };
+}
+
+export function verifyOperators(encryptedFields, tableName, changes) {
+    var fields = encryptedFields[tableName];
+    if (!fields || !changes || typeof changes !== 'object') return;
+    Object.keys(changes).forEach(function (operator) {
+        if (operator[0] !== '$' || operator === '$set' || operator === '$unset') return;
+        Object.keys(changes[operator] || {}).forEach(function (keyPath) {
+            fields.forEach(function (field) {
+                if (keyPath === field || keyPath.indexOf(field + ".") === 0 || field.indexOf(keyPath + ".") === 0)
+                    throw new Dexie.InvalidArgumentError(
+                        `Operator ${operator} cannot be applied to encrypted field '${field}' of table '${tableName}'`);
+            });
+        });
+    });
+}
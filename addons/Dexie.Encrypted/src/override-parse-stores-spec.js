@@ -0,0 +1,31 @@
+import Dexie from 'dexie';
+
+/** Make Version.stores() refuse to index encrypted fields. An index would store the plain
+ * value unencrypted (and could never match the encrypted one anyway).
+ *
+ * @param encryptedFields {Object<string, string[]>} Encrypted fields per table name.
+ */
+export default function overrideParseStoresSpec(encryptedFields) {
+    return function (origFunc) {
+        return function (stores, dbSchema) {
+            origFunc.call(this, stores, dbSchema);
+            Object.keys(dbSchema).forEach(function (tableName) {
+                verifyNotIndexed(encryptedFields, dbSchema[tableName]);
+            });
+        };
+    };
+}
+
+export function verifyNotIndexed(encryptedFields, tableSchema) {
+    var fields = encryptedFields[tableSchema.name];
+    if (!fields) return;
+    [tableSchema.primKey].concat(tableSchema.indexes).forEach(function (index) {
+        [].concat(index.keyPath || []).forEach(function (keyPath) {
+            fields.forEach(function (field) {
+                if (keyPath === field || keyPath.indexOf(field + ".") === 0 || field.indexOf(keyPath + ".") === 0)
+                    throw new Dexie.SchemaError(
+                        `Encrypted field '${field}' of table '${tableSchema.name}' cannot be indexed (${index.src})`);
+            });
+        });
+    });
+}
@@ -0,0 +1,55 @@
+import Dexie from 'dexie';
+
+const DEFAULT_CHUNK_SIZE = 100;
+
+/** Start encrypting with a new key and re-encrypt all existing rows with it.
+ *
+ * Rows are re-encrypted a chunk at a time, each chunk in its own transaction, so that the
+ * database stays usable while the job runs. Rows that have not been re-encrypted yet are still
+ * readable since the old keys are kept until the job has completed. If the job is interrupted
+ * (for example by a page reload), give both keys to Dexie.Encrypted() and rotate again.
+ *
+ * @param db {Dexie}
+ * @param encryptedFields {Object<string, string[]>} Encrypted fields per table name.
+ * @param cipher Cipher from createCipher().
+ * @param keyId {string} Id of the new key. Stored along with each encrypted value.
+ * @param key {CryptoKey} The new key.
+ * @param options {{chunkSize?: number, progressCallback?: (progress) => void}}
+ * @returns {Promise<number>} Number of rows re-encrypted.
+ */
+export default function rotateKey(db, encryptedFields, cipher, keyId, key, options) {
+    options = options || {};
+    var chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE,
+        tables = Object.keys(encryptedFields).map(tableName => db.table(tableName)),
+        progress = {totalTables: tables.length, completedTables: 0, completedRows: 0, done: false};
+
+    function reportProgress() {
+        options.progressCallback && options.progressCallback(Dexie.shallowClone(progress));
+    }
+
+    function reencryptChunk(table, lastKey) {
+        return db.transaction('rw', table, () => {
+            var collection = lastKey === undefined ?
+                table.orderBy(':id') :
+                table.where(':id').above(lastKey);
+            // A modification that changes nothing still puts the row back, encrypted with the current key.
+            return collection.limit(chunkSize).modify(function () {
+                lastKey = this.primKey;
+            });
+        }).then(numRows => {
+            progress.completedRows += numRows;
+            reportProgress();
+            return numRows < chunkSize ? undefined : reencryptChunk(table, lastKey);
+        });
+    }
+
+    cipher.useKey(keyId, key);
+    return tables.reduce((promise, table) => promise.then(() => reencryptChunk(table).then(() => {
+        ++progress.completedTables;
+    })), Dexie.Promise.resolve()).then(() => {
+        cipher.removeOtherKeys();
+        progress.done = true;
+        reportProgress();
+        return progress.completedRows;
+    });
+}
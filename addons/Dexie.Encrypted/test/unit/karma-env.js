@@ -0,0 +1 @@
+QUnit.config.autostart = false;
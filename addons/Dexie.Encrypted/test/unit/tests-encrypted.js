@@ -0,0 +1,195 @@
+import Dexie from 'dexie';
+import {module, asyncTest, start, stop, equal, strictEqual, deepEqual, ok} from 'QUnit';
+import Encrypted from '../../src/Dexie.Encrypted';
+
+function generateKey() {
+  return self.crypto.subtle.generateKey({name: 'AES-GCM', length: 256}, false, ['encrypt', 'decrypt']);
+}
+
+function createDB(keys, keyId) {
+  const db = new Dexie('TestDBEncrypted');
+  Encrypted(db, {
+    keys: keys,
+    keyId: keyId,
+    tables: {
+      friends: ['ssn', 'address.street'],
+      secrets: ['text']
+    }
+  });
+  db.version(1).stores({
+    friends: '++id,name',
+    secrets: '',
+    notes: '++id'
+  });
+  return db;
+}
+
+// Read the raw rows, bypassing the encryption middleware.
+function readRaw(tableName) {
+  const db = new Dexie('TestDBEncrypted');
+  return db.open().then(() => db.table(tableName).toArray()).finally(() => db.close());
+}
+
+let key1, key2, db;
+
+module('Dexie.Encrypted', {
+  setup: () => {
+    stop();
+    Dexie.delete('TestDBEncrypted').then(() => Promise.all([generateKey(), generateKey()])).then(keys => {
+      key1 = keys[0];
+      key2 = keys[1];
+      db = createDB({key1: key1}, 'key1');
+    }).catch(e => {
+      ok(false, "Error resetting database: " + e.stack);
+    }).finally(start);
+  },
+  teardown: () => {
+    db.close();
+  }
+});
+
+asyncTest('should encrypt fields at rest and decrypt them on read', () => {
+  const born = new Date(1970, 0, 1);
+  db.friends.add({name: 'Arne', ssn: '700101-1234', address: {street: 'Main Street 1', city: 'Springfield'}, born: born}).then(id => {
+    return db.friends.get(id);
+  }).then(friend => {
+    equal(friend.ssn, '700101-1234', 'ssn was decrypted by get()');
+    equal(friend.address.street, 'Main Street 1', 'Nested field was decrypted');
+    return readRaw('friends');
+  }).then(rows => {
+    equal(rows.length, 1, 'One row stored');
+    equal(rows[0].name, 'Arne', 'Unencrypted field stored as is');
+    equal(rows[0].address.city, 'Springfield', 'Sibling of encrypted field stored as is');
+    equal(rows[0].ssn.$enc, 'key1', 'ssn is stored encrypted with key1');
+    ok(rows[0].ssn.data && JSON.stringify(rows[0]).indexOf('700101') === -1, 'Plain ssn not stored');
+    ok(rows[0].address.street.$enc, 'Nested field is stored encrypted');
+    return db.friends.where('name').equals('Arne').toArray();
+  }).then(friends => {
+    equal(friends[0].ssn, '700101-1234', 'Decrypted via where().toArray()');
+    return db.friends.filter(f => f.ssn === '700101-1234').toArray();
+  }).then(friends => {
+    equal(friends.length, 1, 'filter() sees decrypted values');
+    return db.friends.toCollection().first();
+  }).then(friend => {
+    ok(friend.born instanceof Date && friend.born.getTime() === born.getTime(), 'Unencrypted Date kept');
+  }).catch(e => {
+    ok(false, e.stack || e);
+  }).finally(start);
+});
+
+asyncTest('should give the caller its plain object back', () => {
+  const friend = {name: 'Arne', ssn: 'a', address: {street: 'Main Street 1'}};
+  db.friends.add(friend).then(() => {
+    equal(friend.ssn, 'a', 'ssn is plain');
+    equal(friend.address.street, 'Main Street 1', 'Nested field is plain');
+  }).catch(e => {
+    ok(false, e.stack || e);
+  }).finally(start);
+});
+
+asyncTest('should encrypt on update, modify and outbound tables', () => {
+  db.transaction('rw', db.friends, db.secrets, () => {
+    db.friends.bulkAdd([
+      {id: 1, name: 'Arne', ssn: 'a'},
+      {id: 2, name: 'Bertil', ssn: 'b'},
+      {id: 3, name: 'Cesar', ssn: 'c', address: {street: 'c1', city: 'Springfield'}}
+    ]);
+    db.secrets.put({text: {nested: ['x', new Date(0)]}}, 'secret1');
+    db.friends.update(1, {ssn: 'a2'});
+    db.friends.where('id').equals(2).modify(friend => { friend.ssn += '2'; });
+    db.friends.update(3, {address: {street: 'c2', city: 'Shelbyville'}});
+  }).then(() => {
+    return db.friends.toArray();
+  }).then(friends => {
+    deepEqual(friends.map(f => f.ssn), ['a2', 'b2', 'c'], 'update() and modify() work on decrypted values');
+    deepEqual(friends[2].address, {street: 'c2', city: 'Shelbyville'}, 'Parent of encrypted field updated');
+    return db.secrets.get('secret1');
+  }).then(secret => {
+    equal(secret.text.nested[0], 'x', 'Object values are encrypted and decrypted');
+    ok(secret.text.nested[1] instanceof Date, 'Dates within encrypted values are kept');
+    return Promise.all([readRaw('friends'), readRaw('secrets')]);
+  }).then(([friends, secrets]) => {
+    ok(friends.every(f => f.ssn.$enc === 'key1'), 'Modified values stored encrypted');
+    ok(friends[2].address.street.$enc === 'key1', 'Field within updated parent stored encrypted');
+    ok(secrets[0].text.$enc === 'key1', 'Outbound table values stored encrypted');
+  }).catch(e => {
+    ok(false, e.stack || e);
+  }).finally(start);
+});
+
+asyncTest('should refuse operators other than $set and $unset on encrypted fields', () => {
+  function expectRejection(promise, description) {
+    return promise.then(() => {
+      ok(false, description + ' should be rejected');
+    }, e => {
+      ok(e instanceof Dexie.InvalidArgumentError, description + ' rejected: ' + e.message);
+    });
+  }
+  db.friends.add({id: 1, name: 'Arne', ssn: 'a', address: {street: 'a1'}, tags: []}).then(() => {
+    return expectRejection(db.friends.update(1, {$push: {ssn: 'x'}}), 'update() with $push');
+  }).then(() => {
+    return expectRejection(db.friends.where('id').equals(1).modify({$inc: {'address.street': 1}}), 'modify() with $inc');
+  }).then(() => {
+    return expectRejection(db.friends.bulkUpdate([{key: 1, changes: {$addToSet: {address: 'x'}}}]),
+      'bulkUpdate() with $addToSet on a parent');
+  }).then(() => {
+    return db.friends.update(1, {$push: {tags: 'x'}, $set: {ssn: 'a2'}});
+  }).then(() => {
+    return db.friends.update(1, {$unset: {'address.street': true}});
+  }).then(() => {
+    return db.friends.get(1);
+  }).then(friend => {
+    deepEqual(friend, {id: 1, name: 'Arne', ssn: 'a2', address: {}, tags: ['x']}, 'Other operators and fields work');
+  }).catch(e => {
+    ok(false, e.stack || e);
+  }).finally(start);
+});
+
+asyncTest('should rotate key', () => {
+  const friends = [];
+  for (let i = 1; i <= 25; ++i) friends.push({id: i, name: 'Friend ' + i, ssn: 'ssn' + i});
+  const progress = [];
+  db.friends.bulkAdd(friends).then(() => {
+    return db.notes.add({text: 'not encrypted'});
+  }).then(() => {
+    return db.encryption.rotateKey('key2', key2, {
+      chunkSize: 10,
+      progressCallback: p => progress.push(p)
+    });
+  }).then(numRows => {
+    equal(numRows, 25, 'All rows were re-encrypted');
+    equal(db.encryption.keyId, 'key2', 'key2 is the current key');
+    ok(progress[progress.length - 1].done, 'Progress reported done');
+    return readRaw('friends');
+  }).then(rows => {
+    ok(rows.every(row => row.ssn.$enc === 'key2'), 'All rows encrypted with key2');
+    db.close();
+    // A new instance knowing only key2 can read all rows.
+    db = createDB({key2: key2}, 'key2');
+    return db.friends.toArray();
+  }).then(friends => {
+    deepEqual(friends.map(f => f.ssn), friends.map(f => 'ssn' + f.id), 'Decrypted with key2');
+    db.close();
+    // An instance knowing only key1 cannot.
+    db = createDB({key1: key1}, 'key1');
+    return db.friends.get(1).then(() => {
+      ok(false, 'Should not be able to decrypt');
+    }, e => {
+      ok(e, 'Failed to decrypt with the old key: ' + e);
+    });
+  }).catch(e => {
+    ok(false, e.stack || e);
+  }).finally(start);
+});
+
+asyncTest('should refuse to index encrypted fields', () => {
+  const db2 = new Dexie('TestDBEncrypted2');
+  Encrypted(db2, {key: key1, tables: {friends: ['ssn']}});
+  try {
+    db2.version(1).stores({friends: '++id,ssn'});
+    ok(false, 'Should throw');
+  } catch (e) {
+    strictEqual(e.name, 'SchemaError', 'Got SchemaError');
+  }
+  start();
+});
@@ -0,0 +1,34 @@
+import Dexie from 'dexie';
+import {module, test, ok, throws} from 'QUnit';
+import overrideParseStoresSpec from '../../src/override-parse-stores-spec';
+
+module('override-parse-stores-spec', {
+  setup: () => {
+  },
+  teardown: () => {
+  }
+});
+
+function parse(stores, encryptedFields) {
+  const db = new Dexie('TestParseStoresSpec');
+  const parseStoresSpec = overrideParseStoresSpec(encryptedFields)(db.Version.prototype._parseStoresSpec);
+  const dbSchema = {};
+  parseStoresSpec.call(new db.Version(1), stores, dbSchema);
+  return dbSchema;
+}
+
+test('should accept encrypted fields that are not indexed', () => {
+  const dbSchema = parse({friends: '++id,name'}, {friends: ['ssn', 'address.street']});
+  ok(dbSchema.friends, 'friends table was parsed');
+});
+
+test('should refuse to index encrypted fields', () => {
+  throws(() => parse({friends: '++id,name,ssn'}, {friends: ['ssn']}),
+    /cannot be indexed/, 'Index on encrypted field');
+  throws(() => parse({friends: 'ssn,name'}, {friends: ['ssn']}),
+    /cannot be indexed/, 'Primary key on encrypted field');
+  throws(() => parse({friends: '++id,[name+ssn]'}, {friends: ['ssn']}),
+    /cannot be indexed/, 'Compound index including encrypted field');
+  throws(() => parse({friends: '++id,address.street'}, {friends: ['address']}),
+    /cannot be indexed/, 'Index on a property of an encrypted field');
+});
@@ -0,0 +1,2 @@
+import './tests-encrypted.js';
+import './tests-override-parse-stores-spec.js';
@@ -0,0 +1,38 @@
+﻿import {build} from '../../../tools/build-utils';
+
+console.log("Building...");
+
+build([{
+    dirs: ["src/"],
+    bundles: {
+        "src/Dexie.Encrypted.js": [
+            "dist/dexie-encrypted.js",
+            "dist/dexie-encrypted.js.map",
+            "dist/dexie-encrypted.min.js",
+            "dist/dexie-encrypted.min.js.map"
+        ],
+        "src/Dexie.Encrypted.d.ts": [
+            "dist/dexie-encrypted.d.ts"
+        ]
+    }
+},{
+    //
+    // Tests
+    //
+    dirs: ["test/unit/"],
+    bundles: {
+        "test/unit/unit-tests-all.js": [
+            "test/unit/bundle.js",
+            "test/unit/bundle.js.map"
+        ]
+    },
+    excludes: [
+        "test/unit/karma-env.js",
+        "test/unit/karma.conf.js"
+    ]
+}]).then(()=> {
+    console.log("All files successfully built.");
+}).catch(err => {
+    console.error(err);
+    process.exit(1);
+});
@@ -0,0 +1,19 @@
+﻿import {buildAndWatch} from '../../../tools/build-utils';
+
+console.log("Building...");
+
+buildAndWatch([{
+    dirs: ["src/"],
+    bundles: {
+        "src/Dexie.Encrypted.js": [
+            "dist/dexie-encrypted.js",
+            "dist/dexie-encrypted.js.map",
+            "dist/dexie-encrypted.min.js",
+            "dist/dexie-encrypted.min.js.map"
+        ]
+    }
+}]).then(()=> {
+    console.log("All files successfully built. Now watching...");
+}).catch(err => {
+    console.error(err);
+});
@@ -25,7 +25,10 @@ import overrideParseStoresSpec from './override-parse-stores-spec';
 
 import deleteOldChanges from './delete-old-changes';
 
-var global = self;
+var global =
+    typeof self !== 'undefined' ? self :
+    typeof window !== 'undefined' ? window :
+    Function('return this')();
 
 /** class DatabaseChange
     *
@@ -60,7 +63,8 @@ export default function Observable(db) {
         LOCAL_POLL = 2000; // 1 second. In real-world there will be this value + the time it takes to poll().
         //HEARTBEAT_INTERVAL = NODE_TIMEOUT - 5000;
 
-    var localStorage = Observable.localStorageImpl;
+    // Where there is no localStorage, as in node.js, use the one of the storage backend if any.
+    var localStorage = Observable.localStorageImpl || Dexie.dependencies.localStorage;
 
     /** class SyncNode
         *
@@ -0,0 +1,433 @@
+'use strict';
+/** SyncServer.
+
+    Sync server for Dexie.Syncable clients. Talks the protocol of WebSocketSyncProtocol over
+    WebSocket and that of Dexie.Syncable's "fetch" protocol over HTTP, and resolves conflicts the
+    way samples/remote-sync/websocket/WebSocketSyncServer.js does:
+        1. Client- and server state must be exact the same after a sync operation.
+        2. Server changes are applied after client changes - thereby winning over the latter except when client
+           already has deleted an object.
+
+    Unlike the sample, it stores its database through a storage adapter (see memory-adapter.js),
+    can compact its change log and can authenticate clients. Each client identity is bound to the
+    user it was issued to, so that other users cannot sync as that client:
+
+        var server = new SyncServer({
+            storage: SyncServer.createFileAdapter("./sync-data"),
+            // The user name of the token, which the client identities are bound to.
+            authenticate: function (request) { return userNamesByToken[request.headers.authorization]; }
+        });
+        server.listen(8080); // WebSocket
+        require("http").createServer(server.httpHandler()).listen(8081); // HTTP
+ */
+
+const changesLib = require('./changes');
+const createMemoryAdapter = require('./memory-adapter');
+const createFileAdapter = require('./file-adapter');
+
+const CREATE = changesLib.CREATE,
+    UPDATE = changesLib.UPDATE,
+    DELETE = changesLib.DELETE;
+
+function SyncServer(options) {
+    /// <summary>
+    ///   Create a sync server.
+    /// </summary>
+    /// <param name="options" type="Object" optional="true">
+    ///   storage: Storage adapter. Defaults to one keeping the database in RAM only.
+    ///   authenticate: Function (request) returning the principal of the client of given
+    ///     request, such as a user name, or a promise of it. A string or number. Clients given
+    ///     false or nothing are not let to sync. true lets them sync without a principal. Given
+    ///     the http.IncomingMessage for HTTP and the connection of nodejs-websocket, with headers
+    ///     and path, for WebSocket.
+    ///   maxBodySize: Most bytes of the body of an HTTP request. Defaults to 10 MB.
+    ///   keepChanges: Number of the latest changes for compact() to leave as they are. Defaults
+    ///     to 1000.
+    ///   compactInterval: Milliseconds between compactions. Never compacts by itself if not given.
+    /// </param>
+    const self = this;
+    options = options || {};
+    const storage = options.storage || createMemoryAdapter();
+    const keepChanges = 'keepChanges' in options ? options.keepChanges : 1000;
+    const maxBodySize = options.maxBodySize || 10 * 1024 * 1024;
+    let opened = null, compactTimer = null;
+    let writes = Promise.resolve(); // The storage is changed by one call at a time.
+    const subscribers = []; // Called when the database got changes, to push them to WebSocket clients.
+
+    function ready() {
+        return opened || self.open();
+    }
+
+    function write(fn) {
+        const result = writes.then(fn);
+        writes = result.catch(() => {});
+        return result;
+    }
+
+    function authenticate(request) {
+        /// <summary>
+        ///   Resolves with the principal of the client of given request, null if it has none.
+        /// </summary>
+        return Promise.resolve()
+            .then(() => options.authenticate ? options.authenticate(request) : true)
+            .then(principal => {
+                if (!principal) throw new Error("Unauthorized");
+                if (principal === true) return null;
+                if (typeof principal !== 'string' && typeof principal !== 'number')
+                    throw new Error("authenticate() must give a string or a number");
+                return principal;
+            });
+    }
+
+    function identify(clientIdentity, principal) {
+        /// <summary>
+        ///   Resolves with given client identity if it was issued to given principal, else with
+        ///   null. Issues a new identity to the principal if none is given.
+        /// </summary>
+        if (!clientIdentity) return storage.nextClientIdentity(principal);
+        return storage.getClientPrincipal(clientIdentity).then(owner => owner === principal ? clientIdentity : null);
+    }
+
+    function notIssuedError(clientIdentity) {
+        return new Error(`Client identity ${clientIdentity} was not issued to this client`);
+    }
+
+    function trigger() {
+        if (!trigger.delayedHandle) {
+            // Delay the trigger so that it's only called once per bunch of changes instead of being called for each single change.
+            trigger.delayedHandle = setTimeout(() => {
+                delete trigger.delayedHandle;
+                subscribers.slice().forEach(subscriber => {
+                    try { subscriber(); } catch (e) { }
+                });
+            }, 0);
+        }
+    }
+
+    function validate(request) {
+        if (!Array.isArray(request.changes)) {
+            throw new Error("Property 'changes' must be provided and must be an array");
+        }
+        if (!("baseRevision" in request)) {
+            throw new Error("Property 'baseRevision' missing");
+        }
+    }
+
+    function commit(clientIdentity, clientChanges, baseRevision) {
+        // Apply the client changes not eliminated by server changes after baseRevision.
+        return storage.getChanges(baseRevision || 0).then(serverChanges => {
+            const resolved = changesLib.resolveConflicts(clientChanges, changesLib.reduceChanges(serverChanges));
+            return storage.getRevision().then(revision => {
+                const objects = {}; // Objects changed, by table ":" key
+                const records = [];
+                return resolved.reduce((prev, change) => prev.then(() => {
+                    const id = change.table + ":" + change.key;
+                    return (id in objects ?
+                        Promise.resolve(objects[id].obj) :
+                        storage.getObject(change.table, change.key)
+                    ).then(obj => {
+                        const record = {rev: revision + 1, source: clientIdentity, type: change.type, table: change.table, key: change.key};
+                        switch (change.type) {
+                            case CREATE:
+                                obj = record.obj = change.obj;
+                                break;
+                            case UPDATE:
+                                if (obj === undefined) return; // Can't update an object that doesn't exist.
+                                obj = changesLib.applyModifications(changesLib.deepClone(obj), change.mods);
+                                record.mods = change.mods;
+                                break;
+                            case DELETE:
+                                if (obj === undefined) return;
+                                obj = undefined;
+                                break;
+                            default:
+                                return;
+                        }
+                        ++revision;
+                        records.push(record);
+                        objects[id] = {table: change.table, key: change.key, obj: obj};
+                    });
+                }), Promise.resolve()).then(() => {
+                    return storage.commit(clientIdentity, records, Object.keys(objects).map(id => objects[id]));
+                }).then(() => {
+                    if (records.length > 0) trigger();
+                });
+            });
+        });
+    }
+
+    function receiveChanges(clientIdentity, changes, baseRevision, partial) {
+        /// <summary>
+        ///   Commit changes from given client, or keep them in its uncommitted changes until the
+        ///   last request of a partial sync.
+        /// </summary>
+        return write(() => storage.getUncommittedChanges(clientIdentity).then(uncommittedChanges => {
+            if (partial) {
+                return changes.length > 0 && storage.putUncommittedChanges(clientIdentity, uncommittedChanges.concat(changes));
+            }
+            const allChanges = uncommittedChanges.concat(changes);
+            return allChanges.length > 0 && commit(clientIdentity, allChanges, baseRevision);
+        }));
+    }
+
+    function getChangesForClient(clientIdentity, syncedRevision) {
+        /// <summary>
+        ///   Get the changes after syncedRevision not made by given client, merged into one
+        ///   per object, and the revision they bring the client to.
+        /// </summary>
+        return storage.getRevision().then(currentRevision => storage.getChanges(syncedRevision || 0).then(changes => {
+            const reducedSet = changesLib.reduceChanges(changes.filter(change =>
+                change.rev <= currentRevision && change.source !== clientIdentity));
+            return {
+                changes: Object.keys(reducedSet).map(id => {
+                    const change = reducedSet[id];
+                    const result = {type: change.type, table: change.table, key: change.key};
+                    if (change.type === CREATE) result.obj = change.obj;
+                    if (change.type === UPDATE) result.mods = change.mods;
+                    return result;
+                }),
+                currentRevision: currentRevision
+            };
+        }));
+    }
+
+    this.open = function () {
+        /// <summary>
+        ///   Open the storage. Called by the other methods if not called before.
+        /// </summary>
+        if (!opened) {
+            opened = storage.open();
+            if (options.compactInterval) opened.then(() => {
+                compactTimer = setInterval(() => {
+                    self.compact().catch(e => console.error("SyncServer: Failed to compact changes. " + e.stack));
+                }, options.compactInterval);
+                if (compactTimer.unref) compactTimer.unref();
+            });
+        }
+        return opened;
+    };
+
+    this.close = function () {
+        /// <summary>
+        ///   Close the storage once the changes being made are stored.
+        /// </summary>
+        clearInterval(compactTimer);
+        return writes.then(() => storage.close());
+    };
+
+    this.connect = function (request, send, close) {
+        /// <summary>
+        ///   Serve a WebSocketSyncProtocol client. Returns {receive (message), close ()} to call
+        ///   with the messages from the client and when it disconnects.
+        /// </summary>
+        /// <param name="request">The request to authenticate the client by.</param>
+        /// <param name="send" type="Function">Sends given message to the client.</param>
+        /// <param name="close" type="Function">Disconnects the client.</param>
+        let clientIdentity = null;
+        let principal = null;
+        let syncedRevision = 0; // Only send changes above syncedRevision since client is already in sync with syncedRevision.
+        let failed = false;
+        let messages = ready().then(() => authenticate(request)).then(p => {
+            principal = p;
+        }).catch(e => fail(null, e)); // Handled in order.
+
+        function sendText(message) {
+            send(JSON.stringify(message));
+        }
+
+        function unsubscribe() {
+            const index = subscribers.indexOf(onChanges);
+            if (index !== -1) subscribers.splice(index, 1);
+        }
+
+        function fail(requestId, e) {
+            if (failed) return;
+            failed = true;
+            unsubscribe();
+            sendText({
+                type: "error",
+                requestId: requestId,
+                message: e && e.message || String(e)
+            });
+            close();
+        }
+
+        function handle(task, requestId) {
+            messages = messages.then(() => failed || task()).catch(e => fail(requestId, e));
+        }
+
+        function sendAnyChanges() {
+            return getChangesForClient(clientIdentity, syncedRevision).then(result => {
+                if (failed) return;
+                sendText({
+                    type: "changes",
+                    changes: result.changes,
+                    currentRevision: result.currentRevision,
+                    partial: false
+                });
+                syncedRevision = result.currentRevision;
+            });
+        }
+
+        function onChanges() {
+            handle(sendAnyChanges, null);
+        }
+
+        return {
+            receive(message) {
+                let request;
+                try {
+                    request = JSON.parse(message);
+                } catch (e) {
+                    return handle(() => { throw e; }, null);
+                }
+                handle(() => {
+                    switch (request.type) {
+                        case "clientIdentity":
+                            // Client says "Hello, My name is <clientIdentity>!" or "Hello, I'm newborn. Please give me a name!"
+                            return identify(request.clientIdentity, principal).then(identity => {
+                                if (identity === null) throw notIssuedError(request.clientIdentity);
+                                clientIdentity = identity;
+                                if (!request.clientIdentity) sendText({type: "clientIdentity", clientIdentity: clientIdentity});
+                            });
+                        case "subscribe":
+                            syncedRevision = request.syncedRevision || 0;
+                            return sendAnyChanges().then(() => {
+                                if (subscribers.indexOf(onChanges) === -1) subscribers.push(onChanges);
+                            });
+                        case "changes":
+                            validate(request);
+                            return receiveChanges(clientIdentity, request.changes, request.baseRevision, request.partial).then(() => {
+                                // Ack the changes no matter if they're kept in uncommittedChanges or committed.
+                                sendText({type: "ack", requestId: request.requestId});
+                            });
+                    }
+                }, request.requestId);
+            },
+            close() {
+                failed = true;
+                unsubscribe();
+            }
+        };
+    };
+
+    this.sync = function (request, principal) {
+        /// <summary>
+        ///   Serve a request of the poll pattern:
+        ///     {clientIdentity, baseRevision, partial, changes, syncedRevision}
+        ///   Resolves with:
+        ///     {success, errorMessage, changes, currentRevision, partial, needsResync, clientIdentity}
+        /// </summary>
+        /// <param name="principal" optional="true">Principal of the client. See the authenticate option.</param>
+        if (principal === undefined) principal = null;
+        return ready().then(() => {
+            try {
+                validate(request);
+            } catch (e) {
+                return {success: false, errorMessage: e.message};
+            }
+            return identify(request.clientIdentity, principal).then(clientIdentity => {
+                if (clientIdentity === null) return {success: false, errorMessage: notIssuedError(request.clientIdentity).message};
+                return receiveChanges(clientIdentity, request.changes, request.baseRevision, request.partial)
+                    .then(() => getChangesForClient(clientIdentity, request.syncedRevision))
+                    .then(result => ({
+                        success: true,
+                        changes: result.changes,
+                        currentRevision: result.currentRevision,
+                        partial: false,
+                        needsResync: false,
+                        clientIdentity: clientIdentity
+                    }));
+            });
+        });
+    };
+
+    this.httpHandler = function () {
+        /// <summary>
+        ///   Get a request listener for http.createServer() serving POST requests of the poll
+        ///   pattern with JSON bodies of at most maxBodySize bytes.
+        /// </summary>
+        return function (req, res) {
+            function respond(status, body) {
+                res.writeHead(status, {'Content-Type': 'application/json'});
+                res.end(JSON.stringify(body));
+            }
+            function respondTooLarge() {
+                // Not reading the rest of the body. Close the connection rather than keeping it for the next request.
+                res.setHeader('Connection', 'close');
+                respond(413, {success: false, errorMessage: `Request body larger than ${maxBodySize} bytes`});
+            }
+            if (req.method !== 'POST') {
+                return respond(405, {success: false, errorMessage: "Only POST is supported"});
+            }
+            if (Number(req.headers['content-length']) > maxBodySize) {
+                return respondTooLarge();
+            }
+            const chunks = [];
+            let size = 0;
+            req.on('data', chunk => {
+                if (size > maxBodySize) return;
+                size += chunk.length;
+                if (size > maxBodySize) {
+                    chunks.length = 0;
+                    respondTooLarge();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => {
+                if (size > maxBodySize) return;
+                let request;
+                try {
+                    request = JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+                } catch (e) {
+                    return respond(400, {success: false, errorMessage: "Invalid JSON"});
+                }
+                authenticate(req).then(principal => {
+                    return self.sync(request, principal).then(response => respond(200, response), e => {
+                        // Failed to store or read changes. The client may retry.
+                        respond(500, {success: false, errorMessage: e.message});
+                    });
+                }, e => {
+                    respond(401, {success: false, errorMessage: e.message});
+                });
+            });
+        };
+    };
+
+    this.listen = function (port) {
+        /// <summary>
+        ///   Start a WebSocket server on given port. Requires nodejs-websocket.
+        /// </summary>
+        const ws = require("nodejs-websocket");
+        return ws.createServer(conn => {
+            const connection = self.connect(conn, text => conn.sendText(text), () => conn.close());
+            conn.on("text", connection.receive);
+            conn.on("close", connection.close);
+            conn.on("error", connection.close);
+        }).listen(port);
+    };
+
+    this.compact = function (upToRevision) {
+        /// <summary>
+        ///   Merge the changes of each object in the change log into one, up to given revision,
+        ///   which defaults to the latest but keepChanges. Clients that synced before given
+        ///   revision will get the merged changes, so their changes are resolved against those.
+        /// </summary>
+        /// <param name="upToRevision" type="Number" optional="true"></param>
+        return ready().then(() => write(() => storage.getRevision().then(revision => {
+            if (upToRevision === undefined) upToRevision = revision - keepChanges;
+            if (upToRevision <= 0) return;
+            return storage.getChanges(0).then(changes => {
+                const oldChanges = changes.filter(change => change.rev <= upToRevision);
+                const compacted = changesLib.compactChanges(oldChanges);
+                if (compacted.length < oldChanges.length) return storage.replaceChanges(upToRevision, compacted);
+            });
+        })));
+    };
+}
+
+SyncServer.createMemoryAdapter = createMemoryAdapter;
+SyncServer.createFileAdapter = createFileAdapter;
+
+module.exports = SyncServer;
@@ -0,0 +1,174 @@
+'use strict';
+// Change-set algorithms of the sync server. See samples/remote-sync/websocket/WebSocketSyncServer.js
+// for the reasoning behind the conflict resolution.
+
+// CREATE / UPDATE / DELETE constants:
+const CREATE = 1,
+    UPDATE = 2,
+    DELETE = 3;
+
+function deepClone(obj) {
+    return obj === undefined ? undefined : JSON.parse(JSON.stringify(obj));
+}
+
+function setByKeyPath(obj, keyPath, value) {
+    if (!obj || typeof keyPath !== 'string') return;
+    const period = keyPath.indexOf('.');
+    if (period !== -1) {
+        const currentKeyPath = keyPath.substr(0, period);
+        const remainingKeyPath = keyPath.substr(period + 1);
+        if (remainingKeyPath === "")
+            obj[currentKeyPath] = value;
+        else {
+            let innerObj = obj[currentKeyPath];
+            if (!innerObj) innerObj = (obj[currentKeyPath] = {});
+            setByKeyPath(innerObj, remainingKeyPath, value);
+        }
+    } else {
+        obj[keyPath] = value;
+    }
+}
+
+function applyModifications(obj, modifications) {
+    Object.keys(modifications).forEach(keyPath => {
+        setByKeyPath(obj, keyPath, modifications[keyPath]);
+    });
+    return obj;
+}
+
+function combineCreateAndUpdate(prevChange, nextChange) {
+    const clonedChange = deepClone(prevChange); // Clone object before modifying since the earlier change would otherwise be altered.
+    applyModifications(clonedChange.obj, nextChange.mods);
+    return clonedChange;
+}
+
+function combineUpdateAndUpdate(prevChange, nextChange) {
+    const clonedChange = deepClone(prevChange);
+    Object.keys(nextChange.mods).forEach(keyPath => {
+        // If prev-change was changing a parent path of this keyPath, we must update the parent path rather than adding this keyPath
+        let hadParentPath = false;
+        Object.keys(prevChange.mods).filter(parentPath => keyPath.indexOf(parentPath + '.') === 0).forEach(parentPath => {
+            setByKeyPath(clonedChange.mods[parentPath], keyPath.substr(parentPath.length + 1), nextChange.mods[keyPath]);
+            hadParentPath = true;
+        });
+        if (!hadParentPath) {
+            clonedChange.mods[keyPath] = nextChange.mods[keyPath];
+        }
+        // Sub-paths of the new keyPath are overwritten by it.
+        Object.keys(prevChange.mods).filter(subPath => subPath.indexOf(keyPath + '.') === 0).forEach(subPath => {
+            delete clonedChange.mods[subPath];
+        });
+    });
+    return clonedChange;
+}
+
+function mergeChange(prevChange, nextChange) {
+    switch (prevChange.type) {
+        case CREATE:
+            switch (nextChange.type) {
+                case CREATE: return nextChange;
+                case UPDATE: return combineCreateAndUpdate(prevChange, nextChange);
+                case DELETE: return nextChange; // Keep the delete in case the create was sent earlier.
+            }
+            break;
+        case UPDATE:
+            switch (nextChange.type) {
+                case CREATE: return nextChange;
+                case UPDATE: return combineUpdateAndUpdate(prevChange, nextChange);
+                case DELETE: return nextChange;
+            }
+            break;
+        case DELETE:
+            switch (nextChange.type) {
+                case CREATE: return nextChange; // A resurrection. Only the create is of interest.
+                case UPDATE: return prevChange; // Can't update an object that doesn't exist.
+                case DELETE: return prevChange;
+            }
+            break;
+    }
+}
+
+function reduceChanges(changes) {
+    /// <summary>
+    ///   Convert an array of changes to a set keyed by table ":" key, with the changes of
+    ///   each object merged into one.
+    /// </summary>
+    return changes.reduce((set, nextChange) => {
+        const id = nextChange.table + ":" + nextChange.key;
+        set[id] = set[id] ? mergeChange(set[id], nextChange) : nextChange;
+        return set;
+    }, {});
+}
+
+function compactChanges(changes) {
+    /// <summary>
+    ///   Merge the changes of each object into one, ordered by revision. A merged change
+    ///   gets the revision of the last change it contains, and keeps the source only if
+    ///   all the changes were from the same client.
+    /// </summary>
+    const set = {};
+    changes.forEach(nextChange => {
+        const id = nextChange.table + ":" + nextChange.key;
+        const prevChange = set[id];
+        if (!prevChange) {
+            set[id] = nextChange;
+            return;
+        }
+        const merged = deepClone(mergeChange(prevChange, nextChange));
+        merged.rev = nextChange.rev;
+        merged.source = prevChange.source === nextChange.source ? nextChange.source : null;
+        set[id] = merged;
+    });
+    return Object.keys(set).map(id => set[id]).sort((a, b) => a.rev - b.rev);
+}
+
+function resolveConflicts(clientChanges, serverChangeSet) {
+    /// <summary>
+    ///   Get the client changes to apply, handling the server changes as if applied after them:
+    ///   Server creates and deletes win. Client deletes win over server updates. Client updates
+    ///   and creates are applied except for the properties the server updated.
+    /// </summary>
+    const resolved = [];
+    clientChanges.forEach(clientChange => {
+        const id = clientChange.table + ":" + clientChange.key;
+        const serverChange = serverChangeSet[id];
+        if (!serverChange) {
+            resolved.push(clientChange);
+        } else if (serverChange.type === UPDATE) {
+            switch (clientChange.type) {
+                case CREATE:
+                    applyModifications(clientChange.obj, serverChange.mods);
+                    resolved.push(clientChange);
+                    break;
+                case UPDATE:
+                    Object.keys(serverChange.mods).forEach(keyPath => {
+                        delete clientChange.mods[keyPath];
+                        Object.keys(clientChange.mods).forEach(clientKeyPath => {
+                            if (clientKeyPath.indexOf(keyPath + '.') === 0) {
+                                delete clientChange.mods[clientKeyPath];
+                            }
+                        });
+                    });
+                    if (Object.keys(clientChange.mods).length > 0) {
+                        resolved.push(clientChange);
+                    }
+                    break;
+                case DELETE:
+                    resolved.push(clientChange);
+                    break;
+            }
+        } // else the server CREATE or DELETE eliminates the client change.
+    });
+    return resolved;
+}
+
+module.exports = {
+    CREATE: CREATE,
+    UPDATE: UPDATE,
+    DELETE: DELETE,
+    deepClone: deepClone,
+    applyModifications: applyModifications,
+    reduceChanges: reduceChanges,
+    compactChanges: compactChanges,
+    resolveConflicts: resolveConflicts
+};
@@ -0,0 +1,86 @@
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const createStateAdapter = require('./memory-adapter').createStateAdapter;
+
+function promisify(fn) {
+    return function () {
+        const args = [].slice.call(arguments);
+        return new Promise((resolve, reject) => {
+            fn.apply(fs, args.concat((err, result) => err ? reject(err) : resolve(result)));
+        });
+    };
+}
+
+const readFile = promisify(fs.readFile),
+    writeFile = promisify(fs.writeFile),
+    appendFile = promisify(fs.appendFile),
+    rename = promisify(fs.rename),
+    mkdir = promisify(fs.mkdir);
+
+function readIfExists(file) {
+    return readFile(file, 'utf-8').catch(err => {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+    });
+}
+
+function createFileAdapter(dir) {
+    /// <summary>
+    ///   Create a storage adapter keeping the database in RAM and in files of given directory:
+    ///   snapshot.json with the whole database and journal.jsonl with the changes made after
+    ///   it, one line each. The snapshot is rewritten when opening and when compacting.
+    /// </summary>
+    /// <param name="dir" type="String">Directory to keep the files in. Created if missing.</param>
+    const snapshotFile = path.join(dir, 'snapshot.json');
+    const journalFile = path.join(dir, 'journal.jsonl');
+    let queue = Promise.resolve(); // Writes in the order made.
+
+    function enqueue(write) {
+        const result = queue.then(write);
+        queue = result.catch(() => {});
+        return result;
+    }
+
+    return createStateAdapter({
+        load() {
+            return mkdir(dir, {recursive: true}).then(() => Promise.all([
+                readIfExists(snapshotFile),
+                readIfExists(journalFile)
+            ])).then(files => {
+                const lines = (files[1] || '').split('\n').filter(line => line);
+                const journal = lines.map((line, i) => {
+                    try {
+                        return JSON.parse(line);
+                    } catch (e) {
+                        // The last line may be cut off by a crash while appending it. That write
+                        // failed and was never acknowledged.
+                        if (i === lines.length - 1) return null;
+                        throw new Error(`Corrupt sync server journal ${journalFile} at line ${i + 1}`);
+                    }
+                }).filter(entry => entry);
+                return {
+                    snapshot: files[0] ? JSON.parse(files[0]) : null,
+                    journal: journal
+                };
+            });
+        },
+        record(entry) {
+            const line = JSON.stringify(entry) + '\n';
+            return enqueue(() => appendFile(journalFile, line));
+        },
+        snapshot(state) {
+            // Write to a temporary file first so that a crash can't leave a half-written snapshot.
+            // Journal entries already in the snapshot are skipped when loading it.
+            const json = JSON.stringify(state);
+            return enqueue(() => writeFile(snapshotFile + '.tmp', json)
+                .then(() => rename(snapshotFile + '.tmp', snapshotFile))
+                .then(() => writeFile(journalFile, '')));
+        },
+        close() {
+            return enqueue(() => {});
+        }
+    });
+}
+
+module.exports = createFileAdapter;
@@ -0,0 +1,159 @@
+'use strict';
+const deepClone = require('./changes').deepClone;
+
+//
+// Storage adapters
+// ================
+//
+// The sync server stores its database through a storage adapter: an object with the methods
+// below, each returning a Promise. The server makes one call that changes the data at a time,
+// so an adapter needs no locking of its own, but each such call must be atomic to survive a
+// crash.
+//
+//   open ()                              Open the storage.
+//   close ()                             Close the storage.
+//   getRevision ()                       The revision of the last change.
+//   getChanges (sinceRevision)           Changes with revision above sinceRevision, ordered by
+//                                        revision: {rev, source, type, table, key, obj, mods}.
+//   getObject (table, key)               The object, or undefined if there is none.
+//   commit (clientIdentity, changes, objects)
+//                                        Append changes to the change log and put objects
+//                                        ({table, key, obj} where obj undefined deletes it).
+//                                        Also delete the uncommitted changes of clientIdentity.
+//   getUncommittedChanges (clientIdentity)
+//                                        Changes of partial syncs not yet committed ([] if none).
+//   putUncommittedChanges (clientIdentity, changes)
+//   replaceChanges (upToRevision, changes)
+//                                        Replace the changes up to given revision with given
+//                                        changes. Used for compaction.
+//   nextClientIdentity (principal)       A client identity not given before, issued to given
+//                                        principal (see the authenticate option of SyncServer).
+//   getClientPrincipal (clientIdentity)  The principal the identity was issued to, or undefined
+//                                        if it was never issued.
+//
+
+function hasOwn(obj, prop) {
+    return Object.prototype.hasOwnProperty.call(obj, prop);
+}
+
+function createState() {
+    return {
+        revision: 0,
+        changes: [],
+        tables: {}, // Map<table, Map<JSON key, obj>>
+        uncommittedChanges: {}, // Map<clientIdentity, Array<change>>
+        lastClientIdentity: 0,
+        clientPrincipals: {}, // Map<clientIdentity, principal>
+        seq: 0 // Number of the last mutation
+    };
+}
+
+// Changes to the state. Synchronous and deterministic so that a journal of them can be replayed.
+const mutations = {
+    commit(state, clientIdentity, changes, objects) {
+        changes.forEach(change => {
+            state.changes.push(deepClone(change));
+            state.revision = change.rev;
+        });
+        objects.forEach(entry => {
+            const table = state.tables[entry.table] || (state.tables[entry.table] = {});
+            if (entry.obj === undefined)
+                delete table[JSON.stringify(entry.key)];
+            else
+                table[JSON.stringify(entry.key)] = deepClone(entry.obj);
+        });
+        delete state.uncommittedChanges[clientIdentity];
+    },
+    putUncommittedChanges(state, clientIdentity, changes) {
+        state.uncommittedChanges[clientIdentity] = deepClone(changes);
+    },
+    replaceChanges(state, upToRevision, changes) {
+        state.changes = deepClone(changes).concat(state.changes.filter(change => change.rev > upToRevision));
+    },
+    nextClientIdentity(state, principal) {
+        const clientIdentity = ++state.lastClientIdentity;
+        state.clientPrincipals[clientIdentity] = principal === undefined ? null : principal;
+        return clientIdentity;
+    }
+};
+
+function createStateAdapter(persistence) {
+    /// <summary>
+    ///   Create a storage adapter keeping the database in RAM and, if persistence is given,
+    ///   recording the changes of it there:
+    ///
+    ///     load (): Promise of {snapshot, journal} where snapshot is a state saved by
+    ///              snapshot() or null and journal the mutations recorded.
+    ///     record (entry): Record a mutation as an array [seq, name, args]. Entries with
+    ///              seq up to that of the snapshot are already in it.
+    ///     snapshot (state): Save the state, replacing the journal.
+    ///     close ()
+    /// </summary>
+    let state = createState();
+
+    function mutate(name, args) {
+        const result = mutations[name].apply(null, [state].concat(args));
+        const seq = ++state.seq;
+        if (!persistence) return Promise.resolve(result);
+        // Compaction shrinks the state. Save it all instead of making the journal grow.
+        return (name === 'replaceChanges' ? persistence.snapshot(state) : persistence.record([seq, name, args]))
+            .then(() => result);
+    }
+
+    return {
+        open() {
+            if (!persistence) return Promise.resolve();
+            return persistence.load().then(saved => {
+                state = saved.snapshot || createState();
+                saved.journal.forEach(entry => {
+                    if (entry[0] <= state.seq) return;
+                    mutations[entry[1]].apply(null, [state].concat(entry[2]));
+                    state.seq = entry[0];
+                });
+                if (saved.journal.length > 0) return persistence.snapshot(state);
+            });
+        },
+        close() {
+            return persistence ? persistence.close() : Promise.resolve();
+        },
+        getRevision() {
+            return Promise.resolve(state.revision);
+        },
+        getChanges(sinceRevision) {
+            return Promise.resolve(deepClone(state.changes.filter(change => change.rev > sinceRevision)));
+        },
+        getObject(table, key) {
+            return Promise.resolve(deepClone((state.tables[table] || {})[JSON.stringify(key)]));
+        },
+        commit(clientIdentity, changes, objects) {
+            return mutate('commit', [clientIdentity, changes, objects]);
+        },
+        getUncommittedChanges(clientIdentity) {
+            return Promise.resolve(deepClone(state.uncommittedChanges[clientIdentity] || []));
+        },
+        putUncommittedChanges(clientIdentity, changes) {
+            return mutate('putUncommittedChanges', [clientIdentity, changes]);
+        },
+        replaceChanges(upToRevision, changes) {
+            return mutate('replaceChanges', [upToRevision, changes]);
+        },
+        getClientPrincipal(clientIdentity) {
+            return Promise.resolve(hasOwn(state.clientPrincipals, clientIdentity) ?
+                state.clientPrincipals[clientIdentity] :
+                undefined);
+        },
+        nextClientIdentity(principal) {
+            return mutate('nextClientIdentity', [principal === undefined ? null : principal]);
+        }
+    };
+}
+
+function createMemoryAdapter() {
+    /// <summary>
+    ///   Create a storage adapter keeping the database in RAM only.
+    /// </summary>
+    return createStateAdapter(null);
+}
+
+module.exports = createMemoryAdapter;
+module.exports.createStateAdapter = createStateAdapter;
@@ -0,0 +1,31 @@
+// Runs the tests of the sync server in node.js:
+//
+//   node test/run-tests.js
+//
+// The tests of the fetch protocol of Dexie.Syncable expect Dexie, Dexie.Observable and Dexie.Syncable
+// to be built, and fetch() to be global, which it is from node.js 18.
+'use strict';
+const QUnit = global.QUnit = require('qunitjs');
+// Node would exit while a test waits for an unref'd timer. A test timeout keeps it running.
+QUnit.config.testTimeout = 30000;
+
+QUnit.log(details => {
+    if (!details.result) {
+        console.log(`    FAILED: ${details.message || ''}` +
+            ('expected' in details ? ` (expected: ${details.expected}, actual: ${details.actual})` : '') +
+            (details.source ? '\n' + details.source : ''));
+    }
+});
+QUnit.testDone(details => {
+    console.log(`${details.failed ? 'FAIL' : 'ok  '} ${details.module}: ${details.name}`);
+});
+QUnit.done(details => {
+    console.log(`\n${details.passed} of ${details.total} assertions passed, ${details.failed} failed (${details.runtime} ms)`);
+    process.exit(details.failed ? 1 : 0);
+});
+
+require('./tests-changes');
+require('./tests-file-adapter');
+require('./tests-sync-server');
+if (typeof fetch !== 'undefined') require('./tests-fetch-sync-protocol');
+QUnit.load();
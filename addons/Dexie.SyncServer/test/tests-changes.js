@@ -0,0 +1,45 @@
+'use strict';
+const changesLib = require('../src/changes');
+const test = QUnit.test, deepEqual = QUnit.deepEqual;
+const CREATE = changesLib.CREATE, UPDATE = changesLib.UPDATE, DELETE = changesLib.DELETE;
+
+QUnit.module('changes');
+
+test('compactChanges should merge the changes of each object', () => {
+    const changes = [
+        {rev: 1, source: 1, type: CREATE, table: 'foo', key: 1, obj: {id: 1, name: 'A'}},
+        {rev: 2, source: 2, type: CREATE, table: 'foo', key: 2, obj: {id: 2}},
+        {rev: 3, source: 1, type: UPDATE, table: 'foo', key: 1, mods: {name: 'B'}},
+        {rev: 4, source: 2, type: UPDATE, table: 'foo', key: 2, mods: {name: 'C'}},
+        {rev: 5, source: 2, type: DELETE, table: 'foo', key: 2}
+    ];
+    deepEqual(changesLib.compactChanges(changes), [
+        {rev: 3, source: 1, type: CREATE, table: 'foo', key: 1, obj: {id: 1, name: 'B'}},
+        {rev: 5, source: 2, type: DELETE, table: 'foo', key: 2}
+    ], 'One change per object, with the revision of its last change');
+    deepEqual(changes[0].obj, {id: 1, name: 'A'}, 'Changes given are left as they were');
+});
+
+test('compactChanges should only keep the source of changes from one client', () => {
+    deepEqual(changesLib.compactChanges([
+        {rev: 1, source: 1, type: UPDATE, table: 'foo', key: 1, mods: {a: 1}},
+        {rev: 2, source: 2, type: UPDATE, table: 'foo', key: 1, mods: {b: 1}}
+    ]), [
+        {rev: 2, source: null, type: UPDATE, table: 'foo', key: 1, mods: {a: 1, b: 1}}
+    ]);
+});
+
+test('resolveConflicts should let server changes win', () => {
+    const serverChanges = changesLib.reduceChanges([
+        {rev: 1, type: UPDATE, table: 'foo', key: 1, mods: {name: 'Server'}},
+        {rev: 2, type: DELETE, table: 'foo', key: 2}
+    ]);
+    deepEqual(changesLib.resolveConflicts([
+        {type: UPDATE, table: 'foo', key: 1, mods: {name: 'Client', age: 3}},
+        {type: UPDATE, table: 'foo', key: 2, mods: {name: 'Client'}},
+        {type: CREATE, table: 'foo', key: 3, obj: {id: 3}}
+    ], serverChanges), [
+        {type: UPDATE, table: 'foo', key: 1, mods: {age: 3}},
+        {type: CREATE, table: 'foo', key: 3, obj: {id: 3}}
+    ]);
+});
@@ -0,0 +1,131 @@
+'use strict';
+const fs = require('fs');
+const vm = require('vm');
+const path = require('path');
+const http = require('http');
+const SyncServer = require('../src/SyncServer');
+const changesLib = require('../src/changes');
+const asyncTest = QUnit.asyncTest, start = QUnit.start, ok = QUnit.ok,
+    strictEqual = QUnit.strictEqual, deepEqual = QUnit.deepEqual;
+const CREATE = changesLib.CREATE;
+
+function runScript(filename) {
+    // Run a built addon the way a browser loads it: as a script extending the global Dexie.
+    vm.runInThisContext(fs.readFileSync(filename, 'utf-8'), {filename: filename});
+}
+
+// The fetch protocol of Dexie.Syncable, syncing with this server over HTTP.
+const Dexie = global.Dexie = require('../../../dist/dexie.js');
+runScript(path.join(__dirname, '../../Dexie.Observable/dist/dexie-observable.js'));
+runScript(path.join(__dirname, '../../Dexie.Syncable/dist/dexie-syncable.js'));
+const createFetchSyncProtocol = Dexie.Syncable.createFetchSyncProtocol;
+
+function createContext() {
+    return {clientIdentity: null, syncedRevision: null, save: () => Promise.resolve()};
+}
+
+function sync(protocol, url, context, changes, partial) {
+    /// <summary>
+    ///   Call protocol.sync() once. Resolves with what it called back.
+    /// </summary>
+    return new Promise(resolve => {
+        const result = {accepted: false, applied: null};
+        protocol.sync(context, url, {}, context.syncedRevision, context.syncedRevision, changes || [], !!partial,
+            (changes, lastRevision, partial) => {
+                result.applied = {changes: changes, lastRevision: lastRevision, partial: partial};
+                context.syncedRevision = lastRevision;
+                return Promise.resolve();
+            },
+            () => { result.accepted = true; },
+            continuation => { result.again = continuation.again; resolve(result); },
+            (error, again) => { result.error = error; result.again = again; resolve(result); });
+    });
+}
+
+function listen(listener) {
+    const httpServer = http.createServer(listener).listen(0);
+    httpServer.url = `http://localhost:${httpServer.address().port}/sync`;
+    return httpServer;
+}
+
+QUnit.module('fetch sync protocol');
+
+asyncTest('should sync clients through the server, with the headers given', () => {
+    const server = new SyncServer({
+        authenticate: req => req.headers.authorization === 'Bearer secret'
+    });
+    const httpServer = listen(server.httpHandler());
+    const protocol = createFetchSyncProtocol({headers: () => ({Authorization: 'Bearer secret'}), pollInterval: 1000});
+    const a = createContext(), b = createContext();
+    const change = {type: CREATE, table: 'foo', key: 1, obj: {id: 1, name: 'Foo'}};
+    // Upload in two partial requests. The server commits the changes with the last one.
+    sync(protocol, httpServer.url, a, [change], true).then(result => {
+        ok(!result.error, 'No error');
+        ok(result.accepted, 'Changes accepted');
+        strictEqual(a.clientIdentity, 1, 'Identity given by the server');
+        return sync(protocol, httpServer.url, b);
+    }).then(result => {
+        deepEqual(result.applied.changes, [], 'Partial changes not committed yet');
+        strictEqual(b.clientIdentity, 2, 'Another identity given');
+        return sync(protocol, httpServer.url, a, [{type: CREATE, table: 'foo', key: 2, obj: {id: 2}}], false);
+    }).then(result => {
+        strictEqual(result.again, 1000, 'Polls again after the poll interval');
+        return sync(protocol, httpServer.url, b);
+    }).then(result => {
+        deepEqual(result.applied.changes.map(change => change.key), [1, 2], 'Changes of the other client');
+        strictEqual(result.applied.changes[0].obj.name, 'Foo', 'Values of the changes');
+        strictEqual(result.applied.partial, false, 'Not partial');
+    }).catch(e => {
+        ok(false, "Error: " + e.stack);
+    }).then(() => {
+        httpServer.close(start);
+    });
+});
+
+asyncTest('should give up on clients the server did not authenticate', () => {
+    const server = new SyncServer({authenticate: () => false});
+    const httpServer = listen(server.httpHandler());
+    sync(createFetchSyncProtocol(), httpServer.url, createContext()).then(result => {
+        strictEqual(result.error.status, 401, 'Unauthorized');
+        strictEqual(result.again, Infinity, 'Not retrying');
+        ok(!result.accepted, 'Changes not accepted');
+    }).catch(e => {
+        ok(false, "Error: " + e.stack);
+    }).then(() => {
+        httpServer.close(start);
+    });
+});
+
+asyncTest('should back off exponentially while the server is unreachable', () => {
+    // Find a port no server listens on.
+    const httpServer = listen(() => {});
+    const url = httpServer.url;
+    httpServer.close(() => {
+        const protocol = createFetchSyncProtocol({retryInterval: 100, maxRetryInterval: 300});
+        const context = createContext();
+        sync(protocol, url, context).then(result => {
+            ok(result.error, 'Failed: ' + result.error);
+            strictEqual(result.again, 100, 'Retry after retryInterval');
+            return sync(protocol, url, context);
+        }).then(result => {
+            strictEqual(result.again, 200, 'Retry after twice as long');
+            return sync(protocol, url, context);
+        }).then(result => {
+            strictEqual(result.again, 300, 'Retry after maxRetryInterval at most');
+        }).catch(e => {
+            ok(false, "Error: " + e.stack);
+        }).then(start);
+    });
+});
+
+asyncTest('should abort requests the server does not respond to in time', () => {
+    const httpServer = listen(() => {}); // Never responds
+    sync(createFetchSyncProtocol({timeout: 100, retryInterval: 50}), httpServer.url, createContext()).then(result => {
+        ok(result.error instanceof Dexie.TimeoutError, 'TimeoutError');
+        strictEqual(result.again, 50, 'Retry after retryInterval');
+    }).catch(e => {
+        ok(false, "Error: " + e.stack);
+    }).then(() => {
+        httpServer.close(start);
+    });
+});
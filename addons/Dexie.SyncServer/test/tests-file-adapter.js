@@ -0,0 +1,91 @@
+'use strict';
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createFileAdapter = require('../src/file-adapter');
+const CREATE = require('../src/changes').CREATE;
+const asyncTest = QUnit.asyncTest, start = QUnit.start, ok = QUnit.ok,
+    strictEqual = QUnit.strictEqual, deepEqual = QUnit.deepEqual;
+
+let dir;
+
+function reopen(adapter) {
+    return adapter.close().then(() => {
+        const reopened = createFileAdapter(dir);
+        return reopened.open().then(() => reopened);
+    });
+}
+
+QUnit.module('fileAdapter', {
+    setup: () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dexie-sync-server-'));
+    },
+    teardown: () => {
+        fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+        fs.rmdirSync(dir);
+    }
+});
+
+asyncTest('should keep the database across restarts', () => {
+    const adapter = createFileAdapter(dir);
+    adapter.open().then(() => {
+        return adapter.commit(1, [{rev: 1, source: 1, type: CREATE, table: 'foo', key: 'a', obj: {id: 'a'}}],
+            [{table: 'foo', key: 'a', obj: {id: 'a'}}]);
+    }).then(() => {
+        return adapter.putUncommittedChanges(2, [{type: CREATE, table: 'foo', key: 'b', obj: {id: 'b'}}]);
+    }).then(() => {
+        return adapter.nextClientIdentity();
+    }).then(() => reopen(adapter)).then(reopened => {
+        strictEqual(fs.readFileSync(path.join(dir, 'journal.jsonl'), 'utf-8'), '', 'Journal written into the snapshot');
+        return Promise.all([
+            reopened.getRevision(),
+            reopened.getChanges(0),
+            reopened.getObject('foo', 'a'),
+            reopened.getUncommittedChanges(2),
+            reopened.nextClientIdentity()
+        ]).then(results => {
+            strictEqual(results[0], 1, 'Revision');
+            strictEqual(results[1].length, 1, 'Changes');
+            deepEqual(results[2], {id: 'a'}, 'Objects');
+            deepEqual(results[3], [{type: CREATE, table: 'foo', key: 'b', obj: {id: 'b'}}], 'Uncommitted changes');
+            strictEqual(results[4], 2, 'Client identities not given again');
+            return reopened.close();
+        });
+    }).catch(e => {
+        ok(false, "Error: " + e.stack);
+    }).then(start);
+});
+
+asyncTest('should ignore a journal entry cut off by a crash', () => {
+    const adapter = createFileAdapter(dir);
+    adapter.open().then(() => adapter.nextClientIdentity()).then(() => adapter.close()).then(() => {
+        fs.appendFileSync(path.join(dir, 'journal.jsonl'), '[2,"nextClientIden');
+        const reopened = createFileAdapter(dir);
+        return reopened.open().then(() => reopened.nextClientIdentity()).then(clientIdentity => {
+            strictEqual(clientIdentity, 2, 'The entry written before the crash');
+            return reopened.close();
+        });
+    }).catch(e => {
+        ok(false, "Error: " + e.stack);
+    }).then(start);
+});
+
+asyncTest('should save compacted changes as a new snapshot', () => {
+    const adapter = createFileAdapter(dir);
+    const changes = [1, 2, 3].map(rev => ({rev: rev, source: 1, type: CREATE, table: 'foo', key: 'a', obj: {rev: rev}}));
+    adapter.open().then(() => {
+        return adapter.commit(1, changes, [{table: 'foo', key: 'a', obj: {rev: 3}}]);
+    }).then(() => {
+        return adapter.replaceChanges(2, [changes[1]]);
+    }).then(() => {
+        strictEqual(fs.readFileSync(path.join(dir, 'journal.jsonl'), 'utf-8'), '', 'Journal emptied');
+        return reopen(adapter);
+    }).then(reopened => {
+        return reopened.getChanges(0).then(changes => {
+            deepEqual(changes.map(change => change.rev), [2, 3], 'Compacted changes');
+            return reopened.close();
+        });
+    }).catch(e => {
+        ok(false, "Error: " + e.stack);
+    }).then(start);
+});
@@ -0,0 +1,298 @@
+'use strict';
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const SyncServer = require('../src/SyncServer');
+const changesLib = require('../src/changes');
+const asyncTest = QUnit.asyncTest, start = QUnit.start, ok = QUnit.ok,
+    strictEqual = QUnit.strictEqual, deepEqual = QUnit.deepEqual;
+const CREATE = changesLib.CREATE, UPDATE = changesLib.UPDATE;
+
+function connectClient(server, request) {
+    /// <summary>
+    ///   Connect a WebSocketSyncProtocol client without a socket.
+    /// </summary>
+    const client = {messages: [], closed: false};
+    client.connection = server.connect(request || {headers: {}}, text => {
+        client.messages.push(JSON.parse(text));
+    }, () => {
+        client.closed = true;
+    });
+    client.send = message => client.connection.receive(JSON.stringify(message));
+    client.receive = type => new Promise((resolve, reject) => {
+        // Resolves with the first message of given type not received before.
+        const timeout = Date.now() + 2000;
+        (function poll() {
+            const index = client.messages.findIndex(message => message.type === type);
+            if (index !== -1) return resolve(client.messages.splice(index, 1)[0]);
+            if (Date.now() > timeout) return reject(new Error(`No ${type} message`));
+            setTimeout(poll, 5);
+        })();
+    });
+    return client;
+}
+
+function getAll(server) {
+    // The changes a new client would get.
+    return server.sync({clientIdentity: null, baseRevision: null, changes: [], syncedRevision: 0})
+        .then(response => response.changes);
+}
+
+function post(port, body, headers, chunked) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({port: port, method: 'POST', path: '/sync', headers: headers || {}}, res => {
+            let data = '';
+            res.setEncoding('utf-8');
+            res.on('data', chunk => { data += chunk; });
+            res.on('end', () => resolve({status: res.statusCode, body: JSON.parse(data)}));
+        });
+        req.on('error', reject);
+        const text = JSON.stringify(body);
+        if (chunked) {
+            // Without a Content-Length header.
+            req.write(text.substr(0, 10));
+            req.end(text.substr(10));
+        } else {
+            req.end(text);
+        }
+    });
+}
+
+let dir;
+
+QUnit.module('SyncServer', {
+    setup: () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dexie-sync-server-'));
+    },
+    teardown: () => {
+        fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+        fs.rmdirSync(dir);
+    }
+});
+
+asyncTest('should give clients identities and push changes to subscribed clients', () => {
+    const server = new SyncServer();
+    const a = connectClient(server), b = connectClient(server);
+    a.send({type: 'clientIdentity', clientIdentity: null});
+    a.receive('clientIdentity').then(message => {
+        strictEqual(message.clientIdentity, 1, 'Identity given');
+        b.send({type: 'clientIdentity', clientIdentity: null});
+        return b.receive('clientIdentity');
+    }).then(message => {
+        strictEqual(message.clientIdentity, 2, 'Another identity given');
+        b.send({type: 'subscribe', syncedRevision: 0});
+        return b.receive('changes');
+    }).then(message => {
+        deepEqual(message, {type: 'changes', changes: [], currentRevision: 0, partial: false}, 'No changes yet');
+        a.send({type: 'changes', requestId: 1, baseRevision: null, partial: false, changes: [
+            {type: CREATE, table: 'foo', key: 1, obj: {id: 1, name: 'A'}}
+        ]});
+        return a.receive('ack');
+    }).then(message => {
+        strictEqual(message.requestId, 1, 'Changes acknowledged');
+        return b.receive('changes');
+    }).then(message => {
+        deepEqual(message.changes, [{type: CREATE, table: 'foo', key: 1, obj: {id: 1, name: 'A'}}], 'Change pushed');
+        strictEqual(message.currentRevision, 1, 'currentRevision');
+        a.connection.close();
+        b.connection.close();
+        return server.close();
+    }).catch(e => {
+        ok(false, "Error: " + e.stack);
+    }).then(start);
+});
+
+asyncTest('should apply server changes after client changes', () => {
+    const server = new SyncServer();
+    server.sync({clientIdentity: null, baseRevision: null, changes: [
+        {type: CREATE, table: 'foo', key: 1, obj: {id: 1, name: 'A', age: 1}}
+    ], syncedRevision: 0}).then(response => {
+        strictEqual(response.clientIdentity, 1, 'Client 1');
+        return server.sync({clientIdentity: 1, baseRevision: 1, changes: [
+            {type: UPDATE, table: 'foo', key: 1, mods: {name: 'Server'}}
+        ], syncedRevision: 1});
+    }).then(() => {
+        // Client 2 changed the object without knowing about the last change.
+        return server.sync({clientIdentity: null, baseRevision: 1, changes: [
+            {type: UPDATE, table: 'foo', key: 1, mods: {name: 'Client', age: 2}},
+            {type: UPDATE, table: 'foo', key: 2, mods: {name: 'Nonexisting'}}
+        ], syncedRevision: 1});
+    }).then(response => {
+        ok(response.success, 'Success');
+        strictEqual(response.clientIdentity, 2, 'Client 2');
+        deepEqual(response.changes, [{type: UPDATE, table: 'foo', key: 1, mods: {name: 'Server'}}], 'Got the change of client 1');
+        strictEqual(response.currentRevision, 3, 'Update of nonexisting object ignored');
+        return getAll(server);
+    }).then(changes => {
+        deepEqual(changes, [{type: CREATE, table: 'foo', key: 1, obj: {id: 1, name: 'Server', age: 2}}], 'Server change won');
+        return server.sync({clientIdentity: 2, changes: []});
+    }).then(response => {
+        deepEqual(response, {success: false, errorMessage: "Property 'baseRevision' missing"}, 'Invalid request');
+    }).catch(e => {
+        ok(false, "Error: " + e.stack);
+    }).then(start);
+});
+
+asyncTest('should keep the uncommitted changes of partial syncs across restarts', () => {
+    const server = new SyncServer({storage: SyncServer.createFileAdapter(dir)});
+    let restarted;
+    server.sync({clientIdentity: null, baseRevision: null, partial: true, changes: [
+        {type: CREATE, table: 'foo', key: 1, obj: {id: 1}}
+    ], syncedRevision: 0}).then(response => {
+        strictEqual(response.currentRevision, 0, 'Not committed yet');
+        return server.close().then(() => {
+            restarted = new SyncServer({storage: SyncServer.createFileAdapter(dir)});
+            return restarted.sync({clientIdentity: response.clientIdentity, baseRevision: null, partial: false, changes: [
+                {type: CREATE, table: 'foo', key: 2, obj: {id: 2}}
+            ], syncedRevision: 0});
+        });
+    }).then(response => {
+        strictEqual(response.currentRevision, 2, 'Both partials committed');
+        return getAll(restarted);
+    }).then(changes => {
+        deepEqual(changes.map(change => change.key), [1, 2], 'All the objects');
+        return restarted.close();
+    }).catch(e => {
+        ok(false, "Error: " + e.stack);
+    }).then(start);
+});
+
+asyncTest('should disconnect clients not authenticated', () => {
+    const server = new SyncServer({
+        authenticate: request => Promise.resolve(request.headers.authorization === 'Bearer secret')
+    });
+    const intruder = connectClient(server, {headers: {}});
+    intruder.send({type: 'clientIdentity', clientIdentity: null});
+    intruder.receive('error').then(message => {
+        strictEqual(message.message, 'Unauthorized', 'Error message');
+        ok(intruder.closed, 'Disconnected');
+        strictEqual(intruder.messages.length, 0, 'Nothing else sent');
+        const client = connectClient(server, {headers: {authorization: 'Bearer secret'}});
+        client.send({type: 'clientIdentity', clientIdentity: null});
+        return client.receive('clientIdentity');
+    }).then(message => {
+        strictEqual(message.clientIdentity, 1, 'Authenticated client served');
+    }).catch(e => {
+        ok(false, "Error: " + e.stack);
+    }).then(start);
+});
+
+asyncTest('should compact the change log', () => {
+    const storage = SyncServer.createMemoryAdapter();
+    const server = new SyncServer({storage: storage, keepChanges: 1});
+    let before;
+    server.sync({clientIdentity: null, baseRevision: null, changes: [
+        {type: CREATE, table: 'foo', key: 1, obj: {id: 1, n: 0}},
+        {type: UPDATE, table: 'foo', key: 1, mods: {n: 1}},
+        {type: UPDATE, table: 'foo', key: 1, mods: {n: 2}},
+        {type: CREATE, table: 'foo', key: 2, obj: {id: 2}},
+        {type: UPDATE, table: 'foo', key: 1, mods: {n: 3}}
+    ], syncedRevision: 0}).then(() => getAll(server)).then(changes => {
+        before = changes;
+        return server.compact();
+    }).then(() => storage.getChanges(0)).then(changes => {
+        deepEqual(changes.map(change => change.rev), [3, 4, 5], 'Changes up to revision 4 merged');
+        return getAll(server);
+    }).then(changes => {
+        deepEqual(changes, before, 'Clients get the same');
+        return server.sync({clientIdentity: null, baseRevision: null, changes: [], syncedRevision: 3});
+    }).then(response => {
+        deepEqual(response.changes.map(change => change.key), [2, 1], 'Clients synced in between get the changes after it');
+    }).catch(e => {
+        ok(false, "Error: " + e.stack);
+    }).then(start);
+});
+
+asyncTest('should serve the poll pattern over HTTP', () => {
+    const server = new SyncServer({
+        authenticate: req => req.headers.authorization === 'Bearer secret'
+    });
+    const httpServer = http.createServer(server.httpHandler()).listen(0);
+    const port = httpServer.address().port;
+    const headers = {'Content-Type': 'application/json', 'Authorization': 'Bearer secret'};
+    post(port, {clientIdentity: null, baseRevision: null, partial: false, syncedRevision: null, changes: [
+        {type: CREATE, table: 'foo', key: 1, obj: {id: 1}}
+    ]}, headers).then(response => {
+        strictEqual(response.status, 200, 'OK');
+        deepEqual(response.body, {
+            success: true,
+            changes: [],
+            currentRevision: 1,
+            partial: false,
+            needsResync: false,
+            clientIdentity: 1
+        }, 'Response');
+        return post(port, {clientIdentity: 1, baseRevision: 1, changes: [], syncedRevision: 1}, {});
+    }).then(response => {
+        strictEqual(response.status, 401, 'Not authenticated');
+        strictEqual(response.body.success, false, 'Not successful');
+    }).catch(e => {
+        ok(false, "Error: " + e.stack);
+    }).then(() => {
+        httpServer.close(start);
+    });
+});
+
+asyncTest('should only let clients sync as the identities issued to their principal', () => {
+    const server = new SyncServer({
+        authenticate: req => ({'Bearer a': 'alice', 'Bearer b': 'bob'})[req.headers.authorization]
+    });
+    const httpServer = http.createServer(server.httpHandler()).listen(0);
+    const port = httpServer.address().port;
+    const alice = {'Authorization': 'Bearer a'}, bob = {'Authorization': 'Bearer b'};
+    post(port, {clientIdentity: null, baseRevision: null, partial: true, syncedRevision: null, changes: [
+        {type: CREATE, table: 'foo', key: 1, obj: {id: 1, secret: 'of alice'}}
+    ]}, alice).then(response => {
+        strictEqual(response.body.clientIdentity, 1, 'Identity issued to alice');
+        return post(port, {clientIdentity: 1, baseRevision: null, partial: false, syncedRevision: null, changes: []}, bob);
+    }).then(response => {
+        deepEqual(response.body, {success: false, errorMessage: 'Client identity 1 was not issued to this client'},
+            'bob cannot sync as the client of alice');
+        return post(port, {clientIdentity: 7, baseRevision: null, syncedRevision: null, changes: []}, bob);
+    }).then(response => {
+        strictEqual(response.body.success, false, 'Identities not issued are refused');
+        return server.sync({clientIdentity: 1, baseRevision: null, syncedRevision: null, changes: []}, 'bob');
+    }).then(response => {
+        strictEqual(response.success, false, 'sync() refuses other principals as well');
+        const client = connectClient(server, {headers: {authorization: 'Bearer b'}});
+        client.send({type: 'clientIdentity', clientIdentity: 1});
+        return client.receive('error').then(message => {
+            strictEqual(message.message, 'Client identity 1 was not issued to this client', 'Refused over WebSocket');
+            ok(client.closed, 'Disconnected');
+        });
+    }).then(() => {
+        return post(port, {clientIdentity: 1, baseRevision: null, partial: false, syncedRevision: null, changes: []}, alice);
+    }).then(response => {
+        strictEqual(response.body.success, true, 'alice syncs as her client');
+        strictEqual(response.body.currentRevision, 1, 'Her uncommitted changes committed');
+    }).catch(e => {
+        ok(false, "Error: " + e.stack);
+    }).then(() => {
+        httpServer.close(start);
+    });
+});
+
+asyncTest('should refuse HTTP requests larger than maxBodySize', () => {
+    const server = new SyncServer({maxBodySize: 200});
+    const httpServer = http.createServer(server.httpHandler()).listen(0);
+    const port = httpServer.address().port;
+    const request = size => ({clientIdentity: null, baseRevision: null, syncedRevision: null, changes: [
+        {type: CREATE, table: 'foo', key: 1, obj: {id: 1, text: new Array(size + 1).join('x')}}
+    ]});
+    post(port, request(300)).then(response => {
+        strictEqual(response.status, 413, 'Refused by Content-Length');
+        strictEqual(response.body.success, false, 'Not successful');
+        return post(port, request(300), {}, true);
+    }).then(response => {
+        strictEqual(response.status, 413, 'Refused while reading');
+        return post(port, request(10), {}, true);
+    }).then(response => {
+        strictEqual(response.status, 200, 'Smaller request served');
+        strictEqual(response.body.currentRevision, 1, 'Changes committed');
+    }).catch(e => {
+        ok(false, "Error: " + e.stack);
+    }).then(() => {
+        httpServer.close(start);
+    });
+});
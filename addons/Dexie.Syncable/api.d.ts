@@ -70,7 +70,8 @@ export interface ISyncProtocol {
         applyRemoteChanges: ApplyRemoteChangesFunction,
         onChangesAccepted: ()=>void,
         onSuccess: (continuation: PollContinuation | ReactiveContinuation)=>void,
-        onError: (error: any, again?: number) => void) : void;
+        onError: (error: any, again?: number) => void,
+        onBytesTransferred?: (bytesUploaded: number, bytesDownloaded: number) => void) : void;
 }
 
 /**
@@ -16,7 +16,7 @@ declare module 'dexie' {
              * Connect to given URL using given protocol and options. See documentation at:
              * https://github.com/dfahlander/Dexie.js/wiki/db.syncable.connect()
              */
-            connect(protocol: string, url: string, options?: any): Dexie.Promise<void>;
+            connect(protocol: string, url: string, options?: Dexie.Syncable.SyncOptions): Dexie.Promise<void>;
             
             /**
              * Stop syncing with given url.. See docs at:
@@ -42,11 +42,28 @@ declare module 'dexie' {
              */
             getStatus(url: string): Dexie.Promise<SyncStatus>;
 
+            /**
+             * Get the state of syncing with given URL: whether a sync is going on, what it has
+             * transferred so far and when the last successful sync was.
+             */
+            getSyncState(url: string): Dexie.Promise<Dexie.Syncable.SyncState>;
+
             /**
              * Syncable events. See docs at:
              * https://github.com/dfahlander/Dexie.js/wiki/db.syncable.on('statusChanged')
              */
             on: Dexie.Syncable.SyncableEventSet;
+
+            /**
+             * Conflict resolvers by table name. Called when remote changes arrive for objects
+             * with local changes not yet synced. See Dexie.Syncable.resolvers for built-in ones.
+             */
+            conflictResolvers: {[tableName: string]: Dexie.Syncable.ConflictResolver};
+
+            /**
+             * Filters by name for SyncOptions.filters. Returns whether to sync given object.
+             */
+            filters: {[filterName: string]: (obj: any, tableName: string) => boolean};
         }
 
         /**
@@ -70,6 +87,7 @@ declare module 'dexie' {
                 syncContext: any,
                 syncOptions: any,
                 status: number,
+                lastSuccessfulSync: number, // Time of the last successful sync. Only used in Dexie.Syncable.
                 appliedRemoteRevision: any,
                 remoteBaseRevisions: { local: number, remote: any }[],
                 dbUploadState: {
@@ -90,9 +108,91 @@ declare module 'dexie' {
 
             /** Translates a sync status number into a string "ERROR_WILL_RETRY", "ERROR", etc */
             var StatusTexts: {[syncStatus:number]: string};
+
+            /**
+             * Resolves a conflict between local changes not yet synced and remote changes.
+             * Each object is undefined when deleted or not existing. Returns the object to keep,
+             * or undefined to delete it.
+             *
+             * @param local The object in the local database.
+             * @param remote The object as on the server.
+             * @param base The object before the local changes.
+             */
+            type ConflictResolver = (local: any, remote: any, base: any) => any;
+
+            /** Options of db.syncable.connect(), also given to the sync protocol. */
+            interface SyncOptions {
+                /** Whether to upload the objects already in the local database. Defaults to true. */
+                initialUpload?: boolean;
+                /** Names of the tables to sync. All observable tables if not given. */
+                tables?: string[];
+                /** Names of tables not to sync. */
+                excludeTables?: string[];
+                /** Name of a filter in db.syncable.filters by table name. */
+                filters?: {[tableName: string]: string};
+                [option: string]: any;
+            }
+
+            /** Built-in conflict resolvers */
+            var resolvers: {
+                /** Keep the object with the later timestamp in given property. Deletions win. */
+                lastWriterWins(timestampField: string): ConflictResolver;
+                /** Merge the properties changed remotely into the local object. Deletions win. */
+                mergeFields: ConflictResolver;
+            };
+
+            /** Settings of Dexie.Syncable.createFetchSyncProtocol() */
+            interface FetchSyncProtocolSettings {
+                /** Milliseconds between polls. Defaults to 10000. Overridden by the pollInterval option of connect(). */
+                pollInterval?: number;
+                /** Milliseconds before retrying after a failed request. Doubled for each failure in a row. Defaults to 1000. */
+                retryInterval?: number;
+                /** Most milliseconds before retrying. Defaults to 5 minutes. */
+                maxRetryInterval?: number;
+                /** Milliseconds before aborting a request. Defaults to 30000. Overridden by the timeout option of connect(). */
+                timeout?: number;
+                /** Most local changes to send per request. Defaults to 1000. */
+                partialsThreshold?: number;
+                /** Headers to send, such as Authorization. Merged with the headers option of connect(). */
+                headers?: {[name: string]: string} | ((url: string, options: SyncOptions) => {[name: string]: string} | PromiseLike<{[name: string]: string}>);
+                /** fetch() to use. Defaults to the global fetch(). */
+                fetch?: (url: string, init: any) => PromiseLike<{ok: boolean, status: number, statusText?: string, json(): PromiseLike<any>}>;
+            }
+
+            /**
+             * Create a sync protocol for HTTP servers using fetch(). One with the default settings is
+             * registered as "fetch".
+             */
+            var createFetchSyncProtocol: (settings?: FetchSyncProtocolSettings) => ISyncProtocol;
             
+            /** State of syncing with a remote URL. See db.syncable.getSyncState() */
+            interface SyncState {
+                url: string;
+                status: SyncStatus;
+                /** Whether a sync is going on */
+                syncing: boolean;
+                /** Time the last sync started */
+                lastSyncStarted: number | null;
+                /** Local changes uploaded by the last sync */
+                changesUploaded: number;
+                /** Remote changes applied by the last sync */
+                changesApplied: number;
+                /** Bytes transferred by the last sync. null unless the protocol reports them */
+                bytesUploaded: number | null;
+                bytesDownloaded: number | null;
+                /** Error ending the last sync, if it failed */
+                lastError: string | null;
+                /** Time of the last successful sync, persisted on the remote SyncNode */
+                lastSuccessfulSync: number | null;
+                /** Tables left to upload by the initial upload, the one being uploaded first */
+                tablesToUpload: string[];
+            }
+
             interface SyncableEventSet extends DexieEventSet {
                 (eventName: 'statusChanged', subscriber: (status: number, url: string) => void): void;
+                (eventName: 'syncStarted', subscriber: (state: SyncState, url: string) => void): void;
+                (eventName: 'syncCompleted', subscriber: (state: SyncState, url: string) => void): void;
+                (eventName: 'syncStateChanged', subscriber: (state: SyncState, url: string) => void): void;
             }
         }
     }
@@ -23,6 +23,9 @@ import "dexie-observable";
 import initSyncableConnect from './syncable-connect';
 import initConnectFn from './connect-fn';
 import {Statuses, StatusTexts} from './statuses';
+import {lastWriterWins, mergeFields} from './conflict-resolvers';
+import createFetchSyncProtocol from './fetch-sync-protocol';
+import initSyncState from './sync-state';
 
 var override = Dexie.override,
     Promise = Dexie.Promise,
@@ -33,7 +36,8 @@ export default function Syncable (db) {
 
     var activePeers = [];
 
-    const connectFn = initConnectFn(db, activePeers);
+    const syncState = initSyncState(db);
+    const connectFn = initConnectFn(db, activePeers, syncState);
     const syncableConnect = initSyncableConnect(db, connectFn);
 
     db.on('message', function(msg) {
@@ -48,6 +52,9 @@ export default function Syncable (db) {
                 // We are client and a master node informs us about syncStatus change.
                 // Lookup the connectedProvider and call its event
                 db.syncable.on.statusChanged.fire(msg.message.newStatus, msg.message.url);
+            } else if (msg.type === 'syncStateChanged') {
+                // A master node informs us about the state of its syncing.
+                syncState.received(msg.message);
             }
         });
     });
@@ -112,6 +119,14 @@ export default function Syncable (db) {
 
     db.syncable = {};
 
+    // Resolvers by table name, called when remote changes arrive for objects with local changes
+    // not yet synced. Without a resolver, the remote changes are applied over the local ones.
+    db.syncable.conflictResolvers = {};
+
+    // Filters by name, for the syncOptions of db.syncable.connect() to refer to. Given an object
+    // and its table name, a filter returns whether to sync the object.
+    db.syncable.filters = {};
+
     db.syncable.getStatus = function(url, cb) {
         if (db.isOpen()) {
             return Dexie.vip(function() {
@@ -124,6 +139,20 @@ export default function Syncable (db) {
         }
     };
 
+    db.syncable.getSyncState = function(url) {
+        /// <summary>
+        ///   Get the state of syncing with given url: its status, whether a sync is going on, the
+        ///   changes and bytes uploaded and applied in it or the last one, the time of the last
+        ///   successful sync and the tables left to upload of the initial upload.
+        /// </summary>
+        if (!db.isOpen()) return Promise.resolve(syncState.get(url, null));
+        return Dexie.vip(function() {
+            return db._syncNodes.where('url').equals(url).first(function(node) {
+                return syncState.get(url, node);
+            });
+        });
+    };
+
     db.syncable.list = function() {
         return db.transaction('r?', db._syncNodes, ()=>{
             return db._syncNodes.where('type').equals('remote').toArray(function(a) {
@@ -132,7 +161,13 @@ export default function Syncable (db) {
         });
     };
 
-    db.syncable.on = Dexie.Events(db, { statusChanged: "asap" });
+    db.syncable.on = Dexie.Events(db, {
+        statusChanged: "asap",
+        syncStarted: "asap",
+        syncCompleted: "asap",
+        // Fired on any change of the state given by getSyncState().
+        syncStateChanged: "asap"
+    });
 
     db.syncable.disconnect = function(url) {
         return Dexie.ignoreTransaction(()=>{
@@ -228,6 +263,11 @@ Syncable.Statuses = Statuses;
 
 Syncable.StatusTexts = StatusTexts;
 
+Syncable.resolvers = {
+    lastWriterWins: lastWriterWins,
+    mergeFields: mergeFields
+};
+
 Syncable.registeredProtocols = {}; // Map<String,ISyncProviderFactory> when key is the provider name.
 
 Syncable.registerSyncProtocol = function(name, protocolInstance) {
@@ -250,6 +290,10 @@ Syncable.registerSyncProtocol = function(name, protocolInstance) {
     Syncable.registeredProtocols[name] = protocolInstance;
 };
 
+Syncable.createFetchSyncProtocol = createFetchSyncProtocol;
+
+Syncable.registerSyncProtocol('fetch', createFetchSyncProtocol());
+
 // Register addon in Dexie:
 Dexie.Syncable = Syncable;
 Dexie.addons.push(Syncable);
@@ -0,0 +1,41 @@
+import Dexie from 'dexie';
+
+// Built-in conflict resolvers for db.syncable.conflictResolvers. A resolver is called as
+// resolve(local, remote, base) where local is the object in the local database, remote is the
+// object as on the server and base is the object before the local changes not yet synced.
+// Each is undefined when the object is deleted or did not exist. A resolver returns the object
+// to keep, or undefined to delete it.
+
+/** Get a resolver keeping the object whose given property holds the later timestamp, number or
+ * Date. The remote object wins ties and over local objects missing the timestamp. A deletion
+ * has no timestamp and always wins.
+ *
+ * @param timestampField {string} Key path of the timestamp.
+ */
+export function lastWriterWins(timestampField) {
+  return function resolve(local, remote) {
+    if (local === undefined || remote === undefined) return undefined;
+    return Dexie.getByKeyPath(local, timestampField) > Dexie.getByKeyPath(remote, timestampField) ?
+      local :
+      remote;
+  };
+}
+
+/** Resolver merging the properties changed on the server into the local object. Where both
+ * sides changed the same property, the local value wins as that change has yet to be sent to
+ * the server. A deletion on either side wins.
+ */
+export function mergeFields(local, remote, base) {
+  if (local === undefined || remote === undefined) return undefined;
+  base = base || {};
+  const merged = Dexie.deepClone(local);
+  Object.keys(base).concat(Object.keys(remote)).forEach(prop => {
+    const changedRemotely = JSON.stringify(remote[prop]) !== JSON.stringify(base[prop]);
+    const changedLocally = JSON.stringify(local[prop]) !== JSON.stringify(base[prop]);
+    if (changedRemotely && !changedLocally) {
+      if (remote.hasOwnProperty(prop)) merged[prop] = Dexie.deepClone(remote[prop]);
+      else delete merged[prop];
+    }
+  });
+  return merged;
+}
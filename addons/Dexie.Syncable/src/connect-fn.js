@@ -4,7 +4,7 @@ import initGetOrCreateSyncNode from './get-or-create-sync-node';
 import initConnectProtocol from './connect-protocol';
 import {Statuses} from './statuses';
 
-export default function initConnectFn(db, activePeers) {
+export default function initConnectFn(db, activePeers, syncState) {
   return function connect(protocolInstance, protocolName, url, options, dbAliveID) {
     /// <param name="protocolInstance" type="ISyncProtocol"></param>
     var existingPeer = activePeers.filter(function (peer) {
@@ -19,7 +19,7 @@ export default function initConnectFn(db, activePeers) {
     // Use an object otherwise we wouldn't be able to get the reject promise from
     // connectProtocol
     var rejectConnectPromise = {p: null};
-    const connectProtocol = initConnectProtocol(db, protocolInstance, dbAliveID, options, rejectConnectPromise);
+    const connectProtocol = initConnectProtocol(db, protocolInstance, dbAliveID, options, rejectConnectPromise, syncState);
     const getOrCreateSyncNode = initGetOrCreateSyncNode(db, protocolName, url);
     var connectPromise = getOrCreateSyncNode(options).then(function (node) {
       return connectProtocol(node, activePeer);
@@ -8,7 +8,7 @@ import {Statuses} from './statuses';
 
 const Promise = Dexie.Promise;
 
-export default function initConnectProtocol(db, protocolInstance, dbAliveID, options, rejectConnectPromise) {
+export default function initConnectProtocol(db, protocolInstance, dbAliveID, options, rejectConnectPromise, syncState) {
   const enqueue = initEnqueue(db);
   var hasMoreToGive = {hasMoreToGive: true};
 
@@ -29,6 +29,7 @@ export default function initConnectProtocol(db, protocolInstance, dbAliveID, opt
         node.status = newStatus;
         node.save().then(()=> {
           db.syncable.on.statusChanged.fire(newStatus, url);
+          syncState.statusChanged(node);
           // Also broadcast message to other nodes about the status
           db.observable.broadcastMessage("syncStatusChanged", {newStatus: newStatus, url: url}, false);
         }).catch('DatabaseClosedError', ()=> {
@@ -36,15 +37,24 @@ export default function initConnectProtocol(db, protocolInstance, dbAliveID, opt
       }
     }
 
-    activePeer.on('disconnect', function (newStatus) {
+    activePeer.on('disconnect', function (newStatus, error) {
+      syncState.failed(node, error);
       if (!isNaN(newStatus)) changeStatusTo(newStatus);
     });
 
+    function onBytesTransferred(bytesUploaded, bytesDownloaded) {
+      // Protocols able to tell may call this whenever they have sent or received data.
+      syncState.progress(node, {bytesUploaded: bytesUploaded || 0, bytesDownloaded: bytesDownloaded || 0});
+    }
+
+    var syncStartedByServer = false; // Whether the sync going on started by the server pushing changes.
+
     var connectedContinuation;
     changeStatusTo(Statuses.CONNECTING);
     return doSync();
 
     function doSync() {
+      syncState.started(node);
       // Use enqueue() to ensure only a single promise execution at a time.
       return enqueue(doSync, function () {
         // By returning the Promise returned by getLocalChangesForNode() a final catch() on the sync() method will also catch error occurring in entire sequence.
@@ -74,7 +84,8 @@ export default function initConnectProtocol(db, protocolInstance, dbAliveID, opt
                 function (continuation) {
                   resolve(continuation);
                 },
-                onError);
+                onError,
+                onBytesTransferred);
           } catch (ex) {
             onError(ex, Infinity);
           }
@@ -82,6 +93,7 @@ export default function initConnectProtocol(db, protocolInstance, dbAliveID, opt
           function onError(error, again) {
             reject(error);
             if (stillAlive()) {
+              syncState.failed(node, error);
               if (!isNaN(again) && again < Infinity) {
                 setTimeout(function () {
                   if (stillAlive()) {
@@ -114,6 +126,7 @@ export default function initConnectProtocol(db, protocolInstance, dbAliveID, opt
         Object.keys(nodeModificationsOnAck).forEach(function (keyPath) {
           Dexie.setByKeyPath(node, keyPath, nodeModificationsOnAck[keyPath]);
         });
+        if (changes.length > 0) syncState.progress(node, {changesUploaded: changes.length});
         // We dont know if onSuccess() was called by provider yet. If it's already called, finalPromise.then() will execute immediately,
         // otherwise it will execute when finalSyncPromise resolves.
         finalSyncPromise.then(continueSendingChanges);
@@ -143,12 +156,20 @@ export default function initConnectProtocol(db, protocolInstance, dbAliveID, opt
     function applyRemoteChanges(remoteChanges, remoteRevision, partial/*, clear*/) {
       const saveToUncommittedChanges = initSaveToUncommittedChanges(db, node);
       const finallyCommitAllChanges = initFinallyCommitAllChanges(db, node);
+      // Changes pushed by the server while in sync (react pattern) make a sync of their own.
+      if (syncState.started(node)) syncStartedByServer = true;
 
       return enqueue(applyRemoteChanges, function () {
         if (!stillAlive()) return Promise.reject(new Dexie.DatabaseClosedError());
         // FIXTHIS: Check what to do if clear() is true!
         return (partial ? saveToUncommittedChanges(remoteChanges, remoteRevision) : finallyCommitAllChanges(remoteChanges, remoteRevision))
-            .catch(function (error) {
+            .then(function () {
+              syncState.progress(node, {changesApplied: remoteChanges.length});
+              if (syncStartedByServer && !partial) {
+                syncStartedByServer = false;
+                syncState.completed(node);
+              }
+            }, function (error) {
               abortTheProvider(error);
               return Promise.reject(error);
             });
@@ -219,10 +240,12 @@ export default function initConnectProtocol(db, protocolInstance, dbAliveID, opt
         getLocalChangesForNode_autoAckIfEmpty(node, function (changes, remoteBaseRevision, partial, nodeModificationsOnAck) {
           if (!connectedContinuation) return;
           if (changes.length > 0) {
+            syncState.started(node);
             continuation.react(changes, remoteBaseRevision, partial, function onChangesAccepted() {
               Object.keys(nodeModificationsOnAck).forEach(function (keyPath) {
                 Dexie.setByKeyPath(node, keyPath, nodeModificationsOnAck[keyPath]);
               });
+              syncState.progress(node, {changesUploaded: changes.length});
               node.save().catch('DatabaseClosedError', ()=> {
               });
               // More changes may be waiting:
@@ -236,6 +259,7 @@ export default function initConnectProtocol(db, protocolInstance, dbAliveID, opt
               reactToChanges();
             } else {
               changeStatusTo(Statuses.ONLINE);
+              syncState.completed(node);
             }
           }
         }).catch(ex => {
@@ -251,14 +275,16 @@ export default function initConnectProtocol(db, protocolInstance, dbAliveID, opt
     function continueUsingPollPattern() {
 
       function syncAgain() {
+        syncState.started(node);
         getLocalChangesForNode_autoAckIfEmpty(node, function (changes, remoteBaseRevision, partial, nodeModificationsOnAck) {
 
-          protocolInstance.sync(node.syncContext, url, options, remoteBaseRevision, node.appliedRemoteRevision, changes, partial, applyRemoteChanges, onChangesAccepted, onSuccess, onError);
+          protocolInstance.sync(node.syncContext, url, options, remoteBaseRevision, node.appliedRemoteRevision, changes, partial, applyRemoteChanges, onChangesAccepted, onSuccess, onError, onBytesTransferred);
 
           function onChangesAccepted() {
             Object.keys(nodeModificationsOnAck).forEach(function (keyPath) {
               Dexie.setByKeyPath(node, keyPath, nodeModificationsOnAck[keyPath]);
             });
+            if (changes.length > 0) syncState.progress(node, {changesUploaded: changes.length});
             node.save().catch('DatabaseClosedError', ()=> {
             });
           }
@@ -274,6 +300,7 @@ export default function initConnectProtocol(db, protocolInstance, dbAliveID, opt
               syncAgain();
             } else {
               // We've sent all changes now (in sync!)
+              syncState.completed(node);
               if (!isNaN(continuation.again) && continuation.again < Infinity) {
                 // Provider wants to keep polling. Set Status to ONLINE.
                 changeStatusTo(Statuses.ONLINE);
@@ -292,6 +319,7 @@ export default function initConnectProtocol(db, protocolInstance, dbAliveID, opt
           }
 
           function onError(error, again) {
+            syncState.failed(node, error);
             if (!isNaN(again) && again < Infinity) {
               if (connectedContinuation) {
                 setTimeout(function () {
@@ -311,7 +339,11 @@ export default function initConnectProtocol(db, protocolInstance, dbAliveID, opt
 
       if (hasMoreToGive.hasMoreToGive) {
         syncAgain();
-      } else if (connectedContinuation && !isNaN(connectedContinuation.again) && connectedContinuation.again < Infinity) {
+        return;
+      }
+      // In sync after the first sync.
+      syncState.completed(node);
+      if (connectedContinuation && !isNaN(connectedContinuation.again) && connectedContinuation.again < Infinity) {
         changeStatusTo(Statuses.ONLINE);
         setTimeout(function () {
           if (connectedContinuation) {
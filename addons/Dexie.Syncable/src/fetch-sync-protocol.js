@@ -0,0 +1,163 @@
+import Dexie from 'dexie';
+
+//
+// Fetch Sync Protocol
+// ===================
+//
+// ISyncProtocol for HTTP servers, using fetch() and the poll pattern. Registered as "fetch":
+//
+//   db.syncable.connect("fetch", "https://example.com/sync", {headers: {...}});
+//
+// Or created with settings and registered under a name of your own:
+//
+//   Dexie.Syncable.registerSyncProtocol("myserver", Dexie.Syncable.createFetchSyncProtocol({
+//       headers: url => ({Authorization: "Bearer " + getToken()}),
+//       pollInterval: 30000
+//   }));
+//
+// Each sync is a POST of JSON to the url:
+//
+//   {clientIdentity, baseRevision, partial, changes, syncedRevision}
+//
+// where clientIdentity is null until the server has given one. The server responds with:
+//
+//   {success, errorMessage, changes, currentRevision, partial, needsResync, clientIdentity}
+//
+// The same format as of the Ajax sample in samples/remote-sync/ajax.
+//
+
+const _global = typeof self !== 'undefined' ? self : typeof global !== 'undefined' ? global : {};
+
+const DEFAULT_SETTINGS = {
+  // Milliseconds between polls.
+  pollInterval: 10000,
+  // Milliseconds before retrying the first time a request failed. Doubled for each failure in a row.
+  retryInterval: 1000,
+  // Most milliseconds before retrying.
+  maxRetryInterval: 5 * 60000,
+  // Milliseconds before aborting a request.
+  timeout: 30000,
+  // Most local changes to send per request.
+  partialsThreshold: 1000,
+  // Headers to send, or a function given url and options returning them or a promise of them.
+  headers: null,
+  // fetch() to use. The global one if not given.
+  fetch: null
+};
+
+/** HTTP statuses worth retrying after. Others, such as of a failed authentication, are not
+ * expected to change without action.
+ */
+function isTemporary(status) {
+  return status >= 500 || status === 408 || status === 429;
+}
+
+function byteLength(text) {
+  // Length of text in UTF-8
+  return encodeURIComponent(text).replace(/%[0-9A-F]{2}/g, '_').length;
+}
+
+export default function createFetchSyncProtocol(settings) {
+  /// <summary>
+  ///   Create an ISyncProtocol syncing with HTTP servers using fetch().
+  /// </summary>
+  /// <param name="settings" type="Object" optional="true">See DEFAULT_SETTINGS</param>
+  settings = Dexie.extend(Dexie.extend({}, DEFAULT_SETTINGS), settings || {});
+  const failuresByUrl = {}; // Requests failed in a row by url.
+
+  function getHeaders(url, options) {
+    return Dexie.Promise.resolve(typeof settings.headers === 'function' ?
+      settings.headers(url, options) :
+      settings.headers
+    ).then(headers => Dexie.extend(Dexie.extend({
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    }, headers || {}), options.headers || {}));
+  }
+
+  function post(url, options, request, onBytesTransferred) {
+    const fetch = settings.fetch || _global.fetch;
+    if (!fetch) return Dexie.Promise.reject(new Error("Dexie.Syncable: fetch() is not available"));
+    const timeout = options.timeout || settings.timeout;
+    const body = JSON.stringify(request);
+    return getHeaders(url, options).then(headers => new Dexie.Promise((resolve, reject) => {
+      const controller = _global.AbortController ? new _global.AbortController() : null;
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        if (controller) controller.abort();
+        reject(new Dexie.TimeoutError(`Dexie.Syncable: No response from ${url} within ${timeout} ms`));
+      }, timeout);
+      Dexie.Promise.resolve(fetch(url, {
+        method: 'POST',
+        headers: headers,
+        body: body,
+        signal: controller ? controller.signal : undefined
+      })).then(response => {
+        if (!response.ok) {
+          const error = new Error(`Dexie.Syncable: ${url} responded ${response.status} ${response.statusText || ''}`);
+          error.status = response.status;
+          throw error;
+        }
+        return response.text();
+      }).then(text => {
+        if (onBytesTransferred) onBytesTransferred(byteLength(body), byteLength(text));
+        return JSON.parse(text);
+      }).then(resolve, error => {
+        // Rejected with the TimeoutError already. Rejecting again would report the abort as unhandled.
+        if (!timedOut) reject(error);
+      }).finally(() => clearTimeout(timer));
+    }));
+  }
+
+  return {
+    partialsThreshold: settings.partialsThreshold,
+
+    sync(context, url, options, baseRevision, syncedRevision, changes, partial, applyRemoteChanges, onChangesAccepted, onSuccess, onError, onBytesTransferred) {
+      /// <param name="context" type="IPersistedContext"></param>
+      /// <param name="url" type="String"></param>
+      /// <param name="changes" type="Array" elementType="IDatabaseChange"></param>
+      /// <param name="applyRemoteChanges" value="function (changes, lastRevision, partial, clear) {}"></param>
+      /// <param name="onSuccess" value="function (continuation) {}"></param>
+      /// <param name="onError" value="function (error, again) {}"></param>
+      /// <param name="onBytesTransferred" value="function (bytesUploaded, bytesDownloaded) {}" optional="true"></param>
+      const pollInterval = options.pollInterval || settings.pollInterval;
+
+      post(url, options, {
+        clientIdentity: context.clientIdentity || null,
+        baseRevision: baseRevision,
+        partial: partial,
+        changes: changes,
+        syncedRevision: syncedRevision
+      }, onBytesTransferred).then(data => {
+        failuresByUrl[url] = 0;
+        if (!data.success) {
+          onError(data.errorMessage, Infinity); // The server would give the same error again.
+          return;
+        }
+        // Make sure to save the clientIdentity given by the server before applying the changes.
+        // Without it, we could not continue a partial sync.
+        if ('clientIdentity' in data) context.clientIdentity = data.clientIdentity;
+        return Dexie.Promise.resolve(context.save())
+          .then(() => {
+            // Since we got success, we also know that server accepted our changes:
+            onChangesAccepted();
+            return applyRemoteChanges(data.changes, data.currentRevision, data.partial, data.needsResync);
+          }).then(() => {
+            // Get the rest of the changes of a partial response at once.
+            onSuccess({again: data.partial ? 0 : pollInterval});
+          }, error => {
+            onError(error, Infinity);
+          });
+      }, error => {
+        if ('status' in error && !isTemporary(error.status)) {
+          onError(error, Infinity);
+          return;
+        }
+        // Network down, server unreachable, overloaded or slow. Back off exponentially.
+        const failures = failuresByUrl[url] = (failuresByUrl[url] || 0) + 1;
+        onError(error, Math.min(settings.retryInterval * Math.pow(2, failures - 1), settings.maxRetryInterval));
+      });
+    }
+  };
+}
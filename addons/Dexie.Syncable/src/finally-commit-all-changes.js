@@ -1,8 +1,10 @@
 import Dexie from 'dexie';
 import initApplyChanges from './apply-changes';
+import initResolveConflicts from './resolve-conflicts';
 
 export default function initFinallyCommitAllChanges(db, node) {
   const applyChanges = initApplyChanges(db);
+  const resolveConflicts = initResolveConflicts(db, node);
 
   return function finallyCommitAllChanges(changes, remoteRevision) {
     // 1. Open a write transaction on all tables in DB
@@ -19,15 +21,16 @@ export default function initFinallyCommitAllChanges(db, node) {
       }).then(() => {
         // Specify the source. Important for the change consumer to ignore changes originated from self!
         trans.source = node.id;
-        // 2. Apply uncommitted changes and delete each uncommitted change
+        // 2. Get the uncommitted changes, to apply and then delete
         return db._uncommittedChanges.where('node').equals(node.id).toArray();
       }).then(function (uncommittedChanges) {
-        return applyChanges(uncommittedChanges, 0);
+        // 3. Resolve conflicts with local changes not yet synced. Then apply the uncommitted changes
+        // followed by the last chunk of changes.
+        return resolveConflicts(uncommittedChanges.concat(changes));
+      }).then(function (changesToApply) {
+        return applyChanges(changesToApply, 0);
       }).then(function () {
         return db._uncommittedChanges.where('node').equals(node.id).delete();
-      }).then(function () {
-        // 3. Apply last chunk of changes
-        return applyChanges(changes, 0);
       }).then(function () {
         // Get what revision we are at now:
         return db._changes.orderBy('rev').last();
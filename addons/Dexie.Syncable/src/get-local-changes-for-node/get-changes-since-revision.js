@@ -1,5 +1,5 @@
-import {CREATE, UPDATE} from '../change_types';
 import mergeChange from '../merge-change';
+import initSyncFilter from './sync-filter';
 
 export default function initGetChangesSinceRevision(db, node, hasMoreToGive) {
   return function getChangesSinceRevision(revision, maxChanges, maxRevision, cb) {
@@ -9,6 +9,7 @@ export default function initGetChangesSinceRevision(db, node, hasMoreToGive) {
     var partial = false;
     var ignoreSource = node.id;
     var nextRevision = revision;
+    var syncFilter = initSyncFilter(db, node);
     return db.transaction('r', db._changes, function () {
       var query = db._changes.where('rev').between(revision, maxRevision, false, true);
       return query.until(() => {
@@ -21,16 +22,10 @@ export default function initGetChangesSinceRevision(db, node, hasMoreToGive) {
         nextRevision = change.rev;
         // change.source is set based on currentTransaction.source
         if (change.source === ignoreSource) return;
-        // Our _changes table contains more info than required (old objs, source etc). Just make sure to include the necessary info:
-        var changeToSend = {
-          type: change.type,
-          table: change.table,
-          key: change.key
-        };
-        if (change.type === CREATE)
-          changeToSend.obj = change.obj;
-        else if (change.type === UPDATE)
-          changeToSend.mods = change.mods;
+        // Skip changes filtered away by the syncOptions of the node. Like those of the source,
+        // they are acknowledged by nextRevision and so don't block garbage collection.
+        var changeToSend = syncFilter.changeToSend(change);
+        if (!changeToSend) return;
 
         var id = change.table + ":" + change.key;
         var prevChange = changeSet[id];
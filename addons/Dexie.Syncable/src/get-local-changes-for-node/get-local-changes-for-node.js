@@ -3,6 +3,7 @@ import Dexie from 'dexie';
 import getBaseRevisionAndMaxClientRevision from './get-base-revision-and-max-client-revision';
 import initGetChangesSinceRevision from './get-changes-since-revision';
 import initGetTableObjectsAsChanges from './get-table-objects-as-changes';
+import initSyncFilter from './sync-filter';
 
 export default function initGetLocalChangesForNode(db, hasMoreToGive, partialsThreshold) {
   var MAX_CHANGES_PER_CHUNK = partialsThreshold;
@@ -31,8 +32,9 @@ export default function initGetLocalChangesForNode(db, hasMoreToGive, partialsTh
       // Check if we're in the middle of already doing that:
       if (node.dbUploadState === null) {
         // Initialize dbUploadState
+        var syncFilter = initSyncFilter(db, node);
         var tablesToUpload = db.tables.filter(function (table) {
-          return table.schema.observable;
+          return table.schema.observable && syncFilter.isTableSynced(table.name);
         }).map(function (table) {
           return table.name;
         });
@@ -1,7 +1,10 @@
 import {CREATE} from '../change_types';
 import getBaseRevisionAndMaxClientRevision from './get-base-revision-and-max-client-revision';
+import initSyncFilter from './sync-filter';
 
 export default function initGetTableObjectsAsChanges(db, node, MAX_CHANGES_PER_CHUNK, getChangesSinceRevision, hasMoreToGive, cb) {
+  const syncFilter = initSyncFilter(db, node);
+
   return function getTableObjectsAsChanges(state, changes, collection) {
     /// <param name="state" value="{tablesToUpload:[''],currentTable:'_changes',currentKey:null,localBaseRevision:0}"></param>
     /// <param name="changes" type="Array" elementType="IDatabaseChange"></param>
@@ -13,13 +16,14 @@ export default function initGetTableObjectsAsChanges(db, node, MAX_CHANGES_PER_C
         return true;
       }
     }).each(function (item, cursor) {
+      state.currentKey = cursor.key;
+      if (!syncFilter.isObjectSynced(state.currentTable, cursor.value)) return;
       changes.push({
         type: CREATE,
         table: state.currentTable,
         key: cursor.key,
         obj: cursor.value
       });
-      state.currentKey = cursor.key;
     }).then(function () {
       if (limitReached) {
         // Limit reached. Send partial result.
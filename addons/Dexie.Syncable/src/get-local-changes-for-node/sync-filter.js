@@ -0,0 +1,59 @@
+import {CREATE, UPDATE} from '../change_types';
+
+export default function initSyncFilter(db, node) {
+  /// <summary>
+  ///   Get what to upload to given node, as set by its syncOptions:
+  ///
+  ///     tables: Names of the tables to sync. All observable tables if not given.
+  ///     excludeTables: Names of tables not to sync.
+  ///     filters: Name of a filter in db.syncable.filters by table name. Only the objects of
+  ///       the table that the filter returns true for are synced.
+  /// </summary>
+  /// <param name="node" type="db.observable.SyncNode"></param>
+  const options = node.syncOptions || {};
+  const filterNames = options.filters || {};
+
+  function isTableSynced(tableName) {
+    return (!options.tables || options.tables.indexOf(tableName) !== -1) &&
+      (!options.excludeTables || options.excludeTables.indexOf(tableName) === -1);
+  }
+
+  function isObjectSynced(tableName, obj) {
+    if (!filterNames.hasOwnProperty(tableName)) return true;
+    const filter = ((db.syncable && db.syncable.filters) || {})[filterNames[tableName]];
+    if (!filter) throw new Error(`Dexie.Syncable: Filter '${filterNames[tableName]}' is not in db.syncable.filters`);
+    return obj !== undefined && !!filter(obj, tableName);
+  }
+
+  function changeToSend(change) {
+    /// <summary>
+    ///   Get given change from _changes the way to send it, or null if not to send it. An
+    ///   update making an object pass the filter is sent as a create. An update making it
+    ///   fail the filter is sent for the node to learn about it.
+    /// </summary>
+    if (!isTableSynced(change.table)) return null;
+    const wasSynced = change.type !== CREATE && isObjectSynced(change.table, change.oldObj);
+    const isSynced = change.type === CREATE || change.type === UPDATE ?
+      isObjectSynced(change.table, change.obj) :
+      false;
+    if (!wasSynced && !isSynced) return null;
+    // Our _changes table contains more info than required (old objs, source etc). Just make sure to include the necessary info:
+    const type = wasSynced ? change.type : CREATE;
+    const changeToSend = {
+      type: type,
+      table: change.table,
+      key: change.key
+    };
+    if (type === CREATE)
+      changeToSend.obj = change.obj;
+    else if (type === UPDATE)
+      changeToSend.mods = change.mods;
+    return changeToSend;
+  }
+
+  return {
+    isTableSynced: isTableSynced,
+    isObjectSynced: isObjectSynced,
+    changeToSend: changeToSend
+  };
+}
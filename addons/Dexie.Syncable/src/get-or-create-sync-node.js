@@ -16,6 +16,7 @@ export default function initGetOrCreateSyncNode(db, protocolName, url) {
           // Node already there. Make syncContext become an instance of PersistedContext:
           node.syncContext = new PersistedContext(node.id, node.syncContext);
           node.syncProtocol = protocolName; // In case it was changed (would be very strange but...) could happen...
+          node.syncOptions = options; // In case the tables or filters to sync were changed.
           db._syncNodes.put(node);
         } else {
           // Create new node and sync everything
@@ -29,6 +30,7 @@ export default function initGetOrCreateSyncNode(db, protocolName, url) {
           node.syncOptions = options;
           node.lastHeartBeat = Date.now();
           node.dbUploadState = null;
+          node.lastSuccessfulSync = null;
           const PersistedContext = initPersistedContext(node);
           Dexie.Promise.resolve(function () {
             // If options.initialUpload is explicitely false, set myRevision to currentRevision.
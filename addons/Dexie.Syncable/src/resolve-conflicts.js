@@ -0,0 +1,83 @@
+import Dexie from 'dexie';
+import { CREATE, DELETE } from './change_types';
+import mergeChange from './merge-change';
+import initApplyChanges from './apply-changes';
+
+function applyMods(obj, mods) {
+  if (obj === undefined) return undefined;
+  obj = Dexie.deepClone(obj);
+  Object.keys(mods).forEach(keyPath => {
+    Dexie.setByKeyPath(obj, keyPath, mods[keyPath]);
+  });
+  return obj;
+}
+
+function changeInto(change, obj) {
+  return obj === undefined ?
+    { type: DELETE, table: change.table, key: change.key } :
+    { type: CREATE, table: change.table, key: change.key, obj: obj };
+}
+
+export default function initResolveConflicts(db, node) {
+  const applyChanges = initApplyChanges(db);
+
+  return function resolveConflicts(changes) {
+    /// <summary>
+    ///   Resolve the remote changes to objects with local changes not yet sent to node, using the
+    ///   resolvers of db.syncable.conflictResolvers. Must be called within a transaction with
+    ///   source node.id. Resolves with the remote changes left to apply.
+    /// </summary>
+    /// <param name="changes" type="Array">Remote changes to apply.</param>
+    const resolvers = (db.syncable && db.syncable.conflictResolvers) || {};
+    if (!changes.some(change => resolvers[change.table])) return Dexie.Promise.resolve(changes);
+    const trans = Dexie.currentTransaction;
+    const localChanges = {}; // Local changes not yet synced by table:key
+    return db._changes.where('rev').above(node.myRevision || 0).filter(change =>
+      change.source !== node.id && resolvers.hasOwnProperty(change.table)
+    ).each(change => {
+      const id = change.table + ":" + change.key;
+      (localChanges[id] || (localChanges[id] = [])).push(change);
+    }).then(() => {
+      // Merge the remote changes of each conflicting object into one.
+      const remoteChanges = {};
+      const changesToApply = changes.filter(change => {
+        const id = change.table + ":" + change.key;
+        if (!localChanges[id]) return true;
+        remoteChanges[id] = remoteChanges[id] ? mergeChange(remoteChanges[id], change) : change;
+        return false;
+      });
+      const ids = Object.keys(remoteChanges);
+      return Dexie.Promise.all(ids.map(id =>
+        db.table(remoteChanges[id].table).where(':id').equals(remoteChanges[id].key).raw().first()
+      )).then(localObjs => {
+        const localRevisions = [], serverStates = [], resolutions = [];
+        ids.forEach((id, i) => {
+          const remoteChange = remoteChanges[id];
+          const localObj = localObjs[i];
+          const firstLocalChange = localChanges[id][0];
+          const baseObj = firstLocalChange.type === CREATE ? undefined : firstLocalChange.oldObj;
+          const remoteObj =
+            remoteChange.type === CREATE ? remoteChange.obj :
+            remoteChange.type === DELETE ? undefined :
+            applyMods(baseObj || localObj, remoteChange.mods);
+          const resolvedObj = resolvers[remoteChange.table](localObj, remoteObj, baseObj);
+          localChanges[id].forEach(change => localRevisions.push(change.rev));
+          serverStates.push(changeInto(remoteChange, remoteObj));
+          if (resolvedObj !== remoteObj) resolutions.push(changeInto(remoteChange, resolvedObj));
+        });
+        // The resolutions supersede the local changes. Mark those as from node so that they
+        // won't be sent to it. Then update the objects to what node has and record the
+        // resolutions as local changes, so that they will be sent.
+        return db._changes.where('rev').anyOf(localRevisions).modify({source: node.id}).then(() => {
+          return applyChanges(serverStates, 0);
+        }).then(() => {
+          trans.source = null;
+          return applyChanges(resolutions, 0);
+        }).then(() => {
+          trans.source = node.id;
+          return changesToApply;
+        });
+      });
+    });
+  };
+}
@@ -0,0 +1,125 @@
+import Dexie from 'dexie';
+import {Statuses} from './statuses';
+
+function initialState() {
+  return {
+    syncing: false,
+    lastSyncStarted: null,
+    changesUploaded: 0,
+    changesApplied: 0,
+    bytesUploaded: null,
+    bytesDownloaded: null,
+    lastError: null
+  };
+}
+
+export default function initSyncState(db) {
+  // What we know about the syncing with each url that isn't persisted on its SyncNode. Kept by
+  // the master node, which does the syncing, and broadcast to the other local nodes.
+  const states = {};
+  // Counts reported between syncs, such as of the bytes of changes pushed by a server before
+  // they are applied. Added to those of the next sync.
+  const pendingCounts = {};
+
+  function getSyncState(url, node) {
+    /// <summary>
+    ///   Get the state of syncing with given url.
+    /// </summary>
+    /// <param name="node" type="db.observable.SyncNode">The remote node of url, if any.</param>
+    const uploadState = node && node.dbUploadState;
+    return Dexie.extend(Dexie.extend({url: url}, states[url] || initialState()), {
+      status: node ? node.status : Statuses.OFFLINE,
+      lastSuccessfulSync: (node && node.lastSuccessfulSync) || null,
+      // Tables left to upload of the initial upload, the one being uploaded first.
+      tablesToUpload: uploadState ? [uploadState.currentTable].concat(uploadState.tablesToUpload) : []
+    });
+  }
+
+  function change(node, modifications, eventName) {
+    const url = node.url;
+    states[url] = Dexie.extend(Dexie.extend(initialState(), states[url] || {}), modifications);
+    const state = getSyncState(url, node);
+    fire(eventName, state);
+    db.observable.broadcastMessage("syncStateChanged", {eventName: eventName, state: state}, false);
+  }
+
+  function fire(eventName, state) {
+    if (eventName) db.syncable.on[eventName].fire(state, state.url);
+    db.syncable.on.syncStateChanged.fire(state, state.url);
+  }
+
+  return {
+    get: getSyncState,
+
+    started(node) {
+      /// <summary>
+      ///   Begin a sync with given remote node unless one is going on. Returns whether it began.
+      /// </summary>
+      if (states[node.url] && states[node.url].syncing) return false;
+      change(node, Dexie.extend({
+        syncing: true,
+        lastSyncStarted: Date.now(),
+        changesUploaded: 0,
+        changesApplied: 0,
+        bytesUploaded: null,
+        bytesDownloaded: null,
+        lastError: null
+      }, pendingCounts[node.url] || {}), 'syncStarted');
+      delete pendingCounts[node.url];
+      return true;
+    },
+
+    progress(node, counts) {
+      /// <summary>
+      ///   Add given counts of changes or bytes to those of the sync going on.
+      /// </summary>
+      /// <param name="counts">changesUploaded, changesApplied, bytesUploaded or bytesDownloaded</param>
+      const syncing = states[node.url] && states[node.url].syncing;
+      const state = syncing ? states[node.url] : pendingCounts[node.url] || {};
+      const modifications = {};
+      Object.keys(counts).forEach(name => {
+        modifications[name] = (state[name] || 0) + counts[name];
+      });
+      if (syncing)
+        change(node, modifications, null);
+      else
+        pendingCounts[node.url] = Dexie.extend(state, modifications);
+    },
+
+    completed(node) {
+      /// <summary>
+      ///   End the sync going on with given remote node, now in sync with it. The time is
+      ///   persisted as node.lastSuccessfulSync.
+      /// </summary>
+      if (!states[node.url] || !states[node.url].syncing) return;
+      node.lastSuccessfulSync = Date.now();
+      node.save().catch('DatabaseClosedError', ()=> {
+      });
+      change(node, {syncing: false}, 'syncCompleted');
+    },
+
+    failed(node, error) {
+      /// <summary>
+      ///   End the sync going on with given remote node without getting in sync.
+      /// </summary>
+      if (!states[node.url] || !states[node.url].syncing) return;
+      change(node, {syncing: false, lastError: error ? error.message || String(error) : null}, null);
+    },
+
+    statusChanged(node) {
+      change(node, {}, null);
+    },
+
+    received(message) {
+      /// <summary>
+      ///   Handle a "syncStateChanged" message from the master node.
+      /// </summary>
+      const state = message.state;
+      states[state.url] = Object.keys(initialState()).reduce((runtimeState, name) => {
+        runtimeState[name] = state[name];
+        return runtimeState;
+      }, {});
+      fire(message.eventName, state);
+    }
+  };
+}
@@ -119,3 +119,33 @@ function statusChanged(status: number, url: string) {
 db.syncable.on('statusChanged', statusChanged);
 db.syncable.on('statusChanged').unsubscribe(statusChanged);
 
+db.syncable.getSyncState("myUrl").then(state => {
+    state.changesUploaded.toFixed();
+    state.tablesToUpload.forEach(table => table.toLowerCase());
+    if (state.lastSuccessfulSync !== null) new Date(state.lastSuccessfulSync);
+});
+db.syncable.on('syncCompleted', (state, url) => {
+    state.changesApplied.toFixed();
+    url.toLowerCase();
+});
+db.syncable.on('syncStateChanged', state => state.syncing);
+
+
+db.syncable.conflictResolvers['foo'] = Dexie.Syncable.resolvers.lastWriterWins('updatedAt');
+db.syncable.conflictResolvers['bar'] = Dexie.Syncable.resolvers.mergeFields;
+db.syncable.conflictResolvers['baz'] = (local, remote, base) => local || remote;
+
+db.syncable.filters['mine'] = (obj, tableName) => obj.ownerId === 'me' && tableName === 'foo';
+db.syncable.connect("myProtocol", "https://remote-server/...", {
+    tables: ['foo'],
+    excludeTables: ['bar'],
+    filters: {foo: 'mine'},
+    anyOption: 'anyValue'
+});
+
+Dexie.Syncable.registerSyncProtocol("myFetch", Dexie.Syncable.createFetchSyncProtocol({
+    pollInterval: 30000,
+    timeout: 5000,
+    headers: url => Promise.resolve({Authorization: 'Bearer ' + url})
+}));
+db.syncable.connect("fetch", "https://remote-server/sync", {headers: {Authorization: 'Bearer x'}});
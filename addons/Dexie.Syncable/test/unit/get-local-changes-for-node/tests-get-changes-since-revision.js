@@ -297,3 +297,33 @@ asyncTest('should set hasMoreToGive to true but give no changes if maxChanges is
       })
       .finally(start);
 });
+
+asyncTest('should skip changes filtered away by the syncOptions of the node but acknowledge them', () => {
+  const changesToAdd = [
+    {rev: 1, key: 1, type: CREATE, source: 2, table: 'foo', obj: {id: 1, shared: true}},
+    {rev: 2, key: 2, type: CREATE, source: 2, table: 'foo', obj: {id: 2}},
+    {rev: 3, key: 2, type: UPDATE, source: 2, table: 'foo', mods: {shared: true}, oldObj: {id: 2}, obj: {id: 2, shared: true}},
+    {rev: 4, key: 3, type: CREATE, source: 2, table: 'bar', obj: {id: 3, shared: true}}
+  ];
+  syncNode.syncOptions = {excludeTables: ['bar'], filters: {foo: 'shared'}};
+  db.syncable = {filters: {shared: obj => obj.shared}};
+  function cb(changes, partial, revisionObject) {
+    deepEqual(changes, [
+      {type: CREATE, table: 'foo', key: 1, obj: {id: 1, shared: true}},
+      {type: CREATE, table: 'foo', key: 2, obj: {id: 2, shared: true}}
+    ], 'An update making an object pass the filter is sent as a create');
+    strictEqual(revisionObject.myRevision, 4, 'All changes acknowledged');
+  }
+  db._changes.bulkAdd(changesToAdd)
+    .then(() => {
+      return getChangesSinceRevision(0, Infinity, Infinity, cb);
+    })
+    .catch(function(err) {
+      ok(false, "Error: " + err);
+    })
+    .finally(() => {
+      delete syncNode.syncOptions;
+      delete db.syncable;
+      start();
+    });
+});
@@ -172,3 +172,36 @@ asyncTest('should not return any changed if the threshold is 0 but should set ha
       })
       .finally(start);
 });
+
+asyncTest('should only upload the tables and objects that the syncOptions of the node include', () => {
+  syncNode.myRevision = -1;
+  syncNode.dbUploadState = null;
+  syncNode.remoteBaseRevisions = [];
+  syncNode.syncOptions = {tables: ['foo', 'bar'], excludeTables: ['bar'], filters: {foo: 'even'}};
+  db.syncable = {filters: {even: obj => obj.id % 2 === 0}};
+  hasMoreToGive.hasMoreToGive = false;
+  const getLocalChangesForNode = initGetLocalChangesForNode(db, hasMoreToGive, 10);
+  function cb(changes/*, remoteBaseRevision, partial, nodeModificationsOnAck*/) {
+    deepEqual(changes, [{
+      key: 2,
+      obj: {id: 2},
+      type: CREATE,
+      table: 'foo'
+    }], 'Only the even objects of foo');
+  }
+  db.foo.bulkAdd([{id: 1}, {id: 2}, {id: 3}])
+    .then(() => {
+      return db.bar.add({id: 2});
+    })
+    .then(() => {
+      return getLocalChangesForNode(syncNode, cb);
+    })
+    .catch(function(err) {
+      ok(false, "Error: " + err);
+    })
+    .finally(() => {
+      delete syncNode.syncOptions;
+      delete db.syncable;
+      start();
+    });
+});
@@ -0,0 +1,47 @@
+import {module, test, strictEqual, deepEqual, ok, raises} from 'QUnit';
+import initSyncFilter from '../../../src/get-local-changes-for-node/sync-filter';
+import {CREATE, DELETE, UPDATE} from '../../../src/change_types';
+
+const db = {syncable: {filters: {shared: (obj, tableName) => tableName === 'foo' && obj.shared}}};
+
+module('syncFilter');
+
+test('should include all tables and objects without syncOptions', () => {
+  const syncFilter = initSyncFilter(db, {});
+  ok(syncFilter.isTableSynced('foo'), 'Table included');
+  ok(syncFilter.isObjectSynced('foo', {id: 1}), 'Object included');
+  deepEqual(syncFilter.changeToSend({rev: 1, source: 2, type: DELETE, table: 'foo', key: 1, oldObj: {id: 1}}),
+    {type: DELETE, table: 'foo', key: 1}, 'Only the necessary info is sent');
+});
+
+test('should include the tables given and not those excluded', () => {
+  const syncFilter = initSyncFilter(db, {syncOptions: {tables: ['foo', 'bar'], excludeTables: ['bar']}});
+  ok(syncFilter.isTableSynced('foo'), 'foo');
+  ok(!syncFilter.isTableSynced('bar'), 'bar is excluded');
+  ok(!syncFilter.isTableSynced('baz'), 'baz is not included');
+  strictEqual(syncFilter.changeToSend({type: CREATE, table: 'baz', key: 1, obj: {id: 1}}), null, 'Changes of baz');
+});
+
+test('should send the changes of objects passing the filter', () => {
+  const syncFilter = initSyncFilter(db, {syncOptions: {filters: {foo: 'shared'}}});
+  const shared = {id: 1, shared: true};
+  const notShared = {id: 1};
+  deepEqual(syncFilter.changeToSend({type: CREATE, table: 'foo', key: 1, obj: shared}),
+    {type: CREATE, table: 'foo', key: 1, obj: shared}, 'Create');
+  strictEqual(syncFilter.changeToSend({type: CREATE, table: 'foo', key: 1, obj: notShared}), null, 'Create filtered away');
+  deepEqual(syncFilter.changeToSend({type: UPDATE, table: 'foo', key: 1, mods: {shared: false}, oldObj: shared, obj: notShared}),
+    {type: UPDATE, table: 'foo', key: 1, mods: {shared: false}}, 'Update making the object fail the filter');
+  deepEqual(syncFilter.changeToSend({type: UPDATE, table: 'foo', key: 1, mods: {shared: true}, oldObj: notShared, obj: shared}),
+    {type: CREATE, table: 'foo', key: 1, obj: shared}, 'Update making the object pass the filter');
+  strictEqual(syncFilter.changeToSend({type: UPDATE, table: 'foo', key: 1, mods: {a: 1}, oldObj: notShared, obj: notShared}),
+    null, 'Update filtered away');
+  deepEqual(syncFilter.changeToSend({type: DELETE, table: 'foo', key: 1, oldObj: shared}),
+    {type: DELETE, table: 'foo', key: 1}, 'Delete');
+  strictEqual(syncFilter.changeToSend({type: DELETE, table: 'foo', key: 1, oldObj: notShared}), null, 'Delete filtered away');
+  ok(syncFilter.isObjectSynced('bar', notShared), 'Tables without filter');
+});
+
+test('should fail on filters not in db.syncable.filters', () => {
+  const syncFilter = initSyncFilter(db, {syncOptions: {filters: {foo: 'unknown'}}});
+  raises(() => syncFilter.isObjectSynced('foo', {id: 1}), /unknown/);
+});
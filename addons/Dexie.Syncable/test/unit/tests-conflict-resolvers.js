@@ -0,0 +1,41 @@
+import {module, test, strictEqual, deepEqual} from 'QUnit';
+import {lastWriterWins, mergeFields} from '../../src/conflict-resolvers';
+
+module('conflictResolvers');
+
+test('lastWriterWins should keep the object with the later timestamp', () => {
+  const resolve = lastWriterWins('updatedAt');
+  const older = {id: 1, updatedAt: 1};
+  const newer = {id: 1, updatedAt: 2};
+  strictEqual(resolve(newer, older), newer, 'Local object is newer');
+  strictEqual(resolve(older, newer), newer, 'Remote object is newer');
+  strictEqual(resolve(newer, {id: 1, updatedAt: 2}).updatedAt, 2, 'Tie');
+  strictEqual(resolve({id: 1}, older), older, 'Remote object wins over local object without timestamp');
+  const dated = {id: 1, updatedAt: new Date(2)};
+  strictEqual(resolve(dated, {id: 1, updatedAt: new Date(1)}), dated, 'Dates');
+});
+
+test('lastWriterWins should let deletions win', () => {
+  const resolve = lastWriterWins('updatedAt');
+  strictEqual(resolve(undefined, {id: 1, updatedAt: 2}), undefined, 'Deleted locally');
+  strictEqual(resolve({id: 1, updatedAt: 2}, undefined), undefined, 'Deleted remotely');
+});
+
+test('mergeFields should merge the properties changed on either side', () => {
+  const base = {id: 1, a: 1, b: 1, c: {d: 1}, e: 1};
+  const local = {id: 1, a: 2, b: 1, c: {d: 1}, e: 1};
+  const remote = {id: 1, a: 1, b: 2, c: {d: 2}};
+  deepEqual(mergeFields(local, remote, base), {id: 1, a: 2, b: 2, c: {d: 2}}, 'Merged');
+  deepEqual(local, {id: 1, a: 2, b: 1, c: {d: 1}, e: 1}, 'Local object was not changed');
+});
+
+test('mergeFields should keep the local value of properties changed on both sides', () => {
+  deepEqual(mergeFields({id: 1, a: 2}, {id: 1, a: 3}, {id: 1, a: 1}), {id: 1, a: 2});
+  deepEqual(mergeFields({id: 1, a: 2}, {id: 1, a: 3, b: 1}, undefined), {id: 1, a: 2, b: 1},
+    'Objects created on both sides');
+});
+
+test('mergeFields should let deletions win', () => {
+  strictEqual(mergeFields(undefined, {id: 1, a: 3}, {id: 1, a: 1}), undefined, 'Deleted locally');
+  strictEqual(mergeFields({id: 1, a: 2}, undefined, {id: 1, a: 1}), undefined, 'Deleted remotely');
+});
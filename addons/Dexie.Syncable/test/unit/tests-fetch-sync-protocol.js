@@ -0,0 +1,183 @@
+import Dexie from 'dexie';
+import '../../src/Dexie.Syncable';
+import {module, asyncTest, test, start, strictEqual, deepEqual, ok} from 'QUnit';
+import createFetchSyncProtocol from '../../src/fetch-sync-protocol';
+import {CREATE} from '../../src/change_types';
+
+const url = 'https://sync.example.com/sync';
+
+function standInServer() {
+  /// <summary>
+  ///   In-process stand-in for a sync server, given to the protocol as fetch(). Responds the
+  ///   way the Ajax sample server does, or with the statuses queued in server.failures.
+  /// </summary>
+  const server = {
+    revision: 0,
+    changes: [], // Changes uploaded by clients, with their revision.
+    requests: [],
+    failures: [], // Statuses to respond with before responding normally. 0 never responds.
+    partial: false,
+    lastResponse: null,
+    fetch(fetchUrl, init) {
+      const request = JSON.parse(init.body);
+      server.requests.push({url: fetchUrl, init: init, request: request});
+      const failure = server.failures.shift();
+      if (failure === 0) return new Dexie.Promise(() => {});
+      if (failure) return Dexie.Promise.resolve({ok: false, status: failure, text: () => Dexie.Promise.resolve('{}')});
+      const changesToClient = server.changes.filter(change => change.rev > (request.syncedRevision || 0));
+      request.changes.forEach(change => {
+        server.changes.push(Dexie.extend({rev: ++server.revision}, change));
+      });
+      const response = server.lastResponse = JSON.stringify({
+        success: true,
+        changes: changesToClient.map(change => ({type: change.type, table: change.table, key: change.key, obj: change.obj})),
+        currentRevision: server.revision,
+        partial: server.partial,
+        needsResync: false,
+        clientIdentity: request.clientIdentity || 'client1'
+      });
+      return Dexie.Promise.resolve({ok: true, status: 200, text: () => Dexie.Promise.resolve(response)});
+    }
+  };
+  return server;
+}
+
+function sync(protocol, context, changes, options) {
+  /// <summary>
+  ///   Call protocol.sync() once. Resolves with what it called back.
+  /// </summary>
+  return new Dexie.Promise(resolve => {
+    const result = {accepted: false, applied: null, bytes: null};
+    protocol.sync(context, url, options || {}, null, context.syncedRevision || null, changes || [], false,
+      (changes, lastRevision, partial) => {
+        result.applied = {changes: changes, lastRevision: lastRevision, partial: partial};
+        context.syncedRevision = lastRevision;
+        return Dexie.Promise.resolve();
+      },
+      () => { result.accepted = true; },
+      continuation => { result.again = continuation.again; resolve(result); },
+      (error, again) => { result.error = error; result.again = again; resolve(result); },
+      (bytesUploaded, bytesDownloaded) => { result.bytes = [bytesUploaded, bytesDownloaded]; });
+  });
+}
+
+function persistedContext() {
+  return {saved: 0, save() { ++this.saved; return Dexie.Promise.resolve(); }};
+}
+
+module('fetchSyncProtocol');
+
+asyncTest('should upload the changes and apply the changes of the server', () => {
+  const server = standInServer();
+  const protocol = createFetchSyncProtocol({fetch: server.fetch, pollInterval: 5000});
+  const context = persistedContext();
+  server.changes.push({rev: ++server.revision, type: CREATE, table: 'foo', key: 1, obj: {id: 1}});
+  sync(protocol, context, [{type: CREATE, table: 'foo', key: 2, obj: {id: 2}}]).then(result => {
+    strictEqual(server.requests[0].init.method, 'POST', 'POST');
+    strictEqual(server.requests[0].request.clientIdentity, null, 'No clientIdentity yet');
+    strictEqual(server.changes.length, 2, 'Change uploaded');
+    ok(result.accepted, 'onChangesAccepted() called');
+    deepEqual(result.applied, {changes: [{type: CREATE, table: 'foo', key: 1, obj: {id: 1}}], lastRevision: 2, partial: false},
+      'Changes of the server applied');
+    strictEqual(context.clientIdentity, 'client1', 'clientIdentity given by the server');
+    strictEqual(context.saved, 1, 'context saved');
+    strictEqual(result.again, 5000, 'Poll again after pollInterval');
+    deepEqual(result.bytes, [server.requests[0].init.body.length, server.lastResponse.length], 'Bytes transferred');
+    return sync(protocol, context, [], {pollInterval: 1000});
+  }).then(result => {
+    strictEqual(server.requests[1].request.clientIdentity, 'client1', 'clientIdentity sent');
+    strictEqual(server.requests[1].request.syncedRevision, 2, 'syncedRevision sent');
+    deepEqual(result.applied.changes, [], 'Nothing new');
+    strictEqual(result.again, 1000, 'pollInterval option of connect()');
+  }).catch(e => {
+    ok(false, "Error: " + e.stack);
+  }).finally(start);
+});
+
+asyncTest('should send the headers of the settings and options', () => {
+  const server = standInServer();
+  const protocol = createFetchSyncProtocol({
+    fetch: server.fetch,
+    headers: (headersUrl, options) => Dexie.Promise.resolve({Authorization: 'Bearer ' + options.token, 'X-Url': headersUrl})
+  });
+  sync(protocol, persistedContext(), [], {token: 'abc', headers: {'X-Client': 'test'}}).then(() => {
+    const headers = server.requests[0].init.headers;
+    strictEqual(headers.Authorization, 'Bearer abc', 'Authorization header');
+    strictEqual(headers['X-Url'], url, 'Given the url');
+    strictEqual(headers['X-Client'], 'test', 'Header of the options');
+    strictEqual(headers['Content-Type'], 'application/json', 'Content-Type');
+  }).catch(e => {
+    ok(false, "Error: " + e.stack);
+  }).finally(start);
+});
+
+asyncTest('should sync again at once when the response is partial', () => {
+  const server = standInServer();
+  server.partial = true;
+  sync(createFetchSyncProtocol({fetch: server.fetch}), persistedContext()).then(result => {
+    strictEqual(result.applied.partial, true, 'Applied as partial');
+    strictEqual(result.again, 0, 'Again at once');
+  }).catch(e => {
+    ok(false, "Error: " + e.stack);
+  }).finally(start);
+});
+
+asyncTest('should back off exponentially from temporary failures', () => {
+  const server = standInServer();
+  const protocol = createFetchSyncProtocol({fetch: server.fetch, retryInterval: 100, maxRetryInterval: 300});
+  const context = persistedContext();
+  server.failures = [500, 503, 429, 502];
+  const agains = [];
+  const next = result => {
+    agains.push(result.again);
+    return sync(protocol, context);
+  };
+  sync(protocol, context).then(next).then(next).then(next).then(next).then(result => {
+    deepEqual(agains, [100, 200, 300, 300], 'Doubled until maxRetryInterval');
+    ok(!result.error, 'Succeeded');
+    server.failures = [500];
+    return sync(protocol, context);
+  }).then(result => {
+    strictEqual(result.again, 100, 'Back to retryInterval after success');
+    strictEqual(result.error.status, 500, 'Given the status');
+  }).catch(e => {
+    ok(false, "Error: " + e.stack);
+  }).finally(start);
+});
+
+asyncTest('should not retry failures that would happen again', () => {
+  const server = standInServer();
+  const protocol = createFetchSyncProtocol({fetch: server.fetch});
+  server.failures = [401];
+  sync(protocol, persistedContext()).then(result => {
+    strictEqual(result.again, Infinity, 'Authentication failure');
+    server.fetch = () => Dexie.Promise.resolve({ok: true, status: 200, text: () => '{"success":false,"errorMessage":"Invalid"}'});
+    return sync(createFetchSyncProtocol({fetch: server.fetch}), persistedContext());
+  }).then(result => {
+    strictEqual(result.error, 'Invalid', 'errorMessage of the server');
+    strictEqual(result.again, Infinity, 'Not unsuccessful again');
+  }).catch(e => {
+    ok(false, "Error: " + e.stack);
+  }).finally(start);
+});
+
+asyncTest('should abort requests not responded to in time', () => {
+  const server = standInServer();
+  const protocol = createFetchSyncProtocol({fetch: server.fetch, timeout: 5000, retryInterval: 100});
+  server.failures = [0];
+  sync(protocol, persistedContext(), [], {timeout: 10}).then(result => {
+    strictEqual(result.error.name, 'TimeoutError', 'TimeoutError');
+    strictEqual(result.again, 100, 'Retried');
+    const signal = server.requests[0].init.signal;
+    ok(!signal || signal.aborted, 'Request aborted');
+  }).catch(e => {
+    ok(false, "Error: " + e.stack);
+  }).finally(start);
+});
+
+test('should be registered as "fetch" with a partialsThreshold', () => {
+  const protocol = Dexie.Syncable.registeredProtocols.fetch;
+  ok(protocol, 'Registered');
+  strictEqual(protocol.partialsThreshold, 1000, 'partialsThreshold');
+  strictEqual(createFetchSyncProtocol({partialsThreshold: 10}).partialsThreshold, 10, 'Given partialsThreshold');
+});
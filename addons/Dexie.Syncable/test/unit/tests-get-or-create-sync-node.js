@@ -73,6 +73,7 @@ asyncTest('should return an existing node if one exists for the given URL', () =
       ok(node instanceof db.observable.SyncNode, 'returned node is instance of SyncNode');
       strictEqual(node.id, addedNodeID, 'We got the correct node back');
       propEqual(node.syncContext, {nodeID: addedNodeID}, 'syncContext contains the correct nodeID');
+      deepEqual(node.syncOptions, nodeOpts, 'syncOptions are the ones we passed');
       return db._syncNodes.get(addedNodeID);
     })
     .then((node) => {
@@ -0,0 +1,188 @@
+import Dexie from 'dexie';
+import 'dexie-observable';
+import {module, asyncTest, start, stop, strictEqual, deepEqual, ok} from 'QUnit';
+import {resetDatabase} from '../../../../../../test/dexie-unittest-utils';
+import initResolveConflicts from '../../src/resolve-conflicts';
+import {lastWriterWins, mergeFields} from '../../src/conflict-resolvers';
+import {CREATE, DELETE, UPDATE} from '../../src/change_types';
+
+const db = new Dexie('TestDBResolveConflicts');
+db.version(1).stores({
+  foo: "id",
+  bar: "id"
+});
+
+const nodeID = 1;
+
+let syncNode;
+let resolveConflicts;
+module('resolveConflicts', {
+  setup: () => {
+    stop();
+
+    syncNode = new db.observable.SyncNode();
+    syncNode.id = nodeID;
+    resolveConflicts = initResolveConflicts(db, syncNode);
+    db.syncable = {conflictResolvers: {}};
+
+    // Do a full DB reset to clean _changes table
+    db._hasBeenCreated = false;
+    resetDatabase(db).then(() => {
+      // An object synced with the node, then changed locally.
+      return db.foo.add({id: 1, a: 1, b: 1, updatedAt: 1});
+    }).then(() => {
+      return db._changes.orderBy('rev').last();
+    }).then(lastChange => {
+      syncNode.myRevision = lastChange.rev;
+      return db.foo.put({id: 1, a: 2, b: 1, updatedAt: 3});
+    }).catch(function (e) {
+      ok(false, "Error resetting database: " + e.stack);
+    }).finally(start);
+  },
+  teardown: () => {
+  }
+});
+
+function resolve(changes) {
+  return db.transaction('rw!', db.foo, db.bar, db._changes, () => {
+    Dexie.currentTransaction.source = nodeID;
+    return resolveConflicts(changes);
+  });
+}
+
+function changesToSend() {
+  return db._changes.where('rev').above(syncNode.myRevision)
+    .filter(change => change.source !== nodeID)
+    .toArray(changes => changes.map(change => ({type: change.type, key: change.key, mods: change.mods, obj: change.obj})));
+}
+
+asyncTest('should leave the changes as is without conflict resolvers', () => {
+  const changes = [{type: UPDATE, table: 'foo', key: 1, mods: {b: 2}}];
+  resolve(changes)
+    .then(changesToApply => {
+      strictEqual(changesToApply, changes);
+    })
+    .catch(function(err) {
+      ok(false, "Error: " + err);
+    })
+    .finally(start);
+});
+
+asyncTest('should only resolve changes to objects with local changes', () => {
+  db.syncable.conflictResolvers.foo = () => ok(false, 'Should not be called');
+  const changes = [
+    {type: CREATE, table: 'foo', key: 2, obj: {id: 2}},
+    {type: UPDATE, table: 'bar', key: 1, mods: {b: 2}}
+  ];
+  resolve(changes)
+    .then(changesToApply => {
+      deepEqual(changesToApply, changes);
+    })
+    .catch(function(err) {
+      ok(false, "Error: " + err);
+    })
+    .finally(start);
+});
+
+asyncTest('should call the resolver with the local, remote and base objects', () => {
+  db.syncable.conflictResolvers.foo = (local, remote, base) => {
+    deepEqual(local, {id: 1, a: 2, b: 1, updatedAt: 3}, 'local');
+    deepEqual(remote, {id: 1, a: 1, b: 2, updatedAt: 2}, 'remote');
+    deepEqual(base, {id: 1, a: 1, b: 1, updatedAt: 1}, 'base');
+    return remote;
+  };
+  resolve([{type: UPDATE, table: 'foo', key: 1, mods: {b: 2, updatedAt: 2}}])
+    .then(changesToApply => {
+      deepEqual(changesToApply, [], 'The conflicting change was applied');
+      return db.foo.get(1);
+    })
+    .then(obj => {
+      deepEqual(obj, {id: 1, a: 1, b: 2, updatedAt: 2}, 'Remote object kept');
+      return changesToSend();
+    })
+    .then(changes => {
+      deepEqual(changes, [], 'The local changes will not be sent');
+    })
+    .catch(function(err) {
+      ok(false, "Error: " + err);
+    })
+    .finally(start);
+});
+
+asyncTest('should merge the remote changes of an object', () => {
+  db.syncable.conflictResolvers.foo = (local, remote) => {
+    deepEqual(remote, {id: 1, a: 1, b: 3, updatedAt: 1}, 'remote');
+    return remote;
+  };
+  resolve([
+    {type: UPDATE, table: 'foo', key: 1, mods: {b: 2}},
+    {type: UPDATE, table: 'foo', key: 1, mods: {b: 3}}
+  ])
+    .catch(function(err) {
+      ok(false, "Error: " + err);
+    })
+    .finally(start);
+});
+
+asyncTest('should send the resolution to the node', () => {
+  db.syncable.conflictResolvers.foo = mergeFields;
+  resolve([{type: UPDATE, table: 'foo', key: 1, mods: {b: 2, updatedAt: 2}}])
+    .then(() => {
+      return db.foo.get(1);
+    })
+    .then(obj => {
+      deepEqual(obj, {id: 1, a: 2, b: 2, updatedAt: 3}, 'Merged object');
+      return changesToSend();
+    })
+    .then(changes => {
+      deepEqual(changes, [{
+        type: UPDATE,
+        key: 1,
+        mods: {a: 2, updatedAt: 3},
+        obj: {id: 1, a: 2, b: 2, updatedAt: 3}
+      }], 'The changes from the remote object to the merged one will be sent');
+    })
+    .catch(function(err) {
+      ok(false, "Error: " + err);
+    })
+    .finally(start);
+});
+
+asyncTest('should keep the local object', () => {
+  db.syncable.conflictResolvers.foo = lastWriterWins('updatedAt');
+  resolve([{type: CREATE, table: 'foo', key: 1, obj: {id: 1, c: 1, updatedAt: 2}}])
+    .then(() => {
+      return db.foo.get(1);
+    })
+    .then(obj => {
+      deepEqual(obj, {id: 1, a: 2, b: 1, updatedAt: 3}, 'Local object is newer');
+      return changesToSend();
+    })
+    .then(changes => {
+      strictEqual(changes.length, 1, 'One change to send');
+      deepEqual(changes[0].obj, {id: 1, a: 2, b: 1, updatedAt: 3}, 'Local object will be sent');
+    })
+    .catch(function(err) {
+      ok(false, "Error: " + err);
+    })
+    .finally(start);
+});
+
+asyncTest('should delete the object', () => {
+  db.syncable.conflictResolvers.foo = lastWriterWins('updatedAt');
+  resolve([{type: DELETE, table: 'foo', key: 1}])
+    .then(() => {
+      return db.foo.get(1);
+    })
+    .then(obj => {
+      strictEqual(obj, undefined, 'Deleted');
+      return changesToSend();
+    })
+    .then(changes => {
+      deepEqual(changes, [], 'Nothing to send');
+    })
+    .catch(function(err) {
+      ok(false, "Error: " + err);
+    })
+    .finally(start);
+});
@@ -0,0 +1,88 @@
+import Dexie from 'dexie';
+import 'dexie-observable';
+import '../../src/Dexie.Syncable';
+import {module, test, asyncTest, start, strictEqual, deepEqual, ok} from 'QUnit';
+import initSyncState from '../../src/sync-state';
+import {Statuses} from '../../src/statuses';
+
+const url = 'http://foo.invalid';
+const db = new Dexie('TestDBTable');
+db.version(1).stores({foo: '++id'});
+
+let events;
+function listen(eventName) {
+  return state => events.push({eventName: eventName, state: state});
+}
+['syncStarted', 'syncCompleted', 'syncStateChanged'].forEach(eventName => {
+  db.syncable.on(eventName, listen(eventName));
+});
+
+function createNode() {
+  return {url: url, status: Statuses.ONLINE, saved: 0, save() { ++this.saved; return Dexie.Promise.resolve(); }};
+}
+
+module('syncState', {
+  setup: () => {
+    events = [];
+  }
+});
+
+asyncTest('should count the changes and bytes of a sync', () => {
+  const syncState = initSyncState(db);
+  const node = createNode();
+  ok(syncState.started(node), 'Started');
+  ok(!syncState.started(node), 'Not started again while syncing');
+  syncState.progress(node, {changesUploaded: 2, bytesUploaded: 100});
+  syncState.progress(node, {changesApplied: 3, bytesDownloaded: 200});
+  syncState.progress(node, {changesUploaded: 1});
+  const state = syncState.get(url, node);
+  strictEqual(state.syncing, true, 'Syncing');
+  strictEqual(state.changesUploaded, 3, 'changesUploaded');
+  strictEqual(state.changesApplied, 3, 'changesApplied');
+  strictEqual(state.bytesUploaded, 100, 'bytesUploaded');
+  strictEqual(state.bytesDownloaded, 200, 'bytesDownloaded');
+  strictEqual(state.lastSuccessfulSync, null, 'Not synced yet');
+  syncState.completed(node);
+  strictEqual(syncState.get(url, node).syncing, false, 'Not syncing');
+  ok(node.lastSuccessfulSync > 0, 'lastSuccessfulSync set');
+  strictEqual(node.saved, 1, 'Node saved');
+  // The events are fired asap.
+  setTimeout(() => {
+    deepEqual(events.filter(event => event.eventName !== 'syncStateChanged').map(event => event.eventName),
+      ['syncStarted', 'syncCompleted'], 'Events');
+    strictEqual(events[events.length - 1].state.changesApplied, 3, 'Given the state');
+    start();
+  }, 0);
+});
+
+test('should keep the counts reported between syncs for the next sync', () => {
+  const syncState = initSyncState(db);
+  const node = createNode();
+  syncState.progress(node, {bytesDownloaded: 50});
+  strictEqual(syncState.get(url, node).bytesDownloaded, null, 'Not counted yet');
+  syncState.started(node);
+  strictEqual(syncState.get(url, node).bytesDownloaded, 50, 'Counted by the next sync');
+});
+
+test('should end a failed sync with the error', () => {
+  const syncState = initSyncState(db);
+  const node = createNode();
+  syncState.started(node);
+  syncState.failed(node, new Error('Failed'));
+  const state = syncState.get(url, node);
+  strictEqual(state.syncing, false, 'Not syncing');
+  strictEqual(state.lastError, 'Failed', 'lastError');
+  syncState.completed(node);
+  strictEqual(node.lastSuccessfulSync, undefined, 'Not completed after failing');
+  ok(syncState.started(node), 'Started again');
+  strictEqual(syncState.get(url, node).lastError, null, 'lastError reset');
+});
+
+test('should give the tables left to upload', () => {
+  const syncState = initSyncState(db);
+  const node = createNode();
+  deepEqual(syncState.get(url, node).tablesToUpload, [], 'Nothing to upload');
+  node.dbUploadState = {currentTable: 'foo', tablesToUpload: ['bar', 'baz']};
+  deepEqual(syncState.get(url, node).tablesToUpload, ['foo', 'bar', 'baz'], 'Current table first');
+  strictEqual(syncState.get(url, null).status, Statuses.OFFLINE, 'OFFLINE without a node');
+});
@@ -27,7 +27,9 @@ export declare class Dexie {
         addons?: Array<(db: Dexie) => void>,
         autoOpen?: boolean,
         indexedDB?: IDBFactory,
-        IDBKeyRange?: {new(): IDBKeyRange}
+        IDBKeyRange?: {new(): IDBKeyRange},
+        fullText?: Dexie.FullTextOptions,
+        expiryInterval?: number
     });
 
     readonly name: string;
@@ -57,15 +59,15 @@ export declare class Dexie {
     static deepClone<T>(obj: T): T;
     
     static asap(fn: Function) : void;
+
+    static liveQuery<T> (querier: () => T | PromiseLike<T>): Dexie.LiveQuery<T>;
+
+    static import(blob: Blob, options?: Dexie.StaticImportOptions): Dexie.Promise<Dexie>;
     
     static maxKey: Array<Array<void>> | string;
     static minKey: number;
     
-    static dependencies: {
-        indexedDB: IDBFactory,
-        IDBKeyRange: IDBKeyRange,
-        localStorage?: Storage
-    };
+    static dependencies: Dexie.Backend;
         
     static default: Dexie;
     
@@ -95,6 +97,8 @@ export declare class Dexie {
 
     close(): void;
 
+    purgeExpired(): Dexie.Promise<Dexie.Expiry[]>;
+
     delete(): Dexie.Promise<void>;
 
     exists(name : string) : Dexie.Promise<boolean>;
@@ -109,7 +113,24 @@ export declare class Dexie {
 
     backendDB(): IDBDatabase;
 
+    dryRunUpgrade(): Dexie.Promise<Dexie.UpgradePlan>;
+
     vip<U>(scopeFunction: () => U): U;
+
+    core: Dexie.DBCore;
+
+    use(middleware: Dexie.Middleware<Dexie.DBCore>): this;
+
+    unuse(middleware: Dexie.Middleware<Dexie.DBCore> | {stack: "dbcore", name: string}): this;
+
+    /**
+     * Export the database to a Blob, chunk by chunk. Each chunk is read in a transaction of its own,
+     * so writes made while exporting may or may not be part of the export. Rows are read in primary
+     * key order and never twice.
+     */
+    export(options?: Dexie.ExportOptions): Dexie.Promise<Blob>;
+
+    import(blob: Blob, options?: Dexie.ImportOptions): Dexie.Promise<void>;
     
     // Make it possible to touch physical class constructors where they reside - as properties on db instance.
     // For example, checking if (x instanceof db.Table). Can't do (x instanceof Dexie.Table because it's just a virtual interface)
@@ -218,6 +239,72 @@ export declare module Dexie {
     interface Version {
         stores(schema: { [key: string]: string }): Version;
         upgrade(fn: (trans: Transaction) => void): Version;
+        migrate(steps: MigrationSteps): Version;
+        renameTable(oldName: string, newName: string): Version;
+        renameIndex(tableName: string, oldKeyPath: string, newKeyPath: string): Version;
+        relations(spec: {[tableName: string]: {[foreignKey: string]: string | Relation}}): Version;
+        softDelete(tableNames: string | string[]): Version;
+        ttl(spec: {[tableName: string]: string}): Version;
+    }
+
+    interface ValidationRules<T> {
+        required?: string[];
+        defaults?: {[keyPath: string]: any};
+        validators?: {[keyPath: string]: (value: any, obj: T) => boolean | string | void};
+    }
+
+    interface Backend {
+        indexedDB: IDBFactory;
+        IDBKeyRange: typeof IDBKeyRange;
+        localStorage?: Storage;
+    }
+
+    interface Expiry {
+        table: string;
+        keys: IndexableTypeArray;
+    }
+
+    interface Relation {
+        table: string;
+        onDelete?: 'cascade';
+    }
+
+    // Steps only run forward. IndexedDB cannot downgrade a database, so there are no reversing steps.
+    interface MigrationSteps {
+        renameTable?: {[oldName: string]: string};
+        renameField?: {[tableName: string]: {[oldKeyPath: string]: string}};
+        renameIndex?: {[tableName: string]: {[oldKeyPath: string]: string}};
+        transform?: {[tableName: string]: (value: any) => any};
+        addIndex?: {[tableName: string]: string | string[]};
+    }
+
+    interface UpgradeProgress {
+        version: number;
+        step: number;
+        steps: number;
+        type: 'renameTable' | 'renameField' | 'renameIndex' | 'transform';
+        table: string;
+        completedRows: number;
+        totalRows: number;
+        done: boolean;
+    }
+
+    interface SchemaDiff {
+        del: string[];
+        add: Array<[string, TableSchema]>;
+        change: Array<{name: string, def: TableSchema, recreate: boolean, del: string[], add: IndexSpec[], change: IndexSpec[], rename: Array<{from: string, to: IndexSpec}>}>;
+        rename: Array<{from: string, to: string, def: TableSchema}>;
+    }
+
+    interface UpgradePlan {
+        installedVersion: number;
+        version: number;
+        versions: Array<{
+            version: number;
+            diff: SchemaDiff;
+            migrations: Array<{type: string, table: string, rows: number, to?: string, fields?: {[oldKeyPath: string]: string}}>;
+            rowCounts: {[tableName: string]: number};
+        }>;
     }
 
     interface Transaction {
@@ -276,6 +363,8 @@ export declare module Dexie {
         (eventName: 'populate', subscriber: () => any): void;
         (eventName: 'blocked', subscriber: () => any): void;
         (eventName: 'versionchange', subscriber: (event: IDBVersionChangeEvent) => any): void;
+        (eventName: 'upgradeprogress', subscriber: (progress: UpgradeProgress) => any): void;
+        (eventName: 'expired', subscriber: (expiry: Expiry) => any): void;
         ready: Dexie.DexieOnReadyEvent;
         populate: Dexie.DexieEvent;
         blocked: Dexie.DexieEvent;
@@ -329,17 +418,25 @@ export declare module Dexie {
         toArray<R>(thenShortcut: ThenShortcut<T[], R>): Promise<R>;
 
         toCollection(): Collection<T, Key>;
+        with(spec: {[property: string]: string}): Promise<Array<T>>;
         orderBy(index: string | string[]): Collection<T, Key>;
         reverse(): Collection<T, Key>;
-        mapToClass(constructor: Function): Function;
+        mapToClass(constructor: Function, structure?: Object, rules?: ValidationRules<T>): Function;
+        defineClass(structure: Object, rules?: ValidationRules<T>): Function;
         add(item: T, key?: Key): Promise<Key>;
-        update(key: Key, changes: { [keyPath: string]: any }): Promise<number>;
+        update(key: Key, changes: { [keyPath: string]: any } | ModifyOperators, options?: UpsertOptions<T>): Promise<number>;
+        upsert(key: Key, changes: { [keyPath: string]: any } | ModifyOperators, defaults?: Partial<T>): Promise<number>;
+        deleted(): Collection<T, Key>;
+        restore(keys: Key | Key[]): Promise<number>;
+        purgeDeleted(olderThan?: Date | number): Promise<number>;
         put(item: T, key?: Key): Promise<Key>;
         delete(key: Key): Promise<void>;
         clear(): Promise<void>;
         bulkAdd(items: T[], keys?: IndexableTypeArrayReadonly): Promise<Key>;
         bulkPut(items: T[], keys?: IndexableTypeArrayReadonly): Promise<Key>;
         bulkDelete(keys: IndexableTypeArrayReadonly) : Promise<void>;
+        bulkGet(keys: Key[]): Promise<Array<T | undefined>>;
+        bulkUpdate(keysAndChanges: Array<{key: Key, changes: { [keyPath: string]: any } | ModifyOperators}>): Promise<number>;
     }
 
     interface WhereClause<T, Key> {
@@ -363,6 +460,8 @@ export declare module Dexie {
         startsWithAnyOfIgnoreCase(...prefixes: string[]): Collection<T, Key>;
         noneOf(keys: Array<IndexableType>): Collection<T, Key>;
         notEqual(key: IndexableType): Collection<T, Key>;
+        matchesAll(terms: string | string[]): Collection<T, Key>;
+        matchesAny(terms: string | string[]): Collection<T, Key>;
     }
 
     interface Collection<T, Key> {
@@ -375,6 +474,8 @@ export declare module Dexie {
         eachKey(callback: (key: IndexableType, cursor: {key: IndexableType, primaryKey: Key}) => any): Promise<void>;
         eachPrimaryKey(callback: (key: Key, cursor: {key: IndexableType, primaryKey: Key}) => any): Promise<void>;
         eachUniqueKey(callback: (key: IndexableType, cursor: {key: IndexableType, primaryKey: Key}) => any): Promise<void>;
+        explain(): Promise<QueryExplanation>;
+        explain<R>(thenShortcut: ThenShortcut<QueryExplanation, R>): Promise<R>;
         filter(filter: (x: T) => boolean): Collection<T, Key>;
         first(): Promise<T | undefined>;
         first<R>(thenShortcut: ThenShortcut<T | undefined, R>): Promise<R>;
@@ -387,6 +488,8 @@ export declare module Dexie {
         limit(n: number): Collection<T, Key>;
         offset(n: number): Collection<T, Key>;
         or(indexOrPrimayKey: string): WhereClause<T, Key>;
+        orderBy(keyPath: string | ((value: T) => any)): Collection<T, Key>;
+        page(options: {pageSize: number, after?: string | null}): Promise<{items: T[], nextPageToken: string | null}>;
         raw(): Collection<T, Key>;
         reverse(): Collection<T, Key>;
         sortBy(keyPath: string): Promise<T[]>;
@@ -396,10 +499,133 @@ export declare module Dexie {
         uniqueKeys(): Promise<IndexableTypeArray>;
         uniqueKeys<R>(thenShortcut: ThenShortcut<IndexableTypeArray, R>): Promise<R>;
         until(filter: (value: T) => boolean, includeStopEntry?: boolean): Collection<T, Key>;
+        stream(options?: {batchSize?: number}): CollectionStream<T>;
+        with(spec: {[property: string]: string}): Promise<Array<T>>;
+        sum(keyPath: string): Promise<number>;
+        avg(keyPath: string): Promise<number | undefined>;
+        min(keyPath: string): Promise<IndexableType | undefined>;
+        max(keyPath: string): Promise<IndexableType | undefined>;
+        groupBy(keyPath: string): Promise<Array<{key: IndexableType, value: number}>>;
+        groupBy<R>(keyPath: string, reducer: (accumulator: R, item: T) => R, initialValue?: R): Promise<Array<{key: IndexableType, value: R}>>;
+        subscribe(onNext: (result: T[]) => any, onError?: (error: any) => any): LiveQuerySubscription;
         // Mutating methods
         delete(): Promise<number>;
-        modify(changeCallback: (obj: T, ctx:{value: T}) => void): Promise<number>;
-        modify(changes: { [keyPath: string]: any } ): Promise<number>;
+        modify(changeCallback: (obj: T, ctx:{value: T}) => void, options?: UpsertOptions<T>): Promise<number>;
+        modify(changes: { [keyPath: string]: any } | ModifyOperators, options?: UpsertOptions<T>): Promise<number>;
+    }
+
+    // Also returned by collection[Symbol.asyncIterator]() where supported.
+    interface CollectionStream<T> {
+        next(): Promise<{value: T, done: boolean}>;
+        return(value?: any): Promise<{value: any, done: boolean}>;
+    }
+
+    interface ModifyOperators {
+        $set?: { [keyPath: string]: any };
+        $unset?: { [keyPath: string]: any };
+        $inc?: { [keyPath: string]: number };
+        $push?: { [keyPath: string]: any };
+        $pull?: { [keyPath: string]: any };
+        $addToSet?: { [keyPath: string]: any };
+        $min?: { [keyPath: string]: any };
+        $max?: { [keyPath: string]: any };
+    }
+
+    interface UpsertOptions<T> {
+        upsert?: boolean;
+        defaults?: Partial<T>;
+    }
+
+    interface Middleware<TStack extends {stack: string}> {
+        stack: TStack["stack"];
+        name?: string;
+        level?: number;
+        create: (down: TStack) => Partial<TStack>;
+    }
+
+    interface DBCore {
+        stack: "dbcore";
+        table(name: string): DBCoreTable;
+    }
+
+    interface DBCoreTable {
+        name: string;
+        get(req: {trans: IDBTransaction, key: any}): Promise<any>;
+        getMany(req: {trans: IDBTransaction, keys: any[]}): Promise<any[]>;
+        add(req: {trans: IDBTransaction, values: any[], keys?: any[]}): Promise<DBCoreMutateResult>;
+        put(req: {trans: IDBTransaction, values: any[], keys?: any[]}): Promise<DBCoreMutateResult>;
+        delete(req: {trans: IDBTransaction, keys: any[]}): Promise<DBCoreMutateResult>;
+        deleteRange(req: {trans: IDBTransaction, range: IDBKeyRange | null}): Promise<void>;
+        count(req: {trans: IDBTransaction, index: string | null, range?: IDBKeyRange}): Promise<number>;
+        getAll(req: {trans: IDBTransaction, index: string | null, range?: IDBKeyRange, limit?: number, keysOnly?: boolean}): Promise<any[]>;
+        openCursor(req: {trans: IDBTransaction, index: string | null, range?: IDBKeyRange, dir?: "next" | "prev", unique?: boolean, keysOnly?: boolean}): Promise<DBCoreCursor | null>;
+    }
+
+    interface DBCoreMutateResult {
+        numFailures: number;
+        failures: {[position: number]: Error};
+        results: any[];
+        lastResult: any;
+    }
+
+    interface DBCoreCursor {
+        readonly key: any;
+        readonly primaryKey: any;
+        readonly value: any;
+        start(onNext: () => void): Promise<any>;
+        continue(key?: any): void;
+        advance(count: number): void;
+        stop(value?: any): void;
+        fail(error: Error): void;
+        update(value: any): Promise<any>;
+        delete(): Promise<void>;
+    }
+
+    interface LiveQuery<T> {
+        subscribe(onNext: (result: T) => any, onError?: (error: any) => any): LiveQuerySubscription;
+    }
+
+    interface LiveQuerySubscription {
+        unsubscribe(): void;
+        readonly closed: boolean;
+    }
+
+    interface QueryExplanation {
+        table: string;
+        index: string;
+        range: {lower: any, upper: any, lowerOpen: boolean, upperOpen: boolean} | null;
+        indexedKeyPaths: string[];
+        filteredKeyPaths: string[];
+        scanned: number;
+        filtered: number;
+        matched: number;
+    }
+
+    interface ExportOptions {
+        tables?: string[];
+        filter?: (tableName: string, value: any, key?: any) => boolean;
+        numRowsPerChunk?: number;
+        progressCallback?: (progress: ExportImportProgress) => any;
+    }
+
+    interface ImportOptions {
+        tables?: string[];
+        acceptMissingTables?: boolean;
+        clearTablesBeforeImport?: boolean;
+        chunkSizeBytes?: number;
+        progressCallback?: (progress: ExportImportProgress) => any;
+    }
+
+    interface StaticImportOptions extends ImportOptions {
+        name?: string;
+    }
+
+    interface ExportImportProgress {
+        totalTables: number;
+        completedTables: number;
+        totalRows: number;
+        completedRows: number;
+        done: boolean;
     }
 
     interface TableSchema {
@@ -416,8 +642,15 @@ export declare module Dexie {
         multi: boolean;
         auto: boolean;
         compound: boolean;
+        fullText: boolean;
         src: string;
     }
+
+    interface FullTextOptions {
+        tokenize?: (text: string) => string[];
+        stem?: (word: string) => string;
+        stopWords?: string[];
+    }
     
     // Make it possible to touch physical classes as they are 
     var TableSchema: new()=>TableSchema,
@@ -456,6 +689,7 @@ export declare module Dexie {
         Unsupported: 'UnsupportedError';
         Internal: 'InternalError';
         DatabaseClosed: 'DatabaseClosedError';
+        Validation: 'ValidationError';
     };
     
     class DexieError extends Error {
@@ -479,6 +713,11 @@ export declare module Dexie {
         constructor (msg?:string, failures?: any[]);
         failures: Array<any>;
     }
+
+    class ValidationError extends DexieError{
+        constructor (msg?:string, failures?: {[keyPath: string]: string});
+        failures: {[keyPath: string]: string};
+    }
     
     class OpenFailedError extends DexieError {constructor (msg?: string, inner?: Object);constructor (inner: Object);}
     class VersionChangeError extends DexieError {constructor (msg?: string, inner?: Object);	constructor (inner: Object);}
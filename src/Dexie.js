@@ -14,6 +14,7 @@
 import {
     keys,
     setProp,
+    asyncIteratorSymbol,
     isArray,
     extend,
     props,
@@ -23,7 +24,6 @@ import {
     _global,
     doFakeAutoComplete,
     asap,
-    trycatcher,
     tryCatch,
     getByKeyPath,
     setByKeyPath,
@@ -36,10 +36,11 @@ import {
     getArrayOf,
     arrayToObject,
     hasOwn,
-    flatten
+    flatten,
+    getUniqueArray
 
 } from './utils';
-import { ModifyError, BulkError, errnames, exceptions, fullNameExceptions, mapError } from './errors';
+import { ModifyError, BulkError, ValidationError, errnames, exceptions, fullNameExceptions, mapError } from './errors';
 import Promise, {wrap, PSD, newScope, usePSD, rejection, NativePromise,
     incrementExpectedAwaits, decrementExpectedAwaits, AsyncFunction} from './Promise';
 import Events from './Events';
@@ -53,6 +54,18 @@ import {
     promisableChain
 } from './chaining-functions';
 import * as Debug from './debug';
+import { liveQuery, trackRead } from './live-query';
+import { createDBCore, createMiddlewareStack, eventRejectHandler, preventDefault } from './dbcore';
+import { exportDB, importInto, importDB, encodeKey, decodeKey } from './export-import';
+import { planQuery } from './query-planner';
+import { createTopK } from './top-k';
+import { hasModifyOperators, getModifications } from './modify-operators';
+import { createValidator, applyChanges, assertValid } from './validation';
+import { DELETED_AT, filterDeleted, unlessDeleted, softDeletion } from './soft-delete';
+import { parseTtl, hideExpired, unlessExpired, expiredRanges } from './ttl';
+import { parseRelations, mergeRelations, getCascades, withCascadedStores, resolveRelation } from './relations';
+import { getMigrationStores, mergeMigrationSteps, describeMigration, runMigration } from './migrations';
+import { FULL_TEXT_PROP, fullTextKeyPath, createAnalyzer, createFullTextMiddleware, queryTerms, countTerms } from './full-text';
 
 var DEXIE_VERSION = '{version}',
     maxString = String.fromCharCode(65535),
@@ -67,7 +80,7 @@ var DEXIE_VERSION = '{version}',
     hasIEDeleteObjectStoreBug = isIEOrEdge,
     hangsOnDeleteLargeKeyRange = isIEOrEdge,
     dexieStackFrameFilter = frame => !/(dexie\.js|dexie\.min\.js)/.test(frame),
-    dbNamesDB;// Global database for backing Dexie.getDatabaseNames() on browser without indexedDB.webkitGetDatabaseNames() 
+    dbNamesDBs = [];// Databases backing Dexie.getDatabaseNames() on backends without indexedDB.webkitGetDatabaseNames(): [{indexedDB, db}]
 
 // Init debug
 Debug.setDebug(Debug.debug, dexieStackFrameFilter);
@@ -80,17 +93,23 @@ export default function Dexie(dbName, options) {
         addons: Dexie.addons,           // Pick statically registered addons by default
         autoOpen: true,                 // Don't require db.open() explicitely.
         indexedDB: deps.indexedDB,      // Backend IndexedDB api. Default to IDBShim or browser env.
-        IDBKeyRange: deps.IDBKeyRange   // Backend IDBKeyRange api. Default to IDBShim or browser env.
+        IDBKeyRange: deps.IDBKeyRange,  // Backend IDBKeyRange api. Default to IDBShim or browser env.
+        fullText: {},                   // Analysis of full-text indexes: {tokenize?, stem?, stopWords?}
+        expiryInterval: 60000           // Milliseconds between purges of expired objects. See ttl.js.
     }, options);
     var addons = opts.addons,
         autoOpen = opts.autoOpen,
         indexedDB = opts.indexedDB,
-        IDBKeyRange = opts.IDBKeyRange;
+        IDBKeyRange = opts.IDBKeyRange,
+        analyzeText = createAnalyzer(opts.fullText);
 
     var globalSchema = this._dbSchema = {};
     var versions = [];
     var dbStoreNames = [];
     var allTables = {};
+    var relations = {}; // Foreign keys of all versions: {tableName: {foreignKey: {table, onDelete}}}
+    var cascadingTables = {}; // Tables subscribed to hook('deleting') to cascade deletes.
+    var expiryTimer = null;
     ///<var type="IDBDatabase" />
     var idbdb = null; // Instance of IDBDatabase
     var dbOpenError = null;
@@ -169,7 +188,11 @@ export default function Dexie(dbName, options) {
             storesSource: null,
             dbschema: {},
             tables: {},
-            contentUpgrade: null
+            contentUpgrade: null,
+            migration: null,
+            relations: null,
+            softDelete: null,
+            ttl: null
         };
         this.stores({}); // Derive earlier schemas by default.
     }
@@ -184,10 +207,11 @@ export default function Dexie(dbName, options) {
             ///   {users: "id++,first,last,&amp;username,*email", <br/>
             ///   passwords: "id++,&amp;username"}<br/>
             /// <br/>
-            /// Syntax: {Table: "[primaryKey][++],[&amp;][*]index1,[&amp;][*]index2,..."}<br/><br/>
+            /// Syntax: {Table: "[primaryKey][++],[&amp;][*|~]index1,[&amp;][*|~]index2,..."}<br/><br/>
             /// Special characters:<br/>
             ///  "&amp;"  means unique key, <br/>
             ///  "*"  means value is multiEntry, <br/>
+            ///  "~"  means full-text index, searchable with matchesAll() and matchesAny() <br/>
             ///  "++" means auto-increment and only applicable for primary key <br/>
             /// </param>
             this._cfg.storesSource = this._cfg.storesSource ? extend(this._cfg.storesSource, stores) : stores;
@@ -200,9 +224,11 @@ export default function Dexie(dbName, options) {
 
             var dbschema = (this._cfg.dbschema = {});
             this._parseStoresSpec(storesSpec, dbschema);
+            markTableOptions(dbschema);
             // Update the latest schema to this version
             // Update API
             globalSchema = db._dbSchema = dbschema;
+            useFullTextIfDeclared(dbschema);
             removeTablesApi([allTables, db, Transaction.prototype]); // Keep Transaction.prototype even though it should be depr.
             setApiOnPlace([allTables, db, Transaction.prototype, this._cfg.tables], keys(dbschema), dbschema);
             dbStoreNames = keys(dbschema);
@@ -217,6 +243,88 @@ export default function Dexie(dbName, options) {
             this._cfg.contentUpgrade = upgradeFunction;
             return this;
         },
+        migrate: function (steps) {
+            /// <summary>
+            ///   Declare steps to run when upgrading to this version: {renameTable, renameField, renameIndex, transform, addIndex}.
+            ///   Earlier versions must be declared before calling migrate(). May be called several times. Steps are not
+            ///   reversible since IndexedDB cannot downgrade a database. See migrations.js.
+            /// </summary>
+            /// <param name="steps">{renameTable?: {oldName: newName}, renameField?: {table: {oldKeyPath: newKeyPath}}, renameIndex?: {table: {oldKeyPath: newKeyPath}}, transform?: {table: Function}, addIndex?: {table: string}}</param>
+            var version = this._cfg.version,
+                previousStores = {};
+            versions.forEach(v => {
+                if (v._cfg.version < version) extend(previousStores, v._cfg.storesSource);
+            });
+            this.stores(getMigrationStores(steps, previousStores, this._cfg.storesSource || {}));
+            this._cfg.migration = mergeMigrationSteps(this._cfg.migration, steps);
+            return this;
+        },
+        renameTable: function (oldName, newName) {
+            /// <summary>
+            ///   Rename a table when upgrading to this version, copying its records within the upgrade transaction.
+            ///   The new table gets the indexes of the old one unless declared in stores() of this version.
+            /// </summary>
+            var steps = {renameTable: {}};
+            steps.renameTable[oldName] = newName;
+            return this.migrate(steps);
+        },
+        renameIndex: function (tableName, oldKeyPath, newKeyPath) {
+            /// <summary>
+            ///   Rename an index when upgrading to this version, moving the indexed property of all records
+            ///   to its new key path within the upgrade transaction.
+            /// </summary>
+            var steps = {renameIndex: {}};
+            steps.renameIndex[tableName] = {};
+            steps.renameIndex[tableName][oldKeyPath] = newKeyPath;
+            return this.migrate(steps);
+        },
+        relations: function (spec) {
+            /// <summary>
+            ///   Declare foreign keys, used by Collection.with() and to cascade deletes. See relations.js.
+            ///   The tables must be declared before calling relations().
+            /// </summary>
+            /// <param name="spec">{tableName: {foreignKey: referredTableName | {table: referredTableName, onDelete?: "cascade"}}}</param>
+            this._cfg.relations = mergeRelations([this._cfg.relations, parseRelations(spec, this._cfg.dbschema)]);
+            relations = mergeRelations(versions.map(v => v._cfg.relations));
+            keys(relations).forEach(tableName => {
+                keys(relations[tableName]).forEach(foreignKey => {
+                    var referredTable = relations[tableName][foreignKey].table;
+                    if (relations[tableName][foreignKey].onDelete && !cascadingTables[referredTable]) {
+                        cascadingTables[referredTable] = true;
+                        allTables[referredTable].hook('deleting', cascadeDelete(referredTable));
+                    }
+                });
+            });
+            return this;
+        },
+        softDelete: function (tableNames) {
+            /// <summary>
+            ///   Let deleting from given tables mark objects with a deletedAt timestamp instead of removing them. See soft-delete.js.
+            ///   The tables must be declared before calling softDelete().
+            /// </summary>
+            /// <param name="tableNames">Name or array of names of the tables</param>
+            tableNames = isArray(tableNames) ? tableNames : [tableNames];
+            tableNames.forEach(tableName => {
+                if (!this._cfg.dbschema[tableName])
+                    throw new exceptions.Schema(`Cannot soft-delete from unknown table ${tableName}`);
+            });
+            this._cfg.softDelete = getUniqueArray((this._cfg.softDelete || []).concat(tableNames));
+            versions.forEach(version => markTableOptions(version._cfg.dbschema));
+            markTableOptions(globalSchema);
+            return this;
+        },
+        ttl: function (spec) {
+            /// <summary>
+            ///   Let objects of given tables expire at the time at given key path, a Date or milliseconds since epoch.
+            ///   Expired objects are hidden and purged in the background. See ttl.js.
+            ///   The tables must be declared before calling ttl().
+            /// </summary>
+            /// <param name="spec">{tableName: keyPath}. The key paths must be indexed.</param>
+            this._cfg.ttl = extend(this._cfg.ttl || {}, parseTtl(spec, this._cfg.dbschema));
+            versions.forEach(version => markTableOptions(version._cfg.dbschema));
+            markTableOptions(globalSchema);
+            return this;
+        },
         _parseStoresSpec: function (stores, outSchema) {
             keys(stores).forEach(function (tableName) {
                 if (stores[tableName] !== null) {
@@ -224,10 +332,12 @@ export default function Dexie(dbName, options) {
                     var indexes = parseIndexSyntax(stores[tableName]);
                     var primKey = indexes.shift();
                     if (primKey.multi) throw new exceptions.Schema("Primary key cannot be multi-valued");
+                    if (primKey.fullText) throw new exceptions.Schema("Primary key cannot be a full-text index");
                     if (primKey.keyPath) setByKeyPath(instanceTemplate, primKey.keyPath, primKey.auto ? 0 : primKey.keyPath);
                     indexes.forEach(function (idx) {
                         if (idx.auto) throw new exceptions.Schema("Only primary key can be marked as autoIncrement (++)");
                         if (!idx.keyPath) throw new exceptions.Schema("Index must have a name and cannot be an empty string");
+                        if (idx.fullText && (idx.unique || idx.compound)) throw new exceptions.Schema("Full-text index cannot be unique or compound");
                         setByKeyPath(instanceTemplate, idx.keyPath, idx.compound ? idx.keyPath.map(function () { return ""; }) : "");
                     });
                     outSchema[tableName] = new TableSchema(tableName, primKey, indexes, instanceTemplate);
@@ -236,6 +346,18 @@ export default function Dexie(dbName, options) {
         }
     });
     
+    function markTableOptions(dbschema) {
+        // Soft delete and expiry are about the table, not its schema. Declared by any version, they apply to all of them.
+        versions.forEach(version => {
+            (version._cfg.softDelete || []).forEach(tableName => {
+                if (dbschema[tableName]) dbschema[tableName].softDelete = true;
+            });
+            keys(version._cfg.ttl || {}).forEach(tableName => {
+                if (dbschema[tableName]) dbschema[tableName].ttl = version._cfg.ttl[tableName];
+            });
+        });
+    }
+
     function runUpgraders (oldVersion, idbtrans, reject) {
         var trans = db._createTransaction(READWRITE, dbStoreNames, globalSchema);
         trans.create(idbtrans);
@@ -272,12 +394,17 @@ export default function Dexie(dbName, options) {
                 adjustToExistingIndexNames(oldSchema, idbtrans);
                 adjustToExistingIndexNames(newSchema, idbtrans);
                 globalSchema = db._dbSchema = newSchema;
-                var diff = getSchemaDiff(oldSchema, newSchema);     
+                var diff = getSchemaDiff(oldSchema, newSchema, version._cfg.migration);
                 // Add tables           
                 diff.add.forEach(function (tuple) {
                     createTable(idbtrans, tuple[0], tuple[1].primKey, tuple[1].indexes);
                 });
+                // Renamed tables are created here, filled by the migration and their old table deleted with the removed ones.
+                diff.rename.forEach(function (rename) {
+                    createTable(idbtrans, rename.to, rename.def.primKey, rename.def.indexes);
+                });
                 // Change tables
+                var fullTextTables = [];
                 diff.change.forEach(function (change) {
                     if (change.recreate) {
                         throw new exceptions.Upgrade("Not yet support for changing primary key");
@@ -296,14 +423,35 @@ export default function Dexie(dbName, options) {
                         change.del.forEach(function (idxName) {
                             store.deleteIndex(idxName);
                         });
+                        // Rename indexes. The migration moves the indexed property of existing records.
+                        change.rename.forEach(function (rename) {
+                            store.deleteIndex(rename.from);
+                            addIndex(store, rename.to);
+                        });
+                        // Terms of removed full-text indexes must go as well.
+                        var removesFullText = oldSchema[change.name].indexes.some(oldIdx => oldIdx.fullText &&
+                            !change.def.indexes.some(idx => idx.fullText && idx.keyPath === oldIdx.keyPath));
+                        if (removesFullText || change.add.concat(change.change, change.rename.map(rename => rename.to)).some(idx => idx.fullText))
+                            fullTextTables.push(change.name);
                     }
                 });
-                if (version._cfg.contentUpgrade) {
-                    anyContentUpgraderHasRun = true;
-                    return Promise.follow(()=>{
-                        version._cfg.contentUpgrade(trans);
+                // Existing records need terms for new full-text indexes, and no terms for removed ones.
+                return Promise.all(fullTextTables.map(tableName => rewriteFullTextTerms(trans, tableName))).then(() => {
+                    if (version._cfg.migration) return runMigration(version._cfg.migration, {
+                        version: version._cfg.version,
+                        idbtrans: idbtrans,
+                        schema: newSchema,
+                        getCoreTable: getCoreTable,
+                        onProgress: progress => db.on("upgradeprogress").fire(progress)
                     });
-                }
+                }).then(() => {
+                    if (version._cfg.contentUpgrade) {
+                        anyContentUpgraderHasRun = true;
+                        return Promise.follow(()=>{
+                            version._cfg.contentUpgrade(trans);
+                        });
+                    }
+                });
             });
             queue.push(function (idbtrans) {
                 if (!anyContentUpgraderHasRun || !hasIEDeleteObjectStoreBug) { // Dont delete old tables if ieBug is present and a content upgrader has run. Let tables be left in DB so far. This needs to be taken care of.
@@ -325,19 +473,28 @@ export default function Dexie(dbName, options) {
         });
     }
 
-    function getSchemaDiff(oldSchema, newSchema) {
+    function getSchemaDiff(oldSchema, newSchema, migration) {
+        /// <param name="migration" optional="true">Steps given to Version.migrate(), telling renamed tables and indexes.</param>
         var diff = {
             del: [], // Array of table names
             add: [], // Array of [tableName, newDefinition]
-            change: [] // Array of {name: tableName, recreate: newDefinition, del: delIndexNames, add: newIndexDefs, change: changedIndexDefs}
+            change: [], // Array of {name: tableName, recreate: newDefinition, del: delIndexNames, add: newIndexDefs, change: changedIndexDefs, rename: [{from: oldIndexName, to: newIndexDef}]}
+            rename: [] // Array of {from: oldTableName, to: newTableName, def: newDefinition}
         };
+        migration = migration || {};
+        var renamedTables = migration.renameTable || {},
+            renamedFields = extend(extend({}, migration.renameField || {}), migration.renameIndex || {}),
+            renamedFrom = {};
+        keys(renamedTables).forEach(oldName => { renamedFrom[renamedTables[oldName]] = oldName; });
         for (var table in oldSchema) {
-            if (!newSchema[table]) diff.del.push(table);
+            if (!newSchema[table] && !(hasOwn(renamedTables, table) && newSchema[renamedTables[table]])) diff.del.push(table);
         }
         for (table in newSchema) {
             var oldDef = oldSchema[table],
                 newDef = newSchema[table];
-            if (!oldDef) {
+            if (!oldDef && hasOwn(renamedFrom, table) && oldSchema[renamedFrom[table]]) {
+                diff.rename.push({from: renamedFrom[table], to: table, def: newDef});
+            } else if (!oldDef) {
                 diff.add.push([table, newDef]);
             } else {
                 var change = {
@@ -346,7 +503,8 @@ export default function Dexie(dbName, options) {
                     recreate: false,
                     del: [],
                     add: [],
-                    change: []
+                    change: [],
+                    rename: []
                 };
                 if (oldDef.primKey.src !== newDef.primKey.src) {
                     // Primary key has changed. Remove and re-add table.
@@ -356,16 +514,26 @@ export default function Dexie(dbName, options) {
                     // Same primary key. Just find out what differs:
                     var oldIndexes = oldDef.idxByName;
                     var newIndexes = newDef.idxByName;
+                    var fieldRenames = renamedFields[table] || {},
+                        renamedIndexes = {};
                     for (var idxName in oldIndexes) {
-                        if (!newIndexes[idxName]) change.del.push(idxName);
+                        if (newIndexes[idxName]) continue;
+                        var newName = typeof oldIndexes[idxName].keyPath === 'string' && fieldRenames[oldIndexes[idxName].keyPath];
+                        if (newName && newIndexes[newName] && !oldIndexes[newName]) {
+                            change.rename.push({from: idxName, to: newIndexes[newName]});
+                            renamedIndexes[newName] = true;
+                        } else {
+                            change.del.push(idxName);
+                        }
                     }
                     for (idxName in newIndexes) {
                         var oldIdx = oldIndexes[idxName],
                             newIdx = newIndexes[idxName];
-                        if (!oldIdx) change.add.push(newIdx);
-                        else if (oldIdx.src !== newIdx.src) change.change.push(newIdx);
+                        if (!oldIdx) {
+                            if (!renamedIndexes[idxName]) change.add.push(newIdx);
+                        } else if (oldIdx.src !== newIdx.src) change.change.push(newIdx);
                     }
-                    if (change.del.length > 0 || change.add.length > 0 || change.change.length > 0) {
+                    if (change.del.length > 0 || change.add.length > 0 || change.change.length > 0 || change.rename.length > 0) {
                         diff.change.push(change);
                     }
                 }
@@ -399,7 +567,25 @@ export default function Dexie(dbName, options) {
     }
 
     function addIndex(store, idx) {
-        store.createIndex(idx.name, idx.keyPath, { unique: idx.unique, multiEntry: idx.multi });
+        store.createIndex(idx.name, idx.fullText ? fullTextKeyPath(idx.keyPath) : idx.keyPath, { unique: idx.unique, multiEntry: idx.multi });
+    }
+
+    function rewriteFullTextTerms(trans, tableName) {
+        /// <summary>
+        ///   Rewrite all records of a table without their terms, so that the full-text middleware adds the terms of
+        ///   the full-text indexes the table has now, if any.
+        /// </summary>
+        var coreTable = getCoreTable(tableName),
+            updates = [];
+        return coreTable.openCursor({trans: trans.idbtrans, index: null, range: null, dir: "next"}).then(cursor =>
+            cursor && cursor.start(() => {
+                var value = cursor.value;
+                // The middleware hides the terms, but is not used when no full-text index is left in the schema.
+                if (value && typeof value === 'object') delete value[FULL_TEXT_PROP];
+                updates.push(cursor.update(value));
+                cursor.continue();
+            })
+        ).then(() => Promise.all(updates));
     }
 
     //
@@ -411,9 +597,25 @@ export default function Dexie(dbName, options) {
     this._allTables = allTables;
 
     this._createTransaction = function (mode, storeNames, dbschema, parentTransaction) {
+        if (mode === READWRITE) {
+            // Let deletes cascade to the tables referring to the ones written to.
+            storeNames = withCascadedStores(relations, storeNames).filter((storeName, i) => i < storeNames.length || dbschema[storeName]);
+        }
         return new Transaction(mode, storeNames, dbschema, parentTransaction);
     };
 
+    function cascadeDelete(tableName) {
+        return function (primKey, obj, trans) {
+            getCascades(relations, tableName).forEach(cascade => {
+                if (trans.storeNames.indexOf(cascade.table) === -1) throw new exceptions.InvalidTable(
+                    `Deleting from ${tableName} cascades to ${cascade.table}, which is not part of the transaction`);
+                db.table(cascade.table).where(cascade.foreignKey).equals(primKey).delete().catch(err => {
+                    trans._reject(err);
+                });
+            });
+        };
+    }
+
     /* Generate a temporary transaction when db operations are done outside a transactino scope.
     */
     function tempTransaction(mode, storeNames, fn) { // Last argument is "writeLocked". But this doesnt apply to oneshot direct db operations, so we ignore it.
@@ -547,7 +749,7 @@ export default function Dexie(dbName, options) {
                 });
                 
                 if (!hasNativeGetDatabaseNames && dbName !== '__dbnames') {
-                    dbNamesDB.dbnames.put({name: dbName}).catch(nop);
+                    getDbNamesDB(indexedDB, IDBKeyRange).dbnames.put({name: dbName}).catch(nop);
                 }
 
                 resolve();
@@ -572,6 +774,7 @@ export default function Dexie(dbName, options) {
         }).then(()=>{
             // Resolve the db.open() with the db instance.
             isBeingOpened = false;
+            scheduleExpiry();
             return db;
         }).catch(err => {
             try {
@@ -592,6 +795,10 @@ export default function Dexie(dbName, options) {
     this.close = function () {
         var idx = connections.indexOf(db);
         if (idx >= 0) connections.splice(idx, 1);        
+        if (expiryTimer) {
+            clearTimeout(expiryTimer);
+            expiryTimer = null;
+        }
         if (idbdb) {
             try {idbdb.close();} catch(e){}
             idbdb = null;
@@ -609,6 +816,53 @@ export default function Dexie(dbName, options) {
         });
     };
     
+    this.purgeExpired = function () {
+        /// <summary>
+        ///   Delete the expired objects of tables declared with Version.ttl(). Fires db.on('expired') with {table, keys}
+        ///   for each table that had expired objects. See ttl.js.
+        /// </summary>
+        /// <returns type="Promise">Promise resolving with an array of {table, keys}</returns>
+        var tableNames = keys(globalSchema).filter(tableName => globalSchema[tableName].ttl);
+        if (tableNames.length === 0) return Promise.resolve([]);
+        var now = Date.now(),
+            purged = [];
+        return db.transaction('rw', tableNames, () => Promise.all(tableNames.map(tableName => {
+            var table = db.table(tableName),
+                tableKeys = [];
+            function expired(range) {
+                var collection = new Collection(new WhereClause(table, table.schema.ttl), () => range);
+                filterDeleted(collection._ctx, null); // Neither hide expired objects nor soft-delete them.
+                return collection;
+            }
+            return Promise.all(expiredRanges(IDBKeyRange, now).map(range =>
+                expired(range).primaryKeys().then(primaryKeys => {
+                    tableKeys = tableKeys.concat(primaryKeys);
+                    return expired(range).delete();
+                })
+            )).then(() => {
+                if (tableKeys.length > 0) purged.push({table: tableName, keys: tableKeys});
+            });
+        }))).then(() => {
+            purged.forEach(expiry => db.on.expired.fire(expiry));
+            return purged;
+        });
+    };
+
+    function scheduleExpiry() {
+        if (!keys(globalSchema).some(tableName => globalSchema[tableName].ttl)) return;
+        // Timers rather than document events, so that it works in workers too.
+        var timer = expiryTimer = setTimeout(() => {
+            db.purgeExpired().catch(err => {
+                console.warn(`Failed to purge expired objects of '${db.name}': ${err.stack || err}`);
+            }).then(() => {
+                // Unless closed, or closed and reopened, meanwhile.
+                if (expiryTimer === timer) scheduleExpiry();
+            });
+        }, opts.expiryInterval);
+        // Let Node exit even if the database is left open.
+        if (timer.unref) timer.unref();
+    }
+
     this.delete = function () {
         var hasArguments = arguments.length > 0;
         return new Promise(function (resolve, reject) {
@@ -623,7 +877,7 @@ export default function Dexie(dbName, options) {
                 var req = indexedDB.deleteDatabase(dbName);
                 req.onsuccess = wrap(function () {
                     if (!hasNativeGetDatabaseNames) {
-                        dbNamesDB.dbnames.delete(dbName).catch(nop);
+                        getDbNamesDB(indexedDB, IDBKeyRange).dbnames.delete(dbName).catch(nop);
                     }
                     resolve();
                 });
@@ -637,6 +891,81 @@ export default function Dexie(dbName, options) {
         return idbdb;
     };
 
+    this.dryRunUpgrade = function () {
+        /// <summary>
+        ///   Find out what opening the database would upgrade, without upgrading it: the schema diff and
+        ///   migration steps of each version to upgrade to, and the number of records of affected tables.
+        /// </summary>
+        /// <returns type="Promise">Promise&lt;{installedVersion, version, versions: [{version, diff, migrations, rowCounts}]}&gt;</returns>
+        return new Promise((resolve, reject) => {
+            if (!indexedDB) throw new exceptions.MissingAPI("indexedDB API not found");
+            var req = indexedDB.open(dbName); // Opens the installed version without upgrading it.
+            req.onerror = eventRejectHandler(reject);
+            req.onupgradeneeded = wrap(() => {
+                // Database does not exist. Don't create it.
+                req.onerror = preventDefault;
+                req.transaction.abort();
+                req.result.close();
+                var delreq = indexedDB.deleteDatabase(dbName);
+                delreq.onsuccess = delreq.onerror = wrap(() => resolve(getUpgradePlan(0, {})));
+            }, reject);
+            req.onsuccess = wrap(() => {
+                var installed = req.result,
+                    storeNames = slice(installed.objectStoreNames),
+                    rowCounts = {};
+                if (storeNames.length === 0) {
+                    installed.close();
+                    return resolve(getUpgradePlan(installed.version / 10, rowCounts));
+                }
+                var trans = installed.transaction(safariMultiStoreFix(storeNames), 'readonly');
+                storeNames.forEach(storeName => {
+                    trans.objectStore(storeName).count().onsuccess = wrap(ev => {
+                        rowCounts[storeName] = ev.target.result;
+                    });
+                });
+                trans.onerror = eventRejectHandler(reject);
+                trans.oncomplete = wrap(() => {
+                    installed.close();
+                    resolve(getUpgradePlan(installed.version / 10, rowCounts));
+                });
+            }, reject);
+        });
+    };
+
+    function getUpgradePlan(installedVersion, rowCounts) {
+        var plan = {installedVersion: installedVersion, version: db.verno, versions: []};
+        if (installedVersion === 0) {
+            // All tables of the latest version are created. No migrations run.
+            if (versions.length > 0) plan.versions.push({
+                version: db.verno,
+                diff: getSchemaDiff({}, globalSchema),
+                migrations: [],
+                rowCounts: {}
+            });
+            return plan;
+        }
+        var oldVersionStruct = versions.filter(version => version._cfg.version === installedVersion)[0];
+        if (!oldVersionStruct && installedVersion < db.verno)
+            throw new exceptions.Upgrade("Dexie specification of currently installed DB version is missing");
+        var oldSchema = oldVersionStruct && oldVersionStruct._cfg.dbschema;
+        versions.filter(v => v._cfg.version > installedVersion).forEach(version => {
+            var newSchema = version._cfg.dbschema,
+                diff = getSchemaDiff(oldSchema, newSchema, version._cfg.migration),
+                // Renamed tables take their records along, so deleting them afterwards loses nothing.
+                migrations = version._cfg.migration ? describeMigration(version._cfg.migration, rowCounts) : [],
+                affected = diff.del.concat(diff.change.map(change => change.name), diff.rename.map(rename => rename.to));
+            plan.versions.push({
+                version: version._cfg.version,
+                diff: diff,
+                migrations: migrations,
+                rowCounts: arrayToObject(getUniqueArray(affected), tableName => [tableName, rowCounts[tableName] || 0])
+            });
+            diff.del.forEach(tableName => { delete rowCounts[tableName]; });
+            oldSchema = newSchema;
+        });
+        return plan;
+    }
+
     this.isOpen = function () {
         return idbdb !== null;
     };
@@ -650,6 +979,84 @@ export default function Dexie(dbName, options) {
         return autoSchema;
     };
 
+    //
+    // Export / Import
+    //
+    this.export = function (options) {
+        /// <summary>
+        ///   Export the database to a Blob in the dexie NDJSON format, one chunk of rows at a time.
+        ///   Each chunk is read in a transaction of its own, so the export is not a snapshot: changes
+        ///   made while exporting may be in it or not. Chunks follow each other in primary key order,
+        ///   so rows that are there all along are exported exactly once.
+        /// </summary>
+        /// <param name="options" optional="true">{tables?: string[], filter?: (tableName, value, key) => boolean, numRowsPerChunk?: number, progressCallback?: Function}</param>
+        /// <returns type="Promise">Promise&lt;Blob&gt;</returns>
+        return exportDB(db, options);
+    };
+
+    this.import = function (blob, options) {
+        /// <summary>
+        ///   Import a Blob created by db.export() into this database. The tables must exist.
+        /// </summary>
+        /// <param name="blob" type="Blob"></param>
+        /// <param name="options" optional="true">{tables?: string[], acceptMissingTables?: boolean, clearTablesBeforeImport?: boolean, chunkSizeBytes?: number, progressCallback?: Function}</param>
+        return importInto(db, blob, options);
+    };
+
+    //
+    // Middlewares
+    //
+    var middlewares = [],
+        coreTables = {};
+
+    this.core = createDBCore();
+
+    this.use = function (middleware) {
+        /// <summary>
+        ///   Add a middleware to the DBCore stack. All store level operations of Table, Collection and WhereClause
+        ///   go through the stack. Middlewares with a lower level are closer to IndexedDB. Default level is 10.
+        /// </summary>
+        /// <param name="middleware">{stack: "dbcore", name?: string, level?: number, create: (downCore) => Partial&lt;DBCore&gt;}</param>
+        if (!middleware || middleware.stack !== "dbcore" || typeof middleware.create !== 'function')
+            throw new exceptions.InvalidArgument("Middleware must be an object {stack: \"dbcore\", create: Function}");
+        middlewares.push(middleware);
+        middlewares.sort((a, b) => middlewareLevel(a) - middlewareLevel(b));
+        rebuildCore();
+        return this;
+    };
+
+    this.unuse = function (middleware) {
+        /// <summary>
+        ///   Remove a middleware given either the middleware itself or its {stack, name}.
+        /// </summary>
+        middlewares = middlewares.filter(mw => mw !== middleware &&
+            (!middleware.name || mw.name !== middleware.name || mw.stack !== middleware.stack));
+        rebuildCore();
+        return this;
+    };
+
+    function middlewareLevel(middleware) {
+        return middleware.level === undefined ? 10 : middleware.level;
+    }
+
+    function rebuildCore() {
+        db.core = createMiddlewareStack(createDBCore(), middlewares);
+        coreTables = {};
+    }
+
+    function getCoreTable(tableName) {
+        return coreTables[tableName] || (coreTables[tableName] = db.core.table(tableName));
+    }
+
+    // Maintains the terms of full-text indexes ("~" in the schema). Added when a schema first declares one,
+    // so that databases without full-text indexes have no use for it.
+    var fullTextInUse = false;
+    function useFullTextIfDeclared(schema) {
+        if (fullTextInUse || !keys(schema).some(tableName => schema[tableName].indexes.some(idx => idx.fullText))) return;
+        fullTextInUse = true;
+        db.use(createFullTextMiddleware(tableName => globalSchema[tableName], analyzeText));
+    }
+
     //
     // Properties
     //
@@ -668,7 +1075,7 @@ export default function Dexie(dbName, options) {
     //
     // Events
     //
-    this.on = Events(this, "populate", "blocked", "versionchange", {ready: [promisableChain, nop]});
+    this.on = Events(this, "populate", "blocked", "versionchange", "upgradeprogress", "expired", {ready: [promisableChain, nop]});
 
     this.on.ready.subscribe = override (this.on.ready.subscribe, function (subscribe) {
         return (subscriber, bSticky) => {
@@ -881,50 +1288,96 @@ export default function Dexie(dbName, options) {
         });
     }
 
-    function BulkErrorHandlerCatchAll(errorList, done, supportHooks) {
-        return (supportHooks ? hookedEventRejectHandler : eventRejectHandler)(e => {
-            errorList.push(e);
-            done && done();
+    function getFailures(mutateResult) {
+        var failures = mutateResult.failures;
+        return keys(failures).map(pos => failures[pos]);
+    }
+
+    function callHookHandlers(hookCtxs, mutateResult) {
+        // Hooks expect either onsuccess or onerror to always be called.
+        hookCtxs.forEach((hookCtx, pos) => {
+            if (hasOwn(mutateResult.failures, pos))
+                hookCtx.onerror && hookCtx.onerror(mutateResult.failures[pos]);
+            else
+                hookCtx.onsuccess && hookCtx.onsuccess(mutateResult.results[pos]);
         });
     }
 
-    function bulkDelete(idbstore, trans, keysOrTuples, hasDeleteHook, deletingHook) {
+    function callHookErrorHandlers(hookCtxs, error) {
+        hookCtxs.forEach(hookCtx => {
+            hookCtx.onerror && hookCtx.onerror(error);
+        });
+    }
+
+    function bulkDelete(coreTable, trans, keysOrTuples, hasDeleteHook, deletingHook) {
         // If hasDeleteHook, keysOrTuples must be an array of tuples: [[key1, value2],[key2,value2],...],
         // else keysOrTuples must be just an array of keys: [key1, key2, ...].
-        return new Promise((resolve, reject)=>{
-            var len = keysOrTuples.length,
-                lastItem = len - 1;
-            if (len === 0) return resolve();
-            if (!hasDeleteHook) {
-                for (var i=0; i < len; ++i) {
-                    var req = idbstore.delete(keysOrTuples[i]);
-                    req.onerror = eventRejectHandler(reject);
-                    if (i === lastItem) req.onsuccess = wrap(()=>resolve());
-                }
-            } else {
-                var hookCtx,
-                    errorHandler = hookedEventRejectHandler(reject),
-                    successHandler = hookedEventSuccessHandler(null);
-                tryCatch(()=> {
-                    for (var i = 0; i < len; ++i) {
-                        hookCtx = {onsuccess: null, onerror: null};
-                        var tuple = keysOrTuples[i];
-                        deletingHook.call(hookCtx, tuple[0], tuple[1], trans);
-                        var req = idbstore.delete(tuple[0]);
-                        req._hookCtx = hookCtx;
-                        req.onerror = errorHandler;
-                        if (i === lastItem)
-                            req.onsuccess = hookedEventSuccessHandler(resolve);
-                        else
-                            req.onsuccess = successHandler;
+        if (keysOrTuples.length === 0) return Promise.resolve();
+        var hookCtxs = [],
+            keys = keysOrTuples;
+        if (hasDeleteHook) {
+            tryCatch(()=> {
+                keys = keysOrTuples.map(tuple => {
+                    var hookCtx = {onsuccess: null, onerror: null};
+                    hookCtxs.push(hookCtx);
+                    deletingHook.call(hookCtx, tuple[0], tuple[1], trans);
+                    return tuple[0];
+                });
+            }, err=>{
+                callHookErrorHandlers(hookCtxs, err);
+                throw err;
+            });
+        }
+        return coreTable.delete({trans: trans.idbtrans, keys: keys}).then(res => {
+            callHookHandlers(hookCtxs, res);
+            if (res.numFailures) throw getFailures(res)[0];
+        }, err => {
+            callHookErrorHandlers(hookCtxs, err);
+            throw err;
+        });
+    }
+
+    function getMany(coreTable, idbtrans, keys) {
+        if (!hasGetAll || keys.length < 2) return coreTable.getMany({trans: idbtrans, keys: keys});
+        var sortedKeys;
+        try {
+            sortedKeys = keys.slice().sort(cmp);
+        } catch (e) {
+            // Invalid key. Let getMany() fail the same way as get() does.
+            return coreTable.getMany({trans: idbtrans, keys: keys});
+        }
+        var range = IDBKeyRange.bound(sortedKeys[0], sortedKeys[sortedKeys.length - 1]);
+        return coreTable.count({trans: idbtrans, index: null, range: range}).then(count => {
+            // Unless the keys are scattered, get all objects they span with two requests instead of one per key.
+            if (count > keys.length * 2) return coreTable.getMany({trans: idbtrans, keys: keys});
+            return Promise.all([
+                coreTable.getAll({trans: idbtrans, index: null, range: range, limit: Infinity, keysOnly: true}),
+                coreTable.getAll({trans: idbtrans, index: null, range: range, limit: Infinity})
+            ]).then(results => {
+                var primKeys = results[0],
+                    values = results[1];
+                return keys.map(key => {
+                    // Binary search the primary keys, which are sorted.
+                    var low = 0, high = primKeys.length - 1;
+                    while (low <= high) {
+                        var mid = (low + high) >> 1,
+                            c = cmp(primKeys[mid], key);
+                        if (c === 0) return values[mid];
+                        if (c < 0) low = mid + 1; else high = mid - 1;
                     }
-                }, err=>{
-                    hookCtx.onerror && hookCtx.onerror(err);
-                    throw err;
+                    return undefined;
                 });
-            }
+            });
         });
-    }    
+    }
+
+    function unwrapValidationError(promise) {
+        // An update of a single object that is invalid fails with the ValidationError itself rather than
+        // a ModifyError holding it.
+        return promise.catch(ModifyError, e => {
+            throw e.failures.length === 1 && e.failures[0] instanceof ValidationError ? e.failures[0] : e;
+        });
+    }
 
     props(Table.prototype, {
 
@@ -940,15 +1393,15 @@ export default function Dexie(dbName, options) {
                     newScope(()=>trans._promise(mode, fn, writeLocked), {trans: trans, transless: PSD.transless || PSD}) :
                 tempTransaction (mode, [this.name], fn);
         },
-        _idbstore: function getIDBObjectStore(mode, fn, writeLocked) {
+        _dbcore: function getDBCoreTable(mode, fn, writeLocked) {
             if (fake) return new Promise(fn); // Simplify the work for Intellisense/Code completion.
             var tableName = this.name;
-            function supplyIdbStore (resolve, reject, trans) {
+            function supplyCoreTable (resolve, reject, trans) {
                 if (trans.storeNames.indexOf(tableName) === -1)
                     throw new exceptions.NotFound("Table" + tableName + " not part of transaction");
-                return fn(resolve, reject, trans.idbtrans.objectStore(tableName), trans);
+                return fn(resolve, reject, getCoreTable(tableName), trans);
             }
-            return this._trans(mode, supplyIdbStore, writeLocked);
+            return this._trans(mode, supplyCoreTable, writeLocked);
         },
 
         //
@@ -958,13 +1411,17 @@ export default function Dexie(dbName, options) {
             if (keyOrCrit && keyOrCrit.constructor === Object)
                 return this.where(keyOrCrit).first(cb);
             var self = this;
-            return this._idbstore(READONLY, function (resolve, reject, idbstore) {
+            if (PSD.subscr) {
+                // Called from within a live query. Tell it what we read.
+                var range = null;
+                try { range = IDBKeyRange.only(keyOrCrit); } catch (e) {}
+                trackRead(db, this, null, range, cmp);
+            }
+            return this._dbcore(READONLY, function (resolve, reject, coreTable, trans) {
                 fake && resolve(self.schema.instanceTemplate);
-                var req = idbstore.get(keyOrCrit);
-                req.onerror = eventRejectHandler(reject);
-                req.onsuccess = wrap(function () {
-                    resolve(self.hook.reading.fire(req.result));
-                }, reject);
+                resolve(coreTable.get({trans: trans.idbtrans, key: keyOrCrit}).then(function (value) {
+                    return self.hook.reading.fire(unlessExpired(self.schema, unlessDeleted(self.schema, value)));
+                }));
             }).then(cb);
         },
         where: function (indexOrCrit) {
@@ -972,53 +1429,35 @@ export default function Dexie(dbName, options) {
                 return new WhereClause(this, indexOrCrit);
             if (isArray(indexOrCrit))
                 return new WhereClause(this, `[${indexOrCrit.join('+')}]`);
-            // indexOrCrit is an object map of {[keyPath]:value} 
+            // indexOrCrit is an object map of {[keyPath]: value or IDBKeyRange}.
+            // Let the query planner find the index that serves most criterias and filter the rest.
             var keyPaths = keys(indexOrCrit);
-            if (keyPaths.length === 1)
-                // Only one critera. This was the easy case:
-                return this
-                    .where(keyPaths[0])
-                    .equals(indexOrCrit[keyPaths[0]]);
-            
-            // Multiple criterias.
-            // Let's try finding a compound index that matches all keyPaths in
-            // arbritary order:
-            var compoundIndex = this.schema.indexes.concat(this.schema.primKey).filter(ix =>
-                ix.compound &&
-                keyPaths.every(keyPath => ix.keyPath.indexOf(keyPath) >= 0) &&
-                ix.keyPath.every(keyPath => keyPaths.indexOf(keyPath) >= 0))[0];
-
-            if (compoundIndex && maxKey !== maxString)
-                // Cool! We found such compound index
-                // and this browser supports compound indexes (maxKey !== maxString)!
-                return this
-                    .where(compoundIndex.name)
-                    .equals(compoundIndex.keyPath.map(kp => indexOrCrit[kp]));
+            var plan = planQuery(this.schema, indexOrCrit, {
+                IDBKeyRange: IDBKeyRange,
+                cmp: cmp,
+                minKey: minKey,
+                maxKey: maxKey,
+                supportsCompound: maxKey !== maxString
+            });
 
-            if (!compoundIndex) console.warn(
+            if (keyPaths.length > 1 && plan.filteredKeyPaths.length > 0) console.warn(
                 `The query ${JSON.stringify(indexOrCrit)} on ${this.name} would benefit of a ` +
                 `compound index [${keyPaths.join('+')}]`);
-                
-            // Ok, now let's fallback to finding at least one matching index
-            // and filter the rest.
-            var idxByName = this.schema.idxByName;
-            var simpleIndex = keyPaths.reduce((r,keyPath)=>[
-                r[0] || idxByName[keyPath],
-                r[0] || !idxByName[keyPath] ?
-                    combine(
-                        r[1],
-                        x =>''+getByKeyPath(x, keyPath) ==
-                            ''+indexOrCrit[keyPath])
-                    : r[1]
-                ], [null, null]);
-    
-            var idx = simpleIndex[0];
-            return idx ?
-                this.where(idx.name).equals(indexOrCrit[idx.keyPath])
-                    .filter(simpleIndex[1]) :
-                compoundIndex ?
-                    this.filter(simpleIndex[1]) : // Has compound but browser bad. Allow filter.
-                    this.where(keyPaths).equals(''); // No index at all. Fail lazily.
+
+            var collection;
+            if (plan.index) {
+                collection = new Collection(new WhereClause(this, plan.index.name), () => plan.range);
+                if (plan.filter) collection.filter(plan.filter);
+            } else if (this.schema.indexes.some(ix => [].concat(ix.keyPath).some(keyPath => keyPaths.indexOf(keyPath) >= 0))) {
+                // Indexed but index not usable (compound index in a browser without compound support, full-text index or range
+                // on a multiEntry index). Allow filter.
+                collection = this.filter(plan.filter);
+            } else {
+                // No index at all. Fail lazily.
+                return this.where(keyPaths.length === 1 ? keyPaths[0] : keyPaths).equals('');
+            }
+            collection._ctx.plan = plan;
+            return collection;
         },
         count: function (cb) {
             return this.toCollection().count(cb);
@@ -1042,6 +1481,10 @@ export default function Dexie(dbName, options) {
             return this.toCollection().toArray(cb);
         },
         orderBy: function (index) {
+            var indexSpec = this.schema.idxByName[index];
+            if (indexSpec && indexSpec.fullText)
+                // Full-text indexes are ordered by terms, not by the text.
+                return this.toCollection().orderBy(index);
             return new Collection(
                 new WhereClause(this, isArray(index) ?
                     `[${index.join('+')}]` :
@@ -1052,7 +1495,11 @@ export default function Dexie(dbName, options) {
             return new Collection(new WhereClause(this));
         },
 
-        mapToClass: function (constructor, structure) {
+        'with': function (spec) {
+            return this.toCollection().with(spec);
+        },
+
+        mapToClass: function (constructor, structure, rules) {
             /// <summary>
             ///     Map table to a javascript constructor function. Objects returned from the database will be instances of this class, making
             ///     it possible to the instanceOf operator as well as extending the class using constructor.prototype.method = function(){...}.
@@ -1060,6 +1507,8 @@ export default function Dexie(dbName, options) {
             /// <param name="constructor">Constructor function representing the class.</param>
             /// <param name="structure" optional="true">Helps IDE code completion by knowing the members that objects contain and not just the indexes. Also
             /// know what type each member has. Example: {name: String, emailAddresses: [String], password}</param>
+            /// <param name="rules" optional="true">{required?: Array, defaults?: Object, validators?: Object}. Validates objects written to the table
+            /// against the structure and given rules. See validation.js.</param>
             this.schema.mappedClass = constructor;
             var instanceTemplate = Object.create(constructor.prototype);
             if (structure) {
@@ -1084,22 +1533,66 @@ export default function Dexie(dbName, options) {
             }
             this.schema.readHook = readHook;
             this.hook("reading", readHook);
+
+            if (this.schema.validationHooks) {
+                this.hook.creating.unsubscribe(this.schema.validationHooks.creating);
+                this.hook.updating.unsubscribe(this.schema.validationHooks.updating);
+                this.schema.validationHooks = null;
+            }
+            if (rules) {
+                var validator = createValidator(structure, rules),
+                    tableName = this.name;
+                this.schema.validationHooks = {
+                    creating: function (primKey, obj) {
+                        validator.applyDefaults(obj);
+                        assertValid(validator, tableName, obj);
+                    },
+                    updating: function (mods, primKey, obj) {
+                        assertValid(validator, tableName, applyChanges(obj, mods));
+                    }
+                };
+                this.hook("creating", this.schema.validationHooks.creating);
+                this.hook("updating", this.schema.validationHooks.updating);
+            }
             return constructor;
         },
-        defineClass: function (structure) {
+        defineClass: function (structure, rules) {
             /// <summary>
             ///     Define all members of the class that represents the table. This will help code completion of when objects are read from the database
             ///     as well as making it possible to extend the prototype of the returned constructor function.
             /// </summary>
             /// <param name="structure">Helps IDE code completion by knowing the members that objects contain and not just the indexes. Also
             /// know what type each member has. Example: {name: String, emailAddresses: [String], properties: {shoeSize: Number}}</param>
-            return this.mapToClass(Dexie.defineClass(structure), structure);
+            /// <param name="rules" optional="true">{required?: Array, defaults?: Object, validators?: Object}. Validates objects written to the table
+            /// against the structure and given rules. See validation.js.</param>
+            return this.mapToClass(Dexie.defineClass(structure), structure, rules);
         },
 
+        bulkGet: function (keys) {
+            /// <summary>
+            ///   Get the objects with given primary keys, in the same order. Objects not found are returned as undefined.
+            /// </summary>
+            /// <param name="keys" type="Array">Primary keys of the objects to get</param>
+            var self = this;
+            if (PSD.subscr && keys.length > 0) {
+                // Called from within a live query. Tell it what we read.
+                var range = null;
+                try {
+                    var sortedKeys = keys.slice().sort(cmp);
+                    range = IDBKeyRange.bound(sortedKeys[0], sortedKeys[sortedKeys.length - 1]);
+                } catch (e) {}
+                trackRead(db, this, null, range, cmp);
+            }
+            return this._dbcore(READONLY, function (resolve, reject, coreTable, trans) {
+                fake && resolve(keys.map(() => self.schema.instanceTemplate));
+                resolve(getMany(coreTable, trans.idbtrans, keys).then(values =>
+                    values.map(value => self.hook.reading.fire(unlessExpired(self.schema, unlessDeleted(self.schema, value))))));
+            });
+        },
         bulkDelete: function (keys) {
-            if (this.hook.deleting.fire === nop) {
-                return this._idbstore(READWRITE, (resolve, reject, idbstore, trans) => {
-                    resolve (bulkDelete(idbstore, trans, keys, false, nop));
+            if (this.hook.deleting.fire === nop && !this.schema.softDelete) {
+                return this._dbcore(READWRITE, (resolve, reject, coreTable, trans) => {
+                    resolve (bulkDelete(coreTable, trans, keys, false, nop));
                 });
             } else {
                 return this
@@ -1110,10 +1603,11 @@ export default function Dexie(dbName, options) {
             }
         },
         bulkPut: function(objects, keys) {
-            return this._idbstore(READWRITE, (resolve, reject, idbstore) => {
-                if (!idbstore.keyPath && !this.schema.primKey.auto && !keys)
+            return this._dbcore(READWRITE, (resolve, reject, coreTable, trans) => {
+                var keyPath = this.schema.primKey.keyPath;
+                if (!keyPath && !this.schema.primKey.auto && !keys)
                     throw new exceptions.InvalidArgument("bulkPut() with non-inbound keys requires keys array in second argument");
-                if (idbstore.keyPath && keys)
+                if (keyPath && keys)
                     throw new exceptions.InvalidArgument("bulkPut(): keys argument invalid on tables with inbound keys");
                 if (keys && keys.length !== objects.length)
                     throw new exceptions.InvalidArgument("Arguments objects and keys must have the same length");
@@ -1122,26 +1616,19 @@ export default function Dexie(dbName, options) {
                     if (errorList.length === 0) resolve(result);
                     else reject(new BulkError(`${this.name}.bulkPut(): ${errorList.length} of ${numObjs} operations failed`, errorList));
                 };
-                var req,
-                    errorList = [],
-                    errorHandler,
+                var errorList = [],
                     numObjs = objects.length,
                     table = this;
                 if (this.hook.creating.fire === nop && this.hook.updating.fire === nop) {
                     //
                     // Standard Bulk (no 'creating' or 'updating' hooks to care about)
                     //
-                    errorHandler = BulkErrorHandlerCatchAll(errorList);
-                    for (var i = 0, l = objects.length; i < l; ++i) {
-                        req = keys ? idbstore.put(objects[i], keys[i]) : idbstore.put(objects[i]);
-                        req.onerror = errorHandler;
-                    }
-                    // Only need to catch success or error on the last operation
-                    // according to the IDB spec.
-                    req.onerror = BulkErrorHandlerCatchAll(errorList, done);
-                    req.onsuccess = eventSuccessHandler(done);
+                    coreTable.put({trans: trans.idbtrans, values: objects, keys: keys}).then(res => {
+                        errorList = getFailures(res);
+                        done(res.lastResult);
+                    }).catch(reject);
                 } else {
-                    var effectiveKeys = keys || idbstore.keyPath && objects.map(o=>getByKeyPath(o, idbstore.keyPath));
+                    var effectiveKeys = keys || keyPath && objects.map(o=>getByKeyPath(o, keyPath));
                     // Generate map of {[key]: object}
                     var objectLookup = effectiveKeys && arrayToObject(effectiveKeys, (key, i) => key != null && [key, objects[i]]); 
                     var promise = !effectiveKeys ?
@@ -1192,11 +1679,12 @@ export default function Dexie(dbName, options) {
         },
         bulkAdd: function(objects, keys) {
             var self = this,
-                creatingHook = this.hook.creating.fire;
-            return this._idbstore(READWRITE, function (resolve, reject, idbstore, trans) {
-                if (!idbstore.keyPath && !self.schema.primKey.auto && !keys)
+                creatingHook = this.hook.creating.fire,
+                keyPath = this.schema.primKey.keyPath;
+            return this._dbcore(READWRITE, function (resolve, reject, coreTable, trans) {
+                if (!keyPath && !self.schema.primKey.auto && !keys)
                     throw new exceptions.InvalidArgument("bulkAdd() with non-inbound keys requires keys array in second argument");
-                if (idbstore.keyPath && keys)
+                if (keyPath && keys)
                     throw new exceptions.InvalidArgument("bulkAdd(): keys argument invalid on tables with inbound keys");
                 if (keys && keys.length !== objects.length)
                     throw new exceptions.InvalidArgument("Arguments objects and keys must have the same length");
@@ -1205,28 +1693,38 @@ export default function Dexie(dbName, options) {
                     if (errorList.length === 0) resolve(result);
                     else reject(new BulkError(`${self.name}.bulkAdd(): ${errorList.length} of ${numObjs} operations failed`, errorList));
                 }
-                var req,
-                    errorList = [],
-                    errorHandler,
-                    successHandler,
+                var errorList = [],
                     numObjs = objects.length;
                 if (creatingHook !== nop) {
                     //
                     // There are subscribers to hook('creating')
                     // Must behave as documented.
                     //
-                    var keyPath = idbstore.keyPath,
-                        hookCtx;
-                    errorHandler = BulkErrorHandlerCatchAll(errorList, null, true);
-                    successHandler = hookedEventSuccessHandler(null);
+                    var hookCtxs = [],
+                        values = [],
+                        outboundKeys = [],
+                        invalid = [];
 
                     tryCatch(() => {
                         for (var i=0, l = objects.length; i < l; ++i) {
-                            hookCtx = { onerror: null, onsuccess: null };
+                            var hookCtx = { onerror: null, onsuccess: null };
                             var key = keys && keys[i];
                             var obj = objects[i],
                                 effectiveKey = keys ? key : keyPath ? getByKeyPath(obj, keyPath) : undefined,
+                                keyToUse;
+                            try {
                                 keyToUse = creatingHook.call(hookCtx, effectiveKey, obj, trans);
+                            } catch (e) {
+                                if (!(e instanceof ValidationError)) {
+                                    hookCtxs.push(hookCtx);
+                                    throw e;
+                                }
+                                // Leave out invalid objects and add the others.
+                                callHookErrorHandlers([hookCtx], e);
+                                invalid.push(e);
+                                continue;
+                            }
+                            hookCtxs.push(hookCtx);
                             if (effectiveKey == null && keyToUse != null) {
                                 if (keyPath) {
                                     obj = deepClone(obj);
@@ -1235,71 +1733,148 @@ export default function Dexie(dbName, options) {
                                     key = keyToUse;
                                 }
                             }
-                            req = key != null ? idbstore.add(obj, key) : idbstore.add(obj);
-                            req._hookCtx = hookCtx;
-                            if (i < l - 1) {
-                                req.onerror = errorHandler;
-                                if (hookCtx.onsuccess)
-                                    req.onsuccess = successHandler;
-                            }
+                            values.push(obj);
+                            outboundKeys.push(key);
                         }
                     }, err => {
-                        hookCtx.onerror && hookCtx.onerror(err);
+                        callHookErrorHandlers(hookCtxs, err);
                         throw err;
                     });
 
-                    req.onerror = BulkErrorHandlerCatchAll(errorList, done, true);
-                    req.onsuccess = hookedEventSuccessHandler(done);
+                    if (values.length === 0) {
+                        errorList = invalid;
+                        return done();
+                    }
+                    coreTable.add({trans: trans.idbtrans, values: values, keys: !keyPath && outboundKeys}).then(res => {
+                        callHookHandlers(hookCtxs, res);
+                        errorList = invalid.concat(getFailures(res));
+                        done(res.lastResult);
+                    }, err => {
+                        callHookErrorHandlers(hookCtxs, err);
+                        throw err;
+                    }).catch(reject);
                 } else {
                     //
                     // Standard Bulk (no 'creating' hook to care about)
                     //
-                    errorHandler = BulkErrorHandlerCatchAll(errorList);
-                    for (var i = 0, l = objects.length; i < l; ++i) {
-                        req = keys ? idbstore.add(objects[i], keys[i]) : idbstore.add(objects[i]);
-                        req.onerror = errorHandler;
-                    }
-                    // Only need to catch success or error on the last operation
-                    // according to the IDB spec.
-                    req.onerror = BulkErrorHandlerCatchAll(errorList, done);
-                    req.onsuccess = eventSuccessHandler(done);
+                    coreTable.add({trans: trans.idbtrans, values: objects, keys: keys}).then(res => {
+                        errorList = getFailures(res);
+                        done(res.lastResult);
+                    }).catch(reject);
                 }
             });
         },
+        bulkUpdate: function (keysAndChanges) {
+            /// <summary>
+            ///   Update several objects at once. Keys that are not found are ignored, like update() does.
+            ///   Each key can be given once only.
+            /// </summary>
+            /// <param name="keysAndChanges" type="Array">Array of {key, changes}, changes being a set of {keyPath: value}</param>
+            /// <returns type="Promise">Promise resolving with the number of objects updated</returns>
+            var self = this,
+                updatingHook = this.hook.updating.fire,
+                keyPath = this.schema.primKey.keyPath;
+            keysAndChanges.forEach(item => {
+                if (typeof item.changes !== 'object' || isArray(item.changes))
+                    throw new exceptions.InvalidArgument("Modifications must be an object.");
+            });
+            return this._dbcore(READWRITE, function (resolve, reject, coreTable, trans) {
+                if (keysAndChanges.length === 0) return resolve(0);
+                var primKeys = keysAndChanges.map(item => item.key),
+                    sortedKeys = primKeys.slice().sort(cmp);
+                for (var i = 1; i < sortedKeys.length; ++i) {
+                    if (cmp(sortedKeys[i - 1], sortedKeys[i]) === 0) throw new exceptions.InvalidArgument(
+                        `${self.name}.bulkUpdate(): Key ${JSON.stringify(sortedKeys[i])} given more than once`);
+                }
+                resolve(getMany(coreTable, trans.idbtrans, primKeys).then(objects => {
+                    var hookCtxs = [],
+                        values = [],
+                        valueKeys = [],
+                        errorList = [];
+                    tryCatch(() => {
+                        objects.forEach((obj, i) => {
+                            if (obj === undefined) return;
+                            var changes = getModifications(obj, keysAndChanges[i].changes);
+                            if (keys(changes).length === 0) return; // Operators leaving it as it is. Not counted.
+                            if (updatingHook !== nop) {
+                                var hookCtx = {onsuccess: null, onerror: null};
+                                hookCtxs.push(hookCtx);
+                                try {
+                                    var additionalChanges = updatingHook.call(hookCtx, changes, primKeys[i], deepClone(obj), trans);
+                                } catch (e) {
+                                    if (!(e instanceof ValidationError)) throw e;
+                                    errorList.push(e);
+                                    return;
+                                }
+                                if (additionalChanges) changes = extend(shallowClone(changes), additionalChanges);
+                            }
+                            keys(changes).forEach(keyPath => {
+                                setByKeyPath(obj, keyPath, changes[keyPath]); // {keyPath: undefined} deletes the keyPath.
+                            });
+                            values.push(obj);
+                            valueKeys.push(primKeys[i]);
+                        });
+                    }, err => {
+                        callHookErrorHandlers(hookCtxs, err);
+                        throw err;
+                    });
+                    if (keyPath) {
+                        // Putting an object with a changed primary key would add a new one instead of updating it.
+                        valueKeys.forEach((key, i) => {
+                            if (cmp(getByKeyPath(values[i], keyPath), key) !== 0) errorList.push(new exceptions.Data(
+                                `${self.name}.bulkUpdate(): Cannot change the primary key of ${JSON.stringify(key)}`));
+                        });
+                    }
+                    if (errorList.length > 0) {
+                        // Invalid objects or changed primary keys fail the whole operation before anything is written.
+                        var numFound = objects.filter(obj => obj !== undefined).length;
+                        callHookErrorHandlers(hookCtxs, errorList[0]);
+                        throw new BulkError(`${self.name}.bulkUpdate(): ${errorList.length} of ${numFound} operations failed`, errorList);
+                    }
+                    return coreTable.put({trans: trans.idbtrans, values: values, keys: !keyPath && valueKeys}).then(res => {
+                        callHookHandlers(hookCtxs, res);
+                        errorList = getFailures(res);
+                        if (errorList.length > 0)
+                            throw new BulkError(`${self.name}.bulkUpdate(): ${errorList.length} of ${values.length} operations failed`, errorList);
+                        return values.length - res.numFailures;
+                    }, err => {
+                        callHookErrorHandlers(hookCtxs, err);
+                        throw err;
+                    });
+                }));
+            }, "locked");
+        },
         add: function (obj, key) {
             /// <summary>
             ///   Add an object to the database. In case an object with same primary key already exists, the object will not be added.
             /// </summary>
             /// <param name="obj" type="Object">A javascript object to insert</param>
             /// <param name="key" optional="true">Primary key</param>
-            var creatingHook = this.hook.creating.fire;
-            return this._idbstore(READWRITE, function (resolve, reject, idbstore, trans) {
+            var creatingHook = this.hook.creating.fire,
+                keyPath = this.schema.primKey.keyPath;
+            return this._dbcore(READWRITE, function (resolve, reject, coreTable, trans) {
                 var hookCtx = {onsuccess: null, onerror: null};
                 if (creatingHook !== nop) {
-                    var effectiveKey = (key != null) ? key : (idbstore.keyPath ? getByKeyPath(obj, idbstore.keyPath) : undefined);
+                    var effectiveKey = (key != null) ? key : (keyPath ? getByKeyPath(obj, keyPath) : undefined);
                     var keyToUse = creatingHook.call(hookCtx, effectiveKey, obj, trans); // Allow subscribers to when("creating") to generate the key.
                     if (effectiveKey == null && keyToUse != null) { // Using "==" and "!=" to check for either null or undefined!
-                        if (idbstore.keyPath)
-                            setByKeyPath(obj, idbstore.keyPath, keyToUse);
+                        if (keyPath)
+                            setByKeyPath(obj, keyPath, keyToUse);
                         else
                             key = keyToUse;
                     }
                 }
-                try {
-                    var req = key != null ? idbstore.add(obj, key) : idbstore.add(obj);
-                    req._hookCtx = hookCtx;
-                    req.onerror = hookedEventRejectHandler(reject);
-                    req.onsuccess = hookedEventSuccessHandler(function (result) {
-                        // TODO: Remove these two lines in next major release (2.0?)
-                        // It's no good practice to have side effects on provided parameters
-                        var keyPath = idbstore.keyPath;
-                        if (keyPath) setByKeyPath(obj, keyPath, result);
-                        resolve(result);
-                    });
-                } catch (e) {
-                    if (hookCtx.onerror) hookCtx.onerror(e);
-                    throw e;
-                }
+                resolve(coreTable.add({trans: trans.idbtrans, values: [obj], keys: key != null && [key]}).then(res => {
+                    callHookHandlers([hookCtx], res);
+                    if (res.numFailures) throw res.failures[0];
+                    // TODO: Remove these two lines in next major release (2.0?)
+                    // It's no good practice to have side effects on provided parameters
+                    if (keyPath) setByKeyPath(obj, keyPath, res.lastResult);
+                    return res.lastResult;
+                }, err => {
+                    callHookErrorHandlers([hookCtx], err);
+                    throw err;
+                }));
             });
         },
 
@@ -1310,13 +1885,13 @@ export default function Dexie(dbName, options) {
             /// <param name="obj" type="Object">A javascript object to insert or update</param>
             /// <param name="key" optional="true">Primary key</param>
             var creatingHook = this.hook.creating.fire,
-                updatingHook = this.hook.updating.fire;
+                updatingHook = this.hook.updating.fire,
+                keyPath = this.schema.primKey.keyPath;
             if (creatingHook !== nop || updatingHook !== nop) {
                 //
                 // People listens to when("creating") or when("updating") events!
                 // We must know whether the put operation results in an CREATE or UPDATE.
                 //
-                var keyPath = this.schema.primKey.keyPath;
                 var effectiveKey = (key !== undefined) ? key : (keyPath && getByKeyPath(obj, keyPath));
                 if (effectiveKey == null)  // "== null" means checking for either null or undefined.
                     return this.add(obj);
@@ -1326,8 +1901,10 @@ export default function Dexie(dbName, options) {
                 // Primary key exist. Lock transaction and try modifying existing. If nothing modified, call add().
                 // clone obj before this async call. If caller modifies obj the line after put(), the IDB spec requires that it should not affect operation.
                 obj = deepClone(obj);
+                var existing = this.where(":id").equals(effectiveKey);
+                filterDeleted(existing._ctx, null); // Replace a soft-deleted object as well.
                 return this._trans(READWRITE, () =>
-                    this.where(":id").equals(effectiveKey).modify(function () {
+                    existing.modify(function () {
                         // Replace extisting value with our object
                         // CRUD event firing handled in Collection.modify()
                         this.value = obj;
@@ -1335,68 +1912,122 @@ export default function Dexie(dbName, options) {
                     "locked"); // Lock needed because operation is splitted into modify() and add().
             } else {
                 // Use the standard IDB put() method.
-                return this._idbstore(READWRITE, function (resolve, reject, idbstore) {
-                    var req = key !== undefined ? idbstore.put(obj, key) : idbstore.put(obj);
-                    req.onerror = eventRejectHandler(reject);
-                    req.onsuccess = wrap(function (ev) {
-                        var keyPath = idbstore.keyPath;
-                        if (keyPath) setByKeyPath(obj, keyPath, ev.target.result);
-                        resolve(req.result);
-                    });
+                return this._dbcore(READWRITE, function (resolve, reject, coreTable, trans) {
+                    resolve(coreTable.put({trans: trans.idbtrans, values: [obj], keys: key !== undefined && [key]}).then(res => {
+                        if (res.numFailures) throw res.failures[0];
+                        if (keyPath) setByKeyPath(obj, keyPath, res.lastResult);
+                        return res.lastResult;
+                    }));
                 });
             }
         },
 
         'delete': function (key) {
             /// <param name="key">Primary key of the object to delete</param>
-            if (this.hook.deleting.subscribers.length) {
+            if (this.hook.deleting.subscribers.length || this.schema.softDelete) {
                 // People listens to when("deleting") event. Must implement delete using Collection.delete() that will
                 // call the CRUD event. Only Collection.delete() will know whether an object was actually deleted.
+                // Collection.delete() also knows how to soft-delete.
                 return this.where(":id").equals(key).delete();
             } else {
                 // No one listens. Use standard IDB delete() method.
-                return this._idbstore(READWRITE, function (resolve, reject, idbstore) {
-                    var req = idbstore.delete(key);
-                    req.onerror = eventRejectHandler(reject);
-                    req.onsuccess = wrap(function () {
-                        resolve(req.result);
-                    });
+                return this._dbcore(READWRITE, function (resolve, reject, coreTable, trans) {
+                    resolve(coreTable.delete({trans: trans.idbtrans, keys: [key]}).then(res => {
+                        if (res.numFailures) throw res.failures[0];
+                    }));
                 });
             }
         },
 
         clear: function () {
-            if (this.hook.deleting.subscribers.length) {
+            if (this.hook.deleting.subscribers.length || this.schema.softDelete) {
                 // People listens to when("deleting") event. Must implement delete using Collection.delete() that will
                 // call the CRUD event. Only Collection.delete() will knows which objects that are actually deleted.
                 return this.toCollection().delete();
             } else {
-                return this._idbstore(READWRITE, function (resolve, reject, idbstore) {
-                    var req = idbstore.clear();
-                    req.onerror = eventRejectHandler(reject);
-                    req.onsuccess = wrap(function () {
-                        resolve(req.result);
-                    });
+                return this._dbcore(READWRITE, function (resolve, reject, coreTable, trans) {
+                    resolve(coreTable.deleteRange({trans: trans.idbtrans, range: null}));
                 });
             }
         },
 
-        update: function (keyOrObject, modifications) {
+        update: function (keyOrObject, modifications, options) {
+            /// <param name="options" optional="true">{upsert?: boolean, defaults?: Object}. With upsert, an object missing
+            /// is created from defaults and modifications.</param>
             if (typeof modifications !== 'object' || isArray(modifications))
                 throw new exceptions.InvalidArgument("Modifications must be an object.");
             if (typeof keyOrObject === 'object' && !isArray(keyOrObject)) {
                 // object to modify. Also modify given object with the modifications:
-                keys(modifications).forEach(function (keyPath) {
-                    setByKeyPath(keyOrObject, keyPath, modifications[keyPath]);
+                var objectModifications = getModifications(keyOrObject, modifications);
+                keys(objectModifications).forEach(function (keyPath) {
+                    setByKeyPath(keyOrObject, keyPath, objectModifications[keyPath]);
                 });
                 var key = getByKeyPath(keyOrObject, this.schema.primKey.keyPath);
                 if (key === undefined) return rejection (new exceptions.InvalidArgument(
                     "Given object does not contain its primary key"));
-                return this.where(":id").equals(key).modify(modifications);
+                return unwrapValidationError(this.where(":id").equals(key).modify(modifications, options));
             } else {
                 // key to modify
-                return this.where(":id").equals(keyOrObject).modify(modifications);
+                return unwrapValidationError(this.where(":id").equals(keyOrObject).modify(modifications, options));
+            }
+        },
+
+        upsert: function (key, changes, defaults) {
+            /// <summary>
+            ///   Update the object with given key, or create it from defaults and changes if missing.
+            ///   Fires the 'updating' hook when updating and the 'creating' hook when creating.
+            /// </summary>
+            /// <param name="key">Primary key</param>
+            /// <param name="changes">Set of {keyPath: value} to apply</param>
+            /// <param name="defaults" optional="true">Properties of the object if created, before applying changes</param>
+            /// <returns type="Promise">Promise resolving with 1 if the object was created or changed, 0 if left as is</returns>
+            return this.update(key, changes, {upsert: true, defaults: defaults});
+        },
+
+        deleted: function () {
+            /// <summary>
+            ///   Get a collection of the objects soft-deleted from the table. Deleting from it deletes them for real.
+            ///   See soft-delete.js.
+            /// </summary>
+            if (!this.schema.softDelete) throw new exceptions.InvalidArgument(`${this.name} does not soft-delete`);
+            var collection = this.toCollection();
+            filterDeleted(collection._ctx, true);
+            return collection;
+        },
+
+        restore: function (keys) {
+            /// <summary>
+            ///   Restore soft-deleted objects. Fires the 'updating' hook with the removal of deletedAt.
+            /// </summary>
+            /// <param name="keys">Primary key or array of primary keys of the objects to restore</param>
+            /// <returns type="Promise">Promise resolving with the number of objects restored</returns>
+            if (!this.schema.softDelete) return rejection(new exceptions.InvalidArgument(`${this.name} does not soft-delete`));
+            var collection = this.where(":id").anyOf(isArray(keys) ? keys : [keys]),
+                changes = {};
+            filterDeleted(collection._ctx, true);
+            changes[DELETED_AT] = undefined; // Deletes the key path.
+            return collection.modify(changes);
+        },
+
+        purgeDeleted: function (olderThan) {
+            /// <summary>
+            ///   Delete soft-deleted objects for real. Fires the 'deleting' hook.
+            /// </summary>
+            /// <param name="olderThan" optional="true">Date or time in milliseconds. Only objects soft-deleted before it are purged.
+            /// All soft-deleted objects are purged if omitted.</param>
+            /// <returns type="Promise">Promise resolving with the number of objects purged</returns>
+            if (!this.schema.softDelete) return rejection(new exceptions.InvalidArgument(`${this.name} does not soft-delete`));
+            var before = olderThan == null ? Infinity : +olderThan,
+                collection;
+            if (this.schema.idxByName[DELETED_AT] && before !== Infinity) {
+                // Objects not deleted lack the indexed property.
+                collection = this.where(DELETED_AT).below(before);
+                filterDeleted(collection._ctx, null);
+            } else {
+                collection = this.deleted();
+                if (before !== Infinity) collection.and(obj => getByKeyPath(obj, DELETED_AT) < before);
             }
+            return collection.delete();
         }
     });
     
@@ -1648,6 +2279,28 @@ export default function Dexie(dbName, options) {
             return new Collection (whereClause, function() { return IDBKeyRange.only(""); }).limit(0);
         }
 
+        function matchTerms(whereClause, terms, all) {
+            var ctx = whereClause._ctx,
+                indexSpec = ctx.index && ctx.table.schema.idxByName[ctx.index];
+            if (!indexSpec || !indexSpec.fullText)
+                return fail(whereClause, "KeyPath " + ctx.index + " on object store " + ctx.table.name + " is not a full-text index", exceptions.Schema);
+            var set = queryTerms(analyzeText, terms);
+            if (set.length === 0) return emptyCollection(whereClause);
+            var keyPath = indexSpec.keyPath,
+                collection = all ?
+                    // Any term will do to find candidates. The text has to contain the others as well.
+                    whereClause.equals(set[0]).and(value => {
+                        var counts = countTerms(analyzeText, getByKeyPath(value, keyPath));
+                        return set.every(term => hasOwn(counts, term));
+                    }) :
+                    whereClause.anyOf(set).distinct();
+            // Rank by term frequency: the total number of occurrences of the terms in the text.
+            return collection.orderBy(value => {
+                var counts = countTerms(analyzeText, getByKeyPath(value, keyPath));
+                return -set.reduce((sum, term) => sum + (counts[term] || 0), 0);
+            });
+        }
+
         function upperFactory(dir) {
             return dir === "next" ? function (s) { return s.toUpperCase(); } : function (s) { return s.toLowerCase(); };
         }
@@ -1963,6 +2616,27 @@ export default function Dexie(dbName, options) {
                 return this.inAnyRange(set.map(function(str) {
                     return [str, str + maxString];
                 }));
+            },
+
+            /** Find records whose text contains all given terms, on a full-text index ("~" in the schema).
+            * Terms are analyzed just like the indexed texts. The records that contain the terms most
+            * times come first:
+            *
+            *   db.emails.where('body').matchesAll("meeting tomorrow").limit(10).toArray()
+            *
+            * @param {string|string[]} terms
+            */
+            matchesAll: function (terms) {
+                return matchTerms(this, terms, true);
+            },
+
+            /** Find records whose text contains any of given terms, on a full-text index ("~" in the schema).
+            * The records that contain the terms most times come first.
+            *
+            * @param {string|string[]} terms
+            */
+            matchesAny: function (terms) {
+                return matchTerms(this, terms, false);
             }
         };
     });
@@ -2009,12 +2683,22 @@ export default function Dexie(dbName, options) {
             limit: Infinity,
             error: error, // If set, any promise must be rejected with this error
             or: whereCtx.or,
-            valueMapper: table.hook.reading.fire
+            valueMapper: table.hook.reading.fire,
+            plan: null, // Query plan when created by Table.where({...}). Reported by explain().
+            orderBy: null, // KeyPath (or function returning the key) to sort by in javascript when no index can deliver the order.
+            orderOffset: 0, // Offset to apply after sorting
+            orderLimit: Infinity, // Limit to apply after sorting
+            scanDir: null, // Direction to iterate the unordered collection in when sorting
+            softDelete: false // True if delete() should mark objects with deletedAt. See soft-delete.js.
         };
+        if (table.schema.softDelete) filterDeleted(this._ctx, false);
+        if (table.schema.ttl) hideExpired(this._ctx, table.schema.ttl);
+        // Filters hiding soft-deleted and expired objects leave the key range as is. See upsert().
+        this._ctx.defaultFilter = this._ctx.filter;
     }
     
     function isPlainKeyRange (ctx, ignoreLimitFilter) {
-        return !(ctx.filter || ctx.algorithm || ctx.or) &&
+        return !(ctx.filter || ctx.algorithm || ctx.or || ctx.orderBy) &&
             (ignoreLimitFilter ? ctx.justLimit : !ctx.replayFilter);
     }    
 
@@ -2024,6 +2708,120 @@ export default function Dexie(dbName, options) {
         // Collection Private Functions
         //
 
+        function valuesAt(ctx, item, keyPath) {
+            // Like a multiEntry index, let each item of an array be a value of its own.
+            var value = getByKeyPath(item, keyPath),
+                idx = ctx.table.schema.idxByName[keyPath];
+            return value === undefined ? [] :
+                idx && idx.multi && isArray(value) ? value :
+                [value];
+        }
+
+        function isValidKey(value) {
+            try {
+                cmp(value, value);
+                return true;
+            } catch (e) {
+                return false;
+            }
+        }
+
+        function getIndexEnds(collection, keyPath) {
+            // Get a collection whose keys are the values at keyPath, so that min() and max() can read
+            // the ends of the index instead of iterating. Returns null unless possible.
+            var ctx = collection._ctx,
+                schema = ctx.table.schema;
+            if (!isPlainKeyRange(ctx)) return null;
+            var idx = ctx.isPrimKey ? schema.primKey : schema.idxByName[ctx.index];
+            if (idx && !idx.fullText && idx.keyPath === keyPath)
+                return ctx.dir === "prev" ? collection.clone().reverse() : collection.clone();
+            // Whole table. Any index on keyPath will do.
+            idx = schema.idxByName[keyPath];
+            if (ctx.isPrimKey && !ctx.range && idx && !idx.fullText) return new Collection(new WhereClause(ctx.table, keyPath));
+            return null;
+        }
+
+        function extreme(collection, keyPath, max) {
+            var ctx = collection._ctx,
+                indexed = getIndexEnds(collection, keyPath);
+            if (indexed) return max ? indexed.lastKey() : indexed.firstKey();
+            var result;
+            return collection.each(item => {
+                valuesAt(ctx, item, keyPath).forEach(value => {
+                    // Compare as indexedDB would and leave out values that could not be indexed.
+                    if (!isValidKey(value)) return;
+                    if (result === undefined || (max ? cmp(value, result) > 0 : cmp(value, result) < 0)) result = value;
+                });
+            }).then(() => result);
+        }
+
+        function attachReferred(items, relation) {
+            // Many-to-one: get the record each item refers to.
+            var referring = items.filter(item => isValidKey(getByKeyPath(item, relation.foreignKey)));
+            if (referring.length === 0) return;
+            return db.table(relation.table).bulkGet(referring.map(item => getByKeyPath(item, relation.foreignKey))).then(related => {
+                referring.forEach((item, i) => { item[relation.prop] = related[i]; });
+            });
+        }
+
+        function attachReferring(items, primaryKeys, relation) {
+            // One-to-many: get the records referring to each item.
+            var groups = primaryKeys.map(() => []),
+                sortedKeys = primaryKeys.map((key, i) => ({key: key, i: i})).sort((a, b) => cmp(a.key, b.key));
+            items.forEach((item, i) => { item[relation.prop] = groups[i]; });
+            if (items.length === 0) return;
+            var table = db.table(relation.table),
+                // Without an index on the foreign key, scan the table once.
+                referring = table.schema.idxByName[relation.foreignKey] ?
+                    table.where(relation.foreignKey).anyOf(primaryKeys) :
+                    table.filter(record => isValidKey(getByKeyPath(record, relation.foreignKey)));
+            return referring.each(record => {
+                // Binary search the items referred to, sorted by primary key.
+                var key = getByKeyPath(record, relation.foreignKey),
+                    low = 0, high = sortedKeys.length;
+                while (low < high) {
+                    var mid = (low + high) >> 1;
+                    if (cmp(sortedKeys[mid].key, key) < 0) low = mid + 1; else high = mid;
+                }
+                for (; low < sortedKeys.length && cmp(sortedKeys[low].key, key) === 0; ++low)
+                    groups[sortedKeys[low].i].push(record);
+            });
+        }
+
+        function upsert(collection, changes, defaults) {
+            var ctx = collection._ctx,
+                table = ctx.table,
+                range = ctx.range;
+            var plainCtx = ctx.filter && ctx.filter === ctx.defaultFilter ? extend(shallowClone(ctx), {filter: null}) : ctx;
+            if (!ctx.isPrimKey || !isPlainKeyRange(plainCtx) || !range || range.lowerOpen || range.upperOpen ||
+                cmp(range.lower, range.upper) !== 0)
+            {
+                return rejection(new exceptions.InvalidArgument("upsert requires a collection of a single primary key"));
+            }
+            var key = range.lower,
+                keyPath = table.schema.primKey.keyPath;
+            return table._trans(READWRITE, () => collection.count().then(count => {
+                // modify() tells how many objects it changed, not whether the object exists. Count first.
+                if (count > 0) return collection.modify(changes);
+                // Not found. Create it. Table.add() fires the creating hook.
+                var obj = defaults ? deepClone(defaults) : {};
+                if (typeof changes === 'function') {
+                    var ctxObj = {value: obj, primKey: key};
+                    if (changes.call(ctxObj, obj, ctxObj) === false || !hasOwn(ctxObj, "value")) return 0;
+                    obj = ctxObj.value;
+                } else {
+                    var modifications = getModifications(obj, changes);
+                    keys(modifications).forEach(keyPath => {
+                        setByKeyPath(obj, keyPath, modifications[keyPath]);
+                    });
+                }
+                if (keyPath) setByKeyPath(obj, keyPath, key);
+                // A soft-deleted or expired object may hold the key. Replace it with put().
+                return (ctx.defaultFilter ? table.put(obj, keyPath ? undefined : key) : table.add(obj, keyPath ? undefined : key))
+                    .then(() => 1);
+            }), "locked"); // Lock needed because operation is splitted into modify() and add().
+        }
+
         function addFilter(ctx, fn) {
             ctx.filter = combine(ctx.filter, fn);
         }
@@ -2043,13 +2841,13 @@ export default function Dexie(dbName, options) {
          *      table: Table,
          *      index: string
          * }
-         * @param store IDBObjectStore
+         * @returns Name of the index to query, or null when querying the primary key.
          **/
-        function getIndexOrStore(ctx, store) {
-            if (ctx.isPrimKey) return store;
+        function getIndexName(ctx) {
+            if (ctx.isPrimKey) return null;
             var indexSpec = ctx.table.schema.idxByName[ctx.index];
-            if (!indexSpec) throw new exceptions.Schema("KeyPath " + ctx.index + " on object store " + store.name + " is not indexed");
-            return store.index(indexSpec.name);
+            if (!indexSpec) throw new exceptions.Schema("KeyPath " + ctx.index + " on object store " + ctx.table.name + " is not indexed");
+            return indexSpec.name;
         }
 
         /** @param ctx {
@@ -2061,18 +2859,23 @@ export default function Dexie(dbName, options) {
          *      dir: "next" | "prev"
          * }
          */
-        function openCursor(ctx, store) {
-            var idxOrStore = getIndexOrStore(ctx, store);
-            return ctx.keysOnly && 'openKeyCursor' in idxOrStore ?
-                idxOrStore.openKeyCursor(ctx.range || null, ctx.dir + ctx.unique) :
-                idxOrStore.openCursor(ctx.range || null, ctx.dir + ctx.unique);
+        function openCursor(ctx, coreTable, trans) {
+            return coreTable.openCursor({
+                trans: trans.idbtrans,
+                index: getIndexName(ctx),
+                range: ctx.range,
+                dir: ctx.dir,
+                unique: !!ctx.unique,
+                keysOnly: ctx.keysOnly
+            });
         }
 
-        function iter(ctx, fn, resolve, reject, idbstore) {
+        function iter(ctx, fn, coreTable, trans) {
+            if (ctx.orderBy) return iterOrdered(ctx, fn, coreTable, trans);
             var filter = ctx.replayFilter ? combine(ctx.filter, ctx.replayFilter()) : ctx.filter;
             if (!ctx.or) {
-                iterate(openCursor(ctx, idbstore), combine(ctx.algorithm, filter), fn, resolve, reject, !ctx.keysOnly && ctx.valueMapper);
-            } else (()=>{
+                return iterate(openCursor(ctx, coreTable, trans), combine(ctx.algorithm, filter), fn, !ctx.keysOnly && ctx.valueMapper);
+            } else return new Promise((resolve, reject) => {
                 var set = {};
                 var resolved = 0;
 
@@ -2090,13 +2893,112 @@ export default function Dexie(dbName, options) {
                     }
                 }
 
-                ctx.or._iterate(union, resolveboth, reject, idbstore);
-                iterate(openCursor(ctx, idbstore), ctx.algorithm, union, resolveboth, reject, !ctx.keysOnly && ctx.valueMapper);
-            })();
+                ctx.or._iterate(union, coreTable, trans).then(resolveboth, reject);
+                iterate(openCursor(ctx, coreTable, trans), ctx.algorithm, union, !ctx.keysOnly && ctx.valueMapper).then(resolveboth, reject);
+            });
         }
+
+        /** Iterate a collection ordered by ctx.orderBy. All matching records are visited but only the
+         * ones within orderOffset and orderLimit are kept in memory (see top-k.js) before being sorted
+         * and passed to fn().
+         */
+        function iterOrdered(ctx, fn, coreTable, trans) {
+            var keyPath = ctx.orderBy,
+                order = ctx.dir === "prev" ? -1 : 1,
+                topK = createTopK(ctx.orderOffset + ctx.orderLimit, (a, b) =>
+                    order * (cmp(a.orderKey, b.orderKey) || cmp(a.primaryKey, b.primaryKey)));
+            // Iterate the unordered collection. Values are needed to sort, even if only keys are requested.
+            var unorderedCtx = Object.create(ctx);
+            unorderedCtx.orderBy = null;
+            unorderedCtx.dir = ctx.scanDir;
+            unorderedCtx.keysOnly = false;
+            unorderedCtx.valueMapper = null;
+            return iter(unorderedCtx, function (value, cursor) {
+                var orderKey = typeof keyPath === 'function' ? keyPath(value) : getByKeyPath(value, keyPath);
+                // Just like an index, leave out records whose value at keyPath is not a valid key.
+                try { cmp(orderKey, orderKey); } catch (e) { return; }
+                topK.add({key: cursor.key, primaryKey: cursor.primaryKey, value: value, orderKey: orderKey});
+            }, coreTable, trans).then(() => {
+                var valueMapper = !ctx.keysOnly && ctx.valueMapper;
+                topK.toSortedArray().slice(ctx.orderOffset).forEach(item => {
+                    fn(valueMapper ? valueMapper(item.value) : item.value, createOrderedCursor(ctx, item, coreTable, trans), nop);
+                });
+            });
+        }
+
+        /** Cursor-like object for an already visited record, letting modify() and delete()
+         * operate on ordered collections.
+         */
+        function createOrderedCursor(ctx, item, coreTable, trans) {
+            var outbound = !ctx.table.schema.primKey.keyPath;
+            function rejectFailure(mutateResult) {
+                if (mutateResult.numFailures) throw mutateResult.failures[0];
+                return mutateResult.lastResult;
+            }
+            return {
+                key: item.key,
+                primaryKey: item.primaryKey,
+                value: item.value,
+                update: function (value) {
+                    return coreTable.put({
+                        trans: trans.idbtrans,
+                        values: [value],
+                        keys: outbound ? [item.primaryKey] : undefined
+                    }).then(rejectFailure);
+                },
+                'delete': function () {
+                    return coreTable.delete({trans: trans.idbtrans, keys: [item.primaryKey]}).then(rejectFailure);
+                }
+            };
+        }
+
+        /** Narrow the range of ctx to start right after given position of the cursor. Used by page().
+         */
+        function resumeAfter(ctx, key, primaryKey) {
+            var range = ctx.range,
+                reverse = ctx.dir === "prev",
+                // Keys of the primary key and unique indexes identify a record on their own.
+                isUnique = ctx.isPrimKey || ctx.table.schema.idxByName[ctx.index].unique,
+                lower = range ? range.lower : undefined,
+                upper = range ? range.upper : undefined,
+                lowerOpen = !!(range && range.lowerOpen),
+                upperOpen = !!(range && range.upperOpen);
+
+            if (!reverse) {
+                var lowerCmp = lower === undefined ? 1 : cmp(key, lower);
+                if (lowerCmp >= 0) {
+                    lower = key;
+                    lowerOpen = isUnique || (lowerCmp === 0 && lowerOpen);
+                }
+            } else {
+                var upperCmp = upper === undefined ? -1 : cmp(key, upper);
+                if (upperCmp <= 0) {
+                    upper = key;
+                    upperOpen = isUnique || (upperCmp === 0 && upperOpen);
+                }
+            }
+            ctx.range = lower === undefined ? IDBKeyRange.upperBound(upper, upperOpen) :
+                upper === undefined ? IDBKeyRange.lowerBound(lower, lowerOpen) :
+                IDBKeyRange.bound(lower, upper, lowerOpen, upperOpen);
+
+            if (!isUnique) addFilter(ctx, function (cursor) {
+                // Skip records sharing the index key with the last record of previous page but coming before it.
+                if (cmp(cursor.key, key) !== 0) return true;
+                var order = cmp(cursor.primaryKey, primaryKey);
+                return reverse ? order < 0 : order > 0;
+            });
+        }
+
         function getInstanceTemplate(ctx) {
             return ctx.table.schema.instanceTemplate;
         }
+
+        function trackReads(ctx) {
+            // Tell the current live query (if any) which index and range that is being read.
+            var indexSpec = ctx.isPrimKey ? null : ctx.table.schema.idxByName[ctx.index];
+            trackRead(db, ctx.table, indexSpec, ctx.isPrimKey || indexSpec ? ctx.range : null, cmp);
+            if (ctx.or) trackReads(ctx.or._ctx);
+        }
         
         return {
 
@@ -2106,23 +3008,24 @@ export default function Dexie(dbName, options) {
 
             _read: function (fn, cb) {
                 var ctx = this._ctx;
+                if (PSD.subscr) trackReads(ctx);
                 return ctx.error ?
                     ctx.table._trans(null, rejection.bind(null, ctx.error)) :
-                    ctx.table._idbstore(READONLY, fn).then(cb);
+                    ctx.table._dbcore(READONLY, fn).then(cb);
             },
             _write: function (fn) {
                 var ctx = this._ctx;
                 return ctx.error ?
                     ctx.table._trans(null, rejection.bind(null, ctx.error)) :
-                    ctx.table._idbstore(READWRITE, fn, "locked"); // When doing write operations on collections, always lock the operation so that upcoming operations gets queued.
+                    ctx.table._dbcore(READWRITE, fn, "locked"); // When doing write operations on collections, always lock the operation so that upcoming operations gets queued.
             },
             _addAlgorithm: function (fn) {
                 var ctx = this._ctx;
                 ctx.algorithm = combine(ctx.algorithm, fn);
             },
 
-            _iterate: function (fn, resolve, reject, idbstore) {
-                return iter(this._ctx, fn, resolve, reject, idbstore);
+            _iterate: function (fn, coreTable, trans) {
+                return iter(this._ctx, fn, coreTable, trans);
             },
 
             clone: function (props) {
@@ -2153,8 +3056,8 @@ export default function Dexie(dbName, options) {
                     fn(item, {key: key, primaryKey: primaryKey});
                 }
                 
-                return this._read(function (resolve, reject, idbstore) {
-                    iter(ctx, fn, resolve, reject, idbstore);
+                return this._read(function (resolve, reject, coreTable, trans) {
+                    resolve(iter(ctx, fn, coreTable, trans));
                 });
             },
 
@@ -2164,23 +3067,165 @@ export default function Dexie(dbName, options) {
 
                 if (isPlainKeyRange(ctx, true)) {
                     // This is a plain key range. We can use the count() method if the index.
-                    return this._read(function (resolve, reject, idbstore) {
-                        var idx = getIndexOrStore(ctx, idbstore);
-                        var req = (ctx.range ? idx.count(ctx.range) : idx.count());
-                        req.onerror = eventRejectHandler(reject);
-                        req.onsuccess = function (e) {
-                            resolve(Math.min(e.target.result, ctx.limit));
-                        };
+                    return this._read(function (resolve, reject, coreTable, trans) {
+                        resolve(coreTable.count({
+                            trans: trans.idbtrans,
+                            index: getIndexName(ctx),
+                            range: ctx.range
+                        }).then(count => Math.min(count, ctx.limit)));
                     }, cb);
                 } else {
                     // Algorithms, filters or expressions are applied. Need to count manually.
                     var count = 0;
-                    return this._read(function (resolve, reject, idbstore) {
-                        iter(ctx, function () { ++count; return false; }, function () { resolve(count); }, reject, idbstore);
+                    return this._read(function (resolve, reject, coreTable, trans) {
+                        resolve(iter(ctx, function () { ++count; return false; }, coreTable, trans).then(() => count));
                     }, cb);
                 }
             },
 
+            'with': function (spec) {
+                /// <summary>
+                ///   Get the items of the collection with related records attached, loading the records of each relation at once.
+                ///   See relations.js.
+                /// </summary>
+                /// <param name="spec">{property: foreignKey | "otherTable.foreignKey"} A foreign key of this table attaches
+                /// the record referred to. A foreign key of another table attaches an array of the records referring to each item.</param>
+                /// <returns type="Promise">Promise resolving with an array of the items</returns>
+                var tableName = this._ctx.table.name,
+                    resolved,
+                    items = [],
+                    primaryKeys = [];
+                try {
+                    resolved = keys(spec).map(prop => extend({prop: prop}, resolveRelation(relations, tableName, spec[prop])));
+                } catch (e) {
+                    return rejection(e);
+                }
+                return this.each((item, cursor) => {
+                    items.push(item);
+                    primaryKeys.push(cursor.primaryKey);
+                }).then(() => Promise.all(resolved.map(relation => relation.reverse ?
+                    attachReferring(items, primaryKeys, relation) :
+                    attachReferred(items, relation)
+                ))).then(() => items);
+            },
+
+            sum: function (keyPath) {
+                /// <summary>
+                ///   Sum the numbers at given key path. Other values are ignored.
+                /// </summary>
+                var ctx = this._ctx,
+                    sum = 0;
+                return this.each(item => {
+                    valuesAt(ctx, item, keyPath).forEach(value => {
+                        if (typeof value === 'number') sum += value;
+                    });
+                }).then(() => sum);
+            },
+
+            avg: function (keyPath) {
+                /// <summary>
+                ///   Average of the numbers at given key path, or undefined if none. Other values are ignored.
+                /// </summary>
+                var ctx = this._ctx,
+                    sum = 0,
+                    count = 0;
+                return this.each(item => {
+                    valuesAt(ctx, item, keyPath).forEach(value => {
+                        if (typeof value === 'number') {
+                            sum += value;
+                            ++count;
+                        }
+                    });
+                }).then(() => count ? sum / count : undefined);
+            },
+
+            min: function (keyPath) {
+                /// <summary>
+                ///   Lowest value at given key path in indexedDB order, or undefined if none. Reads the first key of
+                ///   an index on keyPath where possible.
+                /// </summary>
+                return extreme(this, keyPath, false);
+            },
+
+            max: function (keyPath) {
+                /// <summary>
+                ///   Highest value at given key path in indexedDB order, or undefined if none. Reads the last key of
+                ///   an index on keyPath where possible.
+                /// </summary>
+                return extreme(this, keyPath, true);
+            },
+
+            groupBy: function (keyPath, reducer, initialValue) {
+                /// <summary>
+                ///   Reduce the items of each value at given key path, one item at a time.
+                /// </summary>
+                /// <param name="keyPath" type="String">Key path to group by. Items lacking it are left out, as from an index.</param>
+                /// <param name="reducer" type="Function" optional="true">(accumulator, item) -> accumulator. Counts items if omitted.</param>
+                /// <param name="initialValue" optional="true">Initial accumulator of each group. Cloned for each group.</param>
+                /// <returns type="Promise">Promise resolving with [{key, value}] in key order</returns>
+                var ctx = this._ctx,
+                    groups = [];
+                if (!reducer) {
+                    reducer = count => count + 1;
+                    initialValue = 0;
+                }
+                return this.each(item => {
+                    var groupKeys = valuesAt(ctx, item, keyPath).filter(isValidKey);
+                    groupKeys.forEach((key, i) => {
+                        // An item belongs to each group once, even if an array holds its key twice.
+                        if (groupKeys.slice(0, i).some(k => cmp(k, key) === 0)) return;
+                        // Binary search the groups, which are kept sorted by key.
+                        var low = 0, high = groups.length;
+                        while (low < high) {
+                            var mid = (low + high) >> 1;
+                            if (cmp(groups[mid].key, key) < 0) low = mid + 1; else high = mid;
+                        }
+                        if (low === groups.length || cmp(groups[low].key, key) !== 0)
+                            groups.splice(low, 0, {key: key, value: deepClone(initialValue)});
+                        groups[low].value = reducer(groups[low].value, item);
+                    });
+                }).then(() => groups);
+            },
+
+            explain: function (cb) {
+                /// <summary>
+                ///   Execute the query and report how it was executed: the index and key range that was used,
+                ///   the criterias that the query planner could not serve from the index and how many records
+                ///   were filtered out in javascript.
+                /// </summary>
+                var ctx = this._ctx,
+                    plan = ctx.plan,
+                    range = ctx.range,
+                    numScanned = 0,
+                    numFiltered = 0,
+                    numMatched = 0;
+                // Count every position that the cursor visits and every record rejected by the filter.
+                var explainCtx = Object.create(ctx);
+                explainCtx.algorithm = combine(function () { ++numScanned; return true; }, ctx.algorithm);
+                explainCtx.filter = ctx.filter && function () {
+                    var isMatch = ctx.filter.apply(this, arguments);
+                    if (!isMatch) ++numFiltered;
+                    return isMatch;
+                };
+                return this._read(function (resolve, reject, coreTable, trans) {
+                    resolve(iter(explainCtx, function () { ++numMatched; }, coreTable, trans));
+                }).then(() => ({
+                    table: ctx.table.name,
+                    index: ctx.isPrimKey ? ":id" : ctx.index,
+                    range: range && {
+                        lower: range.lower,
+                        upper: range.upper,
+                        lowerOpen: range.lowerOpen,
+                        upperOpen: range.upperOpen
+                    },
+                    indexedKeyPaths: plan ? plan.indexedKeyPaths : [],
+                    filteredKeyPaths: plan ? plan.filteredKeyPaths : [],
+                    scanned: numScanned,
+                    filtered: numFiltered,
+                    matched: numMatched
+                })).then(cb);
+            },
+
             sortBy: function (keyPath, cb) {
                 /// <param name="keyPath" type="String"></param>
                 var parts = keyPath.split('.').reverse(),
@@ -2202,30 +3247,74 @@ export default function Dexie(dbName, options) {
                 }).then(cb);
             },
 
+            orderBy: function (keyPath) {
+                /// <summary>
+                ///   Order the collection by given keyPath. If the where clause is an equality on an index [a] and
+                ///   there is a compound index [a+keyPath], that index delivers the order. Otherwise all matching
+                ///   records are visited but only the ones within offset() and limit() are kept in memory.
+                ///   offset() and limit() called after orderBy() apply to the ordered result.
+                /// </summary>
+                /// <param name="keyPath" type="String">KeyPath, or function returning the key to sort a value by</param>
+                var ctx = this._ctx,
+                    schema = ctx.table.schema,
+                    indexSpec = ctx.isPrimKey ? schema.primKey : schema.idxByName[ctx.index],
+                    // Full-text indexes are ordered by terms, not by the text.
+                    whereKeyPath = indexSpec && !indexSpec.fullText && indexSpec.keyPath,
+                    range = ctx.range,
+                    // Whether the records can be delivered by another index. offset() and limit() given before
+                    // orderBy() apply to the order of the where clause, so they have to be iterated in that order.
+                    canUseIndex = !ctx.or && !ctx.replayFilter && !ctx.orderBy;
+
+                if (canUseIndex && whereKeyPath === keyPath)
+                    // Already in the wanted order.
+                    return this.clone({dir: "next"});
+
+                if (canUseIndex && !ctx.algorithm && typeof whereKeyPath === 'string' && maxKey !== maxString &&
+                    range && range.lower !== undefined && !range.lowerOpen && !range.upperOpen &&
+                    cmp(range.lower, range.upper) === 0)
+                {
+                    // Equality on [a]. Find a compound index [a+keyPath] to deliver the order.
+                    var compoundIndex = schema.indexes.concat(schema.primKey).filter(ix =>
+                        ix.compound && ix.keyPath[0] === whereKeyPath && ix.keyPath[1] === keyPath)[0];
+                    if (compoundIndex) return this.clone({
+                        index: compoundIndex.name,
+                        isPrimKey: compoundIndex === schema.primKey,
+                        range: IDBKeyRange.bound([range.lower, minKey], [range.lower, maxKey]),
+                        dir: "next",
+                        plan: null
+                    });
+                }
+
+                return this.clone({
+                    orderBy: keyPath,
+                    // reverse() from now on reverses the sort order. Keep scanning in the direction
+                    // the where clause was set up for.
+                    scanDir: ctx.orderBy ? ctx.scanDir : ctx.dir,
+                    dir: "next",
+                    orderOffset: 0,
+                    orderLimit: Infinity
+                });
+            },
+
             toArray: function (cb) {
                 var ctx = this._ctx;
-                return this._read(function (resolve, reject, idbstore) {
+                return this._read(function (resolve, reject, coreTable, trans) {
                     fake && resolve([getInstanceTemplate(ctx)]);
                     if (hasGetAll && ctx.dir === 'next' && isPlainKeyRange(ctx, true) && ctx.limit > 0) {
                         // Special optimation if we could use IDBObjectStore.getAll() or
                         // IDBKeyRange.getAll():
                         var readingHook = ctx.table.hook.reading.fire;
-                        var idxOrStore = getIndexOrStore(ctx, idbstore);
-                        var req = ctx.limit < Infinity ?
-                            idxOrStore.getAll(ctx.range, ctx.limit) :
-                            idxOrStore.getAll(ctx.range);
-                        req.onerror = eventRejectHandler(reject);
-                        req.onsuccess = readingHook === mirror ?
-                            eventSuccessHandler(resolve) :
-                            eventSuccessHandler(res => {
-                                try {resolve (res.map(readingHook));} catch(e) {reject(e);}
-                            });
+                        var result = coreTable.getAll({
+                            trans: trans.idbtrans,
+                            index: getIndexName(ctx),
+                            range: ctx.range,
+                            limit: ctx.limit
+                        });
+                        resolve(readingHook === mirror ? result : result.then(res => res.map(readingHook)));
                     } else {
                         // Getting array through a cursor.
                         var a = [];
-                        iter(ctx, function (item) { a.push(item); }, function arrayComplete() {
-                            resolve(a);
-                        }, reject, idbstore);
+                        resolve(iter(ctx, function (item) { a.push(item); }, coreTable, trans).then(() => a));
                     }
                 }, cb);
             },
@@ -2233,6 +3322,12 @@ export default function Dexie(dbName, options) {
             offset: function (offset) {
                 var ctx = this._ctx;
                 if (offset <= 0) return this;
+                if (ctx.orderBy) {
+                    // Applied after sorting. See iterOrdered().
+                    ctx.orderOffset += offset;
+                    ctx.orderLimit = Math.max(0, ctx.orderLimit - offset);
+                    return this;
+                }
                 ctx.offset += offset; // For count()
                 if (isPlainKeyRange(ctx)) {
                     addReplayFilter(ctx, ()=> {
@@ -2257,6 +3352,12 @@ export default function Dexie(dbName, options) {
             },
 
             limit: function (numRows) {
+                var ctx = this._ctx;
+                if (ctx.orderBy) {
+                    // Applied after sorting. See iterOrdered().
+                    ctx.orderLimit = Math.min(ctx.orderLimit, Math.max(0, numRows));
+                    return this;
+                }
                 this._ctx.limit = Math.min(this._ctx.limit, numRows); // For count()
                 addReplayFilter(this._ctx, ()=> {
                     var rowsLeft = numRows;
@@ -2268,6 +3369,121 @@ export default function Dexie(dbName, options) {
                 return this;
             },
 
+            page: function (options) {
+                /// <summary>
+                ///   Get a page of the collection. Pass the returned nextPageToken as 'after' to get the next page.
+                ///   The token holds the index key and primary key of the last record so that the next page
+                ///   starts with a key range rather than skipping records. Tokens are strings and can be stored.
+                /// </summary>
+                /// <param name="options">{pageSize: number, after?: string}</param>
+                /// <returns type="Promise">Promise&lt;{items: Array, nextPageToken: string | null}&gt;</returns>
+                var ctx = this._ctx,
+                    pageSize = options && options.pageSize,
+                    after = options && options.after;
+                if (!(pageSize > 0))
+                    return rejection(new exceptions.InvalidArgument("page(): pageSize must be a positive number"));
+                if (ctx.or || ctx.orderBy)
+                    return rejection(new exceptions.Unsupported("page() is not supported on collections using or() or orderBy()"));
+
+                var collection = this.clone(),
+                    numRead = 0, // Records on the pages before this one
+                    items = [],
+                    positions = [];
+                if (after) try {
+                    var position = JSON.parse(after);
+                    numRead = position.numRead || 0;
+                    // offset() and limit() are replayed on each iteration. Apply them only once over all pages, like stream() does.
+                    extend(collection._ctx, {replayFilter: null, justLimit: true, offset: 0, limit: Infinity});
+                    resumeAfter(collection._ctx, decodeKey(position.key), decodeKey(position.primaryKey));
+                } catch (e) {
+                    return rejection(new exceptions.InvalidArgument("page(): Invalid page token " + after));
+                }
+
+                // Read one more record than asked for to know whether there is a next page.
+                return collection.limit(Math.min(pageSize + 1, ctx.limit - numRead)).each(function (item, cursor) {
+                    items.push(item);
+                    positions.push({key: cursor.key, primaryKey: cursor.primaryKey});
+                }).then(function () {
+                    var last = positions[pageSize - 1];
+                    return {
+                        items: items.slice(0, pageSize),
+                        nextPageToken: items.length > pageSize ?
+                            JSON.stringify({
+                                key: encodeKey(last.key),
+                                primaryKey: encodeKey(last.primaryKey),
+                                numRead: numRead + pageSize
+                            }) :
+                            null
+                    };
+                });
+            },
+
+            stream: function (options) {
+                /// <summary>
+                ///   Iterate the collection in batches: for await (const friend of collection.stream({batchSize: 50})) {...}
+                ///   Unless called within a transaction, each batch is read in a transaction of its own. A batch continues
+                ///   with a key range after the last record of the previous one, like page() does.
+                /// </summary>
+                /// <param name="options" optional="true">{batchSize?: number} Number of records to read at a time. Defaults to 100.</param>
+                /// <returns>Async iterator</returns>
+                var ctx = this._ctx,
+                    batchSize = options && options.batchSize !== undefined ? options.batchSize : 100;
+                if (!(batchSize > 0)) throw new exceptions.InvalidArgument("stream(): batchSize must be a positive number");
+                var self = this,
+                    buffer = [],
+                    done = false,
+                    last = null,
+                    numRead = 0,
+                    queue = Promise.resolve();
+
+                function readBatch() {
+                    var collection = self.clone();
+                    if (ctx.or || ctx.orderBy) {
+                        // Results of or() and orderBy() have no single key order to continue from. Read them at once.
+                        done = true;
+                        return collection.toArray();
+                    }
+                    var size = Math.min(batchSize, ctx.limit - numRead),
+                        items = [];
+                    if (last) {
+                        // offset() and limit() are replayed on each iteration. Apply them only once over all batches.
+                        extend(collection._ctx, {replayFilter: null, justLimit: true, offset: 0, limit: Infinity});
+                        resumeAfter(collection._ctx, last.key, last.primaryKey);
+                    }
+                    return collection.limit(size).each(function (item, cursor) {
+                        items.push(item);
+                        last = {key: cursor.key, primaryKey: cursor.primaryKey};
+                    }).then(function () {
+                        numRead += items.length;
+                        if (items.length < size || numRead >= ctx.limit) done = true;
+                        return items;
+                    });
+                }
+
+                function next() {
+                    if (buffer.length > 0) return {value: buffer.shift(), done: false};
+                    if (done) return {value: undefined, done: true};
+                    return readBatch().then(items => {
+                        buffer = items;
+                        return next();
+                    });
+                }
+
+                var iterator = {
+                    next: function () {
+                        // Let calls made before the previous one resolved wait for it.
+                        return (queue = queue.then(next));
+                    },
+                    'return': function (value) {
+                        done = true;
+                        buffer = [];
+                        return Promise.resolve({value: value, done: true});
+                    }
+                };
+                if (asyncIteratorSymbol) setProp(iterator, asyncIteratorSymbol, function () { return this; });
+                return iterator;
+            },
+
             until: function (filterFunction, bIncludeStopEntry) {
                 var ctx = this._ctx;
                 fake && filterFunction(getInstanceTemplate(ctx));
@@ -2286,6 +3502,15 @@ export default function Dexie(dbName, options) {
                 return this.limit(1).toArray(function (a) { return a[0]; }).then(cb);
             },
 
+            subscribe: function (onNext, onError) {
+                /// <summary>
+                ///   Observe the result of toArray() on this collection. onNext is called initially and then
+                ///   again each time a committed transaction changes the tables and ranges queried.
+                /// </summary>
+                /// <returns>Subscription with an unsubscribe() method.</returns>
+                return liveQuery(()=>this.toArray()).subscribe(onNext, onError);
+            },
+
             last: function (cb) {
                 return this.reverse().first(cb);
             },
@@ -2353,13 +3578,14 @@ export default function Dexie(dbName, options) {
                 if (hasGetAll && ctx.dir === 'next' && isPlainKeyRange(ctx, true) && ctx.limit > 0) {
                     // Special optimation if we could use IDBObjectStore.getAllKeys() or
                     // IDBKeyRange.getAllKeys():
-                    return this._read((resolve, reject, idbstore) =>{
-                        var idxOrStore = getIndexOrStore(ctx, idbstore);
-                        var req = ctx.limit < Infinity ?
-                            idxOrStore.getAllKeys(ctx.range, ctx.limit) :
-                            idxOrStore.getAllKeys(ctx.range);
-                        req.onerror = eventRejectHandler(reject);
-                        req.onsuccess = eventSuccessHandler(resolve);
+                    return this._read((resolve, reject, coreTable, trans) =>{
+                        resolve(coreTable.getAll({
+                            trans: trans.idbtrans,
+                            index: getIndexName(ctx),
+                            range: ctx.range,
+                            limit: ctx.limit,
+                            keysOnly: true
+                        }));
                     }).then(cb);
                 }
                 ctx.keysOnly = !ctx.isMatch;
@@ -2402,16 +3628,21 @@ export default function Dexie(dbName, options) {
             // Methods that mutate storage
             //
 
-            modify: function (changes) {
+            modify: function (changes, options) {
+                /// <param name="changes">Set of {keyPath: value} or function modifying each object</param>
+                /// <param name="options" optional="true">{upsert?: boolean, defaults?: Object}. With upsert, a collection of a single
+                /// primary key creates the object from defaults and changes if missing.</param>
                 var self = this,
                     ctx = this._ctx,
                     hook = ctx.table.hook,
                     updatingHook = hook.updating.fire,
                     deletingHook = hook.deleting.fire;
 
+                if (options && options.upsert) return upsert(this, changes, options.defaults);
+
                 fake && typeof changes === 'function' && changes.call({ value: ctx.table.schema.instanceTemplate }, ctx.table.schema.instanceTemplate);
 
-                return this._write(function (resolve, reject, idbstore, trans) {
+                return this._write(function (resolve, reject, coreTable, trans) {
                     var modifyer;
                     if (typeof changes === 'function') {
                         // Changes is a function that may update, add or delete propterties or even require a deletion the object itself (delete this.item)
@@ -2442,6 +3673,26 @@ export default function Dexie(dbName, options) {
                                 }
                             };
                         }
+                    } else if (hasModifyOperators(changes)) {
+                        // changes are operators ($inc, $push...) giving a set of {keyPath: value} per object.
+                        // Let the updating hook see that set, so it can tell exactly what is being modified.
+                        modifyer = function (item) {
+                            var anythingModified = false;
+                            var itemChanges = getModifications(item, changes);
+                            if (keys(itemChanges).length === 0) return false; // The operators leave it as it is.
+                            if (updatingHook !== nop) {
+                                var additionalChanges = updatingHook.call(this, itemChanges, this.primKey, deepClone(item), trans);
+                                if (additionalChanges) extend(itemChanges, additionalChanges);
+                            }
+                            keys(itemChanges).forEach(function (keyPath) {
+                                var val = itemChanges[keyPath];
+                                if (getByKeyPath(item, keyPath) !== val) {
+                                    setByKeyPath(item, keyPath, val); // Adding {keyPath: undefined} means that the keyPath should be deleted. Handled by setByKeyPath
+                                    anythingModified = true;
+                                }
+                            });
+                            return anythingModified;
+                        };
                     } else if (updatingHook === nop) {
                         // changes is a set of {keyPath: value} and no one is listening to the updating hook.
                         var keyPaths = keys(changes);
@@ -2501,16 +3752,28 @@ export default function Dexie(dbName, options) {
                             return true; // Catch these errors and let a final rejection decide whether or not to abort entire transaction
                         }
 
-                        if (modifyer.call(thisContext, item, thisContext) !== false) { // If a callback explicitely returns false, do not perform the update!
+                        var shouldModify;
+                        try {
+                            shouldModify = modifyer.call(thisContext, item, thisContext);
+                        } catch (e) {
+                            if (!(e instanceof ValidationError)) throw e;
+                            // Fail the invalid object only, like a failing update.
+                            ++count;
+                            thisContext.onerror && thisContext.onerror(e);
+                            onerror(e);
+                            return;
+                        }
+                        if (shouldModify !== false) { // If a callback explicitely returns false, do not perform the update!
                             var bDelete = !hasOwn(thisContext, "value");
                             ++count;
                             tryCatch(function () {
-                                var req = (bDelete ? cursor.delete() : cursor.update(thisContext.value));
-                                req._hookCtx = thisContext;
-                                req.onerror = hookedEventRejectHandler(onerror);
-                                req.onsuccess = hookedEventSuccessHandler(function () {
+                                (bDelete ? cursor.delete() : cursor.update(thisContext.value)).then(function (result) {
+                                    thisContext.onsuccess && thisContext.onsuccess(result);
                                     ++successCount;
                                     checkFinished();
+                                }, function (e) {
+                                    thisContext.onerror && thisContext.onerror(e);
+                                    onerror(e);
                                 });
                             }, onerror);
                         } else if (thisContext.onsuccess) {
@@ -2535,10 +3798,10 @@ export default function Dexie(dbName, options) {
                                 resolve(successCount);
                         }
                     }
-                    self.clone().raw()._iterate(modifyItem, function () {
+                    self.clone().raw()._iterate(modifyItem, coreTable, trans).then(function () {
                         iterationComplete = true;
                         checkFinished();
-                    }, doReject, idbstore);
+                    }, doReject);
                 });
             },
 
@@ -2547,6 +3810,8 @@ export default function Dexie(dbName, options) {
                     range = ctx.range,
                     deletingHook = ctx.table.hook.deleting.fire,
                     hasDeleteHook = deletingHook !== nop;
+                // Soft-deleted objects are hidden from the collection, so only the others get marked.
+                if (ctx.softDelete) return this.modify(softDeletion());
                 if (!hasDeleteHook &&
                     isPlainKeyRange(ctx) &&
                     ((ctx.isPrimKey && !hangsOnDeleteLargeKeyRange) || !range)) // if no range, we'll use clear().
@@ -2555,19 +3820,10 @@ export default function Dexie(dbName, options) {
                     // For chromium, this is the way most optimized version.
                     // For IE/Edge, this could hang the indexedDB engine and make operating system instable
                     // (https://gist.github.com/dfahlander/5a39328f029de18222cf2125d56c38f7)
-                    return this._write((resolve, reject, idbstore) => {
+                    return this._write((resolve, reject, coreTable, trans) => {
                         // Our API contract is to return a count of deleted items, so we have to count() before delete().
-                        var onerror = eventRejectHandler(reject),
-                            countReq = (range ? idbstore.count(range) : idbstore.count());
-                        countReq.onerror = onerror;
-                        countReq.onsuccess = () => {
-                            var count = countReq.result;
-                            tryCatch(()=> {
-                                var delReq = (range ? idbstore.delete(range) : idbstore.clear());
-                                delReq.onerror = onerror;
-                                delReq.onsuccess = () => resolve(count);
-                            }, err => reject(err));
-                        };
+                        resolve(coreTable.count({trans: trans.idbtrans, index: null, range: range}).then(count =>
+                            coreTable.deleteRange({trans: trans.idbtrans, range: range}).then(() => count)));
                     });
                 }
 
@@ -2577,7 +3833,7 @@ export default function Dexie(dbName, options) {
                 // more memory and need lower chunk size.
                 const CHUNKSIZE = hasDeleteHook ? 2000 : 10000;
 
-                return this._write((resolve, reject, idbstore, trans) => {
+                return this._write((resolve, reject, coreTable, trans) => {
                     var totalCount = 0;
                     // Clone collection and change its table and set a limit of CHUNKSIZE on the cloned Collection instance.
                     var collection = this
@@ -2604,7 +3860,7 @@ export default function Dexie(dbName, options) {
                         hasDeleteHook ?
                             keysOrTuples.sort((a, b)=>ascending(a[0], b[0])) :
                             keysOrTuples.sort(ascending);
-                        return bulkDelete(idbstore, trans, keysOrTuples, hasDeleteHook, deletingHook);
+                        return bulkDelete(coreTable, trans, keysOrTuples, hasDeleteHook, deletingHook);
 
                     }).then(()=> {
                         var count = keysOrTuples.length;
@@ -2619,6 +3875,11 @@ export default function Dexie(dbName, options) {
         };
     });
 
+    if (asyncIteratorSymbol) setProp(Collection.prototype, asyncIteratorSymbol, function () {
+        // for await (const item of collection) {...}
+        return this.stream();
+    });
+
 
     //
     //
@@ -2658,38 +3919,21 @@ export default function Dexie(dbName, options) {
         });
     }
 
-    function iterate(req, filter, fn, resolve, reject, valueMapper) {
+    function iterate(cursorPromise, filter, fn, valueMapper) {
         
         // Apply valueMapper (hook('reading') or mappped class)
         var mappedFn = valueMapper ? (x,c,a) => fn(valueMapper(x),c,a) : fn;
-        // Wrap fn with PSD and microtick stuff from Promise.
-        var wrappedFn = wrap(mappedFn, reject);
         
-        if (!req.onerror) req.onerror = eventRejectHandler(reject);
-        if (filter) {
-            req.onsuccess = trycatcher(function filter_record() {
-                var cursor = req.result;
-                if (cursor) {
-                    var c = function () { cursor.continue(); };
-                    if (filter(cursor, function (advancer) { c = advancer; }, resolve, reject))
-                        wrappedFn(cursor.value, cursor, function (advancer) { c = advancer; });
-                    c();
-                } else {
-                    resolve();
-                }
-            }, reject);
-        } else {
-            req.onsuccess = trycatcher(function filter_record() {
-                var cursor = req.result;
-                if (cursor) {
-                    var c = function () { cursor.continue(); };
-                    wrappedFn(cursor.value, cursor, function (advancer) { c = advancer; });
-                    c();
-                } else {
-                    resolve();
-                }
-            }, reject);
-        }
+        return cursorPromise.then(cursor => cursor && cursor.start(filter ? function filter_record() {
+            var c = function () { cursor.continue(); };
+            if (filter(cursor, function (advancer) { c = advancer; }, val => cursor.stop(val), err => cursor.fail(err)))
+                mappedFn(cursor.value, cursor, function (advancer) { c = advancer; });
+            c();
+        } : function filter_record() {
+            var c = function () { cursor.continue(); };
+            mappedFn(cursor.value, cursor, function (advancer) { c = advancer; });
+            c();
+        }));
     }
 
     function parseIndexSyntax(indexes) {
@@ -2698,7 +3942,7 @@ export default function Dexie(dbName, options) {
         var rv = [];
         indexes.split(',').forEach(function (index) {
             index = index.trim();
-            var name = index.replace(/([&*]|\+\+)/g, ""); // Remove "&", "++" and "*"
+            var name = index.replace(/([&*~]|\+\+)/g, ""); // Remove "&", "++", "*" and "~"
             // Let keyPath of "[a+b]" be ["a","b"]:
             var keyPath = /^\[/.test(name) ? name.match(/^\[(.*)\]$/)[1].split('+') : name;
 
@@ -2706,10 +3950,11 @@ export default function Dexie(dbName, options) {
                 name,
                 keyPath || null,
                 /\&/.test(index),
-                /\*/.test(index),
+                /[*~]/.test(index), // Full-text indexes are multiEntry indexes of terms.
                 /\+\+/.test(index),
                 isArray(keyPath),
-                /\./.test(index)
+                /\./.test(index),
+                /~/.test(index)
             ));
         });
         return rv;
@@ -2766,15 +4011,22 @@ export default function Dexie(dbName, options) {
             for (var j = 0; j < store.indexNames.length; ++j) {
                 var idbindex = store.index(store.indexNames[j]);
                 keyPath = idbindex.keyPath;
+                var fullText = isFullTextKeyPath(keyPath);
+                if (fullText) keyPath = keyPath.substr(FULL_TEXT_PROP.length + 1);
                 dotted = keyPath && typeof keyPath === 'string' && keyPath.indexOf('.') !== -1;
-                var index = new IndexSpec(idbindex.name, keyPath, !!idbindex.unique, !!idbindex.multiEntry, false, keyPath && typeof keyPath !== 'string', dotted);
+                var index = new IndexSpec(idbindex.name, keyPath, !!idbindex.unique, !!idbindex.multiEntry, false, keyPath && typeof keyPath !== 'string', dotted, fullText);
                 indexes.push(index);
             }
             globalSchema[storeName] = new TableSchema(storeName, primKey, indexes, {});
         });
+        useFullTextIfDeclared(globalSchema);
         setApiOnPlace([allTables], keys(globalSchema), globalSchema);
     }
 
+    function isFullTextKeyPath(keyPath) {
+        return typeof keyPath === 'string' && keyPath.indexOf(FULL_TEXT_PROP + ".") === 0;
+    }
+
     function adjustToExistingIndexNames(schema, idbtrans) {
         /// <summary>
         /// Issue #30 Problem with existing db - adjust to existing index names when migrating from non-dexie db
@@ -2789,7 +4041,8 @@ export default function Dexie(dbName, options) {
             for (var j = 0; j < store.indexNames.length; ++j) {
                 var indexName = store.indexNames[j];
                 var keyPath = store.index(indexName).keyPath;
-                var dexieName = typeof keyPath === 'string' ? keyPath : "[" + slice(keyPath).join('+') + "]";
+                var dexieName = isFullTextKeyPath(keyPath) ? keyPath.substr(FULL_TEXT_PROP.length + 1) :
+                    typeof keyPath === 'string' ? keyPath : "[" + slice(keyPath).join('+') + "]";
                 if (schema[storeName]) {
                     var indexSpec = schema[storeName].idxByName[dexieName];
                     if (indexSpec) indexSpec.name = indexName;
@@ -2846,62 +4099,6 @@ function applyStructure(obj, structure) {
     return obj;
 }
 
-function hookedEventSuccessHandler(resolve) {
-    // wrap() is needed when calling hooks because the rare scenario of:
-    //  * hook does a db operation that fails immediately (IDB throws exception)
-    //    For calling db operations on correct transaction, wrap makes sure to set PSD correctly.
-    //    wrap() will also execute in a virtual tick.
-    //  * If not wrapped in a virtual tick, direct exception will launch a new physical tick.
-    //  * If this was the last event in the bulk, the promise will resolve after a physical tick
-    //    and the transaction will have committed already.
-    // If no hook, the virtual tick will be executed in the reject()/resolve of the final promise,
-    // because it is always marked with _lib = true when created using Transaction._promise().
-    return wrap(function(event) {
-        var req = event.target,
-            result = req.result,
-            ctx = req._hookCtx,// Contains the hook error handler. Put here instead of closure to boost performance.
-            hookSuccessHandler = ctx && ctx.onsuccess;
-        hookSuccessHandler && hookSuccessHandler(result);
-        resolve && resolve(result);
-    }, resolve);
-}
-
-function eventRejectHandler(reject) {
-    return wrap(function (event) {
-        preventDefault(event);
-        reject (event.target.error);
-        return false;
-    });
-}
-
-function eventSuccessHandler (resolve) {
-    return wrap(function (event){
-        resolve(event.target.result);
-    });
-}
-
-function hookedEventRejectHandler (reject) {
-    return wrap(function (event) {
-        // See comment on hookedEventSuccessHandler() why wrap() is needed only when supporting hooks.
-        
-        var req = event.target,
-            err = req.error,
-            ctx = req._hookCtx,// Contains the hook error handler. Put here instead of closure to boost performance.
-            hookErrorHandler = ctx && ctx.onerror;
-        hookErrorHandler && hookErrorHandler(err);
-        preventDefault(event);
-        reject (err);
-        return false;
-    });
-}
-
-function preventDefault(event) {
-    if (event.stopPropagation) // IndexedDBShim doesnt support this on Safari 8 and below.
-        event.stopPropagation();
-    if (event.preventDefault) // IndexedDBShim doesnt support this on Safari 8 and below.
-        event.preventDefault();
-}
-
 function awaitIterator (iterator) {
     var callNext = result => iterator.next(result),
         doThrow = error => iterator.throw(error),
@@ -2926,7 +4123,7 @@ function awaitIterator (iterator) {
 //
 // IndexSpec struct
 //
-function IndexSpec(name, keyPath, unique, multi, auto, compound, dotted) {
+function IndexSpec(name, keyPath, unique, multi, auto, compound, dotted, fullText) {
     /// <param name="name" type="String"></param>
     /// <param name="keyPath" type="String"></param>
     /// <param name="unique" type="Boolean"></param>
@@ -2934,6 +4131,7 @@ function IndexSpec(name, keyPath, unique, multi, auto, compound, dotted) {
     /// <param name="auto" type="Boolean"></param>
     /// <param name="compound" type="Boolean"></param>
     /// <param name="dotted" type="Boolean"></param>
+    /// <param name="fullText" type="Boolean" optional="true"></param>
     this.name = name;
     this.keyPath = keyPath;
     this.unique = unique;
@@ -2941,8 +4139,9 @@ function IndexSpec(name, keyPath, unique, multi, auto, compound, dotted) {
     this.auto = auto;
     this.compound = compound;
     this.dotted = dotted;
+    this.fullText = !!fullText;
     var keyPathSrc = typeof keyPath === 'string' ? keyPath : keyPath && ('[' + [].join.call(keyPath, '+') + ']');
-    this.src = (unique ? '&' : '') + (multi ? '*' : '') + (auto ? "++" : "") + keyPathSrc;
+    this.src = (unique ? '&' : '') + (fullText ? '~' : multi ? '*' : '') + (auto ? "++" : "") + keyPathSrc;
 }
 
 //
@@ -2965,6 +4164,13 @@ function TableSchema(name, primKey, indexes, instanceTemplate) {
 // (If IndexedDBShim is loaded, prefer it before standard indexedDB)
 var idbshim = _global.idbModules && _global.idbModules.shimIndexedDB ? _global.idbModules : {};
 
+function getLocalStorage() {
+    try {
+        // Throws in sandboxed iframes and when storage is disabled.
+        return _global.localStorage;
+    } catch (_e) {}
+}
+
 function safariMultiStoreFix(storeNames) {
     return storeNames.length === 1 ? storeNames[0] : storeNames;
 }
@@ -2974,6 +4180,19 @@ function getNativeGetDatabaseNamesFn(indexedDB) {
     return fn && fn.bind(indexedDB);
 }
 
+function getDbNamesDB(indexedDB, IDBKeyRange) {
+    /// <summary>
+    ///     Get the database listing the names of the databases of given backend. Never opened on
+    ///     backends with native getDatabaseNames().
+    /// </summary>
+    var found = dbNamesDBs.filter(entry => entry.indexedDB === indexedDB)[0];
+    if (found) return found.db;
+    var db = new Dexie('__dbnames', {addons: [], indexedDB: indexedDB, IDBKeyRange: IDBKeyRange});
+    db.version(1).stores({dbnames: 'name'});
+    dbNamesDBs.push({indexedDB: indexedDB, db: db});
+    return db;
+}
+
 // Export Error classes
 props(Dexie, fullNameExceptions); // Dexie.XXXError = class XXXError {...};
 
@@ -3009,14 +4228,15 @@ props(Dexie, {
     // Static method for retrieving a list of all existing databases at current host.
     //
     getDatabaseNames: function (cb) {
-        var getDatabaseNames = getNativeGetDatabaseNamesFn(Dexie.dependencies.indexedDB);
+        var deps = Dexie.dependencies,
+            getDatabaseNames = getNativeGetDatabaseNamesFn(deps.indexedDB);
         return getDatabaseNames ? new Promise((resolve, reject) => {
             var req = getDatabaseNames();
             req.onsuccess = function (event) {
                 resolve(slice(event.target.result, 0)); // Converst DOMStringList to Array<String>
             };
             req.onerror = eventRejectHandler(reject);
-        }).then(cb) : dbNamesDB.dbnames.toCollection().primaryKeys(cb);
+        }).then(cb) : getDbNamesDB(deps.indexedDB, deps.IDBKeyRange).dbnames.toCollection().primaryKeys(cb);
     },
     
     defineClass: function (structure) {
@@ -3122,6 +4342,15 @@ props(Dexie, {
     
     // Export our Promise implementation since it can be handy as a standalone Promise implementation
     Promise: Promise,
+
+    // Dexie.liveQuery(querier) - observe the result of a querier function.
+    liveQuery: liveQuery,
+
+    // Dexie.import(blob, options) - create a database from an export.
+    import: function (blob, options) {
+        /// <returns type="Promise">Promise&lt;Dexie&gt;</returns>
+        return importDB(Dexie, blob, options);
+    },
     
     // Dexie.debug proptery:
     // Dexie.debug = false
@@ -3166,17 +4395,22 @@ props(Dexie, {
     //
     // Dependencies
     //
+    // The storage backend of new Dexie instances. See memory-backend.js for the contract.
+    //
     // These will automatically work in browsers with indexedDB support, or where an indexedDB polyfill has been included.
     //
-    // In node.js, however, these properties must be set "manually" before instansiating a new Dexie().
-    // For node.js, you need to require indexeddb-js or similar and then set these deps.
+    // In node.js, however, a backend must be set before instansiating a new Dexie(), for example
+    // the in-memory one of dist/dexie-memory-backend.js:
+    // Dexie.dependencies = require('dexie/dist/dexie-memory-backend')();
     //
     dependencies: {
         // Required:
         indexedDB: idbshim.shimIndexedDB || _global.indexedDB || _global.mozIndexedDB || _global.webkitIndexedDB || _global.msIndexedDB,
-        IDBKeyRange: idbshim.IDBKeyRange || _global.IDBKeyRange || _global.webkitIDBKeyRange
+        IDBKeyRange: idbshim.IDBKeyRange || _global.IDBKeyRange || _global.webkitIDBKeyRange,
+        // Optional:
+        localStorage: getLocalStorage()
     },
-    
+
     // API Version Number: Type Number, make sure to always set a version number that can be comparable correctly. Example: 0.9, 0.91, 0.92, 1.0, 1.01, 1.1, 1.2, 1.21, etc.
     semVer: DEXIE_VERSION,
     version: DEXIE_VERSION.split('.')
@@ -3205,15 +4439,14 @@ doFakeAutoComplete(function() {
     Dexie.fake = fake = true;
 });
 
-// Initialize dbNamesDB (won't ever be opened on chromium browsers')
-dbNamesDB = new Dexie('__dbnames'); 
-dbNamesDB.version(1).stores({dbnames: 'name'});
-
 (()=>{
     // Migrate from Dexie 1.x database names stored in localStorage:
-    var DBNAMES = 'Dexie.DatabaseNames';
-    if (typeof localStorage !== undefined && _global.document !== undefined) try {
+    var DBNAMES = 'Dexie.DatabaseNames',
+        deps = Dexie.dependencies,
+        localStorage = deps.localStorage;
+    if (localStorage && deps.indexedDB && _global.document !== undefined) try {
         // Have localStorage and is not executing in a worker. Lets migrate from Dexie 1.x.
+        var dbNamesDB = getDbNamesDB(deps.indexedDB, deps.IDBKeyRange);
         JSON.parse(localStorage.getItem(DBNAMES) || "[]")
             .forEach(name => dbNamesDB.dbnames.put({name: name}).catch(nop));
         localStorage.removeItem(DBNAMES);
@@ -0,0 +1,306 @@
+import { extend } from './utils';
+import Promise, { wrap } from './Promise';
+
+//
+// DBCore
+// ======
+//
+// DBCore is the low-level layer that Table, Collection and WhereClause talk to whenever they
+// read from or write to an object store. It consists of a base implementation that talks to
+// IndexedDB and a stack of middlewares on top of it, registered with db.use(). Each
+// middleware gets the core below it and returns the methods it wants to intercept:
+//
+//   db.use({
+//       stack: "dbcore",
+//       name: "logger",
+//       create: downCore => ({
+//           table: tableName => {
+//               var downTable = downCore.table(tableName);
+//               return Dexie.extend(Object.create(downTable), {
+//                   get: req => {
+//                       console.log(`get ${req.key} from ${tableName}`);
+//                       return downTable.get(req);
+//                   }
+//               });
+//           }
+//       })
+//   });
+//
+// DBCore {
+//   stack: "dbcore",
+//   table(name) -> DBCoreTable
+// }
+//
+// DBCoreTable (all requests have a 'trans' property holding the IDBTransaction to operate on.
+// All methods return a Dexie.Promise):
+//   get({trans, key}) -> value
+//   getMany({trans, keys}) -> Array of values
+//   add({trans, values, keys?}) -> MutateResult
+//   put({trans, values, keys?}) -> MutateResult
+//   delete({trans, keys}) -> MutateResult
+//   deleteRange({trans, range}) -> undefined. A null range clears the table.
+//   count({trans, index, range}) -> number
+//   getAll({trans, index, range, limit, keysOnly}) -> Array of values or primary keys
+//   openCursor({trans, index, range, dir, unique, keysOnly}) -> DBCoreCursor or null if empty
+//
+// 'index' is the name of the index to use, or null to use the primary key.
+//
+// MutateResult {
+//   numFailures: number,
+//   failures: {[position]: Error},
+//   results: Array of resulting primary keys,
+//   lastResult: primary key of the last operation
+// }
+//
+// DBCoreCursor {
+//   key, primaryKey, value,
+//   start(onNext) -> Promise that resolves when iteration has ended. onNext() is called for
+//                    the current position and for each position that the cursor moves to.
+//   continue(key?), advance(count), stop(value?), fail(error),
+//   update(value) -> Promise, delete() -> Promise
+// }
+//
+
+/** Create the base DBCore that talks to IndexedDB.
+ */
+export function createDBCore() {
+    var tables = {};
+    return {
+        stack: "dbcore",
+        table: function (name) {
+            return tables[name] || (tables[name] = createDBCoreTable(name));
+        }
+    };
+}
+
+/** Build a DBCore by applying given middlewares on top of given core, the first
+ * middleware being closest to the base.
+ */
+export function createMiddlewareStack(baseCore, middlewares) {
+    return middlewares.reduce(function (downCore, middleware) {
+        return extend(extend({}, downCore), middleware.create(downCore));
+    }, baseCore);
+}
+
+function createDBCoreTable(tableName) {
+
+    function getSource(trans, index) {
+        var store = trans.objectStore(tableName);
+        return index ? store.index(index) : store;
+    }
+
+    function mutate(type, req) {
+        return new Promise(function (resolve) {
+            var store = req.trans.objectStore(tableName),
+                isDelete = type === 'delete',
+                items = isDelete ? req.keys : req.values,
+                keys = !isDelete && req.keys,
+                length = items.length,
+                results = new Array(length),
+                failures = {},
+                numFailures = 0,
+                numDone = 0;
+
+            function resolveResult() {
+                resolve({
+                    numFailures: numFailures,
+                    failures: failures,
+                    results: results,
+                    lastResult: results[length - 1]
+                });
+            }
+
+            function done() {
+                if (++numDone === length) resolveResult();
+            }
+
+            if (length === 0) return resolveResult();
+
+            var errorHandler = wrap(function (event) {
+                // Catch the error and let the caller decide whether to abort the transaction or not.
+                preventDefault(event);
+                failures[event.target._pos] = event.target.error;
+                ++numFailures;
+                done();
+            });
+            var successHandler = wrap(function (event) {
+                results[event.target._pos] = event.target.result;
+                done();
+            });
+
+            for (var i = 0; i < length; ++i) {
+                var idbreq = isDelete ?
+                    store.delete(items[i]) :
+                    keys && keys[i] != null ?
+                        store[type](items[i], keys[i]) :
+                        store[type](items[i]);
+                idbreq._pos = i;
+                idbreq.onerror = errorHandler;
+                idbreq.onsuccess = successHandler;
+            }
+        });
+    }
+
+    return {
+        name: tableName,
+
+        get: function (req) {
+            return requestPromise(function () {
+                return req.trans.objectStore(tableName).get(req.key);
+            });
+        },
+
+        getMany: function (req) {
+            return new Promise(function (resolve, reject) {
+                var store = req.trans.objectStore(tableName),
+                    keys = req.keys,
+                    length = keys.length,
+                    result = new Array(length),
+                    numDone = 0;
+                if (length === 0) return resolve(result);
+                var errorHandler = eventRejectHandler(reject);
+                var successHandler = wrap(function (event) {
+                    result[event.target._pos] = event.target.result;
+                    if (++numDone === length) resolve(result);
+                }, reject);
+                for (var i = 0; i < length; ++i) {
+                    var idbreq = store.get(keys[i]);
+                    idbreq._pos = i;
+                    idbreq.onerror = errorHandler;
+                    idbreq.onsuccess = successHandler;
+                }
+            });
+        },
+
+        add: function (req) {
+            return mutate('add', req);
+        },
+
+        put: function (req) {
+            return mutate('put', req);
+        },
+
+        'delete': function (req) {
+            return mutate('delete', req);
+        },
+
+        deleteRange: function (req) {
+            return requestPromise(function () {
+                var store = req.trans.objectStore(tableName);
+                return req.range ? store.delete(req.range) : store.clear();
+            });
+        },
+
+        count: function (req) {
+            return requestPromise(function () {
+                var source = getSource(req.trans, req.index);
+                return req.range ? source.count(req.range) : source.count();
+            });
+        },
+
+        getAll: function (req) {
+            return requestPromise(function () {
+                var source = getSource(req.trans, req.index),
+                    method = req.keysOnly ? 'getAllKeys' : 'getAll';
+                return req.limit < Infinity ?
+                    source[method](req.range, req.limit) :
+                    source[method](req.range);
+            });
+        },
+
+        openCursor: function (req) {
+            return new Promise(function (resolve, reject) {
+                var source = getSource(req.trans, req.index),
+                    range = req.range || null,
+                    direction = (req.dir || "next") + (req.unique ? "unique" : ""),
+                    idbreq = req.keysOnly && 'openKeyCursor' in source ?
+                        source.openKeyCursor(range, direction) :
+                        source.openCursor(range, direction);
+                idbreq.onerror = eventRejectHandler(reject);
+                idbreq.onsuccess = wrap(function () {
+                    resolve(idbreq.result ? createCursor(idbreq, idbreq.result) : null);
+                }, reject);
+            });
+        }
+    };
+}
+
+function createCursor(idbreq, idbcursor) {
+    var stopIteration = null,
+        failIteration = null;
+    return {
+        get key () { return idbcursor.key; },
+        get primaryKey () { return idbcursor.primaryKey; },
+        get value () { return idbcursor.value; },
+
+        start: function (onNext) {
+            return new Promise(function (resolve, reject) {
+                stopIteration = resolve;
+                failIteration = reject;
+                idbreq.onerror = eventRejectHandler(reject);
+                idbreq.onsuccess = wrap(function () {
+                    if (idbreq.result) onNext(); else resolve();
+                }, reject);
+                onNext();
+            });
+        },
+        'continue': function (key) {
+            if (key === undefined) idbcursor.continue(); else idbcursor.continue(key);
+        },
+        advance: function (count) {
+            idbcursor.advance(count);
+        },
+        stop: function (value) {
+            stopIteration(value);
+        },
+        fail: function (error) {
+            failIteration(error);
+        },
+        // Errors thrown by IndexedDB at once, such as a DataError for a changed primary key, are
+        // thrown to the caller rather than rejected, as the requests used to be made directly.
+        update: function (value) {
+            return requestResult(idbcursor.update(value));
+        },
+        'delete': function () {
+            return requestResult(idbcursor.delete());
+        }
+    };
+}
+
+function requestPromise(createRequest) {
+    return new Promise(function (resolve, reject) {
+        listenToRequest(createRequest(), resolve, reject);
+    });
+}
+
+function requestResult(idbreq) {
+    return new Promise(function (resolve, reject) {
+        listenToRequest(idbreq, resolve, reject);
+    });
+}
+
+function listenToRequest(idbreq, resolve, reject) {
+    idbreq.onerror = eventRejectHandler(reject);
+    idbreq.onsuccess = eventSuccessHandler(resolve);
+}
+
+export function eventRejectHandler(reject) {
+    return wrap(function (event) {
+        preventDefault(event);
+        reject (event.target.error);
+        return false;
+    });
+}
+
+export function eventSuccessHandler (resolve) {
+    return wrap(function (event){
+        resolve(event.target.result);
+    });
+}
+
+export function preventDefault(event) {
+    if (event.stopPropagation) // IndexedDBShim doesnt support this on Safari 8 and below.
+        event.stopPropagation();
+    if (event.preventDefault) // IndexedDBShim doesnt support this on Safari 8 and below.
+        event.preventDefault();
+}
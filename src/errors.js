@@ -17,7 +17,8 @@ var dexieErrorNames = [
     'Internal',
     'DatabaseClosed',
     'PrematureCommit',
-    'ForeignAwait'
+    'ForeignAwait',
+    'Validation'
 ];
 
 var idbDomErrorNames = [
@@ -97,6 +98,20 @@ export function BulkError (msg, failures) {
 }
 derive(BulkError).from(DexieError);
 
+//
+// ValidationError - thrown when an object does not pass the validation of Table.defineClass()
+// Specific constructor because it contains member failures, {keyPath: message}.
+//
+export function ValidationError (msg, failures) {
+    this._e = getErrorWithStack();
+    this.name = "ValidationError";
+    this.failures = failures;
+    this.message = msg + ": " + Object.keys(failures)
+        .map(keyPath => keyPath + " " + failures[keyPath])
+        .join(", ");
+}
+derive(ValidationError).from(DexieError);
+
 //
 //
 // Dynamically generate error names and exception classes based
@@ -169,3 +184,4 @@ export var fullNameExceptions = errorList.reduce((obj, name)=>{
 fullNameExceptions.ModifyError = ModifyError;
 fullNameExceptions.DexieError = DexieError;
 fullNameExceptions.BulkError = BulkError;
+fullNameExceptions.ValidationError = ValidationError;
@@ -0,0 +1,414 @@
+import { keys, isArray, hasOwn, extend, _global } from './utils';
+import Promise from './Promise';
+import { exceptions } from './errors';
+
+//
+// Export / Import
+// ===============
+//
+// db.export() produces a Blob in the "dexie" NDJSON format. The first line is a header
+// describing the database and its tables. Each following line holds a chunk of rows
+// from one table:
+//
+//   {"formatName":"dexie","formatVersion":1,"databaseName":"friendsDB","databaseVersion":1,
+//    "tables":[{"name":"friends","schema":"++id,name","rowCount":2}]}
+//   {"table":"friends","rows":[{"id":1,"name":"Arne"},{"id":2,"name":"Bertil"}]}
+//
+// Tables with outbound primary keys also get a "keys" array next to "rows" in each chunk.
+// Values that JSON cannot represent (Dates, Blobs, ArrayBuffers, typed arrays, NaN, Infinity
+// and undefined) are encoded as {"$t": typeName, "v": value} with binary data in base64.
+//
+// Both export and import work chunk by chunk so that very large tables never have to be
+// held in memory as a whole. Each chunk is read in a transaction of its own, which makes an
+// export no consistent snapshot of a database being written to. The next chunk starts above
+// the last primary key of the previous one, so no row is exported twice, and rows not added or
+// deleted while exporting are never skipped either.
+//
+
+const FORMAT_NAME = "dexie";
+const FORMAT_VERSION = 1;
+const DEFAULT_ROWS_PER_CHUNK = 2000;
+const DEFAULT_CHUNK_SIZE_BYTES = 1024 * 1024;
+const BASE64_CHARS = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+// Binary types that may be created when importing, rather than whatever global a "$t" names.
+const BINARY_TYPES = "DataView,Int8Array,Uint8Array,Uint8ClampedArray,Int16Array,Uint16Array,Int32Array,Uint32Array,Float32Array,Float64Array,BigInt64Array,BigUint64Array"
+    .split(',');
+
+/** Export given database to a Blob.
+ *
+ * @param db {Dexie} Database to export.
+ * @param options {{
+ *   tables?: string[],
+ *   filter?: (tableName: string, value: any, key: any) => boolean,
+ *   numRowsPerChunk?: number,
+ *   progressCallback?: (progress: Progress) => void
+ * }}
+ * @returns {Promise<Blob>}
+ */
+export function exportDB(db, options) {
+    options = options || {};
+    var numRowsPerChunk = options.numRowsPerChunk || DEFAULT_ROWS_PER_CHUNK,
+        filter = options.filter,
+        // Each chunk becomes a Blob of its own as soon as it is serialized. Browsers may keep
+        // Blobs on disk, so the serialized rows need not stay in memory until the export is done.
+        parts = [];
+
+    return openDB(db).then(() => {
+        var tables = db.tables.filter(table => !options.tables || options.tables.indexOf(table.name) >= 0);
+        return Promise.all(tables.map(table => table.count())).then(rowCounts => {
+            var header = {
+                formatName: FORMAT_NAME,
+                formatVersion: FORMAT_VERSION,
+                databaseName: db.name,
+                databaseVersion: db.verno,
+                tables: tables.map((table, i) => ({
+                    name: table.name,
+                    schema: schemaSource(table.schema),
+                    rowCount: rowCounts[i]
+                }))
+            };
+            var progress = createProgress(header, options.progressCallback);
+            parts.push(new Blob([JSON.stringify(header) + "\n"]));
+
+            return sequence(tables, table => {
+                var outbound = !table.schema.primKey.keyPath;
+
+                function nextChunk(lastKey) {
+                    var values = [], primKeys = [], numRead = 0;
+                    var collection = lastKey === undefined ?
+                        table.orderBy(':id') :
+                        table.where(':id').above(lastKey);
+                    // Read each chunk in its own transaction. A transaction would not survive
+                    // the asynchronous reading of Blobs in encodeRows() anyway.
+                    return collection.limit(numRowsPerChunk).raw().each((value, cursor) => {
+                        ++numRead;
+                        lastKey = cursor.primaryKey;
+                        if (!filter || filter(table.name, value, cursor.primaryKey)) {
+                            values.push(value);
+                            primKeys.push(cursor.primaryKey);
+                        }
+                    }).then(() => values.length > 0 && encodeRows(values, outbound && primKeys).then(chunk => {
+                        parts.push(new Blob([JSON.stringify(extend({table: table.name}, chunk)) + "\n"]));
+                    })).then(() => {
+                        progress.rowsDone(numRead);
+                        return numRead < numRowsPerChunk ? undefined : nextChunk(lastKey);
+                    });
+                }
+
+                return nextChunk().then(() => progress.tableDone());
+            }).then(() => {
+                progress.done();
+                return new Blob(parts, {type: "application/x-ndjson"});
+            });
+        });
+    });
+}
+
+/** Import data from an export into given database. Tables must exist in the database.
+ *
+ * @param db {Dexie} Database to import into.
+ * @param blob {Blob} Blob created by db.export().
+ * @param options {{
+ *   tables?: string[],
+ *   acceptMissingTables?: boolean,
+ *   clearTablesBeforeImport?: boolean,
+ *   chunkSizeBytes?: number,
+ *   progressCallback?: (progress: Progress) => void
+ * }}
+ * @returns {Promise<void>}
+ */
+export function importInto(db, blob, options) {
+    options = options || {};
+    var progress = null;
+
+    function shouldImport(tableName) {
+        if (options.tables && options.tables.indexOf(tableName) === -1) return false;
+        if (db.tables.some(table => table.name === tableName)) return true;
+        if (options.acceptMissingTables) return false;
+        throw new exceptions.InvalidTable(`Table ${tableName} does not exist`);
+    }
+
+    return openDB(db).then(() => readLines(blob, options.chunkSizeBytes, line => {
+        var data = JSON.parse(line);
+        if (!progress) {
+            // First line is the header
+            verifyHeader(data);
+            progress = createProgress(data, options.progressCallback);
+            var tables = data.tables.map(table => table.name).filter(shouldImport);
+            if (options.clearTablesBeforeImport && tables.length > 0) {
+                return db.transaction('rw', tables, () => Promise.all(tables.map(name => db.table(name).clear())));
+            }
+            return;
+        }
+        if (!shouldImport(data.table)) return;
+        var table = db.table(data.table),
+            rows = decode(data.rows),
+            primKeys = data.keys && decode(data.keys);
+        return table.bulkPut(rows, primKeys).then(() => {
+            progress.rowsDone(rows.length);
+        });
+    })).then(() => {
+        if (!progress) throw new exceptions.InvalidArgument("Given blob is empty");
+        progress.done();
+    });
+}
+
+/** Create a new database from an export.
+ *
+ * @param Dexie {Function} The Dexie constructor.
+ * @param blob {Blob} Blob created by db.export().
+ * @param options Same options as importInto() plus {name?: string} to import into another database name.
+ * @returns {Promise<Dexie>} The imported database, open.
+ */
+export function importDB(Dexie, blob, options) {
+    options = options || {};
+    var header = null;
+    return readLines(blob, options.chunkSizeBytes, line => {
+        header = JSON.parse(line);
+        return false; // Only need the header
+    }).then(() => {
+        verifyHeader(header);
+        var db = new Dexie(options.name || header.databaseName),
+            stores = {};
+        header.tables.forEach(table => {
+            stores[table.name] = table.schema;
+        });
+        db.version(header.databaseVersion).stores(stores);
+        return importInto(db, blob, options).then(() => db);
+    });
+}
+
+/** Get the schema syntax of given table, as passed to db.version().stores().
+ */
+function schemaSource(tableSchema) {
+    var primKey = tableSchema.primKey,
+        // An outbound primary key has no key path to print.
+        primKeySrc = primKey.keyPath ? primKey.src : primKey.auto ? "++" : "";
+    return [primKeySrc].concat(tableSchema.indexes.map(idx => idx.src)).join(',');
+}
+
+function openDB(db) {
+    return db.isOpen() ? Promise.resolve() : db.open();
+}
+
+function sequence(items, fn) {
+    return items.reduce((promise, item) => promise.then(() => fn(item)), Promise.resolve());
+}
+
+function verifyHeader(header) {
+    if (!header || header.formatName !== FORMAT_NAME)
+        throw new exceptions.InvalidArgument("Given blob is not a Dexie export");
+    if (header.formatVersion > FORMAT_VERSION)
+        throw new exceptions.Unsupported(`Export format version ${header.formatVersion} is not supported`);
+}
+
+/** Keep track of progress and report it to given callback.
+ * Progress: {totalTables, completedTables, totalRows, completedRows, done}
+ */
+function createProgress(header, progressCallback) {
+    var progress = {
+        totalTables: header.tables.length,
+        completedTables: 0,
+        totalRows: header.tables.reduce((sum, table) => sum + table.rowCount, 0),
+        completedRows: 0,
+        done: false
+    };
+    function report() {
+        progressCallback && progressCallback(progress);
+    }
+    return {
+        rowsDone: function (numRows) {
+            progress.completedRows += numRows;
+            report();
+        },
+        tableDone: function () {
+            ++progress.completedTables;
+            report();
+        },
+        done: function () {
+            progress.completedTables = progress.totalTables;
+            progress.done = true;
+            report();
+        }
+    };
+}
+
+//
+// Reading the blob
+//
+
+/** Read given blob line by line, a slice at a time. onLine() may return a promise to wait for
+ * before continuing with the next line, or false to stop reading.
+ */
+function readLines(blob, chunkSizeBytes, onLine) {
+    var decoder = typeof TextDecoder !== 'undefined' && new TextDecoder(),
+        // Without TextDecoder, multi-byte characters could be split between slices. Read it all at once.
+        sliceSize = decoder ? chunkSizeBytes || DEFAULT_CHUNK_SIZE_BYTES : blob.size,
+        rest = "",
+        stopped = false;
+
+    function handleLines(lines) {
+        return sequence(lines, line => {
+            if (stopped || !line) return;
+            return Promise.resolve(onLine(line)).then(res => {
+                if (res === false) stopped = true;
+            });
+        });
+    }
+
+    function nextSlice(pos) {
+        if (pos >= blob.size) return handleLines([rest + (decoder ? decoder.decode() : "")]);
+        return readBlob(blob.slice(pos, pos + sliceSize), !decoder).then(data => {
+            var lines = (rest + (decoder ? decoder.decode(data, {stream: true}) : data)).split("\n");
+            rest = lines.pop();
+            return handleLines(lines);
+        }).then(() => stopped ? undefined : nextSlice(pos + sliceSize));
+    }
+
+    return nextSlice(0);
+}
+
+function readBlob(blob, asText) {
+    if (typeof FileReader === 'undefined') {
+        // node.js has Blobs but no FileReader. Older versions can't read them at all.
+        if (!blob.arrayBuffer) return Promise.reject(new exceptions.MissingAPI("Reading Blobs requires FileReader or Blob.arrayBuffer()"));
+        return Promise.resolve(asText ? blob.text() : blob.arrayBuffer());
+    }
+    return new Promise((resolve, reject) => {
+        var reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        if (asText) reader.readAsText(blob); else reader.readAsArrayBuffer(blob);
+    });
+}
+
+//
+// Encoding and decoding of values that JSON cannot represent
+//
+
+/** Encode a chunk of rows and optional outbound keys to JSON friendly values.
+ * Blobs are read first since that can only be done asynchronically.
+ */
+function encodeRows(rows, primKeys) {
+    var blobs = [];
+    collectBlobs(rows, blobs);
+    return Promise.all(blobs.map(blob => readBlob(blob))).then(buffers => {
+        var chunk = {rows: encode(rows, blobs, buffers)};
+        if (primKeys) chunk.keys = encode(primKeys, blobs, buffers);
+        return chunk;
+    });
+}
+
+function isBlob(value) {
+    return typeof Blob !== 'undefined' && value instanceof Blob;
+}
+
+function isPlainObject(value) {
+    var proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+function collectBlobs(value, blobs) {
+    if (!value || typeof value !== 'object') return;
+    if (isBlob(value)) blobs.push(value);
+    else if (isArray(value)) value.forEach(item => collectBlobs(item, blobs));
+    else if (isPlainObject(value)) keys(value).forEach(key => collectBlobs(value[key], blobs));
+}
+
+function typeName(value) {
+    return Object.prototype.toString.call(value).slice(8, -1); // "[object Uint8Array]" -> "Uint8Array"
+}
+
+function encode(value, blobs, buffers) {
+    switch (typeof value) {
+        case 'undefined': return {$t: "undefined"};
+        case 'number': return isFinite(value) ? value : {$t: "number", v: String(value)};
+        case 'object': break;
+        default: return value; // string, boolean and unsupported types (functions are dropped by JSON).
+    }
+    if (value === null) return null;
+    if (isArray(value)) return value.map(item => encode(item, blobs, buffers));
+    if (value instanceof Date) return {$t: "Date", v: encode(value.getTime())};
+    if (isBlob(value)) return {$t: "Blob", type: value.type, v: toBase64(buffers[blobs.indexOf(value)])};
+    if (typeof ArrayBuffer !== 'undefined') {
+        if (value instanceof ArrayBuffer) return {$t: "ArrayBuffer", v: toBase64(value)};
+        if (ArrayBuffer.isView(value)) return {
+            $t: typeName(value),
+            v: toBase64(value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength))
+        };
+    }
+    var rv = {};
+    keys(value).forEach(key => {
+        rv[key] = encode(value[key], blobs, buffers);
+    });
+    // Escape objects that happen to have a "$t" property.
+    return hasOwn(value, "$t") ? {$t: "Object", v: rv} : rv;
+}
+
+function decode(value) {
+    if (!value || typeof value !== 'object') return value;
+    if (isArray(value)) return value.map(decode);
+    if (hasOwn(value, "$t")) switch (value.$t) {
+        case "undefined": return undefined;
+        case "number": return Number(value.v);
+        case "Date": return new Date(decode(value.v));
+        case "Blob": return new Blob([fromBase64(value.v)], {type: value.type});
+        case "ArrayBuffer": return fromBase64(value.v);
+        case "Object": return decodeProps(value.v);
+        default:
+            // Typed arrays and DataView
+            var Constructor = BINARY_TYPES.indexOf(value.$t) >= 0 && _global[value.$t];
+            if (!Constructor) throw new exceptions.Unsupported(`Cannot import values of type ${value.$t}`);
+            return new Constructor(fromBase64(value.v));
+    }
+    return decodeProps(value);
+}
+
+function decodeProps(obj) {
+    var rv = {};
+    keys(obj).forEach(key => {
+        rv[key] = decode(obj[key]);
+    });
+    return rv;
+}
+
+/** Encode a key to a JSON friendly value. Keys never contain Blobs, so this can be done synchronically.
+ * Used for the page tokens of Collection.page().
+ */
+export function encodeKey(key) {
+    return encode(key, [], []);
+}
+
+export function decodeKey(value) {
+    return decode(value);
+}
+
+function toBase64(buffer) {
+    var bytes = new Uint8Array(buffer),
+        len = bytes.length,
+        rv = "";
+    for (var i = 0; i < len; i += 3) {
+        var b1 = bytes[i], b2 = bytes[i + 1], b3 = bytes[i + 2];
+        rv += BASE64_CHARS[b1 >> 2] +
+            BASE64_CHARS[((b1 & 3) << 4) | (b2 >> 4)] +
+            (i + 1 < len ? BASE64_CHARS[((b2 & 15) << 2) | (b3 >> 6)] : "=") +
+            (i + 2 < len ? BASE64_CHARS[b3 & 63] : "=");
+    }
+    return rv;
+}
+
+function fromBase64(str) {
+    var padding = str.slice(-2) === "==" ? 2 : str.slice(-1) === "=" ? 1 : 0,
+        bytes = new Uint8Array(str.length / 4 * 3 - padding),
+        pos = 0;
+    for (var i = 0; i < str.length; i += 4) {
+        var n = (BASE64_CHARS.indexOf(str[i]) << 18) |
+            (BASE64_CHARS.indexOf(str[i + 1]) << 12) |
+            ((BASE64_CHARS.indexOf(str[i + 2]) & 63) << 6) |
+            (BASE64_CHARS.indexOf(str[i + 3]) & 63);
+        bytes[pos++] = n >> 16;
+        if (pos < bytes.length) bytes[pos++] = (n >> 8) & 255;
+        if (pos < bytes.length) bytes[pos++] = n & 255;
+    }
+    return bytes.buffer;
+}
@@ -0,0 +1,130 @@
+import { extend, hasOwn, arrayToObject, getUniqueArray, flatten, isArray, getByKeyPath, setByKeyPath, shallowClone } from './utils';
+
+//
+// Full-text Search
+// ================
+//
+// Prefixing an index with "~" in Version.stores() makes its property searchable by words:
+//
+//   db.version(1).stores({emails: "++id, subject, ~body"});
+//   db.emails.where('body').matchesAll("meeting tomorrow").toArray()
+//
+// Texts are analyzed into terms: tokenized, stripped from stop words and stemmed, as
+// configured by the fullText option of the Dexie constructor. The unique terms of each text
+// are kept in a hidden property of the record which a multiEntry index is declared on. A
+// DBCore middleware maintains that property on every write and hides it from anything above
+// the middleware, so records look the same as without full-text search.
+//
+
+/** Property of stored records holding the terms of each full-text index.
+ */
+export const FULL_TEXT_PROP = "$fts";
+
+// Whitespace and punctuation: ASCII, Latin-1, general and CJK.
+const DEFAULT_SEPARATORS = /[\s!-\/:-@\[-`{-~\u00a0-\u00bf\u2000-\u206f\u3000-\u303f]+/;
+
+/** Get the key path to declare the IndexedDB index on for a full-text index on given key path.
+ */
+export function fullTextKeyPath(keyPath) {
+    return FULL_TEXT_PROP + "." + keyPath;
+}
+
+/** Create the function that analyzes a text into terms.
+ *
+ * @param options {{tokenize?: Function, stem?: Function, stopWords?: string[]}}
+ *   tokenize(text) -> string[]: Splits a text into words. Defaults to splitting lower-cased text on
+ *   whitespace and punctuation.
+ *   stem(word) -> string: Reduces a word to its stem. Defaults to keeping the word as is.
+ *   stopWords: Words to leave out. Compared to the tokenized words, before stemming.
+ * @returns {Function} (text) -> string[] The terms of the text in order, including duplicates.
+ */
+export function createAnalyzer(options) {
+    var opts = extend({
+            tokenize: text => text.toLowerCase().split(DEFAULT_SEPARATORS),
+            stem: word => word,
+            stopWords: []
+        }, options),
+        stopWords = arrayToObject(opts.stopWords, word => [word, true]);
+
+    return function analyze(text) {
+        if (typeof text !== 'string') return [];
+        return opts.tokenize(text)
+            .filter(word => word && !hasOwn(stopWords, word))
+            .map(word => opts.stem(word))
+            .filter(term => term);
+    };
+}
+
+/** Get the unique terms of a query given as a text or an array of texts.
+ */
+export function queryTerms(analyze, terms) {
+    return getUniqueArray(flatten((isArray(terms) ? terms : [terms]).map(analyze)));
+}
+
+/** Count the occurrences of each term in given text.
+ * @returns {Object<string, number>}
+ */
+export function countTerms(analyze, text) {
+    return analyze(text).reduce((counts, term) => {
+        counts[term] = (counts[term] || 0) + 1;
+        return counts;
+    }, {});
+}
+
+/** Create the DBCore middleware that maintains the terms of full-text indexes.
+ *
+ * @param getTableSchema {Function} (tableName) -> TableSchema. Looked up on each request since
+ *   the schema may change until the database is opened.
+ * @param analyze {Function} Analyzer from createAnalyzer().
+ */
+export function createFullTextMiddleware(getTableSchema, analyze) {
+    return {
+        stack: "dbcore",
+        name: "fulltext",
+        level: 0, // Closest to IndexedDB so that other middlewares never see the terms.
+        create: downCore => ({
+            table: tableName => createFullTextTable(downCore.table(tableName), () => {
+                var schema = getTableSchema(tableName);
+                return schema ? schema.indexes.filter(idx => idx.fullText) : [];
+            }, analyze)
+        })
+    };
+}
+
+function createFullTextTable(downTable, getFullTextIndexes, analyze) {
+
+    function addTerms(indexes, row) {
+        if (indexes.length === 0 || !row || typeof row !== 'object') return row;
+        var clone = shallowClone(row);
+        clone[FULL_TEXT_PROP] = {};
+        indexes.forEach(idx => {
+            setByKeyPath(clone[FULL_TEXT_PROP], idx.keyPath, getUniqueArray(analyze(getByKeyPath(row, idx.keyPath))));
+        });
+        return clone;
+    }
+
+    function removeTerms(row) {
+        // Values read from IndexedDB are fresh copies that we may alter.
+        if (row && typeof row === 'object' && hasOwn(row, FULL_TEXT_PROP)) delete row[FULL_TEXT_PROP];
+        return row;
+    }
+
+    function mutate(type, req) {
+        var indexes = getFullTextIndexes();
+        return downTable[type](indexes.length === 0 ? req : extend(shallowClone(req), {
+            values: req.values.map(row => addTerms(indexes, row))
+        }));
+    }
+
+    return extend(Object.create(downTable), {
+        add: req => mutate('add', req),
+        put: req => mutate('put', req),
+        get: req => downTable.get(req).then(removeTerms),
+        getMany: req => downTable.getMany(req).then(rows => rows.map(removeTerms)),
+        getAll: req => downTable.getAll(req).then(rows => req.keysOnly ? rows : rows.map(removeTerms)),
+        openCursor: req => downTable.openCursor(req).then(cursor => cursor && Object.create(cursor, {
+            value: {get: () => removeTerms(cursor.value)},
+            update: {value: value => cursor.update(addTerms(getFullTextIndexes(), value))}
+        }))
+    });
+}
@@ -0,0 +1,253 @@
+import { keys, isArray, getByKeyPath, setByKeyPath, deepClone } from './utils';
+import Promise, { PSD, globalPSD, newScope, usePSD, NativePromise, AsyncFunction,
+    incrementExpectedAwaits, decrementExpectedAwaits } from './Promise';
+
+//
+// Live Queries
+// ============
+//
+// A live query is a querier function that is re-executed whenever a committed
+// write touches any of the tables and key ranges that the querier read from.
+//
+// Reads are tracked through the Promise-specific data (PSD.subscr) so that any
+// db operation launched from within the querier, no matter how deep in a promise
+// chain, will register what it reads. Writes are collected through the table
+// hooks ('creating', 'updating' and 'deleting') and reported once the root
+// transaction has committed. Writes from other windows are picked up from the
+// 'changes' event when Dexie.Observable is active.
+//
+
+// Currently subscribed observers. Each observer has {reads: Array<Read>, inflight: Array<Read>, notify: Function}
+// where 'inflight' are the reads tracked so far by an ongoing execution of the querier.
+var observers = [];
+// Tables whose CRUD hooks we are subscribing to. Array of {db, table, hook, subscribers}
+var observedTables = [];
+
+/** Register that the current live querier (if any) reads given range from a table.
+ *
+ * @param db {Dexie} The database instance.
+ * @param table {Table} The table being read from.
+ * @param indexSpec {IndexSpec} The index spec used, or null if primary key is used.
+ * @param range {IDBKeyRange} The range being read. null means the whole table.
+ * @param cmp {Function} Key comparer of the backing indexedDB implementation.
+ */
+export function trackRead(db, table, indexSpec, range, cmp) {
+    var subscr = PSD.subscr;
+    if (!subscr) return;
+    subscr.reads.push({
+        db: db,
+        table: table.name,
+        keyPath: indexSpec ? indexSpec.keyPath : null,
+        multi: !!(indexSpec && indexSpec.multi),
+        range: range,
+        cmp: cmp
+    });
+    observeTable(db, table);
+}
+
+/** Subscribe to the CRUD hooks of given table so that writes are collected on the transaction
+ * and reported to observers when it commits. Also make sure that changes from other windows
+ * are reported if Dexie.Observable is active.
+ */
+function observeTable(db, table) {
+    var hook = table.hook;
+    if (observedTables.some(function (observed) { return observed.hook === hook; })) return;
+    var subscribers = {
+        creating: function (primKey, obj, trans) {
+            var change = {key: primKey, obj: obj, oldObj: null};
+            addChange(trans, table.name, change);
+            this.onsuccess = function (key) {
+                change.key = key;
+            };
+        },
+        updating: function (mods, primKey, obj, trans) {
+            var newObj = deepClone(obj);
+            keys(mods).forEach(function (keyPath) {
+                setByKeyPath(newObj, keyPath, mods[keyPath]);
+            });
+            addChange(trans, table.name, {key: primKey, obj: newObj, oldObj: obj});
+        },
+        deleting: function (primKey, obj, trans) {
+            addChange(trans, table.name, {key: primKey, obj: null, oldObj: obj});
+        }
+    };
+    keys(subscribers).forEach(function (eventName) {
+        hook(eventName, subscribers[eventName]);
+    });
+    observedTables.push({db: db, table: table.name, hook: hook, subscribers: subscribers});
+
+    if (db.on.changes && !db._liveQueryObservesChanges) {
+        // Dexie.Observable is active. Let changes made in other windows wake up observers as well.
+        db._liveQueryObservesChanges = true;
+        db.on('changes', function (changes) {
+            var changesByTable = {};
+            changes.forEach(function (change) {
+                (changesByTable[change.table] || (changesByTable[change.table] = [])).push({
+                    key: change.key,
+                    obj: change.obj || null,
+                    oldObj: change.oldObj || null
+                });
+            });
+            notifyObservers(db, changesByTable);
+        });
+    }
+}
+
+/** Unsubscribe the CRUD hooks of tables that no observer reads from anymore, so that
+ * writes to them can take the fast paths again.
+ */
+function releaseUnobservedTables() {
+    observedTables = observedTables.filter(function (observed) {
+        var stillRead = observers.some(function (observer) {
+            return allReads(observer).some(function (read) {
+                return read.db === observed.db && read.table === observed.table;
+            });
+        });
+        if (!stillRead) keys(observed.subscribers).forEach(function (eventName) {
+            observed.hook[eventName].unsubscribe(observed.subscribers[eventName]);
+        });
+        return stillRead;
+    });
+}
+
+function addChange(trans, tableName, change) {
+    // Collect the changes on the root transaction. Sub transactions never commit physically.
+    var root = trans._root();
+    if (!root._liveChanges) {
+        var changesByTable = root._liveChanges = {};
+        root.on('complete', function () {
+            notifyObservers(root.db, changesByTable);
+        });
+    }
+    (root._liveChanges[tableName] || (root._liveChanges[tableName] = [])).push(change);
+}
+
+function allReads(observer) {
+    return observer.inflight ? observer.reads.concat(observer.inflight) : observer.reads;
+}
+
+function notifyObservers(db, changesByTable) {
+    observers.slice().forEach(function (observer) {
+        var affected = allReads(observer).some(function (read) {
+            var changes = read.db.name === db.name && changesByTable[read.table];
+            return changes && changes.some(function (change) {
+                return isAffected(read, change);
+            });
+        });
+        if (affected) observer.notify();
+    });
+}
+
+function isAffected(read, change) {
+    if (!read.range) return true; // Whole table was read.
+    if (!read.keyPath) {
+        // Primary key range. Key may be unknown if an auto-incremented add() failed.
+        return change.key == null || rangeIncludes(read.range, change.key, read.cmp);
+    }
+    return [change.obj, change.oldObj].some(function (obj) {
+        if (!obj) return false;
+        var indexKey = getByKeyPath(obj, read.keyPath);
+        if (indexKey === undefined) return false;
+        return read.multi && isArray(indexKey) ?
+            indexKey.some(function (key) { return rangeIncludes(read.range, key, read.cmp); }) :
+            rangeIncludes(read.range, indexKey, read.cmp);
+    });
+}
+
+function rangeIncludes(range, key, cmp) {
+    try {
+        if (range.lower !== undefined) {
+            var lowerCmp = cmp(key, range.lower);
+            if (lowerCmp < 0 || (lowerCmp === 0 && range.lowerOpen)) return false;
+        }
+        if (range.upper !== undefined) {
+            var upperCmp = cmp(key, range.upper);
+            if (upperCmp > 0 || (upperCmp === 0 && range.upperOpen)) return false;
+        }
+        return true;
+    } catch (e) {
+        // Not a valid key. It cannot be part of the range.
+        return false;
+    }
+}
+
+/** Create an observable that re-executes given querier whenever data it has read is changed.
+ *
+ * Example:
+ *
+ *   var subscription = Dexie.liveQuery(() => db.friends.where('age').above(25).toArray())
+ *       .subscribe(friends => render(friends), error => console.error(error));
+ *   ...
+ *   subscription.unsubscribe();
+ *
+ * @param querier {Function} Function that queries the database and returns a Promise.
+ * @returns {{subscribe: Function}}
+ */
+export function liveQuery(querier) {
+    return {
+        subscribe: function (onNext, onError) {
+            var closed = false,
+                querying = false,
+                pending = false,
+                observer = {reads: [], inflight: null, notify: notify};
+
+            function execute() {
+                if (closed) return;
+                querying = true;
+                pending = false;
+                var subscr = {reads: []};
+                observer.inflight = subscr.reads;
+                // Always run the querier outside any ongoing transaction. Observers are notified
+                // from within transactions that have just committed.
+                usePSD(globalPSD, function () {
+                    return newScope(function () {
+                        return new Promise(function (resolve) {
+                            // Support for native async await (same as in db.transaction()).
+                            var isAsync = querier.constructor === AsyncFunction;
+                            if (isAsync) incrementExpectedAwaits();
+                            var rv = querier();
+                            if (isAsync && rv && rv.constructor === NativePromise) {
+                                var decrementor = decrementExpectedAwaits.bind(null, null);
+                                rv.then(decrementor, decrementor);
+                            }
+                            resolve(rv);
+                        });
+                    }, {subscr: subscr});
+                }).then(function (result) {
+                    if (closed) return;
+                    observer.reads = subscr.reads;
+                    onNext && onNext(result);
+                }, function (error) {
+                    if (closed) return;
+                    observer.reads = subscr.reads;
+                    onError && onError(error);
+                }).finally(function () {
+                    observer.inflight = null;
+                    releaseUnobservedTables();
+                    querying = false;
+                    if (pending) execute();
+                });
+            }
+
+            function notify() {
+                if (querying) pending = true;
+                else execute();
+            }
+
+            observers.push(observer);
+            execute();
+
+            return {
+                unsubscribe: function () {
+                    closed = true;
+                    var idx = observers.indexOf(observer);
+                    if (idx >= 0) observers.splice(idx, 1);
+                    releaseUnobservedTables();
+                },
+                get closed () {
+                    return closed;
+                }
+            };
+        }
+    };
+}
@@ -0,0 +1,9 @@
+// Type definitions for dexie-memory-backend v{version}
+import Dexie from 'dexie';
+
+/** Create a storage backend keeping its databases in memory, for Dexie.dependencies or the
+ * options of the Dexie constructor.
+ */
+declare function createMemoryBackend(): Dexie.Backend;
+
+export default createMemoryBackend;
@@ -0,0 +1,1368 @@
+import { _global, keys, isArray, hasOwn, props, derive, extend, slice } from './utils';
+
+//
+// Storage Backends
+// ================
+//
+// Dexie reads and writes through the backend given by Dexie.dependencies, or by the options of
+// the same names given to the Dexie constructor:
+//
+//   {
+//       indexedDB: IDBFactory,     // Required: open(), deleteDatabase() and cmp().
+//       IDBKeyRange: IDBKeyRange,  // Required: only(), bound(), lowerBound() and upperBound().
+//       localStorage?: Storage     // Optional: lets Dexie.Observable wake up other windows.
+//   }
+//
+// In browsers, the backend defaults to the native IndexedDB. Anything implementing the subset of
+// IndexedDB that Dexie uses (see dbcore.js) can be plugged in instead, which is how Dexie runs
+// in node.js. createMemoryBackend() returns such a backend keeping all databases in memory, for
+// tests and server side rendering. It is not part of dexie.js but built into a file of its own,
+// dist/dexie-memory-backend.js, for those who need it:
+//
+//   var createMemoryBackend = require('dexie/dist/dexie-memory-backend');
+//   Dexie.dependencies = createMemoryBackend();        // All new Dexie instances.
+//   var db = new Dexie("MyDB", createMemoryBackend()); // A single instance.
+//
+// Loaded with a script tag after dexie.js, it is Dexie.createMemoryBackend().
+//
+// Each backend is a storage of its own: a database is visible to connections of the backend
+// that created it only, and is gone with the backend. Values are stored as structured clones and
+// transactions are isolated and atomic, just like in IndexedDB. Dexie.getDatabaseNames() and
+// Dexie.exists() look into the backend of Dexie.dependencies.
+//
+
+/** Create a backend storing its databases in memory.
+ *
+ * @returns {{indexedDB: IDBFactory, IDBKeyRange: Function, localStorage: Storage}}
+ */
+export default function createMemoryBackend() {
+    return {
+        indexedDB: new MemoryFactory(),
+        IDBKeyRange: MemoryKeyRange,
+        localStorage: new MemoryStorage()
+    };
+}
+
+var toString = {}.toString,
+    MAX_GENERATED_KEY = 9007199254740992, // 2^53
+    later = _global.setImmediate ?
+        fn => _global.setImmediate(fn) :
+        fn => setTimeout(fn, 0);
+
+function tagOf(value) {
+    return toString.call(value).slice(8, -1);
+}
+
+function domError(name, message) {
+    if (typeof _global.DOMException === 'function') try {
+        return new _global.DOMException(message, name);
+    } catch (_e) {}
+    var error = new Error(message);
+    error.name = name;
+    return error;
+}
+
+function reportError(error) {
+    // Like a browser would, report exceptions thrown by event listeners without stopping others.
+    later(() => { throw error; });
+}
+
+//
+// Keys
+//
+
+var KEY_NUMBER = 1, KEY_DATE = 2, KEY_STRING = 3, KEY_BINARY = 4, KEY_ARRAY = 5;
+
+/** Convert given value to a key to store, or undefined if it isn't a valid key. Binary keys are
+ * stored as ArrayBuffers.
+ */
+function toKey(value, seen) {
+    switch (typeof value) {
+        case 'number': return isNaN(value) ? undefined : value;
+        case 'string': return value;
+        case 'object': if (value !== null) break;
+        // falls through
+        default: return undefined;
+    }
+    if (isArray(value)) {
+        seen = seen || [];
+        if (seen.indexOf(value) !== -1) return undefined;
+        seen.push(value);
+        var key = [];
+        for (var i = 0, l = value.length; i < l; ++i) {
+            var item = toKey(value[i], seen);
+            if (item === undefined) return undefined;
+            key.push(item);
+        }
+        seen.pop();
+        return key;
+    }
+    var tag = tagOf(value);
+    if (tag === 'Date') return isNaN(value.getTime()) ? undefined : new Date(value.getTime());
+    if (tag === 'ArrayBuffer') return value.slice(0);
+    if (ArrayBuffer.isView(value)) return value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength);
+    return undefined;
+}
+
+function requireKey(value) {
+    var key = toKey(value);
+    if (key === undefined) throw domError('DataError', `${String(value)} is not a valid key`);
+    return key;
+}
+
+function keyType(key) {
+    return typeof key === 'number' ? KEY_NUMBER :
+        typeof key === 'string' ? KEY_STRING :
+        isArray(key) ? KEY_ARRAY :
+        tagOf(key) === 'Date' ? KEY_DATE :
+        KEY_BINARY;
+}
+
+/** Compare two valid keys the IndexedDB way: numbers before Dates, before strings, before
+ * binaries, before arrays.
+ */
+function compareKeys(a, b) {
+    var typeA = keyType(a), typeB = keyType(b);
+    if (typeA !== typeB) return typeA < typeB ? -1 : 1;
+    switch (typeA) {
+        case KEY_DATE:
+            a = a.getTime();
+            b = b.getTime();
+            break;
+        case KEY_BINARY:
+            return compareSequences(new Uint8Array(a), new Uint8Array(b));
+        case KEY_ARRAY:
+            return compareSequences(a, b);
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function compareSequences(a, b) {
+    for (var i = 0, l = Math.min(a.length, b.length); i < l; ++i) {
+        var result = compareKeys(a[i], b[i]);
+        if (result) return result;
+    }
+    return a.length < b.length ? -1 : a.length > b.length ? 1 : 0;
+}
+
+function evaluateKeyPath(value, keyPath) {
+    if (isArray(keyPath)) {
+        var result = [];
+        for (var i = 0, l = keyPath.length; i < l; ++i) {
+            var item = evaluateKeyPath(value, keyPath[i]);
+            if (item === undefined) return undefined;
+            result.push(item);
+        }
+        return result;
+    }
+    if (keyPath === "") return value;
+    var names = keyPath.split('.');
+    for (var j = 0; j < names.length; ++j) {
+        if (typeof value === 'string' && names[j] === 'length') value = value.length;
+        else if (value === null || typeof value !== 'object' || !hasOwn(value, names[j])) return undefined;
+        else value = value[names[j]];
+    }
+    return value;
+}
+
+function canInjectKey(value, keyPath) {
+    var names = keyPath.split('.');
+    for (var i = 0; i < names.length - 1; ++i) {
+        if (value === null || typeof value !== 'object') return false;
+        if (!hasOwn(value, names[i])) return true;
+        value = value[names[i]];
+    }
+    return value !== null && typeof value === 'object';
+}
+
+function injectKey(value, keyPath, key) {
+    var names = keyPath.split('.'),
+        last = names.pop();
+    names.forEach(name => {
+        if (!hasOwn(value, name)) value[name] = {};
+        value = value[name];
+    });
+    value[last] = key;
+}
+
+//
+// Key Ranges
+//
+
+/** IDBKeyRange of the memory backend. Like the native one, it's constructed by its static
+ * methods only.
+ */
+function MemoryKeyRange(lower, upper, lowerOpen, upperOpen) {
+    this.lower = lower;
+    this.upper = upper;
+    this.lowerOpen = !!lowerOpen;
+    this.upperOpen = !!upperOpen;
+}
+
+props(MemoryKeyRange, {
+    only: value => {
+        var key = requireKey(value);
+        return new MemoryKeyRange(key, key, false, false);
+    },
+    lowerBound: (lower, open) => new MemoryKeyRange(requireKey(lower), undefined, open, true),
+    upperBound: (upper, open) => new MemoryKeyRange(undefined, requireKey(upper), true, open),
+    bound: (lower, upper, lowerOpen, upperOpen) => {
+        lower = requireKey(lower);
+        upper = requireKey(upper);
+        var order = compareKeys(lower, upper);
+        if (order > 0 || order === 0 && (lowerOpen || upperOpen))
+            throw domError('DataError', "The lower bound of a key range must be below its upper bound");
+        return new MemoryKeyRange(lower, upper, lowerOpen, upperOpen);
+    }
+});
+
+props(MemoryKeyRange.prototype, {
+    includes: function (value) {
+        var key = requireKey(value);
+        return !isBelowRange(key, this) && !isAboveRange(key, this);
+    }
+});
+
+var ALL = new MemoryKeyRange(undefined, undefined, true, true);
+
+function isBelowRange(key, range) {
+    if (range.lower === undefined) return false;
+    var order = compareKeys(key, range.lower);
+    return order < 0 || order === 0 && range.lowerOpen;
+}
+
+function isAboveRange(key, range) {
+    if (range.upper === undefined) return false;
+    var order = compareKeys(key, range.upper);
+    return order > 0 || order === 0 && range.upperOpen;
+}
+
+function toRange(query, required) {
+    if (query instanceof MemoryKeyRange) return query;
+    if (query == null) {
+        if (required) throw domError('DataError', "A key or key range is required");
+        return ALL;
+    }
+    return MemoryKeyRange.only(query);
+}
+
+//
+// Structured Cloning
+//
+
+function clone(value) {
+    return cloneValue(value, [], []);
+}
+
+function cloneValue(value, seen, copies) {
+    if (value === null || typeof value !== 'object') {
+        if (typeof value === 'function' || typeof value === 'symbol')
+            throw domError('DataCloneError', `${String(value)} could not be cloned`);
+        return value;
+    }
+    var pos = seen.indexOf(value);
+    if (pos !== -1) return copies[pos];
+    var tag = tagOf(value), copy;
+    switch (tag) {
+        case 'Date': return new Date(value.getTime());
+        case 'RegExp': return new RegExp(value.source, value.flags);
+        case 'Boolean': case 'Number': case 'String': return Object(value.valueOf());
+        case 'Blob': case 'File': case 'FileList': case 'ImageData': return value; // Immutable.
+        case 'ArrayBuffer': copy = value.slice(0); break;
+        case 'Map': copy = new _global.Map(); break;
+        case 'Set': copy = new _global.Set(); break;
+        case 'Array': copy = new Array(value.length); break;
+        case 'Object': case 'Error': copy = {}; break;
+        default:
+            if (!ArrayBuffer.isView(value))
+                throw domError('DataCloneError', `${tag} could not be cloned`);
+            var buffer = cloneValue(value.buffer, seen, copies);
+            copy = tag === 'DataView' ?
+                new _global.DataView(buffer, value.byteOffset, value.byteLength) :
+                new _global[tag](buffer, value.byteOffset, value.length);
+    }
+    seen.push(value);
+    copies.push(copy);
+    if (tag === 'Map') {
+        value.forEach((item, key) => copy.set(cloneValue(key, seen, copies), cloneValue(item, seen, copies)));
+    } else if (tag === 'Set') {
+        value.forEach(item => copy.add(cloneValue(item, seen, copies)));
+    } else if (tag === 'Array' || tag === 'Object' || tag === 'Error') {
+        keys(value).forEach(prop => {
+            copy[prop] = cloneValue(value[prop], seen, copies);
+        });
+    }
+    return copy;
+}
+
+//
+// Sorted Entries
+//
+// Object stores keep their records, and indexes their entries, in arrays sorted by key and
+// then primary key: {key, primaryKey, value?}. For records, key and primaryKey are the same.
+//
+
+/** Get the position of the first entry for which isBelow() returns false.
+ */
+function bisect(entries, isBelow) {
+    var low = 0, high = entries.length;
+    while (low < high) {
+        var mid = (low + high) >>> 1;
+        if (isBelow(entries[mid])) low = mid + 1; else high = mid;
+    }
+    return low;
+}
+
+function compareEntries(a, b) {
+    return compareKeys(a.key, b.key) || compareKeys(a.primaryKey, b.primaryKey);
+}
+
+/** Get the positions [start, end) of the entries within given key range.
+ */
+function rangeOf(entries, range) {
+    return [
+        bisect(entries, entry => isBelowRange(entry.key, range)),
+        bisect(entries, entry => !isAboveRange(entry.key, range))
+    ];
+}
+
+function StoreData(name, keyPath, autoIncrement) {
+    this.name = name;
+    this.keyPath = keyPath;
+    this.autoIncrement = autoIncrement;
+    this.current = 1; // Next key of the key generator.
+    this.records = [];
+    this.indexes = {};
+}
+
+props(StoreData.prototype, {
+    find: function (key) {
+        var records = this.records,
+            pos = bisect(records, record => compareKeys(record.key, key) < 0);
+        return pos < records.length && compareKeys(records[pos].key, key) === 0 ? pos : -1;
+    },
+
+    get: function (key) {
+        var pos = this.find(key);
+        return pos === -1 ? undefined : this.records[pos];
+    },
+
+    /** Add or replace a record, returning the replaced one.
+     */
+    put: function (record) {
+        var records = this.records,
+            pos = bisect(records, other => compareKeys(other.key, record.key) < 0),
+            replaced = pos < records.length && compareKeys(records[pos].key, record.key) === 0 ? records[pos] : undefined;
+        if (replaced) {
+            this.eachIndex(index => index.remove(replaced));
+            records[pos] = record;
+        } else {
+            records.splice(pos, 0, record);
+        }
+        this.eachIndex(index => index.add(record));
+        return replaced;
+    },
+
+    remove: function (key) {
+        var pos = this.find(key);
+        if (pos === -1) return undefined;
+        var record = this.records.splice(pos, 1)[0];
+        this.eachIndex(index => index.remove(record));
+        return record;
+    },
+
+    eachIndex: function (fn) {
+        keys(this.indexes).forEach(name => fn(this.indexes[name]));
+    }
+});
+
+function IndexData(name, keyPath, unique, multiEntry) {
+    this.name = name;
+    this.keyPath = keyPath;
+    this.unique = unique;
+    this.multiEntry = multiEntry;
+    this.entries = [];
+}
+
+props(IndexData.prototype, {
+    /** Get the keys given value is indexed by. Values lacking a valid key are not indexed.
+     */
+    keysOf: function (value) {
+        var found = evaluateKeyPath(value, this.keyPath);
+        if (this.multiEntry && isArray(found)) {
+            var result = [];
+            found.forEach(item => {
+                var key = toKey(item);
+                if (key !== undefined && !result.some(other => compareKeys(other, key) === 0)) result.push(key);
+            });
+            return result;
+        }
+        var key = toKey(found);
+        return key === undefined ? [] : [key];
+    },
+
+    add: function (record) {
+        this.keysOf(record.value).forEach(key => {
+            var entry = {key: key, primaryKey: record.key};
+            this.entries.splice(bisect(this.entries, other => compareEntries(other, entry) < 0), 0, entry);
+        });
+    },
+
+    remove: function (record) {
+        this.keysOf(record.value).forEach(key => {
+            var entry = {key: key, primaryKey: record.key},
+                pos = bisect(this.entries, other => compareEntries(other, entry) < 0);
+            this.entries.splice(pos, 1);
+        });
+    },
+
+    /** Tell whether given value would break the uniqueness of this index.
+     */
+    isViolatedBy: function (value, primaryKey) {
+        return this.unique && this.keysOf(value).some(key => {
+            var entries = this.entries,
+                pos = bisect(entries, entry => compareKeys(entry.key, key) < 0);
+            for (; pos < entries.length && compareKeys(entries[pos].key, key) === 0; ++pos) {
+                if (compareKeys(entries[pos].primaryKey, primaryKey) !== 0) return true;
+            }
+            return false;
+        });
+    },
+
+    /** Index given records, returning false if they break its uniqueness.
+     */
+    build: function (records) {
+        return records.every(record => {
+            if (this.isViolatedBy(record.value, record.key)) return false;
+            this.add(record);
+            return true;
+        });
+    }
+});
+
+//
+// Events
+//
+
+function MemoryEvent(type, init) {
+    extend(this, init);
+    this.type = type;
+    this.bubbles = !!this.bubbles;
+    this.cancelable = !!this.cancelable;
+    this.defaultPrevented = false;
+    this.target = this.currentTarget = null;
+    this._stopped = this._stoppedNow = false;
+}
+
+props(MemoryEvent.prototype, {
+    preventDefault: function () {
+        if (this.cancelable) this.defaultPrevented = true;
+    },
+    stopPropagation: function () {
+        this._stopped = true;
+    },
+    stopImmediatePropagation: function () {
+        this._stopped = this._stoppedNow = true;
+    }
+});
+
+function EventTarget(parent) {
+    this._parent = parent;
+    this._listeners = {};
+}
+
+props(EventTarget.prototype, {
+    addEventListener: function (type, listener) {
+        var listeners = this._listeners[type] || (this._listeners[type] = []);
+        if (listeners.indexOf(listener) === -1) listeners.push(listener);
+    },
+    removeEventListener: function (type, listener) {
+        var listeners = this._listeners[type] || [],
+            pos = listeners.indexOf(listener);
+        if (pos !== -1) listeners.splice(pos, 1);
+    }
+});
+
+/** Dispatch an event to given target and, if it bubbles, to its parents: from request to
+ * transaction to connection.
+ *
+ * @returns {MemoryEvent} The event, with _threw set if a listener threw.
+ */
+function fire(target, type, init) {
+    var event = new MemoryEvent(type, init);
+    event.target = target;
+    event._threw = false;
+    for (var current = target; current && !event._stopped; current = event.bubbles ? current._parent : null) {
+        event.currentTarget = current;
+        var handler = current['on' + type],
+            listeners = (handler ? [handler] : []).concat(current._listeners[type] || []);
+        for (var i = 0; i < listeners.length && !event._stoppedNow; ++i) {
+            try {
+                listeners[i].call(current, event);
+            } catch (e) {
+                event._threw = true;
+                reportError(e);
+            }
+        }
+    }
+    event.currentTarget = null;
+    return event;
+}
+
+function stringList(names) {
+    var list = names.slice().sort();
+    list.contains = name => list.indexOf(name) !== -1;
+    list.item = i => i < list.length ? list[i] : null;
+    return list;
+}
+
+//
+// Requests
+//
+
+function MemoryRequest(source, transaction) {
+    EventTarget.call(this, transaction);
+    this.source = source;
+    this.transaction = transaction;
+    this.readyState = 'pending';
+    this.result = undefined;
+    this.error = null;
+    this.onsuccess = this.onerror = null;
+}
+
+derive(MemoryRequest).from(EventTarget);
+
+function MemoryOpenRequest() {
+    MemoryRequest.call(this, null, null);
+    this.onupgradeneeded = this.onblocked = null;
+}
+
+derive(MemoryOpenRequest).from(MemoryRequest);
+
+//
+// Factory
+//
+
+function MemoryFactory() {
+    this._databases = Object.create(null);
+    this._queues = Object.create(null);
+}
+
+props(MemoryFactory.prototype, {
+    open: function (name, version) {
+        if (version !== undefined && !(version >= 1 && Math.floor(version) === +version))
+            throw new TypeError(`Invalid database version ${version}`);
+        name = String(name);
+        var request = new MemoryOpenRequest();
+        this._enqueue(name, done => {
+            var database = this._databases[name] || (this._databases[name] = new Database(name)),
+                oldVersion = database.version,
+                newVersion = version === undefined ? oldVersion || 1 : +version;
+            request.readyState = 'done';
+            if (newVersion < oldVersion) {
+                request.error = domError('VersionError', `Database ${name} has a higher version (${oldVersion}) than requested (${newVersion})`);
+                fire(request, 'error', {bubbles: true, cancelable: true});
+                return done();
+            }
+            var connection = new MemoryDatabase(database);
+            if (newVersion === oldVersion) {
+                database.connections.push(connection);
+                request.result = connection;
+                fire(request, 'success');
+                return done();
+            }
+            database.whenOthersClosed(request, oldVersion, newVersion, () => {
+                database.connections.push(connection);
+                this._upgrade(request, connection, oldVersion, newVersion, done);
+            });
+        });
+        return request;
+    },
+
+    _upgrade: function (request, connection, oldVersion, newVersion, done) {
+        var database = connection._database,
+            trans = new MemoryTransaction(connection, keys(database.stores), 'versionchange');
+        database.version = connection.version = newVersion;
+        trans._undo.push(() => {
+            database.version = connection.version = oldVersion;
+        });
+        connection._upgrade = trans;
+        request.result = connection;
+        request.transaction = trans;
+        trans._onStart = () => {
+            if (trans._fire(request, 'upgradeneeded', {oldVersion: oldVersion, newVersion: newVersion})._threw)
+                trans._abort(domError('AbortError', "Upgrade aborted by exception"));
+        };
+        trans._onFinish = aborted => {
+            connection._upgrade = null;
+            request.transaction = null;
+            if (aborted) {
+                connection.close();
+                if (oldVersion === 0) delete this._databases[database.name];
+                request.result = undefined;
+                request.error = domError('AbortError', "The upgrade transaction was aborted");
+                fire(request, 'error', {bubbles: true, cancelable: true});
+            } else {
+                fire(request, 'success');
+            }
+            done();
+        };
+        database.addTransaction(trans);
+    },
+
+    deleteDatabase: function (name) {
+        name = String(name);
+        var request = new MemoryOpenRequest();
+        this._enqueue(name, done => {
+            var database = this._databases[name],
+                oldVersion = database ? database.version : 0;
+            function deleted() {
+                request.readyState = 'done';
+                fire(request, 'success', {oldVersion: oldVersion, newVersion: null});
+                done();
+            }
+            if (!database) return deleted();
+            database.whenOthersClosed(request, oldVersion, null, () => {
+                delete this._databases[name];
+                deleted();
+            });
+        });
+        return request;
+    },
+
+    cmp: function (a, b) {
+        return compareKeys(requireKey(a), requireKey(b));
+    },
+
+    /** Run open and delete requests of each database one at a time, in order.
+     */
+    _enqueue: function (name, run) {
+        var queues = this._queues,
+            queue = queues[name] || (queues[name] = []);
+        function next() {
+            queue.shift();
+            if (queue.length) queue[0](next); else delete queues[name];
+        }
+        queue.push(run);
+        if (queue.length === 1) later(() => run(next));
+    }
+});
+
+//
+// Databases and Connections
+//
+
+function Database(name) {
+    this.name = name;
+    this.version = 0;
+    this.stores = {};
+    this.connections = [];
+    this.transactions = []; // Not finished, in order of creation.
+    this._closedWaiters = [];
+}
+
+props(Database.prototype, {
+    /** Ask other connections to close by firing 'versionchange' on them, and call proceed() when
+     * they have. Fires 'blocked' on given request while some remain open.
+     */
+    whenOthersClosed: function (request, oldVersion, newVersion, proceed) {
+        var versions = {oldVersion: oldVersion, newVersion: newVersion};
+        this.connections.slice().forEach(connection => {
+            if (!connection._closed) fire(connection, 'versionchange', versions);
+        });
+        if (this.connections.length) {
+            fire(request, 'blocked', versions);
+            this._closedWaiters.push(proceed);
+        } else {
+            proceed();
+        }
+    },
+
+    removeConnection: function (connection) {
+        var pos = this.connections.indexOf(connection);
+        if (pos !== -1) this.connections.splice(pos, 1);
+        if (this.connections.length === 0 && this._closedWaiters.length) {
+            var waiters = this._closedWaiters;
+            this._closedWaiters = [];
+            later(() => waiters.forEach(proceed => proceed()));
+        }
+    },
+
+    addTransaction: function (trans) {
+        this.transactions.push(trans);
+        this.schedule();
+    },
+
+    removeTransaction: function (trans) {
+        var pos = this.transactions.indexOf(trans);
+        if (pos !== -1) this.transactions.splice(pos, 1);
+        this.schedule();
+    },
+
+    /** Start the transactions that don't overlap the scope of an earlier unfinished one, unless
+     * both are readonly.
+     */
+    schedule: function () {
+        var transactions = this.transactions;
+        transactions.forEach((trans, i) => {
+            if (trans._state === 'pending' && !transactions.slice(0, i).some(other => conflicts(other, trans)))
+                trans._start();
+        });
+    }
+});
+
+function conflicts(a, b) {
+    if (a.mode === 'readonly' && b.mode === 'readonly') return false;
+    if (a.mode === 'versionchange' || b.mode === 'versionchange') return true;
+    return a._names.some(name => b._names.indexOf(name) !== -1);
+}
+
+function MemoryDatabase(database) {
+    EventTarget.call(this, null);
+    this._database = database;
+    this._closed = false;
+    this._upgrade = null; // The running versionchange transaction, if any.
+    this.name = database.name;
+    this.version = database.version;
+    this.onabort = this.onclose = this.onerror = this.onversionchange = null;
+}
+
+derive(MemoryDatabase).from(EventTarget).extend({
+    objectStoreNames: {
+        get: function () {
+            return stringList(keys(this._database.stores));
+        }
+    },
+
+    transaction: function (storeNames, mode) {
+        if (this._closed || this._upgrade) throw domError('InvalidStateError', "The connection is closed or being upgraded");
+        var names = typeof storeNames === 'string' ? [storeNames] : slice(storeNames);
+        names = names.filter((name, i) => names.indexOf(name) === i);
+        if (names.length === 0) throw domError('InvalidAccessError', "No object store given");
+        names.forEach(name => {
+            if (!this._database.stores[name]) throw domError('NotFoundError', `No object store named ${name}`);
+        });
+        mode = mode || 'readonly';
+        if (mode !== 'readonly' && mode !== 'readwrite') throw new TypeError(`Invalid transaction mode ${mode}`);
+        var trans = new MemoryTransaction(this, names, mode);
+        this._database.addTransaction(trans);
+        return trans;
+    },
+
+    createObjectStore: function (name, options) {
+        var trans = this._upgradeTransaction(),
+            stores = this._database.stores,
+            keyPath = options && options.keyPath != null ? options.keyPath : null,
+            autoIncrement = !!(options && options.autoIncrement);
+        if (stores[name]) throw domError('ConstraintError', `Object store ${name} already exists`);
+        if (autoIncrement && (keyPath === "" || isArray(keyPath)))
+            throw domError('InvalidAccessError', "An autoIncremented object store needs a non-empty, non-array key path");
+        stores[name] = new StoreData(name, keyPath, autoIncrement);
+        trans._names.push(name);
+        trans._undo.push(() => {
+            delete stores[name];
+        });
+        return trans.objectStore(name);
+    },
+
+    deleteObjectStore: function (name) {
+        var trans = this._upgradeTransaction(),
+            stores = this._database.stores,
+            data = stores[name];
+        if (!data) throw domError('NotFoundError', `No object store named ${name}`);
+        delete stores[name];
+        trans._names.splice(trans._names.indexOf(name), 1);
+        trans._undo.push(() => {
+            stores[name] = data;
+        });
+    },
+
+    close: function () {
+        if (this._closed) return;
+        this._closed = true;
+        this._database.removeConnection(this);
+    },
+
+    _upgradeTransaction: function () {
+        var trans = this._upgrade;
+        if (!trans || trans._state === 'finished')
+            throw domError('InvalidStateError', "The schema can only be changed while upgrading");
+        return trans;
+    }
+});
+
+//
+// Transactions
+//
+
+function MemoryTransaction(connection, storeNames, mode) {
+    EventTarget.call(this, connection);
+    this.db = connection;
+    this.mode = mode;
+    this.error = null;
+    this.onabort = this.oncomplete = this.onerror = null;
+    this._database = connection._database;
+    this._names = storeNames;
+    this._state = 'pending'; // 'pending' -> 'running' -> 'finished'.
+    this._requests = [];     // [{request, operation}] waiting to execute.
+    this._undo = [];         // Functions reverting what has been done, to call on abort.
+    this._stores = {};
+    this._scheduled = false;
+    this._onStart = this._onFinish = null;
+    this._active = null;
+    this._activate();
+}
+
+derive(MemoryTransaction).from(EventTarget).extend({
+    objectStoreNames: {
+        get: function () {
+            return stringList(this._names);
+        }
+    },
+
+    objectStore: function (name) {
+        if (this._state === 'finished') throw domError('InvalidStateError', "The transaction has finished");
+        if (this._names.indexOf(name) === -1) throw domError('NotFoundError', `Object store ${name} is not in the scope of the transaction`);
+        var store = this._stores[name];
+        if (!store || store._data !== this._database.stores[name])
+            store = this._stores[name] = new MemoryObjectStore(this, this._database.stores[name]);
+        return store;
+    },
+
+    abort: function () {
+        if (this._state === 'finished') throw domError('InvalidStateError', "The transaction has finished");
+        this._abort(null);
+    },
+
+    _place: function (request, operation) {
+        this._requests.push({request: request, operation: operation});
+        if (this._state === 'running') this._schedule();
+        return request;
+    },
+
+    _start: function () {
+        this._state = 'running';
+        if (this._onStart) this._onStart();
+        this._schedule();
+    },
+
+    _schedule: function () {
+        if (this._scheduled) return;
+        this._scheduled = true;
+        later(() => {
+            this._scheduled = false;
+            this._process();
+        });
+    },
+
+    /** Execute the requests placed so far. Those placed by their listeners execute in the next
+     * macrotask, so that timers get to run in between. The transaction commits once a macrotask
+     * finds no request left, which lets listeners and the microtasks they queue keep it alive.
+     */
+    _process: function () {
+        if (this._state !== 'running') return;
+        if (this._requests.length === 0) return this._commit();
+        for (var count = this._requests.length; count > 0 && this._state === 'running'; --count) {
+            this._execute(this._requests.shift());
+        }
+        this._schedule();
+    },
+
+    _execute: function (item) {
+        var request = item.request, result, error = null;
+        try {
+            result = item.operation();
+        } catch (e) {
+            error = e;
+        }
+        request.readyState = 'done';
+        request.result = error ? undefined : result;
+        request.error = error;
+        if (error) {
+            var errorEvent = this._fire(request, 'error', {bubbles: true, cancelable: true});
+            if (errorEvent._threw) this._abort(domError('AbortError', "Aborted by exception in an error listener"));
+            else if (!errorEvent.defaultPrevented) this._abort(error);
+        } else if (this._fire(request, 'success')._threw) {
+            this._abort(domError('AbortError', "Aborted by exception in a success listener"));
+        }
+    },
+
+    /** Fire an event on given request, with the transaction active for its listeners.
+     */
+    _fire: function (request, type, init) {
+        this._activate();
+        return fire(request, type, init);
+    },
+
+    /** Let requests be placed until the current task returns, microtasks included, as when
+     * IndexedDB creates a transaction or fires an event on one of its requests. The first timer
+     * or immediate to run afterwards deactivates it, ahead of those the listeners may have set.
+     */
+    _activate: function () {
+        if (this._active) return;
+        var token = this._active = {};
+        var deactivate = () => {
+            if (this._active === token) this._active = null;
+        };
+        later(deactivate);
+        setTimeout(deactivate, 0);
+    },
+
+    _commit: function () {
+        this._state = 'finished';
+        this._undo = [];
+        this._database.removeTransaction(this);
+        fire(this, 'complete');
+        if (this._onFinish) this._onFinish(false);
+    },
+
+    _abort: function (error) {
+        if (this._state === 'finished') return;
+        this._state = 'finished';
+        this.error = error;
+        for (var i = this._undo.length; i--;) this._undo[i]();
+        this._undo = [];
+        var requests = this._requests;
+        this._requests = [];
+        this._database.removeTransaction(this);
+        later(() => {
+            requests.forEach(item => {
+                var request = item.request;
+                request.readyState = 'done';
+                request.result = undefined;
+                request.error = domError('AbortError', "The transaction was aborted");
+                fire(request, 'error', {bubbles: true, cancelable: true});
+            });
+            fire(this, 'abort', {bubbles: true});
+            if (this._onFinish) this._onFinish(true);
+        });
+    }
+});
+
+//
+// Object Stores and Indexes
+//
+// Both read through the same methods: _entries() are the sorted entries to read, _valueOf()
+// gets the value of an entry.
+//
+
+var readMethods = {
+    get: function (query) {
+        return this._read(query, true, entries => entries.length ? clone(this._valueOf(entries[0])) : undefined, 1);
+    },
+
+    getKey: function (query) {
+        return this._read(query, true, entries => entries.length ? entries[0].primaryKey : undefined, 1);
+    },
+
+    getAll: function (query, count) {
+        return this._read(query, false, entries => entries.map(entry => clone(this._valueOf(entry))), count);
+    },
+
+    getAllKeys: function (query, count) {
+        return this._read(query, false, entries => entries.map(entry => entry.primaryKey), count);
+    },
+
+    count: function (query) {
+        return this._read(query, false, entries => entries.length);
+    },
+
+    openCursor: function (query, direction) {
+        return this._openCursor(query, direction, false);
+    },
+
+    openKeyCursor: function (query, direction) {
+        return this._openCursor(query, direction, true);
+    },
+
+    _read: function (query, required, getResult, count) {
+        this._check(false);
+        var range = toRange(query, required);
+        return this._request(() => {
+            var entries = this._entries(),
+                bounds = rangeOf(entries, range);
+            if (count > 0) bounds[1] = Math.min(bounds[1], bounds[0] + count);
+            return getResult(entries.slice(bounds[0], bounds[1]));
+        });
+    },
+
+    _openCursor: function (query, direction, keysOnly) {
+        this._check(false);
+        direction = direction || 'next';
+        if (!/^(next|prev)(unique)?$/.test(direction)) throw new TypeError(`Invalid cursor direction ${direction}`);
+        var range = toRange(query, false),
+            request = new MemoryRequest(this, this._transaction()),
+            cursor = new MemoryCursor(this, range, direction, keysOnly, request);
+        return this._transaction()._place(request, () => cursor._iterate(1));
+    },
+
+    _request: function (operation) {
+        return this._transaction()._place(new MemoryRequest(this, this._transaction()), operation);
+    }
+};
+
+function MemoryObjectStore(transaction, data) {
+    this.transaction = transaction;
+    this._data = data;
+    this._indexes = {};
+}
+
+props(MemoryObjectStore.prototype, readMethods);
+
+props(MemoryObjectStore.prototype, {
+    name: {get: function () { return this._data.name; }},
+    keyPath: {get: function () { return this._data.keyPath; }},
+    autoIncrement: {get: function () { return this._data.autoIncrement; }},
+    indexNames: {get: function () { return stringList(keys(this._data.indexes)); }},
+
+    add: function (value, key) {
+        return this._write(value, key, true);
+    },
+
+    put: function (value, key) {
+        return this._write(value, key, false);
+    },
+
+    'delete': function (query) {
+        this._check(true);
+        var range = toRange(query, true),
+            data = this._data;
+        return this._request(() => {
+            var bounds = rangeOf(data.records, range),
+                removed = data.records.slice(bounds[0], bounds[1]);
+            removed.forEach(record => data.remove(record.key));
+            this.transaction._undo.push(() => removed.forEach(record => data.put(record)));
+        });
+    },
+
+    clear: function () {
+        this._check(true);
+        var data = this._data;
+        return this._request(() => {
+            var records = data.records,
+                indexEntries = {};
+            data.eachIndex(index => {
+                indexEntries[index.name] = index.entries;
+                index.entries = [];
+            });
+            data.records = [];
+            this.transaction._undo.push(() => {
+                data.records = records;
+                data.eachIndex(index => {
+                    index.entries = indexEntries[index.name];
+                });
+            });
+        });
+    },
+
+    index: function (name) {
+        if (this.transaction._state === 'finished') throw domError('InvalidStateError', "The transaction has finished");
+        var data = this._data.indexes[name];
+        if (!data) throw domError('NotFoundError', `No index named ${name}`);
+        var index = this._indexes[name];
+        if (!index || index._data !== data) index = this._indexes[name] = new MemoryIndex(this, data);
+        return index;
+    },
+
+    createIndex: function (name, keyPath, options) {
+        var trans = this.transaction.db._upgradeTransaction(),
+            data = this._data;
+        if (data.indexes[name]) throw domError('ConstraintError', `Index ${name} already exists`);
+        options = options || {};
+        if (options.multiEntry && isArray(keyPath))
+            throw domError('InvalidAccessError', "A multiEntry index cannot have an array key path");
+        var index = new IndexData(name, keyPath, !!options.unique, !!options.multiEntry);
+        if (!index.build(data.records)) {
+            later(() => trans._abort(domError('ConstraintError', `Existing values violate the unique index ${name}`)));
+        }
+        data.indexes[name] = index;
+        trans._undo.push(() => {
+            delete data.indexes[name];
+        });
+        return this.index(name);
+    },
+
+    deleteIndex: function (name) {
+        var trans = this.transaction.db._upgradeTransaction(),
+            indexes = this._data.indexes,
+            index = indexes[name];
+        if (!index) throw domError('NotFoundError', `No index named ${name}`);
+        delete indexes[name];
+        trans._undo.push(() => {
+            indexes[name] = index;
+        });
+    },
+
+    _write: function (value, key, noOverwrite, source) {
+        this._check(true);
+        var data = this._data,
+            keyPath = data.keyPath;
+        if (keyPath !== null && key !== undefined)
+            throw domError('DataError', `Object store ${data.name} uses in-line keys and a key was given`);
+        if (keyPath === null && !data.autoIncrement && key === undefined)
+            throw domError('DataError', `Object store ${data.name} uses out-of-line keys and no key was given`);
+        if (key !== undefined) key = requireKey(key);
+        var copy = clone(value);
+        if (keyPath !== null) {
+            var found = evaluateKeyPath(copy, keyPath);
+            if (found !== undefined) key = requireKey(found);
+            else if (!data.autoIncrement) throw domError('DataError', `No key at key path ${keyPath} of the value`);
+            else if (!canInjectKey(copy, keyPath)) throw domError('DataError', `Cannot set a key at key path ${keyPath} of the value`);
+        }
+        return this.transaction._place(
+            new MemoryRequest(source || this, this.transaction),
+            () => this._storeRecord(copy, key, noOverwrite));
+    },
+
+    _storeRecord: function (value, key, noOverwrite) {
+        var data = this._data,
+            current = data.current;
+        if (key === undefined) {
+            if (current > MAX_GENERATED_KEY) throw domError('ConstraintError', `Key generator of ${data.name} is exhausted`);
+            key = data.current++;
+            if (data.keyPath !== null) injectKey(value, data.keyPath, key);
+        } else if (data.autoIncrement && typeof key === 'number' && key >= current) {
+            data.current = Math.min(Math.floor(key) + 1, MAX_GENERATED_KEY + 1);
+        }
+        try {
+            if (noOverwrite && data.find(key) !== -1)
+                throw domError('ConstraintError', `Key already exists in object store ${data.name}`);
+            data.eachIndex(index => {
+                if (index.isViolatedBy(value, key))
+                    throw domError('ConstraintError', `Unique index ${index.name} of ${data.name} already holds the key`);
+            });
+        } catch (e) {
+            data.current = current;
+            throw e;
+        }
+        var replaced = data.put({key: key, primaryKey: key, value: value});
+        this.transaction._undo.push(() => {
+            data.current = current;
+            if (replaced) data.put(replaced); else data.remove(key);
+        });
+        return key;
+    },
+
+    _removeRecord: function (key) {
+        var data = this._data,
+            removed = data.remove(key);
+        if (removed) this.transaction._undo.push(() => data.put(removed));
+    },
+
+    _check: function (write) {
+        var trans = this.transaction;
+        if (trans._state === 'finished') throw domError('TransactionInactiveError', "The transaction has finished");
+        if (!trans._active) throw domError('TransactionInactiveError', "The transaction is not active");
+        if (trans._database.stores[this._data.name] !== this._data) throw domError('InvalidStateError', `Object store ${this._data.name} was deleted`);
+        if (write && trans.mode === 'readonly') throw domError('ReadOnlyError', "The transaction is readonly");
+    },
+
+    _transaction: function () {
+        return this.transaction;
+    },
+
+    _entries: function () {
+        return this._data.records;
+    },
+
+    _valueOf: function (record) {
+        return record.value;
+    },
+
+    _store: function () {
+        return this;
+    }
+});
+
+function MemoryIndex(objectStore, data) {
+    this.objectStore = objectStore;
+    this._data = data;
+}
+
+props(MemoryIndex.prototype, readMethods);
+
+props(MemoryIndex.prototype, {
+    name: {get: function () { return this._data.name; }},
+    keyPath: {get: function () { return this._data.keyPath; }},
+    unique: {get: function () { return this._data.unique; }},
+    multiEntry: {get: function () { return this._data.multiEntry; }},
+
+    _check: function (write) {
+        this.objectStore._check(write);
+        if (this.objectStore._data.indexes[this._data.name] !== this._data)
+            throw domError('InvalidStateError', `Index ${this._data.name} was deleted`);
+    },
+
+    _transaction: function () {
+        return this.objectStore.transaction;
+    },
+
+    _entries: function () {
+        return this._data.entries;
+    },
+
+    _valueOf: function (entry) {
+        return this.objectStore._data.get(entry.primaryKey).value;
+    },
+
+    _store: function () {
+        return this.objectStore;
+    }
+});
+
+//
+// Cursors
+//
+
+function MemoryCursor(source, range, direction, keysOnly, request) {
+    this.source = source;
+    this.direction = direction;
+    this.request = request;
+    this._range = range;
+    this._keysOnly = keysOnly;
+    this._position = null; // Entry the cursor is at.
+    this._gotValue = false;
+    this._key = this._primaryKey = this._value = undefined;
+}
+
+props(MemoryCursor.prototype, {
+    key: {get: function () { return this._key; }},
+    primaryKey: {get: function () { return this._primaryKey; }},
+    value: {get: function () { return this._keysOnly ? undefined : this._value; }},
+
+    'continue': function (key) {
+        this._checkIteration();
+        if (key !== undefined) {
+            key = requireKey(key);
+            var order = compareKeys(key, this._position.key);
+            if (this.direction.indexOf('next') === 0 ? order <= 0 : order >= 0)
+                throw domError('DataError', "Cannot continue to a key not beyond the cursor");
+        }
+        this._move(() => this._iterate(1, key));
+    },
+
+    advance: function (count) {
+        if (!(count >= 1)) throw new TypeError("Cannot advance a cursor less than one step");
+        this._checkIteration();
+        this._move(() => this._iterate(count));
+    },
+
+    update: function (value) {
+        var store = this.source._store();
+        this._checkWrite();
+        var keyPath = store._data.keyPath;
+        if (keyPath !== null) {
+            var key = toKey(evaluateKeyPath(clone(value), keyPath));
+            if (key === undefined || compareKeys(key, this._primaryKey) !== 0)
+                throw domError('DataError', "The key of the new value differs from the cursor's");
+            return store._write(value, undefined, false, this);
+        }
+        return store._write(value, this._primaryKey, false, this);
+    },
+
+    'delete': function () {
+        var store = this.source._store(),
+            primaryKey = this._primaryKey;
+        this._checkWrite();
+        return store.transaction._place(
+            new MemoryRequest(this, store.transaction),
+            () => store._removeRecord(primaryKey));
+    },
+
+    _checkIteration: function () {
+        this.source._check(false);
+        if (!this._gotValue) throw domError('InvalidStateError', "The cursor is moving or done");
+    },
+
+    _checkWrite: function () {
+        this.source._check(true);
+        if (!this._gotValue || this._keysOnly) throw domError('InvalidStateError', "The cursor has no value");
+    },
+
+    _move: function (operation) {
+        this._gotValue = false;
+        this.request.readyState = 'pending';
+        this.source._transaction()._place(this.request, operation);
+    },
+
+    _iterate: function (count, target) {
+        var entries = this.source._entries(),
+            entry = null;
+        while (count--) {
+            entry = this._next(entries, target);
+            target = undefined;
+            if (!entry) break;
+            this._position = entry;
+        }
+        if (!entry) {
+            this._key = this._primaryKey = this._value = undefined;
+            return null;
+        }
+        this._key = toKey(entry.key);
+        this._primaryKey = toKey(entry.primaryKey);
+        this._value = this._keysOnly ? undefined : clone(this.source._valueOf(entry));
+        this._gotValue = true;
+        return this;
+    },
+
+    /** Find the entry after the current position, in the direction of the cursor and within its
+     * range. The entries may have changed since the cursor got to its position.
+     */
+    _next: function (entries, target) {
+        var range = this._range,
+            position = this._position,
+            unique = /unique$/.test(this.direction),
+            entry;
+        if (this.direction.indexOf('next') === 0) {
+            entry = entries[bisect(entries, entry =>
+                isBelowRange(entry.key, range) ||
+                target !== undefined && compareKeys(entry.key, target) < 0 ||
+                position !== null && (unique ?
+                    compareKeys(entry.key, position.key) <= 0 :
+                    compareEntries(entry, position) <= 0))];
+            return entry && !isAboveRange(entry.key, range) ? entry : null;
+        }
+        var pos = bisect(entries, entry => !(
+            isAboveRange(entry.key, range) ||
+            target !== undefined && compareKeys(entry.key, target) > 0 ||
+            position !== null && (unique ?
+                compareKeys(entry.key, position.key) >= 0 :
+                compareEntries(entry, position) >= 0))) - 1;
+        entry = entries[pos];
+        if (!entry || isBelowRange(entry.key, range)) return null;
+        // A prevunique cursor visits the first entry of each key.
+        return unique ? entries[bisect(entries, other => compareKeys(other.key, entry.key) < 0)] : entry;
+    }
+});
+
+//
+// Local Storage
+//
+
+/** Storage keeping its items in memory, for Dexie.Observable to use where there is no
+ * localStorage.
+ */
+function MemoryStorage() {
+    this._items = Object.create(null);
+}
+
+props(MemoryStorage.prototype, {
+    length: {get: function () { return keys(this._items).length; }},
+    key: function (i) {
+        var names = keys(this._items);
+        return i < names.length ? names[i] : null;
+    },
+    getItem: function (name) {
+        name = String(name);
+        return name in this._items ? this._items[name] : null;
+    },
+    setItem: function (name, value) {
+        this._items[String(name)] = String(value);
+    },
+    removeItem: function (name) {
+        delete this._items[String(name)];
+    },
+    clear: function () {
+        this._items = Object.create(null);
+    }
+});
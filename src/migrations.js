@@ -0,0 +1,257 @@
+import { keys, hasOwn, isArray, extend, getByKeyPath, setByKeyPath, delByKeyPath } from './utils';
+import { exceptions } from './errors';
+import Promise from './Promise';
+
+//
+// Migrations
+// ==========
+//
+// Version.migrate() declares the steps of an upgrade that IndexedDB cannot do by just
+// changing the schema:
+//
+//   db.version(5).migrate({
+//       renameTable: {people: "friends"},
+//       renameField: {friends: {fullName: "name"}},
+//       renameIndex: {friends: {birth: "born"}},
+//       transform: {friends: friend => { friend.age = parseInt(friend.age); }},
+//       addIndex: {friends: "age"}
+//   });
+//
+// Version.renameTable() and Version.renameIndex() are shortcuts for the steps of the same
+// name. IndexedDB cannot rename a table or change the key path of an index, so records are
+// copied to a new table, and indexed properties moved to their new key path.
+//
+// renameTable, renameIndex and addIndex alter the schema of the version. Steps operating on
+// records run within the versionchange transaction after the tables and indexes of the version
+// have been created and before tables that were removed or renamed are deleted. Like
+// everything else in an upgrade they are all-or-nothing: if a step fails, the upgrade is
+// rolled back.
+//
+// Steps run in the order renameTable, renameField, renameIndex, transform. Each step fires
+// db.on('upgradeprogress') when it starts and when it is done.
+//
+// Steps are not reversible: there are no "down" steps. IndexedDB never opens a database at a
+// lower version than it has, so there is no downgrade to run them in. To undo a migration,
+// declare a new version with steps migrating back. Unknown steps, such as "down", throw.
+//
+
+const STEP_TYPES = ["renameTable", "renameField", "renameIndex", "transform", "addIndex"];
+
+/** Merge the steps of several calls to Version.migrate() into one migration.
+ */
+export function mergeMigrationSteps(migration, steps) {
+    var merged = extend({}, migration || {});
+    keys(steps).forEach(type => {
+        var byTable = merged[type] = extend({}, merged[type] || {});
+        keys(steps[type]).forEach(tableName => {
+            var existing = byTable[tableName],
+                value = steps[type][tableName];
+            byTable[tableName] =
+                type === "renameField" || type === "renameIndex" ? extend(extend({}, existing || {}), value) :
+                type === "addIndex" && existing ? [].concat(existing, value) :
+                value;
+        });
+    });
+    return merged;
+}
+
+/** Validate the steps given to Version.migrate() and get the changes they make to the schema.
+ *
+ * @param steps {Object} Steps given to Version.migrate().
+ * @param previousStores {Object} Stores spec of earlier versions, {tableName: indexes}.
+ * @param ownStores {Object} Stores spec given to Version.stores() of the migrating version.
+ * @returns {Object} Stores spec to pass to Version.stores().
+ */
+export function getMigrationStores(steps, previousStores, ownStores) {
+    keys(steps).forEach(type => {
+        if (STEP_TYPES.indexOf(type) === -1) throw new exceptions.InvalidArgument(
+            `Unknown migration step ${type}. Valid steps are ${STEP_TYPES.join(', ')}`);
+    });
+
+    var changes = {};
+
+    function currentSpec(tableName) {
+        return hasOwn(changes, tableName) ? changes[tableName] :
+            hasOwn(ownStores, tableName) ? ownStores[tableName] :
+            previousStores[tableName];
+    }
+
+    keys(steps.renameTable || {}).forEach(oldName => {
+        var newName = steps.renameTable[oldName];
+        if (previousStores[oldName] == null) throw new exceptions.Schema(
+            `Cannot rename table ${oldName} since no earlier version declares it`);
+        if (previousStores[newName] != null) throw new exceptions.Schema(
+            `Cannot rename table ${oldName} to ${newName} since ${newName} already exists`);
+        // Keep the indexes unless the version declares the new table itself.
+        if (ownStores[newName] == null) changes[newName] = previousStores[oldName];
+        changes[oldName] = null;
+    });
+
+    ["renameField", "renameIndex"].forEach(type => {
+        keys(steps[type] || {}).forEach(tableName => {
+            var spec = currentSpec(tableName);
+            if (spec == null) throw new exceptions.Schema(`Cannot rename fields of unknown table ${tableName}`);
+            var indexes = spec.split(',').map(index => index.trim()),
+                renames = steps[type][tableName];
+            keys(renames).forEach(oldKeyPath => {
+                var newKeyPath = renames[oldKeyPath];
+                if (oldKeyPath === indexName(indexes[0]) || newKeyPath === indexName(indexes[0]))
+                    throw new exceptions.Schema(`Cannot rename the primary key of ${tableName}`);
+                if (type === "renameIndex") {
+                    if (/[\[+]/.test(oldKeyPath + newKeyPath))
+                        throw new exceptions.Schema("Only indexes of a single key path can be renamed");
+                    // Let the index follow the property, unless the version already declares it.
+                    var i = indexes.map(indexName).indexOf(oldKeyPath);
+                    if (i > 0) {
+                        indexes[i] = indexes[i].replace(oldKeyPath, newKeyPath);
+                        changes[tableName] = indexes.join(',');
+                    }
+                }
+            });
+        });
+    });
+
+    keys(steps.transform || {}).forEach(tableName => {
+        if (currentSpec(tableName) == null) throw new exceptions.Schema(`Cannot transform unknown table ${tableName}`);
+        if (typeof steps.transform[tableName] !== 'function')
+            throw new exceptions.InvalidArgument(`Transform of ${tableName} must be a function`);
+    });
+
+    keys(steps.addIndex || {}).forEach(tableName => {
+        var spec = currentSpec(tableName),
+            indexes = steps.addIndex[tableName];
+        if (spec == null) throw new exceptions.Schema(`Cannot add indexes to unknown table ${tableName}`);
+        changes[tableName] = spec + "," + (isArray(indexes) ? indexes.join(',') : indexes);
+    });
+
+    return changes;
+}
+
+/** List the steps of a migration that operate on records, in the order they run.
+ */
+function getMigrationTasks(steps) {
+    var tasks = [];
+    keys(steps.renameTable || {}).forEach(tableName => {
+        tasks.push({type: "renameTable", table: tableName, to: steps.renameTable[tableName]});
+    });
+    ["renameField", "renameIndex"].forEach(type => {
+        keys(steps[type] || {}).forEach(tableName => {
+            tasks.push({type: type, table: tableName, fields: steps[type][tableName]});
+        });
+    });
+    keys(steps.transform || {}).forEach(tableName => {
+        tasks.push({type: "transform", table: tableName, transform: steps.transform[tableName]});
+    });
+    return tasks;
+}
+
+/** Describe the steps of a migration that operate on records, for a dry-run.
+ *
+ * @param steps {Object} Steps given to Version.migrate().
+ * @param rowCounts {Object} Number of records per table name. Updated as tables are renamed.
+ * @returns {Array<{type: string, table: string, to?: string, fields?: Object, rows: number}>}
+ */
+export function describeMigration(steps, rowCounts) {
+    return getMigrationTasks(steps).map(task => {
+        var description = {type: task.type, table: task.table, rows: rowCounts[task.table] || 0};
+        if (task.type === "renameTable") {
+            description.to = task.to;
+            rowCounts[task.to] = description.rows;
+            delete rowCounts[task.table];
+        }
+        if (task.fields) description.fields = task.fields;
+        return description;
+    });
+}
+
+/** Run the steps of a migration, one at a time.
+ *
+ * @param steps {Object} Steps given to Version.migrate().
+ * @param env {{
+ *   version: number, // Version being upgraded to.
+ *   idbtrans: IDBTransaction, // The versionchange transaction.
+ *   schema: Object, // Schema of the version, {tableName: TableSchema}.
+ *   getCoreTable: Function, // (tableName) -> DBCoreTable
+ *   onProgress: Function // ({version, step, steps, type, table, completedRows, totalRows, done}) -> void
+ * }}
+ * @returns {Promise}
+ */
+export function runMigration(steps, env) {
+    var tasks = getMigrationTasks(steps);
+    return tasks.reduce((promise, task, i) => promise.then(() => {
+        var coreTable = env.getCoreTable(task.table);
+        return coreTable.count({trans: env.idbtrans, index: null, range: null}).then(totalRows => {
+            function progress(completedRows, done) {
+                env.onProgress({
+                    version: env.version,
+                    step: i + 1,
+                    steps: tasks.length,
+                    type: task.type,
+                    table: task.table,
+                    completedRows: completedRows,
+                    totalRows: totalRows,
+                    done: done
+                });
+            }
+            progress(0, false);
+            return forEachRecord(coreTable, env.idbtrans, getRecordOperation(task, env))
+                .then(completedRows => progress(completedRows, true));
+        });
+    }), Promise.resolve());
+}
+
+function getRecordOperation(task, env) {
+    switch (task.type) {
+        case "renameTable": {
+            var newTable = env.getCoreTable(task.to),
+                outbound = !env.schema[task.to].primKey.keyPath;
+            return cursor => newTable.put({
+                trans: env.idbtrans,
+                values: [cursor.value],
+                keys: outbound ? [cursor.primaryKey] : undefined
+            }).then(throwFailure);
+        }
+        case "renameField":
+        case "renameIndex":
+            return cursor => {
+                var value = cursor.value,
+                    changed = false;
+                keys(task.fields).forEach(oldField => {
+                    var fieldValue = getByKeyPath(value, oldField);
+                    if (fieldValue === undefined) return;
+                    delByKeyPath(value, oldField);
+                    setByKeyPath(value, task.fields[oldField], fieldValue);
+                    changed = true;
+                });
+                return changed && cursor.update(value);
+            };
+        case "transform":
+            return cursor => {
+                var value = cursor.value,
+                    result = task.transform(value);
+                // The transform may either alter the given value or return a new one.
+                return cursor.update(result === undefined ? value : result);
+            };
+    }
+}
+
+function forEachRecord(coreTable, idbtrans, operation) {
+    var pending = [],
+        count = 0;
+    return coreTable.openCursor({trans: idbtrans, index: null, range: null, dir: "next"}).then(cursor =>
+        cursor && cursor.start(() => {
+            ++count;
+            var promise = operation(cursor);
+            if (promise) pending.push(promise);
+            cursor.continue();
+        })
+    ).then(() => Promise.all(pending)).then(() => count);
+}
+
+function indexName(index) {
+    return index.replace(/([&*~]|\+\+)/g, "");
+}
+
+function throwFailure(mutateResult) {
+    if (mutateResult.numFailures) throw mutateResult.failures[0];
+}
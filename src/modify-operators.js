@@ -0,0 +1,105 @@
+import { keys, isArray, hasOwn, getByKeyPath } from './utils';
+import { exceptions } from './errors';
+
+//
+// Modify Operators
+// ================
+//
+// Besides a set of {keyPath: value}, Collection.modify(), Table.update(), Table.upsert() and
+// Table.bulkUpdate() accept operators computing the new values from each object:
+//
+//   db.friends.where('name').equals("Arne").modify({
+//       $inc: {visits: 1},
+//       $push: {tags: "vip"},
+//       $max: {lastVisit: new Date()}
+//   });
+//
+// The operators are turned into a set of {keyPath: value} per object before anything is
+// written. That set is what hook('updating') gets, so Dexie.Observable records the change as
+// an update of the touched key paths and not as a replacement of the whole object. Operators
+// leaving a value as it is, like $pull of an item the array does not hold, give no key path at
+// all, so that modify() neither counts nor hooks an object they leave unchanged.
+//
+
+const OPERATORS = {
+    $set: (current, value) => value,
+    $unset: () => undefined,
+    $inc: (current, value, keyPath) => {
+        if (typeof value !== 'number') throw new exceptions.InvalidArgument(`$inc of ${keyPath} must be a number`);
+        if (current === undefined) return value;
+        if (typeof current !== 'number') throw new exceptions.InvalidArgument(`Cannot $inc ${keyPath} since it is not a number`);
+        return current + value;
+    },
+    $push: (current, value, keyPath) => arrayAt(current, keyPath).concat(eachOf(value)),
+    $addToSet: (current, value, keyPath) => eachOf(value).reduce((result, item) => {
+        if (!result.some(existing => equals(existing, item))) result.push(item);
+        return result;
+    }, arrayAt(current, keyPath).slice()),
+    $pull: (current, value, keyPath) => {
+        var values = value && value.constructor === Object && isArray(value.$in) ? value.$in : [value];
+        return arrayAt(current, keyPath).filter(item => !values.some(v => equals(item, v)));
+    },
+    $min: (current, value) => current === undefined || value < current ? value : current,
+    $max: (current, value) => current === undefined || value > current ? value : current
+};
+
+/** Tell whether given changes are operators rather than a set of {keyPath: value}.
+ *
+ * @throws {InvalidArgumentError} if an operator is unknown or mixed with key paths.
+ */
+export function hasModifyOperators(changes) {
+    var names = keys(changes),
+        operatorNames = names.filter(name => name[0] === '$');
+    if (operatorNames.length === 0) return false;
+    if (operatorNames.length < names.length)
+        throw new exceptions.InvalidArgument("Cannot mix operators with key paths. Use $set.");
+    operatorNames.forEach(name => {
+        if (!OPERATORS[name]) throw new exceptions.InvalidArgument(
+            `Unknown operator ${name}. Valid operators are ${keys(OPERATORS).join(', ')}`);
+    });
+    return true;
+}
+
+/** Get the set of {keyPath: value} to apply to given object. Changes without operators are
+ * returned as they are. An undefined value means deleting the key path.
+ */
+export function getModifications(obj, changes) {
+    if (!hasModifyOperators(changes)) return changes;
+    var modifications = {},
+        keyPaths = {};
+    keys(changes).forEach(operator => {
+        var args = changes[operator];
+        keys(args).forEach(keyPath => {
+            if (hasOwn(keyPaths, keyPath)) throw new exceptions.InvalidArgument(
+                `Cannot apply several operators to ${keyPath}`);
+            keyPaths[keyPath] = true;
+            var current = getByKeyPath(obj, keyPath),
+                value = OPERATORS[operator](current, args[keyPath], keyPath);
+            if (operator === '$set' || operator === '$unset' || !unchanged(current, value))
+                modifications[keyPath] = value;
+        });
+    });
+    return modifications;
+}
+
+function unchanged(current, value) {
+    if (!isArray(value)) return value === current;
+    var items = current === undefined ? [] : current;
+    return isArray(items) && items.length === value.length && value.every((item, i) => item === items[i]);
+}
+
+function arrayAt(current, keyPath) {
+    if (current === undefined) return [];
+    if (!isArray(current)) throw new exceptions.InvalidArgument(`${keyPath} is not an array`);
+    return current;
+}
+
+function eachOf(value) {
+    return value && value.constructor === Object && isArray(value.$each) ? value.$each : [value];
+}
+
+function equals(a, b) {
+    return a === b || (
+        a !== null && b !== null && typeof a === 'object' && typeof b === 'object' &&
+        JSON.stringify(a) === JSON.stringify(b));
+}
@@ -0,0 +1,189 @@
+import { keys, isArray, hasOwn, getByKeyPath } from './utils';
+
+//
+// Query Planner
+// =============
+//
+// Table.where({keyPath: value, ...}) lets the planner pick the index to query. A criteria
+// value is either a key to match exactly or an IDBKeyRange, as in:
+//
+//   db.events.where({userId: 5, date: IDBKeyRange.bound(monday, friday)})
+//
+// Every simple, compound and multiEntry index (and the primary key) is a candidate. A simple
+// index can serve one criteria. A compound index [a+b+c] can serve a prefix of its key paths
+// where all parts have equality criteria, optionally followed by one part with a range
+// criteria. MultiEntry indexes only serve equality criteria since a range could yield the
+// same record more than once. Full-text indexes hold terms rather than the values and are
+// never candidates. The candidate serving the most criteria wins. Criteria that the chosen
+// index does not serve are evaluated in javascript.
+//
+
+/** Plan a query for given criteria.
+ *
+ * @param tableSchema {TableSchema} Schema of the table to query.
+ * @param criteria {Object} Map of keyPath to key or IDBKeyRange.
+ * @param env {{IDBKeyRange: Function, cmp: Function, minKey: any, maxKey: any, supportsCompound: boolean}}
+ * @returns {{
+ *   index: IndexSpec, // Index to query or null if no index can serve any criteria.
+ *   range: IDBKeyRange, // Range to query on the index.
+ *   indexedKeyPaths: string[], // Criteria served by the index.
+ *   filteredKeyPaths: string[], // Criteria that have to be evaluated in javascript.
+ *   filter: Function // Filter for filteredKeyPaths, or null if none.
+ * }}
+ */
+export function planQuery(tableSchema, criteria, env) {
+    var keyPaths = keys(criteria),
+        candidates = (tableSchema.primKey.keyPath ? [tableSchema.primKey] : [])
+            .concat(tableSchema.indexes.filter(function (index) { return !index.fullText; })),
+        best = null;
+
+    candidates.forEach(function (index) {
+        var candidate = index.compound ?
+            env.supportsCompound && compoundCandidate(index, criteria, env) :
+            simpleCandidate(index, criteria, env);
+        if (candidate && (!best || isBetter(candidate, best))) best = candidate;
+    });
+
+    var filteredKeyPaths = keyPaths.filter(function (keyPath) {
+        return !best || best.keyPaths.indexOf(keyPath) === -1;
+    });
+
+    return {
+        index: best && best.index,
+        range: best && createRange(best, criteria, env),
+        indexedKeyPaths: best ? best.keyPaths : [],
+        filteredKeyPaths: filteredKeyPaths,
+        filter: filteredKeyPaths.length > 0 ?
+            createFilter(tableSchema, criteria, filteredKeyPaths, env) :
+            null
+    };
+}
+
+function isRange(value, env) {
+    return value instanceof env.IDBKeyRange;
+}
+
+function simpleCandidate(index, criteria, env) {
+    if (!hasOwn(criteria, index.keyPath)) return null;
+    var ranged = isRange(criteria[index.keyPath], env);
+    if (ranged && index.multi) return null;
+    return {
+        index: index,
+        keyPaths: [index.keyPath],
+        numEquals: ranged ? 0 : 1,
+        ranged: ranged
+    };
+}
+
+function compoundCandidate(index, criteria, env) {
+    var keyPaths = [],
+        ranged = false;
+    for (var i = 0; i < index.keyPath.length; ++i) {
+        var keyPath = index.keyPath[i];
+        if (!hasOwn(criteria, keyPath)) break;
+        keyPaths.push(keyPath);
+        if (isRange(criteria[keyPath], env)) {
+            ranged = true;
+            break; // Parts after a range cannot narrow the key range.
+        }
+    }
+    if (keyPaths.length === 0) return null;
+    return {
+        index: index,
+        keyPaths: keyPaths,
+        numEquals: ranged ? keyPaths.length - 1 : keyPaths.length,
+        ranged: ranged
+    };
+}
+
+function isBetter(a, b) {
+    // Serve as many criteria as possible, preferring equality over ranges.
+    if (a.keyPaths.length !== b.keyPaths.length) return a.keyPaths.length > b.keyPaths.length;
+    if (a.numEquals !== b.numEquals) return a.numEquals > b.numEquals;
+    // A fully matched index is more selective than a prefix of a compound index.
+    var aFull = isFullMatch(a), bFull = isFullMatch(b);
+    if (aFull !== bFull) return aFull;
+    // Unique indexes and the primary key yield at most one record per key.
+    return !!a.index.unique && !b.index.unique;
+}
+
+function isFullMatch(candidate) {
+    return !candidate.index.compound || candidate.keyPaths.length === candidate.index.keyPath.length;
+}
+
+function createRange(candidate, criteria, env) {
+    var index = candidate.index;
+    if (!index.compound) {
+        var value = criteria[index.keyPath];
+        return isRange(value, env) ? value : env.IDBKeyRange.only(value);
+    }
+    var equals = candidate.keyPaths
+            .slice(0, candidate.numEquals)
+            .map(function (keyPath) { return criteria[keyPath]; }),
+        // Whether the index has parts after the last one served. Keys will then be longer than our bounds.
+        hasTrailingParts = candidate.keyPaths.length < index.keyPath.length;
+
+    if (!candidate.ranged) {
+        return hasTrailingParts ?
+            env.IDBKeyRange.bound(equals.concat([env.minKey]), equals.concat([env.maxKey])) :
+            env.IDBKeyRange.only(equals);
+    }
+
+    var range = criteria[candidate.keyPaths[candidate.numEquals]],
+        lower, upper,
+        lowerOpen = false,
+        upperOpen = false;
+
+    if (range.lower === undefined) {
+        lower = equals.concat([env.minKey]);
+    } else if (hasTrailingParts && range.lowerOpen) {
+        lower = equals.concat([range.lower, env.maxKey]);
+    } else {
+        lower = equals.concat([range.lower]);
+        lowerOpen = range.lowerOpen;
+    }
+
+    if (range.upper === undefined) {
+        upper = equals.concat([env.maxKey]);
+    } else if (hasTrailingParts && !range.upperOpen) {
+        upper = equals.concat([range.upper, env.maxKey]);
+    } else {
+        upper = equals.concat([range.upper]);
+        upperOpen = range.upperOpen;
+    }
+
+    return env.IDBKeyRange.bound(lower, upper, lowerOpen, upperOpen);
+}
+
+function createFilter(tableSchema, criteria, keyPaths, env) {
+    return function (obj) {
+        return keyPaths.every(function (keyPath) {
+            var value = getByKeyPath(obj, keyPath),
+                criterion = criteria[keyPath],
+                index = tableSchema.idxByName[keyPath];
+            // Values of multiEntry indexes match if any of the array items match.
+            return index && index.multi && isArray(value) ?
+                value.some(function (item) { return matches(item, criterion, env); }) :
+                matches(value, criterion, env);
+        });
+    };
+}
+
+function matches(value, criterion, env) {
+    var cmp = env.cmp;
+    try {
+        if (!isRange(criterion, env)) return cmp(value, criterion) === 0;
+        if (criterion.lower !== undefined) {
+            var lowerCmp = cmp(value, criterion.lower);
+            if (lowerCmp < 0 || (lowerCmp === 0 && criterion.lowerOpen)) return false;
+        }
+        if (criterion.upper !== undefined) {
+            var upperCmp = cmp(value, criterion.upper);
+            if (upperCmp > 0 || (upperCmp === 0 && criterion.upperOpen)) return false;
+        }
+        return true;
+    } catch (e) {
+        // Value is not a valid key and cannot match.
+        return false;
+    }
+}
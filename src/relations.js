@@ -0,0 +1,115 @@
+import { keys, hasOwn, extend } from './utils';
+import { exceptions } from './errors';
+
+//
+// Relations
+// =========
+//
+// Version.relations() declares foreign keys, mapping a key path of a table to the table whose
+// primary key it refers to:
+//
+//   db.version(1).stores({
+//       customers: "++id",
+//       orders: "++id, customerId",
+//       orderLines: "++id, orderId"
+//   }).relations({
+//       orders: {customerId: "customers"},
+//       orderLines: {orderId: {table: "orders", onDelete: "cascade"}}
+//   });
+//
+// Collection.with() loads related records in one query per relation and attaches them:
+//
+//   db.orders.where('date').above(yesterday).with({customer: "customerId"})
+//   db.customers.toCollection().with({orders: "orders.customerId"}) // Orders referring to each customer.
+//
+// With onDelete: "cascade", deleting a record deletes the records referring to it. It is
+// enforced from hook('deleting') of the referred table, and read-write transactions on that
+// table include the tables to cascade to.
+//
+
+/** Validate and normalize the relations given to Version.relations().
+ *
+ * @param spec {Object} {tableName: {foreignKey: tableName | {table, onDelete?}}}
+ * @param dbschema {Object} Schema of the version, {tableName: TableSchema}.
+ * @returns {Object} {tableName: {foreignKey: {table, onDelete}}}
+ */
+export function parseRelations(spec, dbschema) {
+    var result = {};
+    keys(spec).forEach(tableName => {
+        var tableSchema = dbschema[tableName];
+        if (!tableSchema) throw new exceptions.Schema(`Cannot declare relations of unknown table ${tableName}`);
+        result[tableName] = {};
+        keys(spec[tableName]).forEach(foreignKey => {
+            var relation = spec[tableName][foreignKey];
+            if (typeof relation === 'string') relation = {table: relation};
+            if (!relation || !dbschema[relation.table]) throw new exceptions.Schema(
+                `${tableName}.${foreignKey} refers to unknown table ${relation && relation.table}`);
+            var onDelete = relation.onDelete || null;
+            if (onDelete !== null && onDelete !== "cascade") throw new exceptions.InvalidArgument(
+                `Unsupported onDelete ${onDelete} of ${tableName}.${foreignKey}. Only "cascade" is supported`);
+            if (onDelete && !tableSchema.idxByName[foreignKey]) throw new exceptions.Schema(
+                `${tableName}.${foreignKey} must be indexed to cascade deletes`);
+            result[tableName][foreignKey] = {table: relation.table, onDelete: onDelete};
+        });
+    });
+    return result;
+}
+
+/** Merge relations of several versions, later ones overriding earlier ones.
+ */
+export function mergeRelations(relationsOfVersions) {
+    return relationsOfVersions.reduce((merged, relations) => {
+        keys(relations || {}).forEach(tableName => {
+            merged[tableName] = extend(extend({}, merged[tableName] || {}), relations[tableName]);
+        });
+        return merged;
+    }, {});
+}
+
+/** Get the relations of tables referring to given table with onDelete: "cascade".
+ * @returns {Array<{table: string, foreignKey: string}>}
+ */
+export function getCascades(relations, tableName) {
+    var cascades = [];
+    keys(relations).forEach(childName => {
+        keys(relations[childName]).forEach(foreignKey => {
+            var relation = relations[childName][foreignKey];
+            if (relation.table === tableName && relation.onDelete === "cascade")
+                cascades.push({table: childName, foreignKey: foreignKey});
+        });
+    });
+    return cascades;
+}
+
+/** Get given store names along with the tables that deletes cascade to from them, recursively.
+ */
+export function withCascadedStores(relations, storeNames) {
+    var result = storeNames.slice();
+    for (var i = 0; i < result.length; ++i) {
+        getCascades(relations, result[i]).forEach(cascade => {
+            if (result.indexOf(cascade.table) === -1) result.push(cascade.table);
+        });
+    }
+    return result;
+}
+
+/** Find the relation that given path of Collection.with() refers to.
+ *
+ * @param relations {Object} All relations.
+ * @param tableName {string} Table of the collection.
+ * @param path {string} Foreign key of the table, or "otherTable.foreignKey" referring to the table.
+ * @returns {{table: string, foreignKey: string, reverse: boolean}}
+ */
+export function resolveRelation(relations, tableName, path) {
+    if (relations[tableName] && hasOwn(relations[tableName], path))
+        return {table: relations[tableName][path].table, foreignKey: path, reverse: false};
+    var dot = path.indexOf('.'),
+        childName = path.substr(0, dot),
+        foreignKey = path.substr(dot + 1);
+    if (dot > 0 && relations[childName] && hasOwn(relations[childName], foreignKey) &&
+        relations[childName][foreignKey].table === tableName)
+    {
+        return {table: childName, foreignKey: foreignKey, reverse: true};
+    }
+    throw new exceptions.InvalidArgument(`No relation ${path} declared for ${tableName}`);
+}
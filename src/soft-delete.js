@@ -0,0 +1,72 @@
+import { getByKeyPath } from './utils';
+
+//
+// Soft Delete
+// ===========
+//
+// Version.softDelete() makes deleting from given tables mark objects with a deletedAt
+// timestamp instead of removing them:
+//
+//   db.version(1).stores({friends: "++id, name"}).softDelete(["friends"]);
+//
+//   db.friends.delete(id);            // Sets deletedAt of the friend.
+//   db.friends.where('name')...       // Hides soft-deleted friends, as do get() and all queries.
+//   db.friends.deleted().toArray();   // Lists the soft-deleted friends only.
+//   db.friends.restore(id);           // Removes deletedAt.
+//   db.friends.purgeDeleted(weekAgo); // Deletes friends soft-deleted before given time for real.
+//
+// Soft deletes and restores are updates of deletedAt. They fire hook('updating') and not
+// hook('deleting'), so Dexie.Observable records them as updates that replicate as such. Only
+// purgeDeleted() fires hook('deleting') and so cascades deletes to related tables.
+//
+// Soft-deleted objects keep their primary key and their values of unique indexes: put()
+// replaces a soft-deleted object, restoring it, while add() fails on its key.
+//
+
+/** Property holding the time an object was soft-deleted, in milliseconds since epoch.
+ */
+export const DELETED_AT = "deletedAt";
+
+function isDeleted(obj) {
+    return getByKeyPath(obj, DELETED_AT) != null;
+}
+
+function isNotDeleted(obj) {
+    return !isDeleted(obj);
+}
+
+function notDeletedFilter(cursor) {
+    return isNotDeleted(cursor.value);
+}
+
+function deletedFilter(cursor) {
+    return isDeleted(cursor.value);
+}
+
+/** Set which objects of soft-delete table given collection context is about. Replaces any
+ * filter, so only call it on collections just created.
+ *
+ * @param ctx {Object} Collection context.
+ * @param deleted {boolean | null} false for objects not deleted, true for soft-deleted ones and
+ *   null for both.
+ */
+export function filterDeleted(ctx, deleted) {
+    ctx.filter = deleted === null ? null : deleted ? deletedFilter : notDeletedFilter;
+    ctx.isMatch = deleted === null ? null : deleted ? isDeleted : isNotDeleted;
+    // Deleting from the collection of soft-deleted objects deletes them for real.
+    ctx.softDelete = deleted === false;
+}
+
+/** Get given object as read by Table.get(), undefined if soft-deleted.
+ */
+export function unlessDeleted(tableSchema, obj) {
+    return tableSchema.softDelete && obj && isDeleted(obj) ? undefined : obj;
+}
+
+/** Get the modifications soft-deleting objects.
+ */
+export function softDeletion() {
+    var changes = {};
+    changes[DELETED_AT] = Date.now();
+    return changes;
+}
@@ -0,0 +1,67 @@
+//
+// Top-K
+// =====
+//
+// Keeps the k lowest items seen according to a compare function, using a bounded binary
+// max-heap so that at most k items are held in memory no matter how many are added.
+// Used by Collection.orderBy() when no index can deliver records in the wanted order.
+//
+
+/** Create a bounded collector of the k lowest items.
+ *
+ * @param k {number} Number of items to keep. May be Infinity.
+ * @param compare {Function} (a, b) => negative if a comes before b, positive if after.
+ * @returns {{add: Function, toSortedArray: Function}}
+ */
+export function createTopK(k, compare) {
+    var heap = []; // Max-heap: heap[0] is the highest of the kept items.
+
+    function swap(i, j) {
+        var tmp = heap[i];
+        heap[i] = heap[j];
+        heap[j] = tmp;
+    }
+
+    function siftUp(i) {
+        while (i > 0) {
+            var parent = (i - 1) >> 1;
+            if (compare(heap[i], heap[parent]) <= 0) return;
+            swap(i, parent);
+            i = parent;
+        }
+    }
+
+    function siftDown(i) {
+        var length = heap.length;
+        for (;;) {
+            var left = 2 * i + 1,
+                right = left + 1,
+                highest = i;
+            if (left < length && compare(heap[left], heap[highest]) > 0) highest = left;
+            if (right < length && compare(heap[right], heap[highest]) > 0) highest = right;
+            if (highest === i) return;
+            swap(i, highest);
+            i = highest;
+        }
+    }
+
+    return {
+        add: function (item) {
+            if (k <= 0) return;
+            if (k === Infinity) {
+                // Unbounded. No need to maintain the heap, just sort in the end.
+                heap.push(item);
+            } else if (heap.length < k) {
+                heap.push(item);
+                siftUp(heap.length - 1);
+            } else if (compare(item, heap[0]) < 0) {
+                heap[0] = item;
+                siftDown(0);
+            }
+        },
+
+        toSortedArray: function () {
+            return heap.slice().sort(compare);
+        }
+    };
+}
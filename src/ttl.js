@@ -0,0 +1,69 @@
+import { keys, getByKeyPath } from './utils';
+import { exceptions } from './errors';
+
+//
+// Time To Live
+// ============
+//
+// Version.ttl() declares the key path holding the time objects of a table expire at, as a
+// Date or in milliseconds since epoch. The key path must be indexed:
+//
+//   db.version(1).stores({cache: "url, expiresAt"}).ttl({cache: "expiresAt"});
+//   db.cache.put({url, data, expiresAt: Date.now() + 3600000});
+//
+// Expired objects are hidden from get() and all queries from the moment they expire. While
+// the database is open, they are deleted in a background transaction every expiryInterval
+// milliseconds (an option of the Dexie constructor, 60 seconds by default) and by
+// db.purgeExpired(). Each purge fires db.on('expired') with {table, keys} for each table that
+// had expired objects. Purging relies on timers only, so it works in workers as well.
+//
+
+/** Validate the time-to-live key paths given to Version.ttl().
+ *
+ * @param spec {Object} {tableName: keyPath}
+ * @param dbschema {Object} Schema of the version, {tableName: TableSchema}.
+ * @returns {Object} {tableName: keyPath}
+ */
+export function parseTtl(spec, dbschema) {
+    keys(spec).forEach(tableName => {
+        var tableSchema = dbschema[tableName],
+            keyPath = spec[tableName];
+        if (!tableSchema) throw new exceptions.Schema(`Cannot expire objects of unknown table ${tableName}`);
+        if (typeof keyPath !== 'string' || !tableSchema.idxByName[keyPath])
+            throw new exceptions.Schema(`${tableName}.${keyPath} must be indexed to expire objects`);
+    });
+    return spec;
+}
+
+function isExpired(obj, keyPath, now) {
+    var expiresAt = getByKeyPath(obj, keyPath);
+    return expiresAt != null && +expiresAt <= now;
+}
+
+/** Hide expired objects from given collection context, along with what its filter hides.
+ */
+export function hideExpired(ctx, keyPath) {
+    var filter = ctx.filter,
+        isMatch = ctx.isMatch,
+        isAlive = obj => !isExpired(obj, keyPath, Date.now());
+    ctx.filter = filter ?
+        (cursor, advance, resolve) => filter(cursor, advance, resolve) && isAlive(cursor.value) :
+        cursor => isAlive(cursor.value);
+    ctx.isMatch = isMatch ? obj => isMatch(obj) && isAlive(obj) : isAlive;
+}
+
+/** Get given object as read by Table.get(), undefined if expired.
+ */
+export function unlessExpired(tableSchema, obj) {
+    return tableSchema.ttl && obj && isExpired(obj, tableSchema.ttl, Date.now()) ? undefined : obj;
+}
+
+/** Get the key ranges of times up to given time. Times may be numbers or Dates, which
+ * indexedDB orders after all numbers.
+ */
+export function expiredRanges(IDBKeyRange, now) {
+    return [
+        IDBKeyRange.upperBound(now),
+        IDBKeyRange.bound(new Date(-8640000000000000), new Date(now))
+    ];
+}
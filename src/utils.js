@@ -251,6 +251,8 @@ export const getIteratorOf = iteratorSymbol ? function(x) {
     return x != null && (i = x[iteratorSymbol]) && i.apply(x);
 } : function () { return null; };
 
+export const asyncIteratorSymbol = typeof Symbol !== 'undefined' && Symbol.asyncIterator;
+
 export const NO_CHAR_ARRAY = {};
 // Takes one or several arguments and returns an array based on the following criteras:
 // * If several arguments provided, return arguments converted to an array in a way that
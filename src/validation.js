@@ -0,0 +1,120 @@
+import { keys, isArray, getByKeyPath, setByKeyPath, deepClone } from './utils';
+import { ValidationError } from './errors';
+
+//
+// Validation
+// ==========
+//
+// Table.defineClass() and Table.mapToClass() take the rules to validate objects against as
+// an optional last argument. Giving rules also enforces the types of the structure:
+//
+//   db.friends.defineClass({
+//       name: String,
+//       age: Number,
+//       tags: [String],
+//       address: {city: String}
+//   }, {
+//       required: ["name"],
+//       defaults: {tags: [], created: () => new Date()},
+//       validators: {age: age => age >= 0 || "must not be negative"}
+//   });
+//
+// Objects are validated from hook('creating') after their defaults are filled in, and from
+// hook('updating') with the changes applied. Invalid objects make the operation fail with a
+// ValidationError listing every failing key path. Bulk operations and Collection.modify()
+// fail only the invalid objects, reporting them among the failures of BulkError or ModifyError.
+//
+
+/** Create the functions validating objects of a table.
+ *
+ * @param structure {Object} Structure given to defineClass() or mapToClass(). Constructor
+ *   functions are types: String, Number and Boolean check typeof and others instanceof. An array
+ *   checks each item against its first element. An object checks the properties of a nested
+ *   object. Any other value checks that values have the same typeof.
+ * @param rules {{required?: string[], defaults?: Object, validators?: Object}}
+ *   required: Key paths that must have a value other than undefined or null.
+ *   defaults: {keyPath: value} to fill in when creating objects lacking it. Values are cloned
+ *   for each object, and functions are called to get the value.
+ *   validators: {keyPath: (value, obj) -> true | false | string}. Return false or a message if
+ *   invalid. Called only for key paths having a value.
+ * @returns {{applyDefaults: Function, validate: Function}}
+ */
+export function createValidator(structure, rules) {
+    var required = rules.required || [],
+        defaults = rules.defaults || {},
+        validators = rules.validators || {};
+
+    function applyDefaults(obj) {
+        keys(defaults).forEach(keyPath => {
+            if (getByKeyPath(obj, keyPath) !== undefined) return;
+            var value = defaults[keyPath];
+            setByKeyPath(obj, keyPath, typeof value === 'function' ? value() : deepClone(value));
+        });
+    }
+
+    function validate(obj) {
+        var failures = {};
+        required.forEach(keyPath => {
+            if (getByKeyPath(obj, keyPath) == null) failures[keyPath] = "is required";
+        });
+        checkStructure(structure || {}, obj, "", failures);
+        keys(validators).forEach(keyPath => {
+            var value = getByKeyPath(obj, keyPath);
+            if (value == null || failures[keyPath]) return;
+            var result = validators[keyPath](value, obj);
+            if (result === false) failures[keyPath] = "is invalid";
+            else if (typeof result === 'string') failures[keyPath] = result;
+        });
+        return keys(failures).length > 0 ? failures : null;
+    }
+
+    return {applyDefaults, validate};
+}
+
+function checkStructure(structure, obj, prefix, failures) {
+    keys(structure).forEach(member => {
+        checkType(structure[member], getByKeyPath(obj, member), prefix + member, failures);
+    });
+}
+
+function checkType(type, value, keyPath, failures) {
+    // Missing values are the business of the required rule.
+    if (value == null || type == null) return;
+    if (isArray(type)) {
+        if (!isArray(value)) failures[keyPath] = "must be an array";
+        else if (type.length > 0) value.forEach((item, i) => checkType(type[0], item, `${keyPath}[${i}]`, failures));
+    } else if (typeof type === 'function') {
+        if (!isOfType(value, type)) failures[keyPath] = `must be a ${type.name || "valid type"}`;
+    } else if (typeof type === 'object') {
+        if (typeof value !== 'object' || isArray(value)) failures[keyPath] = "must be an object";
+        else checkStructure(type, value, keyPath + ".", failures);
+    } else if (typeof value !== typeof type) {
+        failures[keyPath] = `must be a ${typeof type}`;
+    }
+}
+
+function isOfType(value, type) {
+    switch (type) {
+        case String: return typeof value === 'string';
+        case Number: return typeof value === 'number';
+        case Boolean: return typeof value === 'boolean';
+        default: return value instanceof type;
+    }
+}
+
+/** Get given object with given changes applied, as hook('updating') gets them.
+ */
+export function applyChanges(obj, changes) {
+    var result = deepClone(obj);
+    keys(changes).forEach(keyPath => {
+        setByKeyPath(result, keyPath, changes[keyPath]); // {keyPath: undefined} deletes the keyPath.
+    });
+    return result;
+}
+
+/** Throw a ValidationError if given object is invalid.
+ */
+export function assertValid(validator, tableName, obj) {
+    var failures = validator.validate(obj);
+    if (failures) throw new ValidationError(`Invalid object in ${tableName}`, failures);
+}
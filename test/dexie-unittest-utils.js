@@ -118,7 +118,7 @@ export function deleteDatabase(db) {
 
 var isIE = !(window.ActiveXObject) && "ActiveXObject" in window;
 var isEdge = /Edge\/\d+/.test(navigator.userAgent);
-var hasPolyfillIE = [].slice.call(document.getElementsByTagName("script")).some(
+var hasPolyfillIE = typeof document !== 'undefined' && [].slice.call(document.getElementsByTagName("script")).some(
     s => s.src.indexOf("idb-iegap") !== -1);
 
 export function supports (features) {
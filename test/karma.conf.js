@@ -19,6 +19,7 @@ module.exports = function(config) {
       'node_modules/qunitjs/qunit/qunit.js',
       'test/karma-env.js',
       'dist/dexie.js',
+      'dist/dexie-memory-backend.js',
       'test/bundle.js',
       { pattern: 'test/worker.js', included: false },
       { pattern: '**/*.map', watched: false, included: false, served: true}
@@ -0,0 +1,86 @@
+// Runs the unit tests in node.js against the in-memory storage backend:
+//
+//   npm run build && node test/run-node.js
+//
+// Expects dist/dexie.js, dist/dexie-memory-backend.js and test/bundle.js to be built. Tests of
+// browser-only features are skipped.
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const BROWSER_ONLY = ['blobs: ', 'open: Issue #76 Dexie inside Web Worker']
+    // Exports are Blobs, which came with node.js 15.
+    .concat(typeof Blob === 'undefined' ? ['export-import: '] : []);
+
+function runScript(filename) {
+    // Run a file the way karma loads it: as a script using and setting globals.
+    vm.runInThisContext(fs.readFileSync(filename, 'utf-8'), {filename: filename});
+}
+
+// The little of the browser environment that the tests read: window, the global object through
+// which they use Promise, the unhandledrejection event and the query string. There is no
+// document, so Dexie runs as it does in node.js. Events are only dispatched for unhandled
+// rejections, which older node.js versions have no EventTarget and CustomEvent for.
+const listeners = {};
+global.window = global;
+if (!global.navigator) global.navigator = {userAgent: 'node.js ' + process.version};
+global.addEventListener = (type, listener) => {
+    (listeners[type] || (listeners[type] = [])).push(listener);
+};
+global.removeEventListener = (type, listener) => {
+    listeners[type] = (listeners[type] || []).filter(l => l !== listener);
+};
+global.dispatchEvent = event => {
+    (listeners[event.type] || []).slice().forEach(listener => listener(event));
+    return !event.defaultPrevented;
+};
+global.CustomEvent = function CustomEvent(type, init) {
+    this.type = type;
+    this.detail = init && init.detail;
+    this.defaultPrevented = false;
+};
+global.CustomEvent.prototype.preventDefault = function () {
+    this.defaultPrevented = true;
+};
+
+const Dexie = global.Dexie = require('../dist/dexie.js');
+// Sets Dexie.createMemoryBackend(), which some tests use.
+runScript(path.join(__dirname, '../dist/dexie-memory-backend.js'));
+Dexie.dependencies = Dexie.createMemoryBackend();
+// Some tests use indexedDB and IDBKeyRange directly.
+global.indexedDB = Dexie.dependencies.indexedDB;
+global.IDBKeyRange = Dexie.dependencies.IDBKeyRange;
+
+const QUnit = global.QUnit = require('qunitjs');
+// Some tests use the globals QUnit sets in browsers without importing them.
+['test', 'module', 'expect', 'asyncTest', 'start', 'stop', 'ok', 'notOk', 'equal', 'notEqual',
+    'propEqual', 'notPropEqual', 'deepEqual', 'notDeepEqual', 'strictEqual', 'notStrictEqual',
+    'throws', 'raises'].forEach(name => {
+    global[name] = QUnit[name];
+});
+// Only after QUnit has loaded, which takes a window with a location for a browser.
+global.location = {search: ''};
+QUnit.config.filter = '!/^(' + BROWSER_ONLY.join('|') + ')/';
+// Node would exit while a test waits for an unref'd timer. A test timeout keeps it running.
+QUnit.config.testTimeout = 30000;
+
+QUnit.log(details => {
+    if (!details.result) {
+        console.log(`    FAILED: ${details.message || ''}` +
+            ('expected' in details ? ` (expected: ${details.expected}, actual: ${details.actual})` : '') +
+            (details.source ? '\n' + details.source : ''));
+    }
+});
+QUnit.testDone(details => {
+    console.log(`${details.failed ? 'FAIL' : 'ok  '} ${details.module}: ${details.name}`);
+});
+QUnit.done(details => {
+    console.log(`\n${details.passed} of ${details.total} assertions passed, ${details.failed} failed (${details.runtime} ms)`);
+    process.exit(details.failed ? 1 : 0);
+});
+
+// The babel polyfill gives the regenerator runtime of the spawned tests, as in karma.conf.js.
+runScript(path.join(__dirname, 'babel-polyfill/polyfill.min.js'));
+runScript(path.join(__dirname, 'bundle.js'));
+QUnit.load();
@@ -13,4 +13,13 @@ import "./tests-extendability.js";
 import "./tests-crud-hooks";
 import "./tests-blobs";
 import "./tests-binarykeys";
+import "./tests-live-query";
+import "./tests-middleware";
+import "./tests-export-import";
+import "./tests-fulltext";
+import "./tests-relations";
+import "./tests-validation";
+import "./tests-soft-delete";
+import "./tests-ttl";
+import "./tests-memory-backend";
 //import "./tests-performance.js"; Not required. Should make other performance tests separately instead.
@@ -1,9 +1,12 @@
 ﻿import Dexie from 'dexie';
-import {module, stop, start, test, asyncTest, equal, ok} from 'QUnit';
+import {module, stop, start, test, asyncTest, equal, deepEqual, ok} from 'QUnit';
 import {resetDatabase, supports, spawnedTest} from './dexie-unittest-utils';
 
 var db = new Dexie("TestDBCollection");
-db.version(1).stores({ users: "id,first,last,&username,*&email,*pets" });
+db.version(1).stores({
+    users: "id,first,last,&username,*&email,*pets",
+    friends: "++id,age,name,[age+name]"
+});
 
 var User = db.users.defineClass({
     id:         Number,
@@ -308,6 +311,69 @@ asyncTest("modify-causing-error", 2, function () {
     }).finally(start);
 });
 
+spawnedTest("modify() with operators", function*(){
+    yield db.users.toCollection().modify({
+        $inc: {visits: 2},
+        $push: {pets: {$each: ["cat", "dog"]}},
+        $max: {score: 10}
+    });
+    let users = yield db.users.orderBy('id').toArray();
+    let david = users[0], karl = users[1];
+    equal(david.visits, 2, "$inc of missing property");
+    deepEqual(david.pets, ["dog", "cat", "dog"], "$push with $each");
+    deepEqual(karl.pets, ["cat", "dog"], "$push to empty array");
+    equal(karl.score, 10, "$max of missing property");
+
+    yield db.users.where('id').equals(1).modify({
+        $inc: {visits: -1},
+        $pull: {pets: "dog"},
+        $addToSet: {email: {$each: ["david@awarica.com", "david@dexie.org"]}},
+        $min: {score: 5},
+        $unset: {last: true}
+    });
+    david = yield db.users.get(1);
+    equal(david.visits, 1, "$inc");
+    deepEqual(david.pets, ["cat"], "$pull removes all occurrences");
+    deepEqual(david.email, ["david@awarica.com", "daw@thridi.com", "david@dexie.org"], "$addToSet adds only missing items");
+    equal(david.score, 5, "$min");
+    ok(!("last" in david), "$unset");
+    equal(yield db.users.where('email').equals("david@dexie.org").count(), 1, "Indexes updated");
+
+    let updating = [];
+    function updatingHook(mods, primKey) {
+        updating.push(primKey);
+    }
+    db.users.hook('updating', updatingHook);
+    try {
+        equal(yield db.users.toCollection().modify({$pull: {pets: "hamster"}}), 0, "$pull of a missing item modifies nothing");
+        equal(yield db.users.where('id').equals(1).modify({
+            $addToSet: {email: "david@dexie.org"},
+            $push: {pets: {$each: []}}
+        }), 0, "$addToSet of an existing item and $push of no items modify nothing");
+        equal(yield db.users.toCollection().modify({$pull: {pets: "dog"}}), 1, "Only the object holding the item modified");
+        deepEqual(updating, [2], "Updating hook fired for the modified object only");
+    } finally {
+        db.users.hook('updating').unsubscribe(updatingHook);
+    }
+
+    yield db.users.update(2, {$set: {"address.city": "Stockholm"}, $max: {score: 3}});
+    karl = yield db.users.get(2);
+    equal(karl.address.city, "Stockholm", "$set through Table.update()");
+    equal(karl.score, 10, "$max keeps larger value");
+
+    yield db.users.toCollection().modify({$inc: {first: 1}}).then(() => {
+        ok(false, "Should not $inc a string");
+    }).catch(e => {
+        ok(true, "Got error: " + e);
+    });
+    yield db.users.toCollection().modify({$inc: {visits: 1}, first: "X"}).then(() => {
+        ok(false, "Should not mix operators and key paths");
+    }).catch('InvalidArgumentError', e => {
+        ok(true, "Got InvalidArgumentError: " + e.message);
+    });
+    equal((yield db.users.get(1)).first, "David", "Nothing modified by failing modify()");
+});
+
 
 asyncTest("delete", 2, function () {
     db.users.orderBy("id").delete().then(function (count) {
@@ -591,3 +657,235 @@ asyncTest("Promise chain from within each() operation", 2, function () {
     }).finally(start);
 });
 
+function addFriends() {
+    var names = ["Olle", "Adam", "Kalle", "Berit", "Nisse", "Cissi", "Jonas", "Disa", "Ivar", "Eva", "Hugo", "Fia", "Gun"];
+    return db.friends.bulkAdd(names.map((name, i) => ({name: name, age: 24 + i % 4})));
+}
+
+function namesOf(friends) {
+    return friends.map(f => f.name).join(',');
+}
+
+spawnedTest("orderBy() on a where clause", function*(){
+    yield addFriends();
+    let all = yield db.friends.toArray();
+    let expected = all.filter(f => f.age > 25).map(f => f.name).sort();
+
+    let friends = yield db.friends.where('age').above(25).orderBy('name').toArray();
+    equal(namesOf(friends), expected.join(','), "Ordered by name");
+    friends = yield db.friends.where('age').above(25).orderBy('name').offset(2).limit(3).toArray();
+    equal(namesOf(friends), expected.slice(2, 5).join(','), "offset() and limit() apply to the ordered result");
+    friends = yield db.friends.where('age').above(25).orderBy('name').limit(5).offset(2).toArray();
+    equal(namesOf(friends), expected.slice(2, 5).join(','), "limit() before offset() works as for cursors");
+    friends = yield db.friends.where('age').above(25).orderBy('name').reverse().limit(2).toArray();
+    equal(namesOf(friends), expected.slice().reverse().slice(0, 2).join(','), "reverse() orders descending");
+    let first = yield db.friends.where('age').above(25).orderBy('name').first();
+    equal(first.name, expected[0], "first()");
+    let last = yield db.friends.where('age').above(25).orderBy('name').last();
+    equal(last.name, expected[expected.length - 1], "last()");
+    let count = yield db.friends.where('age').above(25).orderBy('name').offset(1).count();
+    equal(count, expected.length - 1, "count()");
+    friends = yield db.friends.where('age').above(25).and(f => f.name !== expected[0]).orderBy('name').limit(1).toArray();
+    equal(namesOf(friends), expected[1], "Filters apply before ordering");
+    let explanation = yield db.friends.where('age').above(25).orderBy('name').limit(1).explain();
+    equal(explanation.index, "age", "Records are read from the where clause index");
+    equal(explanation.scanned, expected.length, "All matching records were visited");
+    equal(explanation.matched, 1, "Only the first one was delivered");
+});
+
+spawnedTest("orderBy() uses compound index", function*(){
+    if (!supports("compound")) return ok(true, "SKIPPED - COMPOUND UNSUPPORTED");
+    yield addFriends();
+    let all = yield db.friends.toArray();
+    let expected = all.filter(f => f.age === 27).map(f => f.name).sort();
+    ok(expected.length > 1, "More than one friend is 27");
+
+    let query = db.friends.where('age').equals(27).orderBy('name');
+    let friends = yield query.toArray();
+    equal(namesOf(friends), expected.join(','), "Ordered by name");
+    let explanation = yield query.explain();
+    equal(explanation.index, "[age+name]", "Used the compound index");
+    friends = yield db.friends.where('age').equals(27).orderBy('name').offset(1).limit(1).toArray();
+    equal(namesOf(friends), expected[1], "offset() and limit() on compound index");
+    friends = yield db.friends.where('age').equals(27).orderBy('name').reverse().toArray();
+    equal(namesOf(friends), expected.slice().reverse().join(','), "reverse() on compound index");
+});
+
+spawnedTest("modify() and delete() on an ordered collection", function*(){
+    yield addFriends();
+    let all = yield db.friends.toArray();
+    let expected = all.map(f => f.name).sort();
+
+    let numModified = yield db.friends.where('age').aboveOrEqual(0).orderBy('name').limit(2).modify({age: 99});
+    equal(numModified, 2, "Two friends modified");
+    let friends = yield db.friends.where('age').equals(99).toArray();
+    deepEqual(friends.map(f => f.name).sort(), expected.slice(0, 2), "The two first names were modified");
+    let numDeleted = yield db.friends.where('age').aboveOrEqual(0).orderBy('name').offset(1).limit(2).delete();
+    equal(numDeleted, 2, "Two friends deleted");
+    friends = yield db.friends.orderBy('name').toArray();
+    deepEqual(friends.map(f => f.name), [expected[0]].concat(expected.slice(3)), "The second and third names were deleted");
+});
+
+spawnedTest("page()", function*(){
+    yield addFriends();
+    let all = yield db.friends.orderBy('age').toArray();
+    let pages = [];
+    let result = yield db.friends.orderBy('age').page({pageSize: 4});
+    pages.push(result.items);
+    while (result.nextPageToken) {
+        equal(typeof result.nextPageToken, "string", "Page token is a string");
+        result = yield db.friends.orderBy('age').page({pageSize: 4, after: result.nextPageToken});
+        pages.push(result.items);
+    }
+    deepEqual(pages.map(page => page.length), [4, 4, 4, 1], "Got four pages");
+    deepEqual([].concat.apply([], pages).map(f => f.id), all.map(f => f.id), "All friends in index order, each once");
+
+    // Exactly full last page
+    result = yield db.friends.where('age').aboveOrEqual(24).page({pageSize: 13});
+    equal(result.items.length, 13, "All friends in one page");
+    equal(result.nextPageToken, null, "No next page");
+});
+
+spawnedTest("page() with reverse(), filter() and compound index", function*(){
+    yield addFriends();
+    let expected = (yield db.friends.orderBy('age').reverse().toArray())
+        .filter(f => f.name !== "Olle")
+        .map(f => f.id);
+    let ids = [];
+    let token = null;
+    do {
+        let result = yield db.friends.orderBy('age').reverse().filter(f => f.name !== "Olle").page({pageSize: 3, after: token});
+        ids = ids.concat(result.items.map(f => f.id));
+        token = result.nextPageToken;
+    } while (token);
+    deepEqual(ids, expected, "Reversed and filtered pages");
+
+    if (!supports("compound")) return ok(true, "SKIPPED - COMPOUND UNSUPPORTED");
+    expected = (yield db.friends.where('[age+name]').between([25, ""], [27, "\uffff"]).toArray()).map(f => f.name);
+    let names = [];
+    token = null;
+    do {
+        let result = yield db.friends.where('[age+name]').between([25, ""], [27, "\uffff"]).page({pageSize: 2, after: token});
+        names = names.concat(result.items.map(f => f.name));
+        token = result.nextPageToken;
+    } while (token);
+    deepEqual(names, expected, "Pages on compound index");
+
+    yield db.friends.orderBy('age').page({pageSize: 2, after: "garbage"}).then(() => {
+        ok(false, "Should fail on invalid token");
+    }).catch('InvalidArgumentError', () => {
+        ok(true, "Got InvalidArgumentError on invalid token");
+    });
+});
+
+spawnedTest("page() with offset() and limit()", function*(){
+    yield addFriends();
+    let all = (yield db.friends.orderBy('age').toArray()).map(f => f.id);
+    let first = yield db.friends.orderBy('age').offset(3).page({pageSize: 4});
+    let second = yield db.friends.orderBy('age').offset(3).page({pageSize: 4, after: first.nextPageToken});
+    deepEqual(first.items.map(f => f.id), all.slice(3, 7), "First page after the offset");
+    deepEqual(second.items.map(f => f.id), all.slice(7, 11), "Second page continues where the first ended");
+
+    let pages = [];
+    let token = null;
+    do {
+        let result = yield db.friends.orderBy('age').offset(2).limit(7).page({pageSize: 3, after: token});
+        pages.push(result.items.map(f => f.id));
+        token = result.nextPageToken;
+    } while (token);
+    deepEqual(pages.map(page => page.length), [3, 3, 1], "limit() counts over all pages");
+    deepEqual([].concat.apply([], pages), all.slice(2, 9), "Offset applied once, limit over all pages");
+});
+
+function* readAll(iterator) {
+    let items = [];
+    for (let result = yield iterator.next(); !result.done; result = yield iterator.next()) {
+        items.push(result.value);
+    }
+    return items;
+}
+
+spawnedTest("stream()", function*(){
+    yield addFriends();
+    let expected = yield db.friends.where('age').above(24).toArray();
+    let friends = yield* readAll(db.friends.where('age').above(24).stream({batchSize: 2}));
+    deepEqual(friends.map(f => f.id), expected.map(f => f.id), "Streamed in batches in index order");
+
+    expected = yield db.friends.orderBy('age').reverse().filter(f => f.name !== "Olle").offset(2).limit(7).toArray();
+    friends = yield* readAll(db.friends.orderBy('age').reverse().filter(f => f.name !== "Olle").offset(2).limit(7).stream({batchSize: 3}));
+    deepEqual(friends.map(f => f.id), expected.map(f => f.id), "reverse(), filter(), offset() and limit() apply over all batches");
+
+    let iterator = db.friends.orderBy('name').stream({batchSize: 4});
+    let first = yield iterator.next();
+    equal(first.value.name, "Adam", "First item");
+    // Add a friend between batches. Continuing from the last key read should find it.
+    yield db.friends.add({name: "Ebba", age: 30});
+    let rest = yield* readAll(iterator);
+    equal(namesOf(rest), "Berit,Cissi,Disa,Ebba,Eva,Fia,Gun,Hugo,Ivar,Jonas,Kalle,Nisse,Olle", "Batches read in transactions of their own");
+
+    iterator = db.friends.toCollection().stream();
+    yield iterator.next();
+    let result = yield iterator.return();
+    ok(result.done, "return() ends the iteration");
+    ok((yield iterator.next()).done, "Nothing more after return()");
+
+    friends = yield* readAll(db.friends.where('name').startsWith("A").or('age').equals(27).stream({batchSize: 1}));
+    equal(friends.length, (yield db.friends.where('name').startsWith("A").or('age').equals(27).toArray()).length, "or() streamed at once");
+
+    if (typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+        iterator = db.friends.where('age').equals(25)[Symbol.asyncIterator]();
+        ok(iterator[Symbol.asyncIterator]() === iterator, "Collection is async iterable");
+        friends = yield* readAll(iterator);
+        equal(friends.length, yield db.friends.where('age').equals(25).count(), "Async iteration");
+    }
+
+    try {
+        db.friends.toCollection().stream({batchSize: 0});
+        ok(false, "Should throw");
+    } catch (e) {
+        equal(e.name, "InvalidArgumentError", "batchSize must be positive");
+    }
+});
+
+spawnedTest("sum(), avg(), min(), max() and groupBy()", function*(){
+    yield addFriends();
+    yield db.friends.toCollection().modify(friend => {
+        friend.stats = {score: friend.name.length};
+        friend.tags = friend.age % 2 ? ["odd", "x"] : ["even", "x", "x"];
+    });
+    let all = yield db.friends.toArray();
+    let ages = all.map(f => f.age);
+    let totalAge = ages.reduce((sum, age) => sum + age, 0);
+
+    equal(yield db.friends.toCollection().sum('age'), totalAge, "sum()");
+    equal(yield db.friends.toCollection().avg('age'), totalAge / all.length, "avg()");
+    equal(yield db.friends.where('age').above(25).sum('stats.score'),
+        all.filter(f => f.age > 25).reduce((sum, f) => sum + f.name.length, 0), "sum() of dotted key path on a where clause");
+    equal(yield db.friends.where('age').above(100).sum('age'), 0, "sum() of nothing");
+    ok((yield db.friends.where('age').above(100).avg('age')) === undefined, "avg() of nothing");
+
+    equal(yield db.friends.toCollection().min('age'), Math.min(...ages), "min() from index");
+    equal(yield db.friends.toCollection().max('age'), Math.max(...ages), "max() from index");
+    equal(yield db.friends.where('age').between(25, 27).reverse().min('age'), 25, "min() on a reversed where clause");
+    equal(yield db.friends.where('age').between(25, 27).max('name'),
+        all.filter(f => f.age >= 25 && f.age < 27).map(f => f.name).sort().pop(), "max() of another key path");
+    equal(yield db.friends.filter(f => f.age < 26).max('age'), 25, "max() with filter");
+    equal(yield db.friends.toCollection().min('stats.score'), 3, "min() of dotted key path");
+    ok((yield db.friends.toCollection().max('nonexisting')) === undefined, "max() of nothing");
+
+    let groups = yield db.friends.toCollection().groupBy('age');
+    deepEqual(groups, [24, 25, 26, 27].map(age => ({key: age, value: ages.filter(a => a === age).length})), "groupBy() counts by default");
+    groups = yield db.friends.where('age').above(25).groupBy('age', (names, friend) => names.concat(friend.name), []);
+    deepEqual(groups.map(g => g.key), [26, 27], "Groups in key order");
+    deepEqual(groups[0].value, all.filter(f => f.age === 26).map(f => f.name), "Reduced by given reducer");
+
+    yield db.users.bulkPut([
+        {id: 1, first: "David", username: "dfahlander", pets: ["dog", "cat"], email: []},
+        {id: 2, first: "Karl", username: "kceder", pets: ["dog"], email: []},
+        {id: 3, first: "Nils", username: "nils", email: []}
+    ]);
+    groups = yield db.users.toCollection().groupBy('pets', (names, user) => names.concat(user.first), []);
+    deepEqual(groups, [{key: "cat", value: ["David"]}, {key: "dog", value: ["David", "Karl"]}], "groupBy() on multiEntry index");
+    equal(yield db.users.toCollection().max('pets'), "dog", "max() on multiEntry index");
+    equal(yield db.users.filter(u => u.first !== "David").min('pets'), "dog", "min() of multiEntry values");
+});
@@ -653,6 +653,60 @@ spawnedTest("updating using Collection.modify()", function*(){
     }).catch(nop));
 });
 
+spawnedTest("creating and updating using Table.upsert()", function*(){
+    yield expect ([{
+        op: "create",
+        key: 1,
+        value: {address: {city: 'A'}, id:1}
+    },{
+        op: "update",
+        key: 1,
+        obj: {address: {city: 'A'}, id:1},
+        mods: {"address.city": "B"},
+    }], ()=>db.transaction('rw', db.tables, function* (){
+        yield db.table1.upsert(1, {"address.city": "A"}); // create
+        yield db.table1.upsert(1, {"address.city": "B"}); // update
+    }));
+
+    yield verifyErrorFlows(()=>db.transaction('rw', db.tables, function* () {
+        yield db.table3.add({id:1, idx:1});
+        yield db.table3.upsert(2, {idx:1}).catch(nop); // error event (constraint)
+        yield db.table3.upsert(1, 3).catch(nop); // Trigger direct exception
+    }).catch(nop));
+});
+
+spawnedTest("creating and updating using Collection.modify() with upsert", function*(){
+    yield expect ([{
+        op: "create",
+        key: 1,
+        value: {idx: 1, id:1}
+    },{
+        op: "update",
+        key: 1,
+        obj: {idx: 1, id:1},
+        mods: {idx: 2},
+    }], ()=>db.transaction('rw', db.tables, function* (){
+        yield db.table1.where('id').equals(1).modify({idx: 1}, {upsert: true}); // create
+        yield db.table1.where('id').equals(1).modify({idx: 2}, {upsert: true}); // update
+    }));
+});
+
+spawnedTest("updating using Collection.modify() with operators", function*(){
+    yield expect ([{
+        op: "create",
+        key: 1,
+        value: {id:1, count: 1, tags: ["a"]}
+    },{
+        op: "update",
+        key: 1,
+        obj: {id:1, count: 1, tags: ["a"]},
+        mods: {count: 2, tags: ["a", "b"]},
+    }], ()=>db.transaction('rw', db.tables, function* (){
+        yield db.table1.add({id:1, count: 1, tags: ["a"]}); // create
+        yield db.table1.where('id').equals(1).modify({$inc: {count: 1}, $push: {tags: "b"}}); // update
+    }));
+});
+
 //
 // DELETING hook tests
 //
@@ -0,0 +1,169 @@
+import Dexie from 'dexie';
+import {module, stop, start, asyncTest, equal, ok, deepEqual} from 'QUnit';
+import {resetDatabase} from './dexie-unittest-utils';
+
+var db = new Dexie("TestExportImport");
+db.version(1).stores({
+    friends: "++id,name,&email,*tags",
+    settings: ""
+});
+
+module("export-import", {
+    setup: () => {
+        stop();
+        resetDatabase(db).catch(e => {
+            ok(false, "Error resetting database: " + e.stack);
+        }).finally(start);
+    },
+    teardown: () => {
+        stop();
+        Dexie.delete("TestExportImport-copy").catch(e => {
+            ok(false, "Error deleting copy: " + e.stack);
+        }).finally(start);
+    }
+});
+
+function populate() {
+    return db.transaction('rw', db.friends, db.settings, () => {
+        db.friends.bulkAdd([
+            {name: "Arne", email: "arne@abc.com", tags: ["a", "b"], born: new Date(1971, 2, 3)},
+            {name: "Bertil", email: "bertil@abc.com", tags: [], picture: new Uint8Array([1, 2, 3, 255])},
+            {name: "Cecilia", email: "cecilia@abc.com", tags: ["c"], score: NaN, nothing: undefined, $t: "escaped"}
+        ]);
+        db.settings.put({theme: "dark", data: new Uint16Array([1000, 2000]).buffer}, "display");
+        db.settings.put(42, ["compound", 1]);
+    });
+}
+
+asyncTest("Export and import into a new database", () => {
+    var copy;
+    populate().then(() => db.export()).then(blob => {
+        ok(blob instanceof Blob, "Got a Blob");
+        return Dexie.import(blob, {name: "TestExportImport-copy"});
+    }).then(importedDB => {
+        copy = importedDB;
+        equal(copy.name, "TestExportImport-copy", "Imported with another name");
+        equal(copy.verno, 1, "Same version");
+        deepEqual(copy.tables.map(t => t.name).sort(), ["friends", "settings"], "Same tables");
+        equal(copy.friends.schema.indexes.map(idx => idx.src).join(','), "name,&email,*tags", "Same indexes");
+        return copy.friends.toArray();
+    }).then(friends => {
+        equal(friends.length, 3, "Three friends imported");
+        deepEqual(friends.map(f => f.id), [1, 2, 3], "Primary keys kept");
+        ok(friends[0].born instanceof Date, "Date was restored");
+        equal(friends[0].born.getTime(), new Date(1971, 2, 3).getTime(), "Date has the right value");
+        ok(friends[1].picture instanceof Uint8Array, "Uint8Array was restored");
+        deepEqual(Array.from(friends[1].picture), [1, 2, 3, 255], "Uint8Array has the right bytes");
+        ok(isNaN(friends[2].score), "NaN was restored");
+        ok("nothing" in friends[2] && friends[2].nothing === undefined, "undefined was restored");
+        equal(friends[2].$t, "escaped", "Property named $t survived");
+        return copy.friends.where('tags').equals('c').first();
+    }).then(cecilia => {
+        equal(cecilia.name, "Cecilia", "Multi-entry index works in imported database");
+        return copy.settings.get("display");
+    }).then(display => {
+        equal(display.theme, "dark", "Outbound key was kept");
+        ok(display.data instanceof ArrayBuffer, "ArrayBuffer was restored");
+        deepEqual(Array.from(new Uint16Array(display.data)), [1000, 2000], "ArrayBuffer has the right bytes");
+        return copy.settings.get(["compound", 1]);
+    }).then(value => {
+        equal(value, 42, "Array key and primitive value were kept");
+    }).catch(e => {
+        ok(false, e.stack || e);
+    }).finally(() => {
+        copy && copy.close();
+        start();
+    });
+});
+
+asyncTest("Export in chunks and report progress", () => {
+    var exportProgress = [], importProgress = [];
+    var friends = [];
+    for (var i = 0; i < 25; ++i) friends.push({name: "Friend " + i, email: `friend${i}@abc.com`, tags: []});
+    db.friends.bulkAdd(friends).then(() => db.export({
+        numRowsPerChunk: 10,
+        progressCallback: progress => { exportProgress.push(Dexie.shallowClone(progress)); }
+    })).then(blob => {
+        var last = exportProgress[exportProgress.length - 1];
+        ok(last.done, "Export progress reported done");
+        equal(last.totalRows, 25, "Total rows");
+        equal(last.completedRows, 25, "All rows completed");
+        equal(last.completedTables, 2, "All tables completed");
+        return db.friends.clear().then(() => db.import(blob, {
+            chunkSizeBytes: 100, // Force lines to be split between slices.
+            progressCallback: progress => { importProgress.push(Dexie.shallowClone(progress)); }
+        }));
+    }).then(() => {
+        ok(importProgress.length > 1, "Import progress was reported");
+        ok(importProgress[importProgress.length - 1].done, "Import progress reported done");
+        equal(importProgress[importProgress.length - 1].completedRows, 25, "All rows imported");
+        return db.friends.orderBy('id').toArray();
+    }).then(imported => {
+        equal(imported.length, 25, "All friends imported");
+        equal(imported[24].name, "Friend 24", "Last friend in place");
+    }).catch(e => {
+        ok(false, e.stack || e);
+    }).finally(start);
+});
+
+asyncTest("Export selected tables and filter rows", () => {
+    populate().then(() => db.export({
+        tables: ["friends"],
+        filter: (tableName, value) => value.name !== "Bertil"
+    })).then(blob => {
+        return db.friends.add({name: "David", email: "david@abc.com", tags: []}).then(() =>
+            db.import(blob, {clearTablesBeforeImport: true}));
+    }).then(() => {
+        return db.friends.toArray();
+    }).then(friends => {
+        deepEqual(friends.map(f => f.name), ["Arne", "Cecilia"], "Only filtered friends were exported and imported");
+        return db.settings.count();
+    }).then(count => {
+        equal(count, 2, "Settings table was not touched");
+    }).catch(e => {
+        ok(false, e.stack || e);
+    }).finally(start);
+});
+
+asyncTest("Import fails on missing tables unless accepted", () => {
+    var otherDB = new Dexie("TestExportImport-copy");
+    otherDB.version(1).stores({friends: "++id,name,&email,*tags"});
+    var blob;
+    populate().then(() => db.export()).then(exported => {
+        blob = exported;
+        return otherDB.import(blob);
+    }).then(() => {
+        ok(false, "Should fail since table 'settings' is missing");
+    }, e => {
+        equal(e.name, "InvalidTableError", "Got InvalidTableError");
+        return otherDB.import(blob, {acceptMissingTables: true});
+    }).then(() => otherDB.friends.count()).then(count => {
+        equal(count, 3, "Friends were imported");
+        return otherDB.import(new Blob(["not an export\n"]));
+    }).then(() => {
+        ok(false, "Should fail on invalid blob");
+    }, e => {
+        ok(e, "Invalid blob rejected");
+    }).catch(e => {
+        ok(false, e.stack || e);
+    }).finally(() => {
+        otherDB.close();
+        start();
+    });
+});
+
+asyncTest("Import only creates whitelisted binary types", () => {
+    var header = {formatName: "dexie", formatVersion: 1, databaseName: "TestExportImport", databaseVersion: 1,
+            tables: [{name: "settings", schema: "", rowCount: 1}]},
+        chunk = {table: "settings", rows: [{$t: "Function", v: ""}], keys: ["evil"]};
+    db.import(new Blob([JSON.stringify(header) + "\n" + JSON.stringify(chunk) + "\n"])).then(() => {
+        ok(false, "Should not create a Function");
+    }, e => {
+        equal(e.name, "UnsupportedError", "Got UnsupportedError");
+        return db.settings.get("evil");
+    }).then(value => {
+        equal(value, undefined, "Nothing was imported");
+    }).catch(e => {
+        ok(false, e.stack || e);
+    }).finally(start);
+});
@@ -0,0 +1,166 @@
+import Dexie from 'dexie';
+import {module, stop, start, asyncTest, equal, ok, deepEqual, throws} from 'QUnit';
+import {resetDatabase} from './dexie-unittest-utils';
+
+var db = new Dexie("TestFullText", {
+    fullText: {
+        stopWords: ["the", "a", "of"],
+        // Naive stemming for the sake of the test: "meetings" -> "meeting"
+        stem: word => word.replace(/s$/, "")
+    }
+});
+db.version(1).stores({
+    emails: "++id,subject,~body"
+});
+
+module("fulltext", {
+    setup: () => {
+        stop();
+        resetDatabase(db).catch(e => {
+            ok(false, "Error resetting database: " + e.stack);
+        }).finally(start);
+    },
+    teardown: () => {
+        stop();
+        Dexie.delete("TestFullText-upgrade").catch(e => {
+            ok(false, "Error deleting database: " + e.stack);
+        }).finally(start);
+    }
+});
+
+function populate() {
+    return db.emails.bulkAdd([
+        {subject: "Lunch", body: "Lunch tomorrow? Meeting at the cafe, then another meeting."},
+        {subject: "Report", body: "The report of the year is done."},
+        {subject: "Meetings", body: "Meetings, meetings, meetings! Tomorrow again."},
+        {subject: "Empty"}
+    ]);
+}
+
+function subjectsOf(emails) {
+    return emails.map(email => email.subject);
+}
+
+asyncTest("matchesAll() and matchesAny() rank by term frequency", () => {
+    populate().then(() => {
+        return db.emails.where('body').matchesAll("meeting tomorrow").toArray();
+    }).then(emails => {
+        deepEqual(subjectsOf(emails), ["Meetings", "Lunch"], "Both terms required, most occurrences first");
+        ok(!emails.some(email => "$fts" in email), "Terms are not exposed");
+        return db.emails.where('body').matchesAll(["MEETINGS", "report"]).toArray();
+    }).then(emails => {
+        deepEqual(emails, [], "No email contains both");
+        return db.emails.where('body').matchesAny(["report", "meetings"]).toArray();
+    }).then(emails => {
+        deepEqual(subjectsOf(emails), ["Meetings", "Lunch", "Report"], "Any term, each email once, most occurrences first");
+        return db.emails.where('body').matchesAny("the of a").toArray();
+    }).then(emails => {
+        deepEqual(emails, [], "Stop words are not indexed");
+        return db.emails.where('body').matchesAny("meeting report").reverse().limit(1).toArray();
+    }).then(emails => {
+        deepEqual(subjectsOf(emails), ["Report"], "reverse() and limit() apply to the ranked result");
+        return db.emails.where('body').matchesAny("meeting").count();
+    }).then(count => {
+        equal(count, 2, "count()");
+    }).catch(e => {
+        ok(false, e.stack || e);
+    }).finally(start);
+});
+
+asyncTest("Terms are maintained on update", () => {
+    var reportId;
+    populate().then(lastId => {
+        // Auto-incremented ids continue after a database reset.
+        reportId = lastId - 2;
+        return db.transaction('rw', db.emails, () => {
+            db.emails.update(reportId, {body: "Meeting about the report"});
+            db.emails.where('subject').equals("Meetings").modify(email => {
+                email.body = "Cancelled";
+            });
+            db.emails.put({id: lastId, subject: "Empty", body: "Meeting notes"});
+        });
+    }).then(() => {
+        return db.emails.where('body').matchesAny("meeting").toArray();
+    }).then(emails => {
+        deepEqual(subjectsOf(emails), ["Lunch", "Report", "Empty"], "Updated emails found and cancelled one not");
+        return db.emails.get(reportId);
+    }).then(email => {
+        deepEqual(email, {subject: "Report", body: "Meeting about the report", id: reportId}, "Record read as written");
+    }).catch(e => {
+        ok(false, e.stack || e);
+    }).finally(start);
+});
+
+asyncTest("Adding a full-text index indexes existing records", () => {
+    var db1 = new Dexie("TestFullText-upgrade");
+    db1.version(1).stores({notes: "++id"});
+    db1.notes.bulkAdd([{text: "Hello world"}, {text: "Goodbye world"}]).then(() => {
+        db1.close();
+        var db2 = new Dexie("TestFullText-upgrade");
+        db2.version(1).stores({notes: "++id"});
+        db2.version(2).stores({notes: "++id,~text"});
+        return db2.notes.where('text').matchesAll("world").toArray().then(notes => {
+            equal(notes.length, 2, "Both notes found");
+            ok(db2.notes.schema.idxByName.text.fullText, "text is a full-text index");
+            db2.close();
+            // Reading the schema from the database should also recognize the full-text index.
+            return new Dexie("TestFullText-upgrade").open();
+        }).then(db3 => {
+            var idx = db3.table('notes').schema.idxByName.text;
+            ok(idx && idx.fullText, "Full-text index recognized without declaring the schema");
+            equal(idx.src, "~text", "Source of index");
+            db3.close();
+        });
+    }).catch(e => {
+        ok(false, e.stack || e);
+    }).finally(start);
+});
+
+asyncTest("Removing a full-text index removes the terms", () => {
+    var db1 = new Dexie("TestFullText-upgrade");
+    db1.version(1).stores({notes: "++id,~text"});
+    db1.notes.bulkAdd([{text: "Hello world"}, {text: "Goodbye world"}]).then(() => {
+        db1.close();
+        var db2 = new Dexie("TestFullText-upgrade");
+        db2.version(1).stores({notes: "++id,~text"});
+        db2.version(2).stores({notes: "++id,text"});
+        return db2.open();
+    }).then(db2 => {
+        db2.close();
+        // Without a full-text index in the schema, records are read as they are stored.
+        return new Dexie("TestFullText-upgrade").open();
+    }).then(db3 => {
+        ok(!db3.table('notes').schema.idxByName.text.fullText, "text is no full-text index");
+        return db3.table('notes').toArray().then(notes => {
+            deepEqual(notes.map(note => note.text), ["Hello world", "Goodbye world"], "Notes kept");
+            ok(!notes.some(note => "$fts" in note), "No terms left");
+            db3.close();
+        });
+    }).catch(e => {
+        ok(false, e.stack || e);
+    }).finally(start);
+});
+
+asyncTest("Databases without full-text indexes leave records as they are", () => {
+    var db1 = new Dexie("TestFullText-upgrade");
+    db1.version(1).stores({notes: "++id,text"});
+    db1.notes.add({text: "Hello world", $fts: ["kept"]}).then(id => db1.notes.get(id)).then(stored => {
+        deepEqual(stored.$fts, ["kept"], "Property not taken for full-text terms");
+        db1.close();
+    }).catch(e => {
+        ok(false, e.stack || e);
+    }).finally(start);
+});
+
+asyncTest("Only full-text indexes can be matched", () => {
+    throws(() => {
+        new Dexie("TestFullText-invalid").version(1).stores({notes: "++id,&~text"});
+    }, Dexie.SchemaError, "Full-text index cannot be unique");
+    db.emails.where('subject').matchesAll("lunch").toArray().then(() => {
+        ok(false, "Should not succeed");
+    }).catch(Dexie.SchemaError, e => {
+        ok(true, "Got SchemaError: " + e.message);
+    }).catch(e => {
+        ok(false, e.stack || e);
+    }).finally(start);
+});
@@ -0,0 +1,175 @@
+import Dexie from 'dexie';
+import {module, stop, start, asyncTest, equal, ok, deepEqual} from 'QUnit';
+import {resetDatabase} from './dexie-unittest-utils';
+
+var db = new Dexie("TestLiveQuery");
+db.version(1).stores({
+    friends: "++id,name,age,*tags",
+    pets: "id"
+});
+
+module("live-query", {
+    setup: () => {
+        stop();
+        resetDatabase(db).catch(e => {
+            ok(false, "Error resetting database: " + e.stack);
+        }).finally(start);
+    },
+    teardown: () => {
+    }
+});
+
+// Waits until given subscription has delivered given number of results.
+function resultsOf(querier, count) {
+    var results = [];
+    return new Dexie.Promise((resolve, reject) => {
+        var subscription = Dexie.liveQuery(querier).subscribe(result => {
+            results.push(result);
+            if (results.length === count) resolve({results, subscription});
+        }, reject);
+    });
+}
+
+// Subscribes to given observable. next() waits for the next result not waited for before.
+function observe(observable) {
+    var results = [],
+        error = null,
+        waiting = null;
+    function deliver() {
+        if (!waiting || (!error && results.length === 0)) return;
+        var w = waiting;
+        waiting = null;
+        error ? w.reject(error) : w.resolve(results.shift());
+    }
+    var subscription = observable.subscribe(result => {
+        results.push(result);
+        deliver();
+    }, e => {
+        error = e;
+        deliver();
+    });
+    return {
+        subscription,
+        next: () => new Dexie.Promise((resolve, reject) => {
+            waiting = {resolve, reject};
+            deliver();
+        })
+    };
+}
+
+asyncTest("liveQuery() emits initial result", () => {
+    db.friends.bulkAdd([{name: "Arne", age: 42}, {name: "Bertil", age: 17}]).then(() => {
+        return resultsOf(() => db.friends.where('age').above(18).toArray(), 1);
+    }).then(({results, subscription}) => {
+        subscription.unsubscribe();
+        equal(results[0].length, 1, "One friend above 18");
+        equal(results[0][0].name, "Arne", "Arne is above 18");
+        ok(subscription.closed, "Subscription is closed after unsubscribe()");
+    }).catch(e => {
+        ok(false, e.stack || e);
+    }).finally(start);
+});
+
+asyncTest("liveQuery() re-executes when observed range changes", () => {
+    var adults = observe(Dexie.liveQuery(() => db.friends.where('age').above(18).toArray()));
+    adults.next().then(friends => {
+        equal(friends.length, 0, "Initially no friends");
+        return db.friends.add({name: "Cecilia", age: 35});
+    }).then(() => adults.next())
+    .then(friends => {
+        equal(friends.length, 1, "Then one friend");
+        equal(friends[0].name, "Cecilia", "Cecilia was added");
+    }).catch(e => {
+        ok(false, e.stack || e);
+    }).finally(() => {
+        adults.subscription.unsubscribe();
+        start();
+    });
+});
+
+asyncTest("liveQuery() ignores changes outside observed range", () => {
+    var executions = 0;
+    var adults = observe(Dexie.liveQuery(() => {
+        ++executions;
+        return db.friends.where('age').above(18).toArray();
+    }));
+    adults.next().then(() => {
+        equal(executions, 1, "Executed once initially");
+        return db.friends.add({name: "David", age: 10});
+    }).then(() => db.pets.add({id: 1, name: "Fido"}))
+    .then(() => db.friends.where('name').equals("David").modify({age: 20}))
+    .then(() => adults.next())
+    .then(friends => {
+        // Had the other changes re-executed the query, its next result would have been without David.
+        deepEqual(friends.map(f => f.name), ["David"], "Re-executed when a friend was moved into the range");
+        equal(executions, 2, "Did not re-execute for changes outside the range or table");
+    }).catch(e => {
+        ok(false, e.stack || e);
+    }).finally(() => {
+        adults.subscription.unsubscribe();
+        start();
+    });
+});
+
+asyncTest("liveQuery() on Table.get() and multiEntry index", () => {
+    var observed = observe(Dexie.liveQuery(() => Dexie.Promise.all([
+        db.friends.get(1),
+        db.friends.where('tags').equals('cool').count()
+    ])));
+    observed.next().then(result => {
+        deepEqual(result, [undefined, 0], "Initially empty");
+        return db.friends.add({id: 1, name: "Erik", age: 50, tags: ['cool', 'old']});
+    }).then(() => observed.next())
+    .then(result => {
+        equal(result[0].name, "Erik", "Got Erik");
+        equal(result[1], 1, "One cool friend");
+        return db.friends.add({name: "Fredrik", age: 51, tags: ['cool']});
+    }).then(() => observed.next())
+    .then(result => {
+        equal(result[1], 2, "Two cool friends");
+    }).catch(e => {
+        ok(false, e.stack || e);
+    }).finally(() => {
+        observed.subscription.unsubscribe();
+        start();
+    });
+});
+
+asyncTest("liveQuery() stops after unsubscribe", () => {
+    var executions = 0;
+    var friends = observe(Dexie.liveQuery(() => {
+        ++executions;
+        return db.friends.toArray();
+    }));
+    // Observers are notified together. Once this one has its result, the other would have re-executed.
+    var otherFriends = observe(Dexie.liveQuery(() => db.friends.toArray()));
+    Dexie.Promise.all([friends.next(), otherFriends.next()]).then(() => {
+        friends.subscription.unsubscribe();
+        return db.friends.add({name: "Gustaf", age: 22});
+    }).then(() => otherFriends.next())
+    .then(result => {
+        equal(result.length, 1, "Still subscribed query got Gustaf");
+        equal(executions, 1, "Not re-executed after unsubscribe()");
+    }).catch(e => {
+        ok(false, e.stack || e);
+    }).finally(() => {
+        otherFriends.subscription.unsubscribe();
+        start();
+    });
+});
+
+asyncTest("Collection.subscribe()", () => {
+    var hFriends = observe(db.friends.where('name').startsWith("H"));
+    hFriends.next().then(friends => {
+        deepEqual(friends, [], "Initially no friends");
+        return db.friends.bulkAdd([{name: "Hugo", age: 5}, {name: "Ivar", age: 6}]);
+    }).then(() => hFriends.next())
+    .then(friends => {
+        deepEqual(friends.map(f => f.name), ["Hugo"], "Got Hugo");
+    }).catch(e => {
+        ok(false, e.stack || e);
+    }).finally(() => {
+        hFriends.subscription.unsubscribe();
+        start();
+    });
+});
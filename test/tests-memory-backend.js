@@ -0,0 +1,93 @@
+import Dexie from 'dexie';
+import {module, equal, ok, deepEqual} from 'QUnit';
+import {spawnedTest} from './dexie-unittest-utils';
+
+module("memory-backend");
+
+spawnedTest("Databases of a backend", function*() {
+    var backend = Dexie.createMemoryBackend(),
+        db = new Dexie("TestDBMemoryBackend", backend);
+    db.version(1).stores({friends: "++id,name,*tags"});
+    try {
+        yield db.friends.bulkAdd([{name: "Arne", tags: ["a", "b"]}, {name: "Bertil", tags: ["b"]}]);
+        deepEqual(yield db.friends.where('tags').equals("b").primaryKeys(), [1, 2], "multiEntry index");
+        equal(yield db.friends.where('name').startsWith("B").count(), 1, "Range queries");
+        var other = new Dexie("TestDBMemoryBackend", Dexie.createMemoryBackend());
+        other.version(1).stores({friends: "++id"});
+        equal(yield other.friends.count(), 0, "Another backend has its own databases");
+        yield other.delete();
+    } finally {
+        yield db.delete();
+    }
+});
+
+spawnedTest("getDatabaseNames() of the memory backend", function*() {
+    var dependencies = Dexie.dependencies;
+    Dexie.dependencies = Dexie.createMemoryBackend();
+    try {
+        var db = new Dexie("TestDBMemoryBackend-names");
+        db.version(1).stores({friends: "++id"});
+        yield db.open();
+        deepEqual(yield Dexie.getDatabaseNames(), ["TestDBMemoryBackend-names"], "Only databases of the backend");
+        ok(yield Dexie.exists("TestDBMemoryBackend-names"), "exists()");
+        yield db.delete();
+        deepEqual(yield Dexie.getDatabaseNames(), [], "Deleted");
+    } finally {
+        Dexie.dependencies = dependencies;
+    }
+});
+
+spawnedTest("localStorage of the memory backend", function*() {
+    var storage = Dexie.createMemoryBackend().localStorage;
+    storage.setItem("a", 1);
+    equal(storage.getItem("a"), "1", "Values are strings");
+    equal(storage.length, 1, "length");
+    equal(storage.key(0), "a", "key()");
+    storage.removeItem("a");
+    equal(storage.getItem("a"), null, "Removed");
+    yield Dexie.Promise.resolve();
+});
+
+spawnedTest("Transactions of the memory backend are active in their callbacks only", function*() {
+    var indexedDB = Dexie.createMemoryBackend().indexedDB;
+    var idb = yield new Dexie.Promise((resolve, reject) => {
+        var request = indexedDB.open("TestDBMemoryBackend-active", 1);
+        request.onupgradeneeded = () => request.result.createObjectStore("friends");
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    var inactiveError = yield new Dexie.Promise((resolve, reject) => {
+        var busy = idb.transaction("friends", "readwrite").objectStore("friends"),
+            waiting = idb.transaction("friends", "readwrite").objectStore("friends"),
+            timerFired = false;
+        // Keep the first transaction running until the timer has fired, so that the second
+        // one waits for it to finish.
+        function getUntilTimerFired() {
+            if (!timerFired) busy.get(1).onsuccess = getUntilTimerFired;
+        }
+        getUntilTimerFired();
+        setTimeout(() => {
+            timerFired = true;
+            try {
+                waiting.get(1);
+                reject(new Error("Request placed from a timer"));
+            } catch (e) {
+                resolve(e);
+            }
+        }, 0);
+    });
+    equal(inactiveError.name, "TransactionInactiveError", "Inactive once the task creating it has returned");
+    var found = yield new Dexie.Promise((resolve, reject) => {
+        var store = idb.transaction("friends", "readwrite").objectStore("friends");
+        store.put({name: "Arne"}, 1).onsuccess = () => {
+            // Microtasks queued by listeners, as by async functions, run while it is active.
+            Promise.resolve().then(() => {
+                var request = store.get(1);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        };
+    });
+    deepEqual(found, {name: "Arne"}, "Requests placed from microtasks of a listener");
+    idb.close();
+});
@@ -0,0 +1,166 @@
+import Dexie from 'dexie';
+import {module, stop, start, asyncTest, equal, ok, deepEqual} from 'QUnit';
+import {resetDatabase} from './dexie-unittest-utils';
+
+var db = new Dexie("TestMiddleware");
+db.version(1).stores({
+    friends: "++id,name,age"
+});
+
+// Middleware that logs every call to the DBCore and upper-cases names on their way out.
+var log = [];
+var logger = {
+    stack: "dbcore",
+    name: "logger",
+    create: downCore => ({
+        table: tableName => {
+            var downTable = downCore.table(tableName);
+            var upTable = Object.create(downTable);
+            ["get", "getMany", "add", "put", "delete", "deleteRange", "count", "getAll", "openCursor"].forEach(method => {
+                upTable[method] = req => {
+                    log.push(method);
+                    return downTable[method](req);
+                };
+            });
+            return upTable;
+        }
+    })
+};
+
+function upperCaseName(obj) {
+    return obj && Dexie.extend(Dexie.shallowClone(obj), {name: obj.name.toUpperCase()});
+}
+
+var upperCaser = {
+    stack: "dbcore",
+    name: "upperCaser",
+    create: downCore => ({
+        table: tableName => {
+            var downTable = downCore.table(tableName);
+            return Dexie.extend(Object.create(downTable), {
+                get: req => downTable.get(req).then(upperCaseName),
+                getAll: req => downTable.getAll(req).then(res => req.keysOnly ? res : res.map(upperCaseName)),
+                openCursor: req => downTable.openCursor(req).then(cursor => cursor && Object.create(cursor, {
+                    value: {get: () => upperCaseName(cursor.value)}
+                }))
+            });
+        }
+    })
+};
+
+module("middleware", {
+    setup: () => {
+        stop();
+        resetDatabase(db).then(() => {
+            log = [];
+        }).catch(e => {
+            ok(false, "Error resetting database: " + e.stack);
+        }).finally(start);
+    },
+    teardown: () => {
+        db.unuse(logger).unuse(upperCaser);
+    }
+});
+
+asyncTest("Table and Collection operations go through the middleware", () => {
+    db.use(logger);
+    db.friends.add({name: "Arne", age: 42}).then(id => {
+        return db.friends.get(id);
+    }).then(friend => {
+        equal(friend.name, "Arne", "Got Arne");
+        return db.friends.bulkPut([{id: 1, name: "Arne", age: 43}, {name: "Bertil", age: 17}]);
+    }).then(() => db.friends.where('age').above(18).count())
+    .then(count => {
+        equal(count, 1, "One friend above 18");
+        return db.friends.filter(f => f.age < 18).toArray();
+    }).then(friends => {
+        equal(friends.length, 1, "One friend below 18");
+        return db.friends.where('name').equals("Bertil").modify({age: 18});
+    }).then(() => db.friends.delete(1))
+    .then(() => db.friends.clear())
+    .then(() => {
+        ["add", "get", "put", "count", "openCursor", "delete", "deleteRange"].forEach(method => {
+            ok(log.indexOf(method) >= 0, `${method}() went through the middleware`);
+        });
+    }).catch(e => {
+        ok(false, e.stack || e);
+    }).finally(start);
+});
+
+asyncTest("Middleware can transform values", () => {
+    db.use(upperCaser);
+    db.friends.bulkAdd([{id: 1, name: "Arne", age: 42}, {id: 2, name: "Bertil", age: 17}]).then(() => {
+        return db.friends.get(1);
+    }).then(friend => {
+        equal(friend.name, "ARNE", "get() was transformed");
+        return db.friends.toArray();
+    }).then(friends => {
+        deepEqual(friends.map(f => f.name), ["ARNE", "BERTIL"], "toArray() was transformed");
+        return db.friends.filter(f => f.age > 18).toArray();
+    }).then(friends => {
+        deepEqual(friends.map(f => f.name), ["ARNE"], "Cursor based toArray() was transformed");
+        db.unuse(upperCaser);
+        return db.friends.get(1);
+    }).then(friend => {
+        equal(friend.name, "Arne", "Not transformed after unuse()");
+    }).catch(e => {
+        ok(false, e.stack || e);
+    }).finally(start);
+});
+
+asyncTest("Middlewares are stacked by level", () => {
+    var order = [];
+    function tracer(name, level) {
+        return {
+            stack: "dbcore",
+            name: name,
+            level: level,
+            create: downCore => ({
+                table: tableName => {
+                    var downTable = downCore.table(tableName);
+                    return Dexie.extend(Object.create(downTable), {
+                        get: req => {
+                            order.push(name);
+                            return downTable.get(req);
+                        }
+                    });
+                }
+            })
+        };
+    }
+    db.use(tracer("outer", 20)).use(tracer("inner", 1)).use(tracer("middle", 10));
+    db.friends.get(1).then(() => {
+        deepEqual(order, ["outer", "middle", "inner"], "Higher levels are called first");
+    }).catch(e => {
+        ok(false, e.stack || e);
+    }).finally(() => {
+        db.unuse({stack: "dbcore", name: "outer"})
+          .unuse({stack: "dbcore", name: "middle"})
+          .unuse({stack: "dbcore", name: "inner"});
+        start();
+    });
+});
+
+asyncTest("Bulk failures are reported through the middleware", () => {
+    db.use(logger);
+    db.friends.bulkAdd([{id: 1, name: "Arne"}, {id: 1, name: "Arne again"}, {id: 2, name: "Bertil"}]).then(() => {
+        ok(false, "Should fail");
+    }).catch(Dexie.BulkError, e => {
+        equal(e.failures.length, 1, "One failure");
+        return db.friends.count();
+    }).then(count => {
+        equal(count, 2, "The other two were added");
+    }).catch(e => {
+        ok(false, e.stack || e);
+    }).finally(start);
+});
+
+asyncTest("use() requires a dbcore middleware", () => {
+    try {
+        db.use({stack: "foo", create: () => ({})});
+        ok(false, "Should throw");
+    } catch (e) {
+        equal(e.name, "InvalidArgumentError", "Got InvalidArgumentError");
+    }
+    start();
+});
@@ -0,0 +1,103 @@
+import Dexie from 'dexie';
+import {module, stop, start, asyncTest, equal, ok, deepEqual, throws} from 'QUnit';
+import {resetDatabase, spawnedTest} from './dexie-unittest-utils';
+
+var db = new Dexie("TestDBRelations");
+db.version(1).stores({
+    customers: "++id,name",
+    orders: "++id,customerId,date",
+    orderLines: "++id,orderId",
+    notes: "++id"
+}).relations({
+    orders: {customerId: {table: "customers", onDelete: "cascade"}},
+    orderLines: {orderId: {table: "orders", onDelete: "cascade"}},
+    notes: {customerId: "customers"}
+});
+
+module("relations", {
+    setup: () => {
+        stop();
+        resetDatabase(db).catch(e => {
+            ok(false, "Error resetting database: " + e.stack);
+        }).finally(start);
+    }
+});
+
+var populate = Dexie.async(function* () {
+    var arne = yield db.customers.add({name: "Arne"}),
+        bertil = yield db.customers.add({name: "Bertil"}),
+        cecilia = yield db.customers.add({name: "Cecilia"});
+    var order1 = yield db.orders.add({customerId: arne, date: 1}),
+        order2 = yield db.orders.add({customerId: bertil, date: 2}),
+        order3 = yield db.orders.add({customerId: arne, date: 3});
+    yield db.orderLines.bulkAdd([{orderId: order1}, {orderId: order1}, {orderId: order2}, {orderId: order3}]);
+    yield db.notes.bulkAdd([{customerId: bertil, text: "VIP"}, {text: "No customer"}, {customerId: 4711, text: "Unknown customer"}]);
+    return {arne, bertil, cecilia, order1, order2, order3};
+});
+
+spawnedTest("with() attaches referred records", function*() {
+    var ids = yield populate();
+    var orders = yield db.orders.orderBy('date').with({customer: "customerId"});
+    deepEqual(orders.map(order => order.customer.name), ["Arne", "Bertil", "Arne"], "Customer of each order");
+    equal(orders[0].customer.id, ids.arne, "Whole record attached");
+
+    var notes = yield db.notes.with({customer: "customerId"});
+    equal(notes[0].customer.name, "Bertil", "Referred record found");
+    ok(!("customer" in notes[1]), "Nothing attached without foreign key");
+    ok(notes[2].customer === undefined, "Undefined when the referred record is missing");
+
+    orders = yield db.orders.where('date').above(1).with({customer: "customerId", lines: "orderLines.orderId"});
+    deepEqual(orders.map(order => order.customer.name), ["Bertil", "Arne"], "Relations on a where clause");
+    deepEqual(orders.map(order => order.lines.length), [1, 1], "Referring records of each order");
+});
+
+spawnedTest("with() attaches referring records", function*() {
+    var ids = yield populate();
+    var customers = yield db.customers.orderBy('name').with({orders: "orders.customerId", notes: "notes.customerId"});
+    deepEqual(customers.map(c => c.orders.map(order => order.date)), [[1, 3], [2], []], "Orders of each customer");
+    deepEqual(customers.map(c => c.notes.length), [0, 1, 0], "Notes of each customer");
+    equal(customers[0].orders[0].customerId, ids.arne, "Records attached");
+
+    yield db.customers.with({friends: "customers.friendId"}).then(() => {
+        ok(false, "Should fail on unknown relation");
+    }).catch('InvalidArgumentError', e => {
+        ok(true, "Unknown relation: " + e.message);
+    });
+});
+
+spawnedTest("Deletes cascade", function*() {
+    var ids = yield populate();
+    yield db.customers.delete(ids.arne);
+    equal(yield db.orders.where('customerId').equals(ids.arne).count(), 0, "Orders of deleted customer deleted");
+    deepEqual((yield db.orderLines.toArray()).map(line => line.orderId), [ids.order2], "Deletes cascade recursively");
+    equal(yield db.orders.count(), 1, "Other orders kept");
+    equal(yield db.notes.count(), 3, "No cascade without onDelete");
+
+    yield db.orders.where('date').equals(2).delete();
+    equal(yield db.orderLines.count(), 0, "Collection.delete() cascades");
+
+    yield db.transaction('rw', db.customers, () => {
+        ok(Dexie.currentTransaction.storeNames.indexOf("orders") >= 0, "Read-write transactions include the tables deletes cascade to");
+        return db.customers.clear();
+    });
+
+    yield db.transaction('rw', db.customers, () => {
+        db.customers.add({name: "David"});
+    });
+    equal(yield db.customers.count(), 1, "Writing works as usual");
+});
+
+asyncTest("Invalid relations", () => {
+    throws(() => {
+        new Dexie("TestDBRelations-invalid").version(1).stores({orders: "++id"}).relations({orders: {customerId: "customers"}});
+    }, Dexie.SchemaError, "Unknown table");
+    throws(() => {
+        new Dexie("TestDBRelations-invalid").version(1).stores({orders: "++id", customers: "++id"})
+            .relations({orders: {customerId: {table: "customers", onDelete: "cascade"}}});
+    }, Dexie.SchemaError, "Foreign key must be indexed to cascade");
+    throws(() => {
+        new Dexie("TestDBRelations-invalid").version(1).stores({orders: "++id,customerId", customers: "++id"})
+            .relations({orders: {customerId: {table: "customers", onDelete: "restrict"}}});
+    }, Dexie.InvalidArgumentError, "Only cascade");
+    start();
+});
@@ -0,0 +1,108 @@
+import Dexie from 'dexie';
+import {module, stop, start, equal, ok, deepEqual} from 'QUnit';
+import {spawnedTest} from './dexie-unittest-utils';
+
+var db = new Dexie("TestDBSoftDelete");
+db.version(1).stores({
+    friends: "++id,name,&email",
+    logs: "++id,deletedAt"
+}).softDelete(["friends", "logs"]);
+
+module("soft-delete", {
+    setup: () => {
+        stop();
+        // resetDatabase() would only soft-delete what the tests add.
+        db.delete().then(() => db.open()).catch(e => {
+            ok(false, "Error resetting database: " + e.stack);
+        }).finally(start);
+    }
+});
+
+var populate = Dexie.async(function* () {
+    var arne = yield db.friends.add({name: "Arne", email: "arne@dexie.org"}),
+        bertil = yield db.friends.add({name: "Bertil", email: "bertil@dexie.org"}),
+        cecilia = yield db.friends.add({name: "Cecilia", email: "cecilia@dexie.org"});
+    return {arne, bertil, cecilia};
+});
+
+spawnedTest("Deleted objects are hidden", function*() {
+    var ids = yield populate();
+    yield db.friends.delete(ids.arne);
+    equal(yield db.friends.get(ids.arne), undefined, "get() hides it");
+    deepEqual(yield db.friends.bulkGet([ids.arne, ids.bertil]).then(friends => friends.map(f => f && f.name)),
+        [undefined, "Bertil"], "bulkGet() hides it");
+    equal(yield db.friends.count(), 2, "count()");
+    deepEqual(yield db.friends.orderBy('name').keys(), ["Bertil", "Cecilia"], "keys() of an index");
+    deepEqual(yield db.friends.toCollection().primaryKeys(), [ids.bertil, ids.cecilia], "primaryKeys()");
+    equal(yield db.friends.where('name').equals("Arne").count(), 0, "where()");
+    equal(yield db.friends.where({name: "Arne"}).count(), 0, "where() with criteria");
+
+    var deleted = yield db.friends.deleted().toArray();
+    equal(deleted.length, 1, "deleted() lists it");
+    ok(typeof deleted[0].deletedAt === 'number', "Marked with deletedAt");
+
+    yield db.friends.bulkDelete([ids.bertil]);
+    yield db.friends.where('name').equals("Cecilia").delete();
+    equal(yield db.friends.count(), 0, "bulkDelete() and Collection.delete() soft-delete");
+    equal(yield db.friends.deleted().count(), 3, "All kept");
+
+    yield db.friends.add({name: "Arne", email: "arne@dexie.org"}).then(() => {
+        ok(false, "Soft-deleted objects keep their unique keys");
+    }).catch('ConstraintError', () => {
+        ok(true, "Unique index still held");
+    });
+    yield db.friends.put({id: ids.arne, name: "Arne again", email: "arne@dexie.org"});
+    equal((yield db.friends.get(ids.arne)).name, "Arne again", "put() replaces a soft-deleted object");
+});
+
+spawnedTest("restore() and purgeDeleted()", function*() {
+    var ids = yield populate();
+    yield db.friends.clear();
+    equal(yield db.friends.count(), 0, "clear() soft-deletes");
+
+    equal(yield db.friends.restore([ids.arne, ids.bertil]), 2, "Two restored");
+    equal(yield db.friends.restore(ids.arne), 0, "Nothing to restore");
+    deepEqual(yield db.friends.orderBy('name').keys(), ["Arne", "Bertil"], "Restored");
+    ok(!("deletedAt" in (yield db.friends.get(ids.arne))), "deletedAt removed");
+
+    equal(yield db.friends.purgeDeleted(new Date(Date.now() - 60000)), 0, "Nothing deleted a minute ago");
+    equal(yield db.friends.purgeDeleted(), 1, "Purged");
+    equal(yield db.friends.deleted().count(), 0, "Gone");
+    yield db.friends.add({name: "Cecilia", email: "cecilia@dexie.org"});
+    ok(true, "Unique key free after purge");
+
+    yield db.logs.bulkAdd([{text: "a"}, {text: "b"}]);
+    yield db.logs.toCollection().delete();
+    equal(yield db.logs.purgeDeleted(Date.now() + 1), 2, "Purged using the deletedAt index");
+});
+
+spawnedTest("Hooks see soft deletes as updates", function*() {
+    var ids = yield populate(),
+        updates = [],
+        deletes = [];
+    function updating(mods, primKey) {
+        updates.push({primKey, mods: Object.keys(mods)});
+    }
+    function deleting(primKey) {
+        deletes.push(primKey);
+    }
+    db.friends.hook('updating', updating);
+    db.friends.hook('deleting', deleting);
+    try {
+        yield db.friends.delete(ids.arne);
+        deepEqual(updates, [{primKey: ids.arne, mods: ["deletedAt"]}], "Soft delete is an update of deletedAt");
+        yield db.friends.restore(ids.arne);
+        deepEqual(updates[1], {primKey: ids.arne, mods: ["deletedAt"]}, "Restore is an update of deletedAt");
+        deepEqual(deletes, [], "No deletes");
+        yield db.friends.delete(ids.bertil);
+        yield db.friends.purgeDeleted();
+        deepEqual(deletes, [ids.bertil], "purgeDeleted() deletes");
+    } finally {
+        db.friends.hook('updating').unsubscribe(updating);
+        db.friends.hook('deleting').unsubscribe(deleting);
+    }
+    equal(yield db.friends.upsert(ids.bertil, {name: "Bertil"}, {email: "b@dexie.org"}), 1, "upsert() after purge");
+    yield db.friends.delete(ids.bertil);
+    equal(yield db.friends.upsert(ids.bertil, {name: "New Bertil"}), 1, "upsert() of a soft-deleted object");
+    equal((yield db.friends.get(ids.bertil)).name, "New Bertil", "Created anew");
+});
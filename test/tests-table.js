@@ -1,5 +1,5 @@
 ﻿import Dexie from 'dexie';
-import {module, stop, start, asyncTest, equal, ok} from 'QUnit';
+import {module, stop, start, asyncTest, equal, ok, deepEqual} from 'QUnit';
 import {resetDatabase, supports, spawnedTest} from './dexie-unittest-utils';
 
 var db = new Dexie("TestDBTable");
@@ -595,6 +595,116 @@ spawnedTest("bulkDelete-faulty-key", function*(){
     });
 });
 
+spawnedTest("bulkGet", function*(){
+    let users = yield db.users.bulkGet([idOfLastUser, "nonexisting", idOfFirstUser, idOfLastUser]);
+    equal(users.length, 4, "One result per key");
+    equal(users[0].username, "kceder", "First user found");
+    ok(users[1] === undefined, "Nonexisting key gives undefined");
+    equal(users[2].username, "dfahlander", "Results in order of keys");
+    equal(users[3].username, "kceder", "Duplicate keys give one result each");
+    ok(users[0] instanceof User, "Reading hook fired for each object");
+    // Keys scattered among many records
+    let ids = yield db.users.bulkAdd(Array(20).fill(0).map((_, i) => ({username: "u" + i}))).then(lastId =>
+        [idOfFirstUser, lastId]);
+    users = yield db.users.bulkGet(ids);
+    deepEqual(users.map(u => u.username), ["dfahlander", "u19"], "Scattered keys");
+    let folkKeys = [];
+    folkKeys.push(yield db.folks.add({first: "Folk1"}));
+    folkKeys.push(yield db.folks.add({first: "Folk2"}));
+    let folks = yield db.folks.bulkGet(folkKeys.reverse());
+    deepEqual(folks.map(f => f.first), ["Folk2", "Folk1"], "Outbound keys");
+    deepEqual(yield db.users.bulkGet([]), [], "No keys");
+});
+
+spawnedTest("bulkUpdate", function*(){
+    let updating = [];
+    function updatingHook(mods, primKey, obj) {
+        updating.push(`${primKey}:${obj.username}`);
+        return {updatedByHook: true};
+    }
+    db.users.hook('updating', updatingHook);
+    try {
+        let count = yield db.users.bulkUpdate([
+            {key: idOfFirstUser, changes: {first: "Dave", "address.city": "Stockholm"}},
+            {key: "nonexisting", changes: {first: "Nobody"}},
+            {key: idOfLastUser, changes: {pets: ["cat"], last: undefined}}
+        ]);
+        equal(count, 2, "Two users updated");
+        deepEqual(updating, [`${idOfFirstUser}:dfahlander`, `${idOfLastUser}:kceder`], "Updating hook fired for each found object");
+        let users = yield db.users.bulkGet([idOfFirstUser, idOfLastUser]);
+        let david = users[0], karl = users[1];
+        equal(david.first, "Dave", "Changed");
+        equal(david.address.city, "Stockholm", "Nested key path changed");
+        ok(david.updatedByHook && karl.updatedByHook, "Changes of hook applied");
+        ok(!("last" in karl), "Undefined deletes the property");
+        equal(yield db.users.where('pets').equals("cat").count(), 1, "Index updated");
+        equal(yield db.users.count(), 2, "No user added");
+    } finally {
+        db.users.hook('updating').unsubscribe(updatingHook);
+    }
+
+    yield db.transaction('rw', db.users, () => {
+        db.users.bulkUpdate([
+            {key: idOfFirstUser, changes: {username: "kceder"}}, // Should fail: unique username
+            {key: idOfLastUser, changes: {first: "Kalle"}}
+        ]).then(() => {
+            ok(false, "Should not resolve when one operation failed");
+        }).catch(Dexie.BulkError, e => {
+            equal(e.failures.length, 1, "One failure: " + e.failures[0]);
+        });
+    });
+    equal((yield db.users.get(idOfLastUser)).first, "Kalle", "Caught failure did not prevent the other update");
+    equal((yield db.users.get(idOfFirstUser)).username, "dfahlander", "Failing update not made");
+
+    yield db.users.bulkUpdate([{key: idOfFirstUser, changes: {id: 4711}}]).then(() => {
+        ok(false, "Should not change the primary key");
+    }).catch(Dexie.BulkError, e => {
+        equal(e.failures[0].name, "DataError", "Cannot change the primary key");
+    });
+
+    yield db.users.bulkUpdate([
+        {key: idOfFirstUser, changes: {first: "David"}},
+        {key: idOfFirstUser, changes: {first: "Davy"}}
+    ]).then(() => {
+        ok(false, "Should not update the same key twice");
+    }).catch(Dexie.InvalidArgumentError, e => {
+        ok(true, "Duplicate keys rejected: " + e.message);
+    });
+    equal((yield db.users.get(idOfFirstUser)).first, "Dave", "Nothing updated");
+});
+
+spawnedTest("upsert", function*(){
+    equal(yield db.users.upsert(idOfFirstUser, {first: "Dave"}, {pets: ["cat"]}), 1, "Existing user updated");
+    let david = yield db.users.get(idOfFirstUser);
+    equal(david.first, "Dave", "Changes applied");
+    deepEqual(david.pets, ["dog"], "Defaults not applied to an existing object");
+
+    equal(yield db.users.upsert(4711, {first: "Åke", "address.city": "Stockholm"}, {first: "Anonymous", pets: ["cat"]}), 1, "Missing user created");
+    let ake = yield db.users.get(4711);
+    equal(ake.first, "Åke", "Changes win over defaults");
+    equal(ake.address.city, "Stockholm", "Nested key path set");
+    deepEqual(ake.pets, ["cat"], "Defaults applied");
+    equal(ake.id, 4711, "Primary key set");
+    ok(ake instanceof User, "Created object is read as a User");
+
+    equal(yield db.users.update(4712, {first: "Bertil"}), 0, "update() does not create");
+    equal(yield db.users.update(4712, {first: "Bertil"}, {upsert: true}), 1, "update() with upsert creates");
+    equal((yield db.users.get(4712)).first, "Bertil", "Created through update()");
+
+    yield db.folks.upsert("folk1", {first: "Folk"});
+    equal((yield db.folks.get("folk1")).first, "Folk", "Outbound key");
+
+    equal(yield db.users.where('id').equals(4713).modify(user => { user.first = "Cecilia"; }, {upsert: true}), 1,
+        "Collection.modify() with a function and upsert");
+    equal((yield db.users.get(4713)).first, "Cecilia", "Created by the modify function");
+
+    yield db.users.where('id').above(0).modify({first: "X"}, {upsert: true}).then(() => {
+        ok(false, "Should not upsert a range");
+    }).catch('InvalidArgumentError', e => {
+        ok(true, "Upsert requires a single primary key: " + e.message);
+    });
+});
+
 asyncTest("delete", function () {
     // Without transaction
     db.users.get(idOfFirstUser, function (user) {
@@ -0,0 +1,89 @@
+import Dexie from 'dexie';
+import {module, stop, start, equal, ok, deepEqual} from 'QUnit';
+import {spawnedTest} from './dexie-unittest-utils';
+
+var db = new Dexie("TestDBTtl");
+db.version(1).stores({
+    cache: "url,expiresAt",
+    other: "++id"
+}).ttl({cache: "expiresAt"});
+
+module("ttl", {
+    setup: () => {
+        stop();
+        // resetDatabase() would not see the expired objects to delete.
+        db.delete().then(() => db.open()).catch(e => {
+            ok(false, "Error resetting database: " + e.stack);
+        }).finally(start);
+    }
+});
+
+var populate = () => db.cache.bulkAdd([
+    {url: "a", expiresAt: Date.now() - 1000},
+    {url: "b", expiresAt: new Date(Date.now() - 1000)},
+    {url: "c", expiresAt: Date.now() + 3600000},
+    {url: "d", expiresAt: new Date(Date.now() + 3600000)},
+    {url: "e"}
+]);
+
+spawnedTest("Expired objects are hidden", function*() {
+    yield populate();
+    equal(yield db.cache.get("a"), undefined, "get() hides it");
+    equal((yield db.cache.get("c")).url, "c", "Objects not expired are read");
+    deepEqual((yield db.cache.bulkGet(["b", "d"])).map(obj => obj && obj.url), [undefined, "d"], "bulkGet()");
+    deepEqual(yield db.cache.toCollection().primaryKeys(), ["c", "d", "e"], "Queries hide expired objects");
+    equal(yield db.cache.where('expiresAt').below(Date.now() + 7200000).count(), 1, "where()");
+    equal(yield db.cache.count(), 3, "count()");
+    equal(yield db.cache.upsert("a", {data: 1}, {expiresAt: Date.now() + 1000}), 1, "upsert() on a ttl table");
+});
+
+spawnedTest("purgeExpired() and on('expired')", function*() {
+    var fired = [];
+    function onExpired(expiry) {
+        fired.push(expiry);
+    }
+    db.on('expired', onExpired);
+    try {
+        yield populate();
+        var purged = yield db.purgeExpired();
+        deepEqual(purged, [{table: "cache", keys: ["a", "b"]}], "Expired keys, numbers and Dates");
+        deepEqual(fired, purged, "on('expired') fired");
+        yield db.cache.bulkAdd([{url: "a"}, {url: "b"}]);
+        ok(true, "Expired objects deleted, so their keys can be added again");
+        deepEqual(yield db.purgeExpired(), [], "Nothing more to purge");
+        equal(fired.length, 1, "Not fired when nothing expired");
+    } finally {
+        db.on('expired').unsubscribe(onExpired);
+    }
+});
+
+spawnedTest("Expired objects are purged in the background", function*() {
+    var db2 = new Dexie("TestDBTtl-background", {expiryInterval: 10});
+    db2.version(1).stores({cache: "url,expiresAt"}).ttl({cache: "expiresAt"});
+    try {
+        yield db2.cache.bulkAdd([{url: "a", expiresAt: Date.now()}, {url: "b", expiresAt: Date.now() + 3600000}]);
+        var expiry = yield new Dexie.Promise(resolve => db2.on('expired', resolve));
+        deepEqual(expiry, {table: "cache", keys: ["a"]}, "Purged without calling purgeExpired()");
+    } finally {
+        yield db2.delete();
+    }
+});
+
+spawnedTest("Invalid ttl", function*() {
+    var db2 = new Dexie("TestDBTtl-invalid");
+    var errors = 0;
+    try {
+        db2.version(1).stores({cache: "url"}).ttl({cache: "expiresAt"});
+    } catch (e) {
+        ok(e instanceof Dexie.SchemaError, "expiresAt must be indexed");
+        ++errors;
+    }
+    try {
+        db2.version(1).ttl({unknown: "expiresAt"});
+    } catch (e) {
+        ok(e instanceof Dexie.SchemaError, "Table must exist");
+        ++errors;
+    }
+    equal(errors, 2, "Both failed");
+    yield db.other.add({});
+});
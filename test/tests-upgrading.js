@@ -1,5 +1,5 @@
 ﻿import Dexie from 'dexie';
-import {module, test, equal, ok, deepEqual} from 'QUnit';
+import {module, test, equal, ok, deepEqual, throws} from 'QUnit';
 import {resetDatabase, supports} from './dexie-unittest-utils';
 
 module("upgrading");
@@ -510,4 +510,220 @@ test("Issue #30 - Problem with existing db", (assert) => {
         if (db) db.close();
         Dexie.delete("raw-db").then(done);
     });
-});
\ No newline at end of file
+});
+test("migrate() renames tables and fields and transforms records", (assert) => {
+    let done = assert.async();
+    var DBNAME = "Migrate-test";
+    var db;
+
+    function declareVersion1(db) {
+        db.version(1).stores({
+            people: "++id,fullName",
+            settings: ""
+        });
+    }
+
+    Dexie.delete(DBNAME).then(() => {
+        db = new Dexie(DBNAME);
+        declareVersion1(db);
+        return db.transaction('rw', db.people, db.settings, () => {
+            db.people.bulkAdd([
+                {fullName: "Arne", age: "42"},
+                {fullName: "Bertil", age: "17", address: {city: "Stockholm"}}
+            ]);
+            db.settings.put({theme: "dark"}, "display");
+        });
+    }).then(() => {
+        db.close();
+        db = new Dexie(DBNAME);
+        declareVersion1(db);
+        db.version(2).migrate({
+            renameTable: {people: "friends", settings: "preferences"},
+            renameField: {friends: {fullName: "name", "address.city": "city"}},
+            transform: {friends: friend => { friend.age = parseInt(friend.age); }},
+            addIndex: {friends: "name,age"}
+        });
+        equal(db.friends.schema.indexes.map(idx => idx.src).join(','), "fullName,name,age", "Renamed table keeps its indexes and gets new ones");
+        ok(!db.people, "Old table is gone from the schema");
+        return db.dryRunUpgrade();
+    }).then(plan => {
+        equal(plan.installedVersion, 1, "Installed version");
+        equal(plan.version, 2, "Version to upgrade to");
+        equal(plan.versions.length, 1, "One version to upgrade");
+        var step = plan.versions[0];
+        deepEqual(step.diff.del, [], "Renamed tables are not reported as deleted");
+        deepEqual(step.diff.add, [], "Nor as added");
+        deepEqual(step.diff.rename.map(rename => `${rename.from}->${rename.to}`), ["people->friends", "settings->preferences"], "Renamed tables");
+        deepEqual(step.migrations, [
+            {type: "renameTable", table: "people", rows: 2, to: "friends"},
+            {type: "renameTable", table: "settings", rows: 1, to: "preferences"},
+            {type: "renameField", table: "friends", rows: 2, fields: {fullName: "name", "address.city": "city"}},
+            {type: "transform", table: "friends", rows: 2}
+        ], "Migration steps with affected rows");
+        deepEqual(step.rowCounts, {friends: 2, preferences: 1}, "Rows moved to renamed tables");
+        equal(db.isOpen(), false, "Dry run did not open the database");
+
+        var progress = [];
+        db.on('upgradeprogress', p => progress.push(`${p.step}/${p.steps} ${p.type} ${p.table} ${p.completedRows}/${p.totalRows}${p.done ? " done" : ""}`));
+        return db.open().then(() => {
+            deepEqual(progress, [
+                "1/4 renameTable people 0/2",
+                "1/4 renameTable people 2/2 done",
+                "2/4 renameTable settings 0/1",
+                "2/4 renameTable settings 1/1 done",
+                "3/4 renameField friends 0/2",
+                "3/4 renameField friends 2/2 done",
+                "4/4 transform friends 0/2",
+                "4/4 transform friends 2/2 done"
+            ], "Progress of each step");
+        });
+    }).then(() => {
+        deepEqual([...db.backendDB().objectStoreNames].sort(), ["friends", "preferences"], "Old object stores deleted");
+        return db.friends.orderBy('name').toArray();
+    }).then(friends => {
+        deepEqual(friends.map(f => f.name), ["Arne", "Bertil"], "Fields renamed and indexed");
+        ok(friends.every(f => !("fullName" in f)), "Old field removed");
+        equal(friends[1].city, "Stockholm", "Nested field renamed");
+        deepEqual(friends[1].address, {}, "Old nested field removed");
+        return db.friends.where('age').above(18).toArray();
+    }).then(adults => {
+        deepEqual(adults.map(f => f.name), ["Arne"], "Transformed and indexed");
+        return db.preferences.get("display");
+    }).then(display => {
+        deepEqual(display, {theme: "dark"}, "Outbound keys kept");
+        return db.dryRunUpgrade();
+    }).then(plan => {
+        deepEqual(plan.versions, [], "Nothing left to upgrade");
+    }).catch(err => {
+        ok(false, "Error: " + (err.stack || err));
+    }).finally(() => {
+        if (db) db.close();
+        Dexie.delete(DBNAME).then(done);
+    });
+});
+
+test("migrate() rolls back the upgrade when a step fails", (assert) => {
+    let done = assert.async();
+    var DBNAME = "Migrate-fail-test";
+    var db;
+    Dexie.delete(DBNAME).then(() => {
+        db = new Dexie(DBNAME);
+        db.version(1).stores({people: "++id"});
+        return db.people.add({name: "Arne"});
+    }).then(() => {
+        db.close();
+        db = new Dexie(DBNAME);
+        db.version(1).stores({people: "++id"});
+        db.version(2).migrate({
+            renameTable: {people: "friends"},
+            transform: {friends: () => { throw new Error("Oops"); }}
+        });
+        return db.open().then(() => {
+            ok(false, "Should not open");
+        }, err => {
+            ok(/Oops/.test(err.message), "Open failed with the error of the step: " + err);
+        });
+    }).then(() => {
+        db.close();
+        db = new Dexie(DBNAME);
+        return db.open();
+    }).then(() => {
+        equal(db.verno, 1, "Still version 1");
+        return db.table('people').toArray();
+    }).then(people => {
+        deepEqual(people.map(p => p.name), ["Arne"], "Data intact");
+        throws(() => {
+            new Dexie(DBNAME).version(2).migrate({renameTable: {people: "friends"}});
+        }, Dexie.SchemaError, "Renaming a table that no earlier version declares");
+        throws(() => {
+            new Dexie(DBNAME).version(2).migrate({down: {people: () => {}}});
+        }, Dexie.InvalidArgumentError, "Steps are not reversible");
+    }).catch(err => {
+        ok(false, "Error: " + (err.stack || err));
+    }).finally(() => {
+        if (db) db.close();
+        Dexie.delete(DBNAME).then(done);
+    });
+});
+
+test("renameTable() and renameIndex() keep all data", (assert) => {
+    let done = assert.async();
+    var DBNAME = "Rename-test";
+    var db;
+
+    function declareVersion1(db) {
+        db.version(1).stores({
+            people: "++id,&email,*tags",
+            notes: "++id,title"
+        });
+    }
+
+    var people = [];
+    for (var i = 0; i < 50; ++i) people.push({email: `person${i}@example.com`, tags: ["a", "t" + i % 3], i: i});
+
+    Dexie.delete(DBNAME).then(() => {
+        db = new Dexie(DBNAME);
+        declareVersion1(db);
+        return db.transaction('rw', db.people, db.notes, () => {
+            db.people.bulkAdd(people);
+            db.notes.bulkAdd([{title: "First", text: "Hello"}, {title: "Second"}, {text: "Untitled"}]);
+        });
+    }).then(() => {
+        db.close();
+        db = new Dexie(DBNAME);
+        declareVersion1(db);
+        db.version(2)
+            .stores({friends: "++id,&email,*tags,i"})
+            .renameTable('people', 'friends')
+            .renameIndex('notes', 'title', 'heading');
+        equal(db.notes.schema.indexes.map(idx => idx.src).join(','), "heading", "Index follows its new key path");
+        return db.dryRunUpgrade();
+    }).then(plan => {
+        var diff = plan.versions[0].diff;
+        deepEqual(diff.del, [], "No table deleted");
+        deepEqual(diff.add, [], "No table added");
+        deepEqual(diff.rename.map(rename => `${rename.from}->${rename.to}`), ["people->friends"], "Table renamed");
+        equal(diff.change.length, 1, "One table changed");
+        deepEqual(diff.change[0].del, [], "No index deleted");
+        deepEqual(diff.change[0].add, [], "No index added");
+        deepEqual(diff.change[0].rename.map(rename => `${rename.from}->${rename.to.name}`), ["title->heading"], "Index renamed");
+        deepEqual(plan.versions[0].rowCounts, {notes: 3, friends: 50}, "All rows kept");
+        return db.open();
+    }).then(() => {
+        deepEqual([...db.backendDB().objectStoreNames].sort(), ["friends", "notes"], "Old object store deleted");
+        return db.friends.toArray();
+    }).then(friends => {
+        deepEqual(friends.map(f => f.email), people.map(p => p.email), "All records copied");
+        return Promise.all([
+            db.friends.where('email').equals("person7@example.com").first(),
+            db.friends.where('tags').equals("t1").count(),
+            db.friends.where('i').between(10, 20).count()
+        ]);
+    }).then(([person7, t1Count, teens]) => {
+        equal(person7.i, 7, "Unique index copied");
+        equal(t1Count, 17, "Multi-entry index copied");
+        equal(teens, 10, "Index added to the renamed table");
+        return db.friends.add({email: "person7@example.com"}).then(() => {
+            ok(false, "Unique constraint should hold");
+        }, err => {
+            equal(err.name, "ConstraintError", "Unique constraint holds on the renamed table");
+        });
+    }).then(() => {
+        return db.notes.orderBy('heading').toArray();
+    }).then(notes => {
+        deepEqual(notes.map(n => n.heading), ["First", "Second"], "Records indexed by the renamed index");
+        return db.notes.toArray();
+    }).then(notes => {
+        equal(notes.length, 3, "No note lost");
+        ok(notes.every(n => !("title" in n)), "Property moved to its new key path");
+        equal(notes[0].text, "Hello", "Other properties kept");
+        return db.friends.add({email: "new@example.com"});
+    }).then(id => {
+        ok(id > people.length, "Auto-increment continues after the copied records");
+    }).catch(err => {
+        ok(false, "Error: " + (err.stack || err));
+    }).finally(() => {
+        if (db) db.close();
+        Dexie.delete(DBNAME).then(done);
+    });
+});
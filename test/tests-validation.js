@@ -0,0 +1,116 @@
+import Dexie from 'dexie';
+import {module, stop, start, equal, ok, deepEqual} from 'QUnit';
+import {resetDatabase, spawnedTest} from './dexie-unittest-utils';
+
+var db = new Dexie("TestDBValidation");
+db.version(1).stores({
+    friends: "++id,name",
+    notes: "++id"
+});
+
+var Friend = db.friends.defineClass({
+    id: Number,
+    name: String,
+    age: Number,
+    tags: [String],
+    address: {city: String},
+    created: Date
+}, {
+    required: ["name"],
+    defaults: {tags: [], created: () => new Date()},
+    validators: {age: age => age >= 0 || "must not be negative"}
+});
+
+module("validation", {
+    setup: () => {
+        stop();
+        resetDatabase(db).catch(e => {
+            ok(false, "Error resetting database: " + e.stack);
+        }).finally(start);
+    }
+});
+
+spawnedTest("Defaults and validation on add()", function*() {
+    var id = yield db.friends.add({name: "Arne", age: 42});
+    var arne = yield db.friends.get(id);
+    ok(arne instanceof Friend, "Mapped to class");
+    deepEqual(arne.tags, [], "Default value filled in");
+    ok(arne.created instanceof Date, "Default function called");
+
+    var bertilId = yield db.friends.add({name: "Bertil", tags: ["vip"]});
+    deepEqual((yield db.friends.get(bertilId)).tags, ["vip"], "Defaults do not override given values");
+
+    yield db.friends.add({age: -1, tags: ["vip", 3], address: {city: 1}}).then(() => {
+        ok(false, "Should not add an invalid object");
+    }).catch(Dexie.ValidationError, e => {
+        deepEqual(e.failures, {
+            name: "is required",
+            "tags[1]": "must be a String",
+            "address.city": "must be a String",
+            age: "must not be negative"
+        }, "Every failing key path listed: " + e.message);
+    });
+    yield db.friends.put({name: 4711}).then(() => {
+        ok(false, "Should not put an invalid object");
+    }).catch('ValidationError', e => {
+        equal(e.failures.name, "must be a String", "Type checked");
+    });
+    equal(yield db.friends.count(), 2, "Invalid objects not added");
+
+    yield db.notes.add({text: 42});
+    ok(true, "Tables without rules are not validated");
+});
+
+spawnedTest("Bulk operations collect failures", function*() {
+    yield db.friends.bulkAdd([{name: "Arne"}, {age: 3}, {name: "Cecilia", age: "old"}]).then(() => {
+        ok(false, "Should not resolve when objects are invalid");
+    }).catch(Dexie.BulkError, e => {
+        equal(e.failures.length, 2, "Two failures");
+        ok(e.failures.every(failure => failure instanceof Dexie.ValidationError), "Failures are ValidationErrors");
+        deepEqual(e.failures.map(failure => failure.failures), [{name: "is required"}, {age: "must be a Number"}], "Failing fields");
+    });
+    deepEqual(yield db.friends.orderBy('name').keys(), ["Arne"], "Valid object added");
+    var arne = yield db.friends.where('name').equals("Arne").first();
+
+    yield db.friends.bulkPut([{id: arne.id, name: null}, {name: "Bertil"}]).then(() => {
+        ok(false, "Should not resolve when an object is invalid");
+    }).catch(Dexie.BulkError, e => {
+        deepEqual(e.failures.map(failure => failure.failures), [{name: "is required"}], "Failing update reported");
+    });
+    equal((yield db.friends.get(arne.id)).name, "Arne", "Invalid update not made");
+
+    yield db.friends.bulkUpdate([{key: arne.id, changes: {age: -5}}]).then(() => {
+        ok(false, "Should not resolve when an update is invalid");
+    }).catch(Dexie.BulkError, e => {
+        equal(e.failures[0].failures.age, "must not be negative", "Custom validator message");
+    });
+});
+
+spawnedTest("Updates are validated", function*() {
+    var ids = yield db.friends.bulkAdd([{name: "Arne", age: 42}, {name: "Bertil", age: 1}]).then(lastId => [lastId - 1, lastId]);
+    equal(yield db.friends.update(ids[0], {age: 43}), 1, "Valid update");
+
+    yield db.friends.update(ids[0], {name: undefined}).then(() => {
+        ok(false, "Should not remove a required field");
+    }).catch(Dexie.ValidationError, e => {
+        ok(true, "Got ValidationError: " + e.message);
+    });
+    yield db.friends.update({id: ids[0], name: "Arne"}, {$inc: {age: -100}}).then(() => {
+        ok(false, "Should not make age negative");
+    }).catch(Dexie.ValidationError, e => {
+        equal(e.failures.age, "must not be negative", "Got ValidationError when updating given object");
+    });
+
+    yield db.friends.toCollection().modify(friend => { friend.age -= 2; }).then(() => {
+        ok(false, "Should not resolve when an object gets invalid");
+    }).catch(Dexie.ModifyError, e => {
+        equal(e.successCount, 1, "Valid object modified");
+        deepEqual(e.failedKeys, [ids[1]], "Invalid object failed");
+    });
+    deepEqual((yield db.friends.toArray()).map(friend => friend.age), [41, 1], "Only the valid modification made");
+
+    yield db.friends.where('name').equals("Arne").modify({$inc: {age: -100}}).catch(Dexie.ModifyError, e => {
+        equal(e.failures[0].failures.age, "must not be negative", "Operators validated");
+    });
+    equal((yield db.friends.get(ids[0])).age, 41, "Not modified");
+});
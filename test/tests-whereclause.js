@@ -1,5 +1,5 @@
 ﻿import Dexie from 'dexie';
-import {module, stop, start, test, asyncTest, equal, ok} from 'QUnit';
+import {module, stop, start, test, asyncTest, equal, deepEqual, ok} from 'QUnit';
 import {resetDatabase, supports, spawnedTest, promisedTest} from './dexie-unittest-utils';
 
 const async = Dexie.async;
@@ -11,7 +11,8 @@ db.version(1).stores({
     people: "[name+number],name,number",
     friends: "++id,name,age",
     chart: '[patno+row+col], patno',
-    chaps: "++id,[name+number]"
+    chaps: "++id,[name+number]",
+    events: "++id,userId,[userId+date],*tags"
 });
 
 var Folder = db.folders.defineClass({
@@ -792,3 +793,86 @@ promisedTest("orderBy(['idx1','idx2'])", async () => {
     equal (files.map(f=>f.filename+f.extension).join(','), "README.TXT,hello.bat,hello.exe,hello-there.exe,world.js",
         'Files should be ordered according to the orderBy query');
 });
+
+function addEvents() {
+    return db.events.bulkAdd([
+        {userId: 1, date: 10, tags: ["a", "b"], title: "one"},
+        {userId: 1, date: 20, tags: ["b"], title: "two"},
+        {userId: 1, date: 30, tags: [], title: "three"},
+        {userId: 2, date: 20, tags: ["a"], title: "four"},
+        {userId: 2, date: 40, tags: ["b", "c"], title: "five"}
+    ]);
+}
+
+promisedTest("where({key: value, key2: range}) uses compound index", async () => {
+    if (!supports("compound")) {
+        ok(true, "Browser does not support compound indexes. Ignoring test.");
+        return;
+    }
+    await addEvents();
+    let query = db.events.where({userId: 1, date: IDBKeyRange.bound(15, 30, false, true)});
+    let events = await query.toArray();
+    equal(events.map(e => e.title).join(','), "two", "Got events of user 1 from 15 to 30 excluding 30");
+    let explanation = await query.explain();
+    equal(explanation.index, "[userId+date]", "Used the compound index");
+    deepEqual(explanation.indexedKeyPaths, ["userId", "date"], "Both criterias served by the index");
+    deepEqual(explanation.filteredKeyPaths, [], "Nothing filtered in javascript");
+    equal(explanation.filtered, 0, "No records were filtered out");
+    equal(explanation.matched, 1, "One record matched");
+
+    events = await db.events.where({date: IDBKeyRange.upperBound(20), userId: 2}).toArray();
+    equal(events.map(e => e.title).join(','), "four", "Criteria order does not matter");
+    events = await db.events.where({userId: 1, date: IDBKeyRange.lowerBound(20, true)}).toArray();
+    equal(events.map(e => e.title).join(','), "three", "Open lower bound");
+});
+
+promisedTest("where() uses prefix of compound index", async () => {
+    if (!supports("compound")) {
+        ok(true, "Browser does not support compound indexes. Ignoring test.");
+        return;
+    }
+    await db.chart.bulkAdd([
+        {patno: 1, row: 1, col: 1, sym: 1},
+        {patno: 1, row: 1, col: 2, sym: 2},
+        {patno: 1, row: 2, col: 1, sym: 3},
+        {patno: 2, row: 1, col: 1, sym: 4}
+    ]);
+    let query = db.chart.where({patno: 1, row: 1});
+    deepEqual((await query.toArray()).map(c => c.sym), [1, 2], "Got cells of patno 1 row 1");
+    let explanation = await query.explain();
+    equal(explanation.index, ":id", "Used prefix of the compound primary key rather than the 'patno' index");
+    deepEqual(explanation.indexedKeyPaths, ["patno", "row"], "Both criterias served by the index");
+    equal(explanation.scanned, 2, "Only scanned the matching records");
+
+    query = db.chart.where({patno: 1, row: IDBKeyRange.upperBound(1, true), sym: 3});
+    deepEqual(await query.toArray(), [], "Nothing in rows below 1");
+    query = db.chart.where({patno: 1, row: IDBKeyRange.lowerBound(1, true)});
+    deepEqual((await query.toArray()).map(c => c.sym), [3], "Open lower bound excludes all columns of row 1");
+    query = db.chart.where({patno: 1, row: IDBKeyRange.upperBound(1)});
+    deepEqual((await query.toArray()).map(c => c.sym), [1, 2], "Closed upper bound includes all columns of row 1");
+    query = db.chart.where({patno: 1, col: 1});
+    deepEqual((await query.toArray()).map(c => c.sym), [1, 3], "Criteria not in prefix is filtered");
+    explanation = await query.explain();
+    deepEqual(explanation.filteredKeyPaths, ["col"], "col was filtered in javascript");
+    equal(explanation.filtered, 1, "One record filtered out");
+});
+
+promisedTest("where() with multiEntry index and unindexed criterias", async () => {
+    await addEvents();
+    let query = db.events.where({tags: "b", title: "five"});
+    deepEqual((await query.toArray()).map(e => e.title), ["five"], "Got event tagged 'b' with title 'five'");
+    let explanation = await query.explain();
+    equal(explanation.index, "tags", "Used the multiEntry index");
+    deepEqual(explanation.filteredKeyPaths, ["title"], "title was filtered in javascript");
+    equal(explanation.scanned, 3, "Scanned the three events tagged 'b'");
+    equal(explanation.filtered, 2, "Two of them were filtered out");
+    equal(explanation.matched, 1, "One matched");
+
+    query = db.events.where({userId: 2, tags: "c"});
+    deepEqual((await query.toArray()).map(e => e.title), ["five"], "Filtering on multiEntry keyPath matches any item");
+    query = db.events.where({tags: IDBKeyRange.bound("a", "b")});
+    explanation = await query.explain();
+    equal(explanation.index, ":id", "A range on a multiEntry index is not served by the index");
+    deepEqual(explanation.filteredKeyPaths, ["tags"], "tags was filtered in javascript");
+    deepEqual((await query.toArray()).map(e => e.title), ["one", "two", "four", "five"], "Each record only once");
+});
@@ -132,6 +132,9 @@ import './test-extend-dexie';
     db.friends.toCollection().eachPrimaryKey(key => key.toExponential());
     // Table.orderBy
     db.friends.orderBy('name').eachPrimaryKey(key => key.toFixed());
+    // Collection.orderBy
+    db.friends.where('name').startsWith('A').orderBy('isGoodFriend').toArray(friends => friends[0].address);
+    db.friends.toCollection().orderBy(friend => friend.address.city).first();
 
     // Hooks
     db.friends.hook('creating', (key, friend) => {
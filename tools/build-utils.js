@@ -72,7 +72,7 @@ export async function rebuildFiles(options, replacements, files) {
                     dest: f,
                     globals: {dexie: "Dexie", QUnit: "QUnit"},
                     sourceMap: targets.indexOf(f + '.map') !== -1,
-                    moduleName: getUmdModuleName(entry)
+                    moduleName: (options.moduleNames || {})[entry] || getUmdModuleName(entry)
                 },
                 file: f,
                 map: targets.filter(mapFile => mapFile === f + '.map')[0],
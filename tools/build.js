@@ -19,7 +19,18 @@ build([{
         ],
         "src/Dexie.d.ts": [
             "dist/dexie.d.ts"
+        ],
+        // Not part of dexie.js. Loaded by those running Dexie in node.js.
+        "src/memory-backend.js": [
+            "dist/dexie-memory-backend.js",
+            "dist/dexie-memory-backend.js.map"
+        ],
+        "src/memory-backend.d.ts": [
+            "dist/dexie-memory-backend.d.ts"
         ]
+    },
+    moduleNames: {
+        "src/memory-backend.js": "Dexie.createMemoryBackend"
     }
 },{
     //
@@ -36,7 +47,8 @@ build([{
         "test/worker.js",
         "test/karma-env.js",
         "test/karma.conf.js",
-        "test/require.js"
+        "test/require.js",
+        "test/run-node.js"
     ]
 }]).then(()=> {
     console.log("All files successfully built.");
@@ -15,6 +15,14 @@ printf "Running eslint Dexie.Observable src\n"
 $(npm bin)/eslint --config "addons/Dexie.Observable/src/.eslintrc.json" "addons/Dexie.Observable/src"
 printf "eslint ok.\n\n"
 
+printf "Running eslint Dexie.Encrypted src\n"
+$(npm bin)/eslint --config "addons/Dexie.Encrypted/src/.eslintrc.json" "addons/Dexie.Encrypted/src"
+printf "eslint ok.\n\n"
+
+printf "Running eslint Dexie.SyncServer src\n"
+$(npm bin)/eslint --config "addons/Dexie.SyncServer/src/.eslintrc.json" "addons/Dexie.SyncServer/src"
+printf "eslint ok.\n\n"
+
 #
 # Build
 #
@@ -25,7 +33,7 @@ printf "Dexie building done.\n\n"
 
 ADDONS_DIR="addons/"
 # Use an array to make sure that Observable is built before Syncable
-addons=("Dexie.Observable" "Dexie.Syncable")
+addons=("Dexie.Observable" "Dexie.Syncable" "Dexie.Encrypted")
 
 # build addons
 for addon in "${addons[@]}"
@@ -45,6 +53,10 @@ printf "Testing Dexie\n"
 $(npm bin)/karma start test/karma.travis.conf.js --single-run
 printf "Dexie tests done.\n\n"
 
+printf "Testing Dexie in node.js\n"
+node test/run-node.js
+printf "Dexie node.js tests done.\n\n"
+
 # Run tests for addons
 for addon in "${addons[@]}"
 do
@@ -56,4 +68,10 @@ do
     cd -
 done
 
+# The sync server runs in node and uses the qunitjs of Dexie. It also tests the fetch protocol of
+# the Dexie.Syncable built above against it.
+printf "Testing Dexie.SyncServer\n"
+NODE_PATH="$(pwd)/node_modules" node addons/Dexie.SyncServer/test/run-tests.js
+printf "Dexie.SyncServer tests done.\n\n"
+
 printf "Done.\n"